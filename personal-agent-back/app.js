@@ -10,7 +10,7 @@
  * @description
  *   - Configures Express application with CORS, JSON parsing, file uploads,
  *     and session management.
- *   - Mounts freedom-blocks and user routers under /api.
+ *   - Mounts freedom-blocks, user and calendar-feed routers under /api.
  *   - Serves React build in production.
  */
 
@@ -29,6 +29,8 @@ const isProduction = process.env.NODE_ENV === 'production';
 // Routers
 const freedomRouter = require("./routes/freedom.routes");
 const userRouter    = require("./routes/user.routes");
+const feedRouter    = require("./routes/feed.routes");
+const { MAX_ICS_UPLOAD_BYTES } = require("./services/calendar/busySources.service");
 
 // ─────────────── App Initialization ───────────────
 const app = express();
@@ -56,7 +58,8 @@ app.use(cors(corsOptions));
 
 // ─────────────── Middleware ───────────────
 app.use(express.json());          // parse JSON request bodies
-app.use(fileUpload());            // handle file uploads
+// Uploads are .ics files; stop buffering once one passes its size limit.
+app.use(fileUpload({ limits: { fileSize: MAX_ICS_UPLOAD_BYTES } }));
 app.use(
   session({
     secret: process.env.SESSION_SECRET,
@@ -74,6 +77,7 @@ app.use(
 // ─────────────── API Routes ───────────────
 app.use("/api/freedom-blocks", freedomRouter);
 app.use("/api/users", userRouter);
+app.use("/api/feed", feedRouter);
 
 // ─────────────── Root Handlers ───────────────
 /**
@@ -0,0 +1,259 @@
+// ------------------------------------------------------------------
+// Module:    controllers/blockSeries.controller.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   CRUD endpoints for recurring block series and their
+//            skipped days.
+// ------------------------------------------------------------------
+
+/**
+ * @module BlockSeriesController
+ * @description
+ *   - Creates, lists, edits and deletes recurring focus block series
+ *     ("every weekday 08:00–09:30").
+ *   - Editing or deleting a series affects its occurrences from today
+ *     on; approved and individually edited occurrences are kept.
+ *   - Adds and removes exception dates on which a series is skipped.
+ */
+
+// ─────────────── Dependencies ───────────────
+const mongoose          = require("mongoose");
+const dayjs             = require("dayjs");
+const BlockSeries       = require("../models/blockSeries");
+const freedomTimeBlocks = require("../models/freedomTimeBlocks");
+const User              = require("../models/user");
+const { validateSeries } = require("../services/blocks/blockSeries.util");
+const { validateBlockDetails } = require("../services/blocks/blockDetails.util");
+const { resetFutureOccurrences } = require("../services/blocks/blockSeries.service");
+const { resolveTimezone, isValidDate } = require("../services/blocks/timezone.util");
+
+// ─────────────── Constants ───────────────
+
+/** Most series a user may define. */
+const MAX_SERIES_PER_USER = 50;
+
+/** Block details a series passes on to its occurrences. */
+const SERIES_DETAIL_FIELDS = ["title", "color", "category"];
+
+// ─────────────── Utility Functions ───────────────
+
+/**
+ * Today's local date for a user.
+ * @param {string} userId - Authenticated user's ID.
+ * @returns {Promise<string>} - "YYYY-MM-DD".
+ */
+async function userToday(userId) {
+  const user = await User.findById(userId).select("timezone");
+  return dayjs().tz(resolveTimezone(user?.timezone)).format("YYYY-MM-DD");
+}
+
+/**
+ * Find a series by ID, scoped to the user who owns it.
+ * @param {string} id - Series ID from the route.
+ * @param {string} userId - Authenticated user's ID.
+ * @returns {Promise<Object|null>}
+ */
+async function findOwnedSeries(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return BlockSeries.findOne({ _id: id, userId });
+}
+
+// ─────────────── Route Handlers ───────────────
+
+/**
+ * GET /freedom-blocks/series
+ * List the user's recurring series.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function listSeries(req, res) {
+  try {
+    const series = await BlockSeries.find({ userId: req.user._id }).sort({ startTime: 1 });
+    return res.json({ success: true, series });
+  } catch (err) {
+    console.error("Error in listSeries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/series
+ * Define a recurring series. `startDate` defaults to today.
+ *
+ * @param {Object} req - Express request; body { rrule, startTime, endTime, startDate? },
+ *   plus optional title, color and category.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function createSeries(req, res) {
+  try {
+    const { rrule, startTime, endTime } = req.body;
+    const startDate = req.body.startDate || await userToday(req.user._id);
+    const { value, error } = validateSeries({ rrule, startDate, startTime, endTime });
+    const details = validateBlockDetails(req.body, SERIES_DETAIL_FIELDS);
+    if (error || details.error) {
+      return res.status(400).json({ success: false, message: error || details.error });
+    }
+
+    if (await BlockSeries.countDocuments({ userId: req.user._id }) >= MAX_SERIES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_SERIES_PER_USER} recurring series are allowed`
+      });
+    }
+
+    const series = await BlockSeries.create({ userId: req.user._id, ...value, ...details.value });
+    return res.status(201).json({ success: true, series });
+  } catch (err) {
+    console.error("Error in createSeries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * PUT /freedom-blocks/series/:id
+ * Edit the whole series. Its pending occurrences from today on are
+ * rebuilt from the new definition.
+ *
+ * @param {Object} req - Express request; body may hold rrule, startDate, startTime,
+ *   endTime, title, color and category.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function updateSeries(req, res) {
+  try {
+    const series = await findOwnedSeries(req.params.id, req.user._id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: "Series not found" });
+    }
+
+    const { value, error } = validateSeries(req.body, series.toObject());
+    const details = validateBlockDetails(req.body, SERIES_DETAIL_FIELDS);
+    if (error || details.error) {
+      return res.status(400).json({ success: false, message: error || details.error });
+    }
+
+    Object.assign(series, value, details.value);
+    await series.save();
+    const reset = await resetFutureOccurrences(series, await userToday(req.user._id));
+
+    return res.json({ success: true, series, reset });
+  } catch (err) {
+    console.error("Error in updateSeries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * DELETE /freedom-blocks/series/:id
+ * Delete a series and its pending occurrences from today on. Approved
+ * and individually edited occurrences stay as standalone blocks.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function deleteSeries(req, res) {
+  try {
+    const series = await findOwnedSeries(req.params.id, req.user._id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: "Series not found" });
+    }
+
+    await resetFutureOccurrences(series, await userToday(req.user._id));
+    await freedomTimeBlocks.updateMany(
+      { seriesId: series._id },
+      { $set: { seriesId: null, occurrenceDate: null, seriesOverride: false } }
+    );
+    await series.deleteOne();
+
+    return res.json({ success: true, message: "Series deleted" });
+  } catch (err) {
+    console.error("Error in deleteSeries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/series/:id/exceptions
+ * Skip the series on one date, removing that day's pending occurrence.
+ *
+ * @param {Object} req - Express request; body { date } as "YYYY-MM-DD".
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function addSeriesException(req, res) {
+  try {
+    const { date } = req.body;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    }
+
+    const series = await findOwnedSeries(req.params.id, req.user._id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: "Series not found" });
+    }
+
+    series.exceptions = [...new Set([...series.exceptions, date])].sort();
+    await series.save();
+    await freedomTimeBlocks.deleteMany({
+      seriesId:       series._id,
+      occurrenceDate: date,
+      seriesOverride: false,
+      approved:       false
+    });
+
+    return res.json({ success: true, series });
+  } catch (err) {
+    console.error("Error in addSeriesException:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * DELETE /freedom-blocks/series/:id/exceptions/:date
+ * Stop skipping a date; its occurrence returns the next time the day
+ * is viewed or generated.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function removeSeriesException(req, res) {
+  try {
+    const { date } = req.params;
+    const series   = await findOwnedSeries(req.params.id, req.user._id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: "Series not found" });
+    }
+    if (!series.exceptions.includes(date)) {
+      return res.status(404).json({ success: false, message: "Date is not skipped" });
+    }
+
+    series.exceptions = series.exceptions.filter(d => d !== date);
+    await series.save();
+    // A deleted occurrence would otherwise keep the day's slot.
+    await freedomTimeBlocks.deleteMany({
+      seriesId:       series._id,
+      occurrenceDate: date,
+      sourceType:     "excluded",
+      seriesOverride: false
+    });
+
+    return res.json({ success: true, series });
+  } catch (err) {
+    console.error("Error in removeSeriesException:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+module.exports = {
+  listSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addSeriesException,
+  removeSeriesException
+};
@@ -0,0 +1,86 @@
+// ------------------------------------------------------------------
+// Module:    controllers/blockStats.controller.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Focus statistics over a date range for the dashboard.
+// ------------------------------------------------------------------
+
+/**
+ * @module BlockStatsController
+ * @description
+ *   - Aggregates the user's blocks between two local dates: planned,
+ *     approved and excluded minutes, blocks per day, average block
+ *     length, time-of-day distribution and block origin.
+ *   - Defaults to the last DEFAULT_STATS_DAYS days, ending today.
+ */
+
+// ─────────────── Dependencies ───────────────
+const dayjs             = require("dayjs");
+const freedomTimeBlocks = require("../models/freedomTimeBlocks");
+const User              = require("../models/user");
+const { summarizeBlocks } = require("../services/blocks/blockStats.util");
+const {
+  resolveTimezone,
+  getDayBounds,
+  isValidDate,
+  listDates
+} = require("../services/blocks/timezone.util");
+
+// ─────────────── Constants ───────────────
+
+/** Days covered when no start date is given. */
+const DEFAULT_STATS_DAYS = 28;
+
+/** Longest range one request may cover. */
+const MAX_STATS_DAYS = 366;
+
+// ─────────────── Route Handlers ───────────────
+
+/**
+ * GET /freedom-blocks/stats
+ * Summarize the user's blocks for each local date from start to end.
+ *
+ * @param {Object} req - Express request; query { start?, end? } as "YYYY-MM-DD".
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getBlockStats(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select("timezone");
+    const tz   = resolveTimezone(user?.timezone);
+
+    const end   = req.query.end || dayjs().tz(tz).format("YYYY-MM-DD");
+    const start = req.query.start
+      || (isValidDate(end) ? dayjs(end).subtract(DEFAULT_STATS_DAYS - 1, "day").format("YYYY-MM-DD") : end);
+    if (!isValidDate(start) || !isValidDate(end)) {
+      return res.status(400).json({ success: false, message: "start and end must be dates in YYYY-MM-DD format." });
+    }
+    if (end < start) {
+      return res.status(400).json({ success: false, message: "end must not be before start." });
+    }
+    const dates = listDates(start, end);
+    if (dates.length > MAX_STATS_DAYS) {
+      return res.status(400).json({ success: false, message: `Statistics are limited to ${MAX_STATS_DAYS} days.` });
+    }
+
+    const blocks = await freedomTimeBlocks.find({
+      userId:    req.user._id,
+      startTime: { $gte: getDayBounds(start, tz).start.toDate(), $lt: getDayBounds(end, tz).end.toDate() }
+    }).lean();
+
+    return res.json({
+      success:  true,
+      start,
+      end,
+      timezone: tz,
+      ...summarizeBlocks(blocks, dates, tz)
+    });
+  } catch (err) {
+    console.error("Error in getBlockStats:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+module.exports = {
+  getBlockStats
+};
@@ -10,12 +10,16 @@
  * @module FreedomBlocksController
  * @description
  *   - Generates daily free-time blocks by merging calendar busy slots
- *     with user overrides.
- *   - Exposes endpoints to create, fetch, update, approve, delete blocks.
- *   - Integrates with Google Calendar and phone alarm service.
+ *     with user overrides (see services/blocks/dayPlan.service); each
+ *     day is generated independently.
+ *   - Exposes endpoints to create, fetch, update, approve, delete blocks,
+ *     for today or for a range of dates, and to split or merge them.
+ *   - Integrates with Google Calendar and phone alarm service, and raises
+ *     block events for the user's webhook subscriptions.
  */
 
 // ─────────────── Dependencies ───────────────
+const mongoose = require("mongoose");
 const dayjs = require("dayjs");
 const isSameOrAfter = require("dayjs/plugin/isSameOrAfter");
 const minMax = require("dayjs/plugin/minMax");
@@ -24,153 +28,165 @@ dayjs.extend(isSameOrAfter);
 dayjs.extend(minMax);
 
 const freedomTimeBlocks = require("../models/freedomTimeBlocks");
+const BlockSeries       = require("../models/blockSeries");
+const User              = require("../models/user");
 const UserEmail         = require("../models/userEmail");
+const { listAppointments } = require("../services/calendar/appointments.service");
+const { roundToNearest5Min } = require("../services/blocks/roundTime.util");
+const { validateBlockDetails, MAX_TASKS } = require("../services/blocks/blockDetails.util");
 const {
-  getBusyTimesUntil,
-  listAppointments
-} = require("../services/calendar/appointments.service");
+  resolveTimezone,
+  getDayBounds,
+  localDate,
+  isValidDate,
+  listDates
+} = require("../services/blocks/timezone.util");
+const { blockAlarms } = require("../services/blocks/alarmSettings.util");
+const { withGenerationLock } = require("../services/blocks/generationLock.service");
+const { materializeSeriesForDay } = require("../services/blocks/blockSeries.service");
 const {
-  calculateFreeIntervals,
-  breakDownFreeTime
-} = require("../services/blocks/timeBlocks.util");
-const { roundToNearest5Min } = require("../services/blocks/roundTime.util");
+  getPlanningSettings,
+  getPlanningCalendars,
+  getCalendarBusy,
+  syncFocusEvents,
+  regenerateDay,
+  findDayBlocks,
+  approveDay
+} = require("../services/blocks/dayPlan.service");
+const {
+  recordRevision,
+  listRevisions,
+  latestRevision,
+  findUndo,
+  undoRevision,
+  forgetRevisions
+} = require("../services/blocks/blockHistory.service");
 const phoneAlarmService      = require("../services/phoneAlarm.service");
+const { resolveIntegrations } = require("../services/integrations/userIntegrations.service");
+const { enabledChannels, deliverAlarm } = require("../services/notifications/notify.service");
+const { listJobsForBlocks }  = require("../services/jobs/jobQueue.service");
+const {
+  enqueueApprovalJobs,
+  enqueueSplitJobs,
+  taskMagicPayload,
+  postTaskMagic
+} = require("../services/jobs/approvalJobs.service");
+const {
+  snapshotBlock,
+  enqueueWebhookEvent,
+  enqueueBlockChange
+} = require("../services/jobs/webhookJobs.service");
+const {
+  hasVerifiedCalDav,
+  listCalDavAppointments
+} = require("../services/calendar/calDavSources.service");
+
+// ─────────────── Constants ───────────────
+
+/** Longest date range accepted by the range endpoints (two weeks). */
+const MAX_RANGE_DAYS = 14;
+
+/** Most blocks one merge may combine. */
+const MAX_MERGE_BLOCKS = 10;
 
 // ─────────────── Utility Functions ───────────────
 
 /**
- * Delay execution by the specified milliseconds.
- * @param {number} ms - Time to wait before resolving.
- * @returns {Promise<void>}
+ * Look up the user's stored timezone.
+ * @param {string} userId - Authenticated user's ID.
+ * @returns {Promise<string>} - Valid IANA timezone (default when unset/invalid).
  */
-function delay(ms) {
-  return new Promise(resolve => {
-    const timer = setTimeout(resolve, ms);
-    timer.unref(); // Allow process to exit if this timer is alone.
-  });
+async function getUserTimezone(userId) {
+  const user = await User.findById(userId).select("timezone");
+  return resolveTimezone(user?.timezone);
 }
 
+
 /**
- * Merge overlapping busy intervals into consolidated ISO intervals.
- * @param {Array<{start: string, end: string}>} busyArr - Input intervals.
- * @returns {Array<{start: string, end: string}>} - Merged intervals.
+ * Find a block by ID, scoped to the user who owns it.
+ * Malformed IDs resolve to null so callers respond 404 rather than 500.
+ * @param {string} id - Block ID from the route.
+ * @param {string} userId - Authenticated user's ID.
+ * @returns {Promise<Object|null>} - The block document, or null.
  */
-function mergeBusyIntervals(busyArr) {
-  if (!busyArr.length) return [];
-
-  // Convert to dayjs for comparisons.
-  let intervals = busyArr.map(b => ({
-    start: dayjs(b.start),
-    end:   dayjs(b.end)
-  }));
-
-  // Sort by start time to prepare for merge loop.
-  intervals.sort((a, b) => a.start.valueOf() - b.start.valueOf());
-
-  const merged = [];
-  let current = intervals[0];
-
-  for (let i = 1; i < intervals.length; i++) {
-    const next = intervals[i];
-    if (next.start.isBefore(current.end)) {
-      // Extend current end to cover overlap.
-      current.end = dayjs.max(current.end, next.end);
-    } else {
-      merged.push(current);
-      current = next;
-    }
-  }
-  merged.push(current);
-
-  // Format back to ISO strings.
-  return merged.map(i => ({
-    start: i.start.toISOString(),
-    end:   i.end.toISOString()
-  }));
+async function findOwnedBlock(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return freedomTimeBlocks.findOne({ _id: id, userId });
 }
 
-// ─────────────── Core Logic ───────────────
 
 /**
- * Generate and store today’s free-time blocks if needed.
- * @param {string[]} calendarIds - Calendar email IDs to query.
- * @returns {Promise<Array|Object>} - New blocks or placeholder when after day end.
+ * Round requested block times to 5-minute marks and check they form a
+ * valid interval clear of the user's other non-excluded blocks.
+ * @param {string} userId - Owner of the block.
+ * @param {string} startTime - Requested start (ISO).
+ * @param {string} endTime - Requested end (ISO).
+ * @param {string|string[]} [ignoreId] - Block(s) being moved, exempt from the overlap check.
+ * @returns {Promise<{newStart?: dayjs.Dayjs, newEnd?: dayjs.Dayjs, error?: string}>}
  */
-async function generateTodayBlocksIfNeeded(calendarIds) {
-  const tz       = "America/Denver";
-  const now      = dayjs().tz(tz);
-  const endOfDay = now.endOf("day");
-
-  if (now.isAfter(endOfDay)) {
-    // No generation past end of day.
-    return { now, busyArray: [] };
+async function snapBlockTimes(userId, startTime, endTime, ignoreId) {
+  // Round to nearest 5-minute increments.
+  const newStart = roundToNearest5Min(dayjs(startTime));
+  const newEnd   = roundToNearest5Min(dayjs(endTime));
+  if (!startTime || !endTime || !newStart.isValid() || !newEnd.isValid()) {
+    return { error: "Invalid date/time" };
+  }
+  if (newStart.isSameOrAfter(newEnd)) {
+    return { error: "Start time must be before end time (after rounding)." };
   }
 
-  // 1. Fetch calendar busy slots.
-  const { busyArray } = await getBusyTimesUntil(calendarIds, endOfDay);
-
-  // 2. Define today's boundaries.
-  const dateToday  = now.format("YYYY-MM-DD");
-  const startOfDay = dayjs.tz(`${dateToday} 00:00`, "YYYY-MM-DD HH:mm", tz).toDate();
-  const endOfDayDt = dayjs.tz(`${dateToday} 23:59`, "YYYY-MM-DD HH:mm", tz).toDate();
-
-  // 3. Retrieve user-defined/approved/excluded blocks.
-  const userBlocks = await freedomTimeBlocks.find({
-    sourceType: { $in: ["manual", "approved", "excluded"] },
-    startTime:  { $gte: startOfDay },
-    endTime:    { $lte: endOfDayDt }
-  });
-
-  // 4. Convert them to ISO intervals in correct timezone.
-  const userBusy = userBlocks.map(blk => ({
-    start: dayjs(blk.startTime).tz(tz).toISOString(),
-    end:   dayjs(blk.endTime).tz(tz).toISOString()
-  }));
-
-  // 5. Merge calendar + user busy intervals.
-  const mergedBusy = mergeBusyIntervals(busyArray.concat(userBusy));
-
-  // 6. Compute free intervals between now and end of day.
-  const freeIntervals = calculateFreeIntervals(now, endOfDay, mergedBusy);
-
-  // Apply safety buffer to avoid edge conflicts.
-  const bufferMin = 5;
-  const adjusted  = freeIntervals
-    .map(i => {
-      const s = i.start.add(bufferMin, "minute");
-      const e = i.end.subtract(bufferMin, "minute");
-      return e.isAfter(s) ? { start: s, end: e } : null;
-    })
-    .filter(Boolean);
-
-  // 7. Break adjusted intervals into discrete blocks.
-  const blocks = breakDownFreeTime(adjusted);
-
-  // 8. Build mongoose documents.
-  const docs = blocks.map(b => {
-    const [h1, m1] = b.start.split(":");
-    const [h2, m2] = b.end.split(":");
-    return {
-      startTime:  dayjs.tz(`${dateToday} ${h1}:${m1}`, "YYYY-MM-DD HH:mm", tz).toDate(),
-      endTime:    dayjs.tz(`${dateToday} ${h2}:${m2}`, "YYYY-MM-DD HH:mm", tz).toDate(),
-      approved:   false,
-      sourceType: "auto"
-    };
+  // Prevent overlap with the user's other non-excluded blocks.
+  const overlap = await freedomTimeBlocks.findOne({
+    ...(ignoreId && { _id: { $nin: [].concat(ignoreId) } }),
+    userId,
+    sourceType: { $nin: ["excluded"] },
+    startTime:  { $lt: newEnd.toDate() },
+    endTime:    { $gt: newStart.toDate() }
   });
+  if (overlap) {
+    return { error: "Collision: Overlaps another block (after rounding)." };
+  }
+  return { newStart, newEnd };
+}
 
-  // 9. Insert new blocks if present.
-  if (docs.length) {
-    // TODO(jg): prevent duplicate insertions on rapid calls.
-    return await freedomTimeBlocks.insertMany(docs);
+/**
+ * Validate a start/end date pair from a request.
+ * `end` defaults to `start`; the span is capped at MAX_RANGE_DAYS.
+ * @param {string} start - First local date "YYYY-MM-DD".
+ * @param {string} [end] - Last local date "YYYY-MM-DD" (inclusive).
+ * @returns {{dates?: string[], error?: string}} - Dates in order, or an error.
+ */
+function parseDateRange(start, end = start) {
+  if (!isValidDate(start) || !isValidDate(end)) {
+    return { error: "start and end must be dates in YYYY-MM-DD format." };
   }
-  return [];
+  if (end < start) {
+    return { error: "end must not be before start." };
+  }
+  const dates = listDates(start, end);
+  if (dates.length > MAX_RANGE_DAYS) {
+    return { error: `Date ranges are limited to ${MAX_RANGE_DAYS} days.` };
+  }
+  return { dates };
+}
+
+/**
+ * Local date an appointment starts on, for grouping by day.
+ * All-day events carry a plain date; timed events a dateTime.
+ * @param {Object} appt - Google Calendar event.
+ * @param {string} tz - User's timezone.
+ * @returns {string} - "YYYY-MM-DD".
+ */
+function appointmentDate(appt, tz) {
+  return appt.start?.date || localDate(appt.start?.dateTime || appt.start, tz);
 }
 
 // ─────────────── Endpoints ───────────────
 
 /**
  * POST /freedom-blocks
- * Force creation of today's freedom blocks.
+ * Force creation of today's freedom blocks. Pending suggestions are
+ * replaced; the response lists the day's resulting blocks.
  *
  * @param {Object} req - Express request.
  * @param {Object} res - Express response.
@@ -181,7 +197,7 @@ async function createFreedomTimeBlocks(req, res) {
     const emails   = await UserEmail.find({ userId: req.user._id, deletedAt: null });
     const verified = emails.filter(ue => ue.isCalendarOnboarded);
 
-    if (!verified.length) {
+    if (!verified.length && !(await hasVerifiedCalDav(req.user._id))) {
       return res.json({
         success:  true,
         verified: false,
@@ -190,8 +206,11 @@ async function createFreedomTimeBlocks(req, res) {
       });
     }
 
-    const ids    = verified.map(ue => ue.email);
-    const blocks = await generateTodayBlocksIfNeeded(ids);
+    const ids      = verified.map(ue => ue.email);
+    const settings = await getPlanningSettings(req.user._id);
+    const today    = dayjs().tz(settings.tz).format("YYYY-MM-DD");
+    await regenerateDay(req.user._id, ids, today, settings, { force: true });
+    const blocks   = await findDayBlocks(req.user._id, today, settings.tz);
 
     return res.json({
       success:  true,
@@ -215,32 +234,29 @@ async function createFreedomTimeBlocks(req, res) {
  */
 async function getTodaySchedule(req, res) {
   try {
-    const tz         = "America/Denver";
+    const settings   = await getPlanningSettings(req.user._id);
+    const { tz }     = settings;
     const dateToday  = dayjs().tz(tz).format("YYYY-MM-DD");
-    const startOfDay = dayjs.tz(`${dateToday} 00:00`, "YYYY-MM-DD HH:mm", tz).toDate();
-    const endOfDay   = dayjs.tz(`${dateToday} 23:59`, "YYYY-MM-DD HH:mm", tz).toDate();
-
-    // Fetch existing blocks for today.
-    let existingBlocks = await freedomTimeBlocks.find({
-      startTime: { $gte: startOfDay },
-      endTime:   { $lte: endOfDay }
-    }).sort({ startTime: 1 });
+    const bounds     = getDayBounds(dateToday, tz);
+    const startOfDay = bounds.start.toDate();
+    const endOfDay   = bounds.end.toDate();
 
     const userEmails = await UserEmail.find({ userId: req.user._id, deletedAt: null });
     const verified   = userEmails.filter(ue => ue.isCalendarOnboarded);
 
-    if (!verified.length) {
+    if (!verified.length && !(await hasVerifiedCalDav(req.user._id))) {
       // Provide placeholder when no calendars are onboarded.
       const sampleAppt = {
         id:      "sample",
         summary: "Sample Appointment",
-        start:   dayjs().hour(10).minute(0).toISOString(),
-        end:     dayjs().hour(10).minute(30).toISOString()
+        start:   dayjs.tz(`${dateToday} 10:00`, "YYYY-MM-DD HH:mm", tz).toISOString(),
+        end:     dayjs.tz(`${dateToday} 10:30`, "YYYY-MM-DD HH:mm", tz).toISOString()
       };
       return res.json({
         success:      true,
         verified:     false,
         message:      "Please verify your calendar email(s).",
+        timezone:     tz,
         appointments: [sampleAppt],
         timeBlocks:   []
       });
@@ -249,25 +265,15 @@ async function getTodaySchedule(req, res) {
     const ids = verified.map(ue => ue.email);
 
     // Regenerate auto blocks if stale or missing.
-    const autoBlocks = existingBlocks.filter(b => !b.approved && b.sourceType === "auto");
-    if (autoBlocks.length) {
-      await freedomTimeBlocks.deleteMany({ _id: { $in: autoBlocks.map(b => b._id) } });
-      existingBlocks = await generateTodayBlocksIfNeeded(ids);
-    } else if (!existingBlocks.length) {
-      existingBlocks = await generateTodayBlocksIfNeeded(ids);
-    }
+    await regenerateDay(req.user._id, ids, dateToday, settings);
 
     // Re-fetch and filter out excluded blocks.
-    const todayBlocks = await freedomTimeBlocks.find({
-      startTime: { $gte: startOfDay },
-      endTime:   { $lte: endOfDay },
-      sourceType:{ $nin: ["excluded"] }
-    }).sort({ startTime: 1 });
+    const todayBlocks = await findDayBlocks(req.user._id, dateToday, tz);
 
-    // Aggregate Google Calendar appointments.
-    let allAppointments = [];
+    // Aggregate Google Calendar and CalDAV appointments.
+    let allAppointments = await listCalDavAppointments(req.user._id, startOfDay, endOfDay, tz);
     for (const calId of ids) {
-      const appts = await listAppointments(calId, startOfDay, endOfDay);
+      const appts = await listAppointments(calId, startOfDay, endOfDay, tz);
       allAppointments = allAppointments.concat(appts);
     }
 
@@ -275,6 +281,7 @@ async function getTodaySchedule(req, res) {
       success:      true,
       verified:     true,
       message:      "Fetched today's schedule with updated freedom blocks.",
+      timezone:     tz,
       appointments: allAppointments,
       timeBlocks:   todayBlocks,
       emails:       userEmails
@@ -285,9 +292,155 @@ async function getTodaySchedule(req, res) {
   }
 }
 
+/**
+ * POST /freedom-blocks/range
+ * Generate (or regenerate) blocks for each day in a date range.
+ * Each day is refreshed independently, like GET /today does for today.
+ *
+ * @param {Object} req - Express request; body { start, end? } as "YYYY-MM-DD".
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function generateRangeBlocks(req, res) {
+  try {
+    const { dates, error } = parseDateRange(req.body.start, req.body.end);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const emails   = await UserEmail.find({ userId: req.user._id, deletedAt: null });
+    const verified = emails.filter(ue => ue.isCalendarOnboarded);
+    if (!verified.length && !(await hasVerifiedCalDav(req.user._id))) {
+      return res.json({
+        success:  true,
+        verified: false,
+        message:  "No verified calendar emails. Please verify or add one.",
+        emails
+      });
+    }
+
+    const ids      = verified.map(ue => ue.email);
+    const settings = await getPlanningSettings(req.user._id);
+    const days     = [];
+    for (const date of dates) {
+      await regenerateDay(req.user._id, ids, date, settings);
+      days.push({ date, timeBlocks: await findDayBlocks(req.user._id, date, settings.tz) });
+    }
+
+    return res.json({
+      success:  true,
+      verified: true,
+      message:  `Generated blocks for ${dates.length} day(s).`,
+      timezone: settings.tz,
+      days
+    });
+  } catch (err) {
+    console.error("Error in generateRangeBlocks:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * GET /freedom-blocks/range?start=YYYY-MM-DD&end=YYYY-MM-DD
+ * Fetch appointments and blocks for each day in a date range, without
+ * generating suggestions. Recurring series occurrences are materialized
+ * for today and later days so the week view shows them.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getRangeSchedule(req, res) {
+  try {
+    const { dates, error } = parseDateRange(req.query.start, req.query.end);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const tz         = await getUserTimezone(req.user._id);
+    const rangeStart = getDayBounds(dates[0], tz).start.toDate();
+    const rangeEnd   = getDayBounds(dates[dates.length - 1], tz).end.toDate();
+
+    const userEmails = await UserEmail.find({ userId: req.user._id, deletedAt: null });
+    const ids        = userEmails.filter(ue => ue.isCalendarOnboarded).map(ue => ue.email);
+
+    // One calendar query per calendar for the whole range, grouped below.
+    let allAppointments = await listCalDavAppointments(req.user._id, rangeStart, rangeEnd, tz);
+    for (const calId of ids) {
+      const appts = await listAppointments(calId, rangeStart, rangeEnd, tz);
+      allAppointments = allAppointments.concat(appts);
+    }
+
+    const days = [];
+    for (const date of dates) {
+      await withGenerationLock(req.user._id, date, () => materializeSeriesForDay(req.user._id, date, tz));
+      days.push({
+        date,
+        appointments: allAppointments.filter(a => appointmentDate(a, tz) === date),
+        timeBlocks:   await findDayBlocks(req.user._id, date, tz)
+      });
+    }
+
+    return res.json({
+      success:  true,
+      verified: ids.length > 0 || await hasVerifiedCalDav(req.user._id),
+      timezone: tz,
+      days
+    });
+  } catch (err) {
+    console.error("Error in getRangeSchedule:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/manual
+ * Create a user-drawn block. Times snap to 5 minutes and may not
+ * overlap the user's other blocks, as when moving a block.
+ *
+ * @param {Object} req - Express request; body { startTime, endTime } as ISO strings,
+ *   plus optional title, color, category, goal and tasks.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function createManualBlock(req, res) {
+  try {
+    const { startTime, endTime } = req.body;
+    const details = validateBlockDetails(req.body);
+    if (details.error) {
+      return res.status(400).json({ success: false, message: details.error });
+    }
+    const { newStart, newEnd, error } = await snapBlockTimes(req.user._id, startTime, endTime);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const block = await freedomTimeBlocks.create({
+      userId:     req.user._id,
+      startTime:  newStart.toDate(),
+      endTime:    newEnd.toDate(),
+      approved:   false,
+      sourceType: "manual",
+      origin:     "manual",
+      ...details.value
+    });
+
+    return res.status(201).json({
+      success:      true,
+      block,
+      snappedStart: newStart.toISOString(),
+      snappedEnd:   newEnd.toISOString()
+    });
+  } catch (err) {
+    console.error("Error in createManualBlock:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
 /**
  * PUT /freedom-blocks/:id
- * Update a freedom block’s start and end times.
+ * Update a freedom block’s start and end times, and any of its title,
+ * color, category, goal and tasks sent along.
  *
  * @param {Object} req - Express request.
  * @param {Object} res - Express response.
@@ -295,57 +448,49 @@ async function getTodaySchedule(req, res) {
  */
 async function updateFreedomBlock(req, res) {
   try {
-    const { id }          = req.params;
-    let { startTime, endTime } = req.body;
+    const { id }                 = req.params;
+    const { startTime, endTime } = req.body;
 
-    const block = await freedomTimeBlocks.findById(id);
+    const block = await findOwnedBlock(id, req.user._id);
     if (!block) {
       return res.status(404).json({ success: false, message: "Block not found" });
     }
 
-    // Round to nearest 5-minute increments.
-    const newStart = roundToNearest5Min(dayjs(startTime));
-    const newEnd   = roundToNearest5Min(dayjs(endTime));
-    if (!newStart.isValid() || !newEnd.isValid()) {
-      return res.status(400).json({ success: false, message: "Invalid date/time" });
-    }
-    if (newStart.isSameOrAfter(newEnd)) {
-      return res.status(400).json({
-        success: false,
-        message: "Start time must be before end time (after rounding)."
-      });
+    const details = validateBlockDetails(req.body);
+    if (details.error) {
+      return res.status(400).json({ success: false, message: details.error });
     }
-
-    // Prevent overlap with non-excluded blocks.
-    const overlap = await freedomTimeBlocks.findOne({
-      _id:        { $ne: id },
-      sourceType: { $nin: ["excluded"] },
-      startTime:  { $lt: newEnd.toDate() },
-      endTime:    { $gt: newStart.toDate() }
-    });
-    if (overlap) {
-      return res.status(400).json({
-        success: false,
-        message: "Collision: Overlaps another block (after rounding)."
-      });
+    const { newStart, newEnd, error } = await snapBlockTimes(req.user._id, startTime, endTime, id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    // Soft-exclude leftover interval if block is shortened.
+    // Soft-exclude leftover interval if block is shortened. Only blocks
+    // the user deletes get deletedAt; leftovers were never blocks of
+    // their own.
+    let leftover = null;
     if (newEnd.isBefore(dayjs(block.endTime))) {
-      await freedomTimeBlocks.create({
+      leftover = await freedomTimeBlocks.create({
+        userId:     block.userId,
         startTime:  newEnd.toDate(),
         endTime:    block.endTime,
         approved:   false,
-        sourceType: "excluded",
-        deletedAt:  new Date()
+        sourceType: "excluded"
       });
     }
+    await recordRevision(block, "update", { leftoverId: leftover?._id });
+    const before = snapshotBlock(block);
 
-    // Apply manual update.
+    // Apply manual update; a series occurrence now departs from its series.
+    if (!newStart.isSame(block.startTime) || !newEnd.isSame(block.endTime)) block.edited = true;
     block.startTime  = newStart.toDate();
     block.endTime    = newEnd.toDate();
     block.sourceType = "manual";
+    Object.assign(block, details.value);
+    if (block.seriesId) block.seriesOverride = true;
     await block.save();
+    await syncFocusEvents(req.user._id, [block]);
+    await enqueueBlockChange(req.user._id, before, block);
 
     return res.json({
       success:      true,
@@ -360,80 +505,240 @@ async function updateFreedomBlock(req, res) {
 }
 
 /**
- * POST /freedom-blocks/approve
- * Approve all unapproved blocks and trigger notifications.
+ * POST /freedom-blocks/:id/split
+ * Split a block in two at a time rounded to 5 minutes, optionally
+ * leaving a break between the parts. The break is excluded like the
+ * leftover of a shortened block. Both parts keep the block's approval
+ * and details. Of an approved block, the shortened part gets an end
+ * alarm and a change notice, and the new part its own notifications
+ * except the end alarm, which the original block already queued.
+ * Undoing either part undoes the split.
  *
- * @param {Object} req - Express request.
+ * @param {Object} req - Express request; body { at (ISO), gapMinutes? }.
  * @param {Object} res - Express response.
  * @returns {Promise<void>}
  */
-async function approveAllBlocks(req, res) {
+async function splitBlock(req, res) {
   try {
-    const tz         = "America/Denver";
-    const dateToday  = dayjs().tz(tz).format("YYYY-MM-DD");
-    const startOfDay = dayjs.tz(`${dateToday} 00:00`, "YYYY-MM-DD HH:mm", tz).toDate();
-    const endOfDay   = dayjs.tz(`${dateToday} 23:59`, "YYYY-MM-DD HH:mm", tz).toDate();
+    const block = await findOwnedBlock(req.params.id, req.user._id);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+    if (block.sourceType === "excluded") {
+      return res.status(400).json({ success: false, message: "Excluded blocks cannot be split" });
+    }
 
-    // Select blocks pending approval.
-    const unapproved = await freedomTimeBlocks.find({
-      approved:   false,
-      sourceType: { $nin: ["excluded"] },
-      startTime:  { $gte: startOfDay },
-      endTime:    { $lte: endOfDay }
-    }).sort({ startTime: 1 });
+    const at         = roundToNearest5Min(dayjs(req.body.at));
+    const gapMinutes = Number(req.body.gapMinutes ?? 0);
+    if (!req.body.at || !at.isValid()) {
+      return res.status(400).json({ success: false, message: "Invalid date/time" });
+    }
+    if (!Number.isFinite(gapMinutes) || gapMinutes < 0) {
+      return res.status(400).json({ success: false, message: "gapMinutes must be zero or more" });
+    }
+    const resume = at.add(Math.round(gapMinutes / 5) * 5, "minute");
+    if (at.diff(block.startTime, "minute") < 5 || dayjs(block.endTime).diff(resume, "minute") < 5) {
+      return res.status(400).json({
+        success: false,
+        message: "Each part must be at least 5 minutes long (after rounding)."
+      });
+    }
 
-    // Mark them approved.
-    for (const blk of unapproved) {
-      blk.approved    = true;
-      blk.sourceType  = "approved";
-      await blk.save();
+    let gap = null;
+    if (resume.isAfter(at)) {
+      gap = await freedomTimeBlocks.create({
+        userId:     block.userId,
+        startTime:  at.toDate(),
+        endTime:    resume.toDate(),
+        approved:   false,
+        sourceType: "excluded"
+      });
     }
 
-    const webhookUrl = process.env.FREEDOM_APP_TASKMAGIC_WEBHOOK;
-    if (!webhookUrl) {
-      console.warn("No TaskMagic webhook configured, skipping.");
-    }
-
-    // Trigger each block’s webhook & phone alarm.
-    for (let i = 0; i < unapproved.length; i++) {
-      const blk  = unapproved[i];
-      const sd   = dayjs(blk.startTime);
-      const ed   = dayjs(blk.endTime);
-      const body = JSON.stringify({
-        startHour: sd.format("H"),
-        startMin:  sd.format("m"),
-        endHour:   ed.format("H"),
-        endMin:    ed.format("m")
+    // Suggestions become manual so regeneration keeps both parts.
+    const sourceType = block.sourceType === "auto" ? "manual" : block.sourceType;
+
+    // The second part is a standalone block; only the first stays in a series.
+    const second = await freedomTimeBlocks.create({
+      userId:     block.userId,
+      startTime:  resume.toDate(),
+      endTime:    block.endTime,
+      approved:   block.approved,
+      sourceType,
+      origin:     block.origin,
+      edited:     true,
+      title:      block.title,
+      color:      block.color,
+      category:   block.category,
+      goal:       block.goal,
+      tasks:      block.tasks.map(({ text, done }) => ({ text, done }))
+    });
+    await recordRevision(block, "update", { leftoverId: gap?._id, splitPartId: second._id });
+    await recordRevision(second, "create", { splitFromId: block._id });
+    const before = snapshotBlock(block);
+
+    block.endTime    = at.toDate();
+    block.sourceType = sourceType;
+    block.edited     = true;
+    if (block.seriesId) block.seriesOverride = true;
+    await block.save();
+
+    const parts = [block, second];
+    if (block.approved) {
+      await enqueueSplitJobs(block, second, await getUserTimezone(req.user._id), req.user._id);
+    }
+    await enqueueBlockChange(req.user._id, before, block);
+    await syncFocusEvents(req.user._id, parts);
+
+    return res.json({ success: true, blocks: parts });
+  } catch (err) {
+    console.error("Error in splitBlock:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/merge
+ * Merge blocks on the same day into one spanning them all. No other
+ * block may lie between them, nor calendar busy time in the gaps. The
+ * earliest block absorbs the others, which are excluded; leftovers of
+ * shortened blocks in the gaps are removed, while deleted blocks stay
+ * in the trash. The result is approved only if every part was; the
+ * surviving block then sends a change notice rather than fresh
+ * notifications.
+ *
+ * @param {Object} req - Express request; body { blockIds }.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function mergeBlocks(req, res) {
+  try {
+    const ids = [...new Set(Array.isArray(req.body.blockIds) ? req.body.blockIds.map(String) : [])];
+    if (ids.length < 2 || ids.length > MAX_MERGE_BLOCKS || !ids.every(mongoose.isValidObjectId)) {
+      return res.status(400).json({
+        success: false,
+        message: `blockIds must list 2 to ${MAX_MERGE_BLOCKS} blocks`
       });
+    }
 
-      if (webhookUrl) {
-        try {
-          await fetch(webhookUrl, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body
-          });
-        } catch (err) {
-          console.error("TaskMagic webhook error:", err.message);
-        }
-      }
+    const parts = await freedomTimeBlocks.find({
+      _id:        { $in: ids },
+      userId:     req.user._id,
+      sourceType: { $ne: "excluded" }
+    }).sort({ startTime: 1 });
+    if (parts.length !== ids.length) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
 
-      // Schedule phone alarm at block end time.
-      try {
-        await phoneAlarmService.setPhoneAlarm(ed.format("HH:mm"));
-      } catch (err) {
-        console.error("Phone alarm error:", err.message);
-      }
+    const tz = await getUserTimezone(req.user._id);
+    if (new Set(parts.map(blk => localDate(blk.startTime, tz))).size > 1) {
+      return res.status(400).json({ success: false, message: "Only blocks on the same day can be merged" });
+    }
+    const lastEnd = dayjs.max(parts.map(blk => dayjs(blk.endTime)));
+    const { newStart, newEnd, error } = await snapBlockTimes(
+      req.user._id, parts[0].startTime, lastEnd, parts.map(blk => blk._id)
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-      // Stagger requests to avoid rate limits.
-      if (i < unapproved.length - 1) {
-        await delay(15000);
+    // Other blocks are checked above; the calendar may still be busy
+    // in the time between the parts.
+    const gaps = [];
+    let reached = dayjs(parts[0].endTime);
+    for (const blk of parts.slice(1)) {
+      if (dayjs(blk.startTime).isAfter(reached)) gaps.push({ start: reached, end: dayjs(blk.startTime) });
+      reached = dayjs.max(reached, dayjs(blk.endTime));
+    }
+    if (gaps.length) {
+      const calendarIds = await getPlanningCalendars(req.user._id) || [];
+      const busy = await getCalendarBusy(req.user._id, calendarIds, gaps[0].start, gaps[gaps.length - 1].end, tz);
+      const blocked = gaps.some(gap => busy.some(b =>
+        dayjs(b.start).isBefore(gap.end) && dayjs(b.end).isAfter(gap.start)
+      ));
+      if (blocked) {
+        return res.status(409).json({ success: false, message: "A calendar event lies between these blocks" });
       }
     }
 
+    const [survivor, ...absorbed] = parts;
+    await recordRevision(survivor, "update");
+    const before = snapshotBlock(survivor);
+    for (const blk of absorbed) {
+      await recordRevision(blk, "delete");
+      blk.sourceType = "excluded";
+      blk.deletedAt  = new Date();
+      await blk.save();
+    }
+
+    // Leftovers in the gaps are now covered by the merged block. Blocks
+    // the user deleted stay restorable from the trash and keep their history.
+    const covered = await freedomTimeBlocks.find({
+      userId:     req.user._id,
+      sourceType: "excluded",
+      deletedAt:  null,
+      _id:        { $nin: absorbed.map(blk => blk._id) },
+      startTime:  { $gte: newStart.toDate() },
+      endTime:    { $lte: newEnd.toDate() }
+    }).select("_id");
+    await freedomTimeBlocks.deleteMany({ _id: { $in: covered.map(blk => blk._id) } });
+    await forgetRevisions(covered.map(blk => blk._id));
+
+    const pick     = field => parts.find(blk => blk[field])?.[field];
+    const approved = parts.every(blk => blk.approved);
+    Object.assign(survivor, {
+      startTime:  newStart.toDate(),
+      endTime:    newEnd.toDate(),
+      approved,
+      sourceType: approved ? survivor.sourceType : "manual",
+      edited:     true,
+      title:      pick("title") || "",
+      color:      pick("color") || null,
+      category:   pick("category") || null,
+      goal:       pick("goal") || "",
+      tasks:      parts.flatMap(blk => blk.tasks.map(({ text, done }) => ({ text, done }))).slice(0, MAX_TASKS)
+    });
+    if (survivor.seriesId) survivor.seriesOverride = true;
+    await survivor.save();
+
+    if (survivor.approved && !before.approved) {
+      await enqueueApprovalJobs([survivor], tz, req.user._id);
+    }
+    await enqueueBlockChange(req.user._id, before, survivor);
+    await enqueueWebhookEvent(req.user._id, "block.excluded", absorbed.filter(blk => blk.approved));
+    await syncFocusEvents(req.user._id, parts);
+
+    return res.json({ success: true, block: survivor, absorbedIds: absorbed.map(blk => blk._id) });
+  } catch (err) {
+    console.error("Error in mergeBlocks:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/approve
+ * Approve all unapproved blocks and queue their notifications.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function approveAllBlocks(req, res) {
+  try {
+    const tz        = await getUserTimezone(req.user._id);
+    const dateToday = dayjs().tz(tz).format("YYYY-MM-DD");
+
+    // Select and approve the user's blocks pending approval.
+    const unapproved = await approveDay(req.user._id, dateToday, tz);
+
+    // Queue each block’s webhook & phone alarm; the job worker delivers them.
+    await enqueueApprovalJobs(unapproved, tz, req.user._id);
+    await syncFocusEvents(req.user._id, unapproved);
+
     return res.json({
       success: true,
-      message: `Approved ${unapproved.length} blocks and sent notifications.`
+      message: `Approved ${unapproved.length} blocks and queued notifications.`,
+      blockIds: unapproved.map(blk => blk._id)
     });
   } catch (err) {
     console.error("Error in approveAllBlocks:", err);
@@ -441,6 +746,46 @@ async function approveAllBlocks(req, res) {
   }
 }
 
+/**
+ * POST /freedom-blocks/range/approve
+ * Approve pending blocks for each day in a date range, then queue
+ * notifications for everything approved.
+ *
+ * @param {Object} req - Express request; body { start, end? } as "YYYY-MM-DD".
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function approveRangeBlocks(req, res) {
+  try {
+    const { dates, error } = parseDateRange(req.body.start, req.body.end);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const tz       = await getUserTimezone(req.user._id);
+    const days     = [];
+    let approved   = [];
+    for (const date of dates) {
+      const blocks = await approveDay(req.user._id, date, tz);
+      days.push({ date, approved: blocks.length });
+      approved = approved.concat(blocks);
+    }
+
+    await enqueueApprovalJobs(approved, tz, req.user._id);
+    await syncFocusEvents(req.user._id, approved);
+
+    return res.json({
+      success: true,
+      message: `Approved ${approved.length} blocks across ${dates.length} day(s) and queued notifications.`,
+      days,
+      blockIds: approved.map(blk => blk._id)
+    });
+  } catch (err) {
+    console.error("Error in approveRangeBlocks:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
 /**
  * DELETE /freedom-blocks/:id
  * Soft-exclude a block so it will not be regenerated.
@@ -452,15 +797,27 @@ async function approveAllBlocks(req, res) {
 async function deleteBlock(req, res) {
   try {
     const { id }  = req.params;
-    const block   = await freedomTimeBlocks.findById(id);
+    const block   = await findOwnedBlock(id, req.user._id);
     if (!block) {
       return res.status(404).json({ success: false, message: "Block not found" });
     }
 
     // Mark block as excluded instead of hard-deleting.
+    await recordRevision(block, "delete");
+    const before = snapshotBlock(block);
     block.sourceType = "excluded";
     block.deletedAt  = new Date();
     await block.save();
+    // A deleted occurrence skips its series that day, even if the
+    // series is later edited.
+    if (block.seriesId) {
+      await BlockSeries.updateOne(
+        { _id: block.seriesId },
+        { $addToSet: { exceptions: block.occurrenceDate } }
+      );
+    }
+    await syncFocusEvents(req.user._id, [block]);
+    await enqueueBlockChange(req.user._id, before, block);
 
     return res.json({ success: true, message: "Block marked as excluded" });
   } catch (err) {
@@ -471,7 +828,10 @@ async function deleteBlock(req, res) {
 
 /**
  * POST /freedom-blocks/:id/alarm
- * Set a phone alarm for the end time of a specific block.
+ * Set a specific block's phone alarms on the user's alarm endpoints, as
+ * their alarm settings call for, and send them to the user's enabled
+ * notification channels.
+ * Responds 400 when there is nowhere to send them.
  *
  * @param {Object} req - Express request.
  * @param {Object} res - Express response.
@@ -480,12 +840,25 @@ async function deleteBlock(req, res) {
 async function setBlockAlarm(req, res) {
   try {
     const { id }  = req.params;
-    const block   = await freedomTimeBlocks.findById(id);
+    const block   = await findOwnedBlock(id, req.user._id);
     if (!block) {
       return res.status(404).json({ success: false, message: "Block not found" });
     }
 
-    await phoneAlarmService.setPhoneAlarm(dayjs(block.endTime).format("HH:mm"));
+    const { phoneAlarmEndpoints } = await resolveIntegrations(req.user._id);
+    const channels = await enabledChannels(req.user._id);
+    if (!phoneAlarmEndpoints.length && channels.length === 0) {
+      return res.status(400).json({ success: false, message: "No alarm endpoints or notification channels configured" });
+    }
+
+    const user = await User.findById(req.user._id).select("timezone alarmSettings");
+    const tz   = resolveTimezone(user?.timezone);
+    for (const alarm of blockAlarms(block, user?.alarmSettings, tz)) {
+      if (phoneAlarmEndpoints.length) await phoneAlarmService.setPhoneAlarm(alarm, phoneAlarmEndpoints);
+      for (const channel of channels) {
+        await deliverAlarm(channel, alarm);
+      }
+    }
     return res.json({ success: true, message: `Alarm set for block ${id}` });
   } catch (err) {
     console.error("Error in setBlockAlarm:", err);
@@ -495,7 +868,9 @@ async function setBlockAlarm(req, res) {
 
 /**
  * POST /freedom-blocks/:id/taskmagic
- * Trigger the TaskMagic webhook for a specific block.
+ * Trigger the user's TaskMagic webhook for a specific block.
+ * Responds 400 when the user has none, and 504 when it does not answer
+ * in time.
  *
  * @param {Object} req - Express request.
  * @param {Object} res - Express response.
@@ -503,31 +878,19 @@ async function setBlockAlarm(req, res) {
  */
 async function setBlockTaskMagic(req, res) {
   try {
-    const webhookUrl = process.env.FREEDOM_APP_TASKMAGIC_WEBHOOK;
-    if (!webhookUrl) {
-      return res.status(500).json({ success: false, message: "TaskMagic webhook not configured" });
-    }
-
     const { id }  = req.params;
-    const block   = await freedomTimeBlocks.findById(id);
+    const block   = await findOwnedBlock(id, req.user._id);
     if (!block) {
       return res.status(404).json({ success: false, message: "Block not found" });
     }
 
-    const sd   = dayjs(block.startTime);
-    const ed   = dayjs(block.endTime);
-    const body = JSON.stringify({
-      startHour: sd.format("H"),
-      startMin:  sd.format("m"),
-      endHour:   ed.format("H"),
-      endMin:    ed.format("m")
-    });
+    const { taskMagicWebhook: webhookUrl } = await resolveIntegrations(req.user._id);
+    if (!webhookUrl) {
+      return res.status(400).json({ success: false, message: "TaskMagic webhook not configured" });
+    }
 
-    const resp = await fetch(webhookUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body
-    });
+    const tz   = await getUserTimezone(req.user._id);
+    const resp = await postTaskMagic(webhookUrl, taskMagicPayload(block, tz));
     const text = await resp.text();
 
     return res.json({
@@ -536,17 +899,312 @@ async function setBlockTaskMagic(req, res) {
       webhookResponse: text
     });
   } catch (err) {
+    if (err.name === "TimeoutError") {
+      return res.status(504).json({ success: false, message: "TaskMagic webhook did not respond in time" });
+    }
     console.error("Error in setBlockTaskMagic:", err);
     return res.status(500).json({ success: false, message: err.message });
   }
 }
 
+/**
+ * GET /freedom-blocks/deliveries?blockIds=a,b,c
+ * Delivery status of the queued notification jobs for several blocks.
+ *
+ * @param {Object} req - Express request; query blockIds is comma-separated.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getDeliveries(req, res) {
+  try {
+    const blockIds = String(req.query.blockIds || "")
+      .split(",")
+      .map(id => id.trim())
+      .filter(Boolean);
+    if (!blockIds.length || !blockIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ success: false, message: "blockIds must be a comma-separated list of block IDs" });
+    }
+
+    const deliveries = await listJobsForBlocks(req.user._id, blockIds);
+    return res.json({ success: true, deliveries });
+  } catch (err) {
+    console.error("Error in getDeliveries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * GET /freedom-blocks/:id/deliveries
+ * Delivery status of the queued notification jobs for one block.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getBlockDeliveries(req, res) {
+  try {
+    const { id }  = req.params;
+    const block   = await findOwnedBlock(id, req.user._id);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+
+    const deliveries = await listJobsForBlocks(req.user._id, [id]);
+    return res.json({ success: true, deliveries: deliveries[id] });
+  } catch (err) {
+    console.error("Error in getBlockDeliveries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * GET /freedom-blocks/:id/history
+ * List a block's revisions, newest first.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getBlockHistory(req, res) {
+  try {
+    const block = await findOwnedBlock(req.params.id, req.user._id);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+
+    const revisions = await listRevisions(block._id);
+    return res.json({ success: true, revisions });
+  } catch (err) {
+    console.error("Error in getBlockHistory:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/:id/undo
+ * Undo the block's latest edit or deletion, restoring its previous
+ * state and removing any leftover the edit excluded. Undoing either
+ * part of a split restores the first part and removes the second.
+ * Responds 409 when the restored times would overlap a block added
+ * since.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function undoBlockChange(req, res) {
+  try {
+    const block = await findOwnedBlock(req.params.id, req.user._id);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+    const undo = await findUndo(block);
+    if (!undo) {
+      return res.status(404).json({ success: false, message: "Nothing to undo" });
+    }
+    const { block: target, revision } = undo;
+    const splitPart = revision.splitPartId && await findOwnedBlock(revision.splitPartId, req.user._id);
+
+    const { before } = revision;
+    if (before.sourceType !== "excluded") {
+      const { error } = await snapBlockTimes(
+        req.user._id, before.startTime, before.endTime, [target._id, splitPart?._id].filter(Boolean)
+      );
+      if (error) {
+        return res.status(409).json({ success: false, message: `Cannot undo: ${error}` });
+      }
+    }
+
+    const previous   = snapshotBlock(target);
+    const partBefore = splitPart && snapshotBlock(splitPart);
+    await undoRevision(target, revision, splitPart);
+    await syncFocusEvents(req.user._id, [target, splitPart].filter(Boolean));
+    await enqueueBlockChange(req.user._id, previous, target);
+    if (splitPart) await enqueueBlockChange(req.user._id, partBefore, splitPart);
+
+    return res.json({
+      success: true,
+      block:   target,
+      undone:  revision.action,
+      ...(splitPart && { removedId: splitPart._id })
+    });
+  } catch (err) {
+    console.error("Error in undoBlockChange:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * Fetch a day's excluded blocks in start order.
+ * @param {string} userId - Owner of the blocks.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {string} tz - User's timezone.
+ * @returns {Promise<Array>}
+ */
+async function findDayTrash(userId, date, tz) {
+  const { start, end } = getDayBounds(date, tz);
+  return freedomTimeBlocks.find({
+    userId,
+    sourceType: "excluded",
+    startTime:  { $gte: start.toDate(), $lt: end.toDate() }
+  }).sort({ startTime: 1 });
+}
+
+/**
+ * GET /freedom-blocks/trash?date=YYYY-MM-DD
+ * List a day's excluded blocks: deleted blocks and the leftovers of
+ * shortened ones. Each is flagged `restorable` when its slot is still
+ * free. `date` defaults to today.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function getTrash(req, res) {
+  try {
+    const tz   = await getUserTimezone(req.user._id);
+    const date = req.query.date || dayjs().tz(tz).format("YYYY-MM-DD");
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    }
+
+    const [trash, visible] = await Promise.all([
+      findDayTrash(req.user._id, date, tz),
+      findDayBlocks(req.user._id, date, tz)
+    ]);
+    const blocks = trash.map(blk => ({
+      ...blk.toObject(),
+      restorable: !visible.some(v => v.startTime < blk.endTime && v.endTime > blk.startTime)
+    }));
+
+    return res.json({ success: true, date, timezone: tz, blocks });
+  } catch (err) {
+    console.error("Error in getTrash:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/trash/release
+ * Remove a day's excluded blocks for good, so their slots are free for
+ * suggestions again, then regenerate the day if it is today or later.
+ *
+ * @param {Object} req - Express request; body { date, blockIds? } — all of
+ *   the day's excluded blocks when blockIds is omitted.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function releaseTrash(req, res) {
+  try {
+    const { date, blockIds } = req.body;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    }
+    if (blockIds !== undefined && !(Array.isArray(blockIds) && blockIds.every(mongoose.isValidObjectId))) {
+      return res.status(400).json({ success: false, message: "blockIds must be an array of block IDs" });
+    }
+
+    const settings = await getPlanningSettings(req.user._id);
+    const trash    = (await findDayTrash(req.user._id, date, settings.tz))
+      .filter(blk => !blockIds || blockIds.includes(String(blk._id)));
+    const ids      = trash.map(blk => blk._id);
+    await freedomTimeBlocks.deleteMany({ _id: { $in: ids } });
+    await forgetRevisions(ids);
+
+    const emails   = await UserEmail.find({ userId: req.user._id, deletedAt: null });
+    const verified = emails.filter(ue => ue.isCalendarOnboarded).map(ue => ue.email);
+    const upcoming = date >= dayjs().tz(settings.tz).format("YYYY-MM-DD");
+    if (upcoming && (verified.length || await hasVerifiedCalDav(req.user._id))) {
+      await regenerateDay(req.user._id, verified, date, settings, { force: true });
+    }
+
+    return res.json({
+      success:    true,
+      message:    `Released ${ids.length} excluded block(s).`,
+      released:   ids.length,
+      timeBlocks: await findDayBlocks(req.user._id, date, settings.tz)
+    });
+  } catch (err) {
+    console.error("Error in releaseTrash:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * POST /freedom-blocks/:id/restore
+ * Take a block out of the trash. A block deleted since history was kept
+ * returns to its state before deletion; others return as manual blocks
+ * (approved if they were). A restored suggestion becomes manual so the
+ * next regeneration keeps it. A restored approved block raises
+ * block.approved again. Responds 409 if the slot is taken.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @returns {Promise<void>}
+ */
+async function restoreBlock(req, res) {
+  try {
+    const block = await findOwnedBlock(req.params.id, req.user._id);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+    if (block.sourceType !== "excluded") {
+      return res.status(400).json({ success: false, message: "Block is not in the trash" });
+    }
+
+    const { error } = await snapBlockTimes(req.user._id, block.startTime, block.endTime, block._id);
+    if (error) {
+      return res.status(409).json({ success: false, message: `Cannot restore: ${error}` });
+    }
+
+    const before   = snapshotBlock(block);
+    const revision = await latestRevision(block._id);
+    if (revision?.action === "delete") {
+      await undoRevision(block, revision);
+    } else {
+      block.sourceType = block.approved ? "approved" : "manual";
+      block.deletedAt  = null;
+      await block.save();
+      if (block.seriesId && block.occurrenceDate) {
+        await BlockSeries.updateOne(
+          { _id: block.seriesId },
+          { $pull: { exceptions: block.occurrenceDate } }
+        );
+      }
+    }
+    if (block.sourceType === "auto") {
+      block.sourceType = "manual";
+      await block.save();
+    }
+    await syncFocusEvents(req.user._id, [block]);
+    await enqueueBlockChange(req.user._id, before, block);
+
+    return res.json({ success: true, block });
+  } catch (err) {
+    console.error("Error in restoreBlock:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
 module.exports = {
   createFreedomTimeBlocks,
   getTodaySchedule,
+  generateRangeBlocks,
+  getRangeSchedule,
+  createManualBlock,
   updateFreedomBlock,
+  splitBlock,
+  mergeBlocks,
   approveAllBlocks,
+  approveRangeBlocks,
   deleteBlock,
   setBlockAlarm,
-  setBlockTaskMagic
+  setBlockTaskMagic,
+  getDeliveries,
+  getBlockDeliveries,
+  getBlockHistory,
+  undoBlockChange,
+  getTrash,
+  releaseTrash,
+  restoreBlock
 };
@@ -0,0 +1,48 @@
+// models/blockGenerationRun.js
+
+const mongoose = require('mongoose');
+
+// One record per user and local day. `lockedUntil` is set while a
+// generation run holds the day, and `holder` identifies that run; the
+// unique index makes acquiring it atomic.
+const blockGenerationRunSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    date: {
+      type: String, // local "YYYY-MM-DD" in the user's timezone
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    holder: {
+      type: String,
+      default: null,
+    },
+    lastStartedAt: {
+      type: Date,
+      default: null,
+    },
+    lastCompletedAt: {
+      type: Date,
+      default: null,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+blockGenerationRunSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('BlockGenerationRun', blockGenerationRunSchema);
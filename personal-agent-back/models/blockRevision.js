@@ -0,0 +1,61 @@
+// models/blockRevision.js
+
+const mongoose = require('mongoose');
+
+// A block's state just before the user edited or deleted it, so the
+// change can be undone. `leftoverId` is the excluded fragment an edit
+// created when it shortened the block; undo removes it. A split records
+// an update on the first part with `splitPartId` set to the second, and
+// a "create" revision on the second with `splitFromId`; undoing either
+// restores the first part and excludes the second. Undone revisions
+// keep `undoneAt` so history still shows them.
+const BlockRevisionSchema = new mongoose.Schema(
+  {
+    blockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['update', 'delete', 'create'],
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    leftoverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      default: null,
+    },
+    splitPartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      default: null,
+    },
+    splitFromId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      default: null,
+    },
+    undoneAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+BlockRevisionSchema.index({ blockId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BlockRevision', BlockRevisionSchema);
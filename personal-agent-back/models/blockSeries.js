@@ -0,0 +1,61 @@
+// models/blockSeries.js
+
+const mongoose = require('mongoose');
+
+// A recurring manual focus block, e.g. every weekday 08:00–09:30. Each
+// occurrence is materialized as a 'manual' FreedomTimeBlock on the day
+// it is scheduled; times are local to the user's timezone.
+const BlockSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // RFC 5545 RRULE without the "RRULE:" prefix, e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR".
+    rrule: {
+      type: String,
+      required: true,
+    },
+    // First local date ("YYYY-MM-DD") the rule may match.
+    startDate: {
+      type: String,
+      required: true,
+    },
+    // Local wall-clock times, "HH:mm".
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    // Copied onto each occurrence; see FreedomTimeBlock.
+    title: {
+      type: String,
+      default: '',
+    },
+    color: {
+      type: String,
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: ['deep-work', 'admin', 'learning', null],
+      default: null,
+    },
+    // Local dates skipped by the user.
+    exceptions: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('BlockSeries', BlockSeriesSchema);
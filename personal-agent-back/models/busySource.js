@@ -0,0 +1,81 @@
+// models/busySource.js
+
+const mongoose = require('mongoose');
+
+// One expanded occurrence of an imported event.
+const busyIntervalSchema = new mongoose.Schema(
+  {
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    summary: {
+      type: String,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+// A calendar imported for a user that is not reachable through Google,
+// e.g. an uploaded .ics file. Recurrences are expanded at import time
+// for the `coveredFrom`–`coveredUntil` window; generation treats the
+// stored intervals as busy time.
+const busySourceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['ics'],
+      default: 'ics',
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    filename: {
+      type: String,
+      default: null,
+    },
+    eventCount: {
+      type: Number,
+      default: 0,
+    },
+    intervalCount: {
+      type: Number,
+      default: 0,
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+    coveredFrom: {
+      type: Date,
+      required: true,
+    },
+    coveredUntil: {
+      type: Date,
+      required: true,
+    },
+    intervals: {
+      type: [busyIntervalSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('BusySource', busySourceSchema);
@@ -0,0 +1,60 @@
+// models/calDavCalendar.js
+
+const mongoose = require('mongoose');
+
+// A CalDAV calendar (e.g. Nextcloud, Fastmail) read alongside the
+// user's Google calendars. The password is stored encrypted
+// (services/secrets.util.js) and never returned by the API.
+const calDavCalendarSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String, // calendar collection URL
+      required: true,
+      trim: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    passwordEncrypted: {
+      type: String,
+      required: true,
+    },
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Most recent read failure; cleared by the next successful read.
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.passwordEncrypted;
+        return ret;
+      },
+    },
+  }
+);
+
+module.exports = mongoose.model('CalDavCalendar', calDavCalendarSchema);
@@ -1,7 +1,25 @@
 const mongoose = require('mongoose');
 
+// One checklist item attached to a block.
+const blockTaskSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const FreedomTimeBlockSchema = new mongoose.Schema(
   {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
     startTime: {
       type: Date,
       required: true,
@@ -21,10 +39,74 @@ const FreedomTimeBlockSchema = new mongoose.Schema(
         return this.approved ? 'approved' : 'auto';
       },
     },
+    // Set when the user deletes the block. Excluded leftovers of
+    // shortened or split blocks leave it null.
     deletedAt: {
       type: Date,
       default: null,
     },
+    // How the block came about, kept through approval unlike sourceType:
+    // a generated suggestion ('auto') or one the user drew or scheduled
+    // ('manual'). `edited` marks blocks whose times the user changed.
+    origin: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto',
+    },
+    edited: {
+      type: Boolean,
+      default: false,
+    },
+    // Google Calendar event mirroring this block once approved. The
+    // calendar is stored too, so later edits reach the same event even
+    // if the user picks a different focus calendar.
+    calendarId: {
+      type: String,
+      default: null,
+    },
+    calendarEventId: {
+      type: String,
+      default: null,
+    },
+    // What the block is for. `title` names its calendar events; `color`
+    // overrides the category's color in the schedule.
+    title: {
+      type: String,
+      default: '',
+    },
+    color: {
+      type: String,
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: ['deep-work', 'admin', 'learning', null],
+      default: null,
+    },
+    goal: {
+      type: String,
+      default: '',
+    },
+    tasks: {
+      type: [blockTaskSchema],
+      default: [],
+    },
+    // Set on occurrences of a recurring series. `occurrenceDate` is the
+    // local date the occurrence belongs to; `seriesOverride` marks an
+    // occurrence edited on its own, which series edits leave alone.
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlockSeries',
+      default: null,
+    },
+    occurrenceDate: {
+      type: String,
+      default: null,
+    },
+    seriesOverride: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -32,4 +114,20 @@ const FreedomTimeBlockSchema = new mongoose.Schema(
   }
 );
 
+// At most one suggested block per user and start instant, so an
+// overlapping generation run cannot insert a duplicate set. Existing
+// duplicates are removed at startup (services/blocks/blockIndexes.service.js)
+// so the index can build.
+FreedomTimeBlockSchema.index(
+  { userId: 1, startTime: 1 },
+  { unique: true, partialFilterExpression: { sourceType: 'auto' } }
+);
+
+// At most one occurrence per series and day, whatever its state, so a
+// skipped or deleted occurrence is not materialized again.
+FreedomTimeBlockSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+
 module.exports = mongoose.model('FreedomTimeBlock', FreedomTimeBlockSchema);
@@ -0,0 +1,29 @@
+// models/integrationRateLimit.js
+
+const mongoose = require('mongoose');
+
+// Shared send window per integration and user (`key` is
+// "integration:userId"), so every worker process honours the same
+// minimum spacing between one user's outbound calls.
+const integrationRateLimitSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    integration: {
+      type: String,
+      required: true,
+    },
+    nextAvailableAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('IntegrationRateLimit', integrationRateLimitSchema);
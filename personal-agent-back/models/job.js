@@ -0,0 +1,76 @@
+// models/job.js
+
+const mongoose = require('mongoose');
+
+// A unit of background work (e.g. one webhook call for one block).
+// Workers claim due jobs atomically; failures are retried with backoff
+// until `maxAttempts`, after which the job is dead-lettered.
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    integration: {
+      type: String, // rate-limit bucket, e.g. "taskmagic"
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    blockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      default: null,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'succeeded', 'dead'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Claim query: due pending jobs per integration, oldest first.
+jobSchema.index({ status: 1, integration: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
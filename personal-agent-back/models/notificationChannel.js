@@ -0,0 +1,68 @@
+// models/notificationChannel.js
+
+const mongoose = require('mongoose');
+
+// Where a user's alarms are sent besides the phone alarm endpoints:
+// a webhook, ntfy topic, SMTP mailbox or subscribed browser. `config`
+// holds the channel's settings; `secrets` maps field names to values
+// encrypted with services/secrets.util.js and is never returned by the
+// API. An empty template field falls back to the channel type's default.
+const notificationChannelSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['webhook', 'ntfy', 'smtp', 'webpush'],
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    secrets: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    template: {
+      title: { type: String, default: '' },
+      body:  { type: String, default: '' },
+    },
+    lastTestedAt: {
+      type: Date,
+      default: null,
+    },
+    // Most recent delivery or test failure; cleared by the next success.
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    minimize: false,
+    toJSON: {
+      transform(doc, ret) {
+        ret.secretsSet = Object.keys(ret.secrets || {});
+        delete ret.secrets;
+        return ret;
+      },
+    },
+  }
+);
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
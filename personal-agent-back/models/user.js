@@ -1,6 +1,64 @@
 // models/User.js
 
 const mongoose = require('mongoose');
+const { presetProfiles, DEFAULT_PROFILE_NAME } = require('../services/blocks/blockProfiles.util');
+const { defaultWorkingHours, WEEKDAYS } = require('../services/blocks/workingHours.util');
+const { ALARM_MODES } = require('../services/blocks/alarmSettings.util');
+const { defaultAutoPlan } = require('../services/blocks/autoPlan.util');
+
+// Named focus-block profile used by breakDownFreeTime.
+const blockProfileSchema = new mongoose.Schema(
+  {
+    name:            { type: String, required: true },
+    blockMinutes:    { type: Number, required: true },
+    minBlockMinutes: { type: Number, required: true },
+    gapMinutes:      { type: Number, required: true },
+    alignMinutes:    { type: Number, required: true },
+    bufferMinutes:   { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Local working window for one weekday; generation is clipped to it.
+const workingDaySchema = new mongoose.Schema(
+  {
+    day:   { type: String, enum: WEEKDAYS, required: true },
+    off:   { type: Boolean, default: false },
+    start: { type: String, required: true },
+    end:   { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// When approved blocks ring the user's phone, and what the alarms say.
+const alarmSettingsSchema = new mongoose.Schema(
+  {
+    mode:        { type: String, enum: ALARM_MODES, default: 'end' },
+    leadMinutes: { type: Number, default: 0 },
+    label:       { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// Pending blocks an auto-plan run approves; empty bounds are open.
+const approveRuleSchema = new mongoose.Schema(
+  {
+    minMinutes: { type: Number, default: 0 },
+    after:      { type: String, default: '' },
+    before:     { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// Daily background generation at a local time, with auto-approval.
+const autoPlanSchema = new mongoose.Schema(
+  {
+    enabled:      { type: Boolean, default: false },
+    time:         { type: String, default: '07:00' },
+    approveRules: { type: [approveRuleSchema], default: [] },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,6 +79,45 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    blockProfiles: {
+      type: [blockProfileSchema],
+      default: presetProfiles,
+    },
+    activeBlockProfile: {
+      type: String,
+      default: DEFAULT_PROFILE_NAME,
+    },
+    workingHours: {
+      type: [workingDaySchema],
+      default: defaultWorkingHours,
+    },
+    alarmSettings: {
+      type: alarmSettingsSchema,
+      default: () => ({}),
+    },
+    autoPlan: {
+      type: autoPlanSchema,
+      default: defaultAutoPlan,
+    },
+    // When the scheduler next plans the user's day; null while the
+    // auto-plan is off. Instances claim a run by advancing it.
+    autoPlanNextRunAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Calendar that approved blocks are written to as "Focus" events
+    // (one of the user's verified calendar emails); null disables syncing.
+    focusCalendarId: {
+      type: String,
+      default: null,
+    },
+    // Secret in the URL of the user's iCalendar feed; rotating it
+    // revokes every existing subscription. Unset until first requested.
+    icsFeedToken: {
+      type: String,
+      index: { unique: true, sparse: true },
+    },
     deletedAt: {
       type: Date,
       default: null,
@@ -0,0 +1,50 @@
+// models/userIntegration.js
+
+const mongoose = require('mongoose');
+
+// A user's own target for an approval integration: the TaskMagic
+// webhook or the phone alarm endpoints. Their URLs usually embed access
+// tokens, so they are stored encrypted (services/secrets.util.js) and
+// only their hosts are returned by the API.
+const userIntegrationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    provider: {
+      type: String,
+      enum: ['taskmagic', 'phoneAlarm'],
+      required: true,
+    },
+    // Disabled integrations send nothing, rather than falling back to
+    // the server's default target.
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    urlsEncrypted: {
+      type: String, // JSON array of URLs, encrypted
+      required: true,
+    },
+    hosts: {
+      type: [String], // host of each URL, for display
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.urlsEncrypted;
+        return ret;
+      },
+    },
+  }
+);
+
+userIntegrationSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserIntegration', userIntegrationSchema);
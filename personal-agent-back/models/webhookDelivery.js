@@ -0,0 +1,67 @@
+// models/webhookDelivery.js
+
+const mongoose = require('mongoose');
+
+// One attempt to deliver a webhook subscription's event, kept for the
+// delivery log. Only the most recent attempts per subscription are kept.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    blockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FreedomTimeBlock',
+      default: null,
+    },
+    test: {
+      type: Boolean, // sent with "send test"
+      default: false,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+      required: true,
+    },
+    statusCode: {
+      type: Number, // null when no response was received
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+    requestBody: {
+      type: String,
+      default: '',
+    },
+    responseBody: {
+      type: String, // truncated
+      default: '',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
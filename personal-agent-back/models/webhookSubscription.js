@@ -0,0 +1,65 @@
+// models/webhookSubscription.js
+
+const mongoose = require('mongoose');
+
+// A user-defined outgoing webhook: which block events it receives, the
+// JSON body to send (a template, see services/webhooks/webhookTemplates.util.js)
+// and the header carrying the body's HMAC-SHA256 signature. The signing
+// secret is stored encrypted and only shown when it is set.
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    events: {
+      type: [String],
+      enum: ['block.approved', 'block.moved', 'block.excluded', 'block.startingSoon'],
+      default: [],
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    signatureHeader: {
+      type: String,
+      default: 'X-Webhook-Signature',
+    },
+    secretEncrypted: {
+      type: String,
+      required: true,
+    },
+    // Lead time of block.startingSoon.
+    startingSoonMinutes: {
+      type: Number,
+      default: 10,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.secretEncrypted;
+        return ret;
+      },
+    },
+  }
+);
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
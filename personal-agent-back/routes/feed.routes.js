@@ -0,0 +1,98 @@
+// ------------------------------------------------------------------
+// Module:    routes/feed.routes.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Public, token-protected iCalendar feed of a user's blocks.
+// ------------------------------------------------------------------
+
+/**
+ * @module FeedRoutes
+ * @description
+ *   - Serves approved and manual blocks as an .ics subscription, so
+ *     calendar apps can show them without Google write access.
+ *   - The secret token in the URL is the only credential, because
+ *     subscribing clients cannot send a JWT. Tokens are issued and
+ *     rotated under /api/users/icsFeed.
+ *   - Covers FEED_PAST_DAYS before and FEED_FUTURE_DAYS after today.
+ *     Blocks the user deleted in that window are published as cancelled
+ *     if the feed showed them before; never-approved suggestions and the
+ *     leftovers of shortened blocks were never in it and are left out.
+ */
+
+const express = require("express");
+
+const User                = require("../models/user");
+const freedomTimeBlocks   = require("../models/freedomTimeBlocks");
+const { buildIcsFeed }    = require("../services/calendar/ics.util");
+const { resolveTimezone } = require("../services/blocks/timezone.util");
+const { statesBeforeDeletion } = require("../services/blocks/blockHistory.service");
+
+// ─────────────── Constants ───────────────
+
+/** Days of history included in the feed. */
+const FEED_PAST_DAYS = 30;
+
+/** Days ahead included in the feed. */
+const FEED_FUTURE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const router = express.Router();
+
+// ─────────────── Helpers ───────────────
+
+/**
+ * Whether an excluded block was in the feed before the user deleted it.
+ * Without a delete revision, only its approval is known.
+ * @param {Object} block - Excluded block.
+ * @param {Object} [before] - Its state before deletion, if recorded.
+ * @returns {boolean}
+ */
+function wasPublished(block, before) {
+  if (!block.deletedAt) return false;
+  const state = before || block;
+  return Boolean(state.approved) || ["manual", "approved"].includes(state.sourceType);
+}
+
+// ─────────────── Routes ───────────────
+
+/**
+ * Serve a user's blocks as iCalendar.
+ * @route GET /api/feed/:token.ics
+ * @param {string} req.params.token  The user's feed token.
+ * @returns {string}                 text/calendar document.
+ */
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ icsFeedToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ success: false, message: "Feed not found" });
+    }
+
+    const now    = Date.now();
+    const blocks = await freedomTimeBlocks.find({
+      userId:    user._id,
+      startTime: { $lt: new Date(now + FEED_FUTURE_DAYS * DAY_MS) },
+      endTime:   { $gt: new Date(now - FEED_PAST_DAYS * DAY_MS) },
+      $or: [
+        { approved: true },
+        { sourceType: { $in: ["manual", "approved", "excluded"] } }
+      ]
+    }).lean();
+
+    const excluded = blocks.filter(b => b.sourceType === "excluded");
+    const deleted  = await statesBeforeDeletion(excluded.map(b => b._id));
+    const feed     = blocks.filter(b =>
+      b.sourceType !== "excluded" || wasPublished(b, deleted.get(String(b._id)))
+    );
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(buildIcsFeed(feed, { tz: resolveTimezone(user.timezone) }));
+  } catch (err) {
+    console.error("Error in GET /feed/:token.ics:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
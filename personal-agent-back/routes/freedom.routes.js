@@ -4,22 +4,64 @@ const { Router } = require("express");
 const {
   createFreedomTimeBlocks,
   getTodaySchedule,
+  generateRangeBlocks,
+  getRangeSchedule,
+  createManualBlock,
   updateFreedomBlock,
+  splitBlock,
+  mergeBlocks,
   approveAllBlocks,
+  approveRangeBlocks,
   deleteBlock,
   setBlockAlarm,
   setBlockTaskMagic,
+  getDeliveries,
+  getBlockDeliveries,
+  getBlockHistory,
+  undoBlockChange,
+  getTrash,
+  releaseTrash,
+  restoreBlock,
 } = require("../controllers/freedomBlocks.controller");
+const {
+  listSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addSeriesException,
+  removeSeriesException,
+} = require("../controllers/blockSeries.controller");
+const { getBlockStats } = require("../controllers/blockStats.controller");
 const { isAuthenticated } = require("../middleware/auth");
 
 const router = Router();
 
 router.post("/", isAuthenticated, createFreedomTimeBlocks);
 router.get("/today", isAuthenticated, getTodaySchedule);
+router.post("/range", isAuthenticated, generateRangeBlocks);
+router.get("/range", isAuthenticated, getRangeSchedule);
+router.post("/range/approve", isAuthenticated, approveRangeBlocks);
+router.get("/deliveries", isAuthenticated, getDeliveries);
+router.post("/manual", isAuthenticated, createManualBlock);
+router.post("/merge", isAuthenticated, mergeBlocks);
+router.get("/stats", isAuthenticated, getBlockStats);
+router.get("/trash", isAuthenticated, getTrash);
+router.post("/trash/release", isAuthenticated, releaseTrash);
+router.get("/series", isAuthenticated, listSeries);
+router.post("/series", isAuthenticated, createSeries);
+router.put("/series/:id", isAuthenticated, updateSeries);
+router.delete("/series/:id", isAuthenticated, deleteSeries);
+router.post("/series/:id/exceptions", isAuthenticated, addSeriesException);
+router.delete("/series/:id/exceptions/:date", isAuthenticated, removeSeriesException);
 router.put("/:id", isAuthenticated, updateFreedomBlock);
 router.post("/approveAll", isAuthenticated, approveAllBlocks);
 router.delete("/:id", isAuthenticated, deleteBlock);
 router.post("/:id/phoneAlarm", isAuthenticated, setBlockAlarm);
 router.post("/:id/taskMagic", isAuthenticated, setBlockTaskMagic);
+router.get("/:id/deliveries", isAuthenticated, getBlockDeliveries);
+router.get("/:id/history", isAuthenticated, getBlockHistory);
+router.post("/:id/undo", isAuthenticated, undoBlockChange);
+router.post("/:id/restore", isAuthenticated, restoreBlock);
+router.post("/:id/split", isAuthenticated, splitBlock);
 
 module.exports = router;
@@ -11,20 +11,97 @@
  * @description
  *   - User registration, login, and logout via JWT.
  *   - CRUD operations for calendar emails and their verification.
+ *   - CRUD operations for CalDAV calendars and their verification.
  *   - Timezone updates and profile retrieval.
+ *   - Selection of the calendar that receives approved blocks.
+ *   - Issuing and rotating the iCalendar feed token.
+ *   - Importing, listing and deleting .ics busy-time sources.
+ *   - CRUD for focus-block profiles and selection of the active profile.
+ *   - CRUD for per-weekday working hours.
+ *   - Phone alarm settings.
+ *   - Daily auto-plan settings: when the day is generated in the
+ *     background and which blocks are approved automatically.
+ *   - CRUD for notification channels (webhook, ntfy, SMTP, Web Push),
+ *     with a test send.
+ *   - Per-user TaskMagic webhook and phone alarm endpoints, stored
+ *     encrypted.
+ *   - CRUD for webhook subscriptions to block events, with signing
+ *     secrets, a delivery log and a test send.
  */
 
+const crypto = require("crypto");
 const express = require("express");
+const mongoose = require("mongoose");
 require("dotenv").config();
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 
 const User = require("../models/user");
 const UserEmail = require("../models/userEmail");
+const CalDavCalendar = require("../models/calDavCalendar");
+const NotificationChannel = require("../models/notificationChannel");
+const UserIntegration = require("../models/userIntegration");
+const WebhookSubscription = require("../models/webhookSubscription");
+const WebhookDelivery = require("../models/webhookDelivery");
 const { isAuthenticated } = require("../middleware/auth");
+const { isValidTimezone, resolveTimezone } = require("../services/blocks/timezone.util");
+const { getCalendarProvider } = require("../services/calendar/calendarProvider");
+const {
+  MAX_ICS_UPLOAD_BYTES,
+  listBusySources,
+  importIcsSource,
+  deleteBusySource
+} = require("../services/calendar/busySources.service");
+const { verifyCalDav } = require("../services/calendar/caldav.client");
+const { credentialsOf } = require("../services/calendar/calDavSources.service");
+const { encryptSecret } = require("../services/secrets.util");
+const {
+  pickProfileFields,
+  validateProfile
+} = require("../services/blocks/blockProfiles.util");
+const {
+  WEEKDAYS,
+  defaultWorkingHours,
+  validateWorkingDay
+} = require("../services/blocks/workingHours.util");
+const {
+  defaultAlarmSettings,
+  validateAlarmSettings
+} = require("../services/blocks/alarmSettings.util");
+const {
+  defaultAutoPlan,
+  validateAutoPlan,
+  nextAutoPlanRun
+} = require("../services/blocks/autoPlan.util");
+const { latestDailyPlanRun } = require("../services/jobs/dailyPlanJobs.service");
+const {
+  listChannelTypes,
+  validateChannel
+} = require("../services/notifications/notificationChannels");
+const { testChannel } = require("../services/notifications/notify.service");
+const { vapidPublicKey } = require("../services/notifications/webPush.util");
+const {
+  isIntegrationProvider,
+  validateIntegration,
+  describeIntegrations
+} = require("../services/integrations/userIntegrations.service");
+const {
+  WEBHOOK_EVENTS,
+  DEFAULT_WEBHOOK_TEMPLATE,
+  sampleContext,
+  generateWebhookSecret,
+  validateSubscription
+} = require("../services/webhooks/webhookTemplates.util");
+const { deliverWebhook, listDeliveries } = require("../services/webhooks/webhookDelivery.service");
 
 const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret";
 
+/** Most notification channels a user may configure. */
+const MAX_NOTIFICATION_CHANNELS = 10;
+
+/** Most webhook subscriptions a user may configure. */
+const MAX_WEBHOOK_SUBSCRIPTIONS = 10;
+
 // ─────────────── Helper Functions ───────────────
 
 /**
@@ -46,6 +123,94 @@ function validatePassword(password) {
   return password.length >= 8;
 }
 
+/**
+ * Shape the block-profile portion of a user for responses.
+ * @param {object} user  User document.
+ * @returns {object}     Profiles and the active profile name.
+ */
+function profilePayload(user) {
+  return { profiles: user.blockProfiles, activeProfile: user.activeBlockProfile };
+}
+
+/**
+ * Build a full week of working hours with one weekday replaced.
+ * Days missing from the stored list fall back to the defaults.
+ * @param {object[]} stored  User's current entries.
+ * @param {object} entry     Replacement { day, off, start, end }.
+ * @returns {object[]}       Seven plain entries, Sunday first.
+ */
+function replaceWorkingDay(stored, entry) {
+  const defaults = defaultWorkingHours();
+  return WEEKDAYS.map(day => {
+    if (day === entry.day) return entry;
+    const existing = stored.find(w => w.day === day);
+    return existing ? existing.toObject() : defaults.find(w => w.day === day);
+  });
+}
+
+/**
+ * Whether a string is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a CalDAV calendar owned by the user.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<object|null>}  Null when missing, foreign or malformed.
+ */
+function findOwnedCalDav(userId, id) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return CalDavCalendar.findOne({ _id: id, userId });
+}
+
+/**
+ * Find a notification channel owned by the user.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<object|null>}  Null when missing, foreign or malformed.
+ */
+function findOwnedChannel(userId, id) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return NotificationChannel.findOne({ _id: id, userId });
+}
+
+/**
+ * Find a webhook subscription owned by the user.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<object|null>}  Null when missing, foreign or malformed.
+ */
+function findOwnedWebhook(userId, id) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return WebhookSubscription.findOne({ _id: id, userId });
+}
+
+/**
+ * Generate a new, URL-safe iCalendar feed token.
+ * @returns {string}  Random token.
+ */
+function newFeedToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Shape the feed portion of a user for responses.
+ * @param {object} user  User document with an icsFeedToken.
+ * @returns {object}     Token and the feed path relative to the API host.
+ */
+function feedPayload(user) {
+  return { token: user.icsFeedToken, path: `/api/feed/${user.icsFeedToken}.ics` };
+}
+
 const router = express.Router();
 
 // ─────────────── Routes ───────────────
@@ -179,7 +344,7 @@ router.post("/calendarEmails", isAuthenticated, async (req, res) => {
 });
 
 /**
- * Verify a calendar email by querying Google FreeBusy.
+ * Verify a calendar email through the configured calendar provider.
  * @route POST /api/users/calendarEmails/:emailId/verify
  * @param {string} req.params.emailId  ID of UserEmail record.
  * @returns {object}                   Verification result and updated record.
@@ -193,38 +358,13 @@ router.post("/calendarEmails/:emailId/verify", isAuthenticated, async (req, res)
       return res.status(404).json({ success: false, message: "Email not found for this user" });
     }
 
-    const { createCalendarClient } = require("../services/calendar/calendarAuth.service");
-    const calendar = createCalendarClient();
-
-    // Test access window: now → 24h
-    const now = new Date().toISOString();
-    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-    const requestBody = { timeMin: now, timeMax: tomorrow, items: [{ id: userEmailRow.email }] };
-
-    let apiResponse;
-    try {
-      apiResponse = await calendar.freebusy.query({ requestBody });
-      // Removed debug console.log
-    } catch (apiErr) {
-      console.error("freeBusy query error:", apiErr);
-      return res.status(400).json({ success: false, message: `Verification failed: calendar access error for ${userEmailRow.email}.` });
-    }
-
-    const calendarInfo = apiResponse.data.calendars?.[userEmailRow.email];
-    if (!calendarInfo) {
-      return res.status(400).json({ success: false, message: `Verification failed: No calendar data returned for ${userEmailRow.email}.` });
-    }
-    if (calendarInfo.errors) {
-      console.error("Calendar info errors:", calendarInfo.errors);
-      return res.status(400).json({ success: false, message: `Verification failed for ${userEmailRow.email}: ${JSON.stringify(calendarInfo.errors)}` });
-    }
-    if (Array.isArray(calendarInfo.busy)) {
-      userEmailRow.isCalendarOnboarded = true;
-      await userEmailRow.save();
-      return res.json({ success: true, message: "Calendar verified", userEmail: userEmailRow });
-    } else {
-      return res.status(400).json({ success: false, message: `Verification failed for ${userEmailRow.email}: Unexpected calendar data format.` });
+    const result = await getCalendarProvider().verifyAccess(userEmailRow.email);
+    if (!result.ok) {
+      return res.status(400).json({ success: false, message: result.message });
     }
+    userEmailRow.isCalendarOnboarded = true;
+    await userEmailRow.save();
+    return res.json({ success: true, message: "Calendar verified", userEmail: userEmailRow });
   } catch (err) {
     console.error("Error in POST /calendarEmails/:emailId/verify:", err);
     return res.status(500).json({ success: false, message: err.message });
@@ -253,6 +393,104 @@ router.delete("/calendarEmails/:emailId", isAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * List the user's CalDAV calendars (passwords are never returned).
+ * @route GET /api/users/calDavCalendars
+ * @returns {object}  JSON with calendars.
+ */
+router.get("/calDavCalendars", isAuthenticated, async (req, res) => {
+  try {
+    const calendars = await CalDavCalendar.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    return res.json({ success: true, calendars });
+  } catch (err) {
+    console.error("Error in GET /calDavCalendars:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Add a CalDAV calendar; it is read once verified.
+ * @route POST /api/users/calDavCalendars
+ * @param {string} req.body.url            Calendar collection URL.
+ * @param {string} req.body.username
+ * @param {string} req.body.password       App-specific password; stored encrypted.
+ * @param {string} [req.body.displayName]  Defaults to the URL's host.
+ * @returns {object}                       Created CalDavCalendar document.
+ */
+router.post("/calDavCalendars", isAuthenticated, async (req, res) => {
+  try {
+    const { url, username, password, displayName } = req.body;
+    if (!isHttpUrl(url)) {
+      return res.status(400).json({ success: false, message: "A http(s) calendar URL is required" });
+    }
+    if (!username || !password) {
+      return res.status(400).json({ success: false, message: "Missing username or password" });
+    }
+
+    const calendar = await CalDavCalendar.create({
+      userId:            req.user._id,
+      displayName:       (typeof displayName === "string" && displayName.trim()) || new URL(url).host,
+      url,
+      username,
+      passwordEncrypted: encryptSecret(password)
+    });
+    return res.json({ success: true, calendar });
+  } catch (err) {
+    console.error("Error in POST /calDavCalendars:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Verify a CalDAV calendar by querying its events.
+ * @route POST /api/users/calDavCalendars/:id/verify
+ * @param {string} req.params.id  ID of the CalDavCalendar record.
+ * @returns {object}              Verification result and updated record.
+ */
+router.post("/calDavCalendars/:id/verify", isAuthenticated, async (req, res) => {
+  try {
+    const calendar = await findOwnedCalDav(req.user._id, req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ success: false, message: "Calendar not found for this user" });
+    }
+
+    const result = await verifyCalDav(credentialsOf(calendar));
+    if (!result.ok) {
+      calendar.isVerified = false;
+      calendar.lastError  = result.message;
+      await calendar.save();
+      return res.status(400).json({ success: false, message: result.message });
+    }
+    calendar.isVerified = true;
+    calendar.verifiedAt = new Date();
+    calendar.lastError  = null;
+    await calendar.save();
+    return res.json({ success: true, message: "Calendar verified", calendar });
+  } catch (err) {
+    console.error("Error in POST /calDavCalendars/:id/verify:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete a CalDAV calendar and its stored credentials.
+ * @route DELETE /api/users/calDavCalendars/:id
+ * @returns {object}  Deletion confirmation.
+ */
+router.delete("/calDavCalendars/:id", isAuthenticated, async (req, res) => {
+  try {
+    const calendar = await findOwnedCalDav(req.user._id, req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ success: false, message: "Calendar not found for this user" });
+    }
+    await calendar.deleteOne();
+    return res.json({ success: true, message: "Calendar deleted" });
+  } catch (err) {
+    console.error("Error in DELETE /calDavCalendars/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 /**
  * Update user's timezone and complete onboarding.
  * @route PUT /api/users/timezone
@@ -266,12 +504,16 @@ router.put("/timezone", isAuthenticated, async (req, res) => {
     if (!timezone) {
       return res.status(400).json({ success: false, message: "Timezone is required" });
     }
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, message: "Unknown timezone" });
+    }
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
     user.timezone = timezone;
     user.onboardingCompleted = true;
+    user.autoPlanNextRunAt = nextAutoPlanRun(user.autoPlan, timezone);
     await user.save();
     return res.json({ success: true, message: "Timezone updated and onboarding complete", user: { _id: user._id, username: user.username, timezone: user.timezone, onboardingCompleted: user.onboardingCompleted } });
   } catch (err) {
@@ -280,6 +522,926 @@ router.put("/timezone", isAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * Get the calendar that approved blocks are written to, and the
+ * verified calendars the user may choose from.
+ * @route GET /api/users/focusCalendar
+ * @returns {object}               Selected calendar ID (or null) and options.
+ */
+router.get("/focusCalendar", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const emails = await UserEmail.find({ userId: user._id, isCalendarOnboarded: true }).sort({ createdAt: 1 });
+    return res.json({
+      success: true,
+      calendarId: user.focusCalendarId,
+      calendars: emails.map(e => e.email)
+    });
+  } catch (err) {
+    console.error("Error in GET /focusCalendar:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Choose the calendar that approved blocks are written to.
+ * @route PUT /api/users/focusCalendar
+ * @param {string|null} req.body.calendarId  A verified calendar email, or null to stop syncing.
+ * @returns {object}                         Selected calendar ID.
+ */
+router.put("/focusCalendar", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const calendarId = req.body.calendarId || null;
+    if (calendarId) {
+      const verified = await UserEmail.exists({ userId: user._id, email: calendarId, isCalendarOnboarded: true });
+      if (!verified) {
+        return res.status(400).json({ success: false, message: "Calendar must be one of your verified calendar emails" });
+      }
+    }
+    user.focusCalendarId = calendarId;
+    await user.save();
+    return res.json({ success: true, calendarId: user.focusCalendarId });
+  } catch (err) {
+    console.error("Error in PUT /focusCalendar:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Get the user's iCalendar feed, issuing a token on first use.
+ * @route GET /api/users/icsFeed
+ * @returns {object}               Feed token and path.
+ */
+router.get("/icsFeed", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (!user.icsFeedToken) {
+      user.icsFeedToken = newFeedToken();
+      await user.save();
+    }
+    return res.json({ success: true, ...feedPayload(user) });
+  } catch (err) {
+    console.error("Error in GET /icsFeed:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Replace the feed token; subscriptions using the old URL stop working.
+ * @route POST /api/users/icsFeed/rotate
+ * @returns {object}               New feed token and path.
+ */
+router.post("/icsFeed/rotate", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    user.icsFeedToken = newFeedToken();
+    await user.save();
+    return res.json({ success: true, ...feedPayload(user) });
+  } catch (err) {
+    console.error("Error in POST /icsFeed/rotate:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the user's imported busy-time sources.
+ * @route GET /api/users/busySources
+ * @returns {object}  JSON with sources (without their intervals).
+ */
+router.get("/busySources", isAuthenticated, async (req, res) => {
+  try {
+    const sources = await listBusySources(req.user._id);
+    return res.json({ success: true, sources });
+  } catch (err) {
+    console.error("Error in GET /busySources:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Import busy time from an uploaded .ics file.
+ * @route POST /api/users/busySources
+ * @param {File}   req.files.file   multipart .ics upload.
+ * @param {string} [req.body.name]  Display name for the source.
+ * @returns {object}                JSON with the stored source.
+ */
+router.post("/busySources", isAuthenticated, async (req, res) => {
+  try {
+    const file = req.files?.file;
+    if (!file || Array.isArray(file)) {
+      return res.status(400).json({ success: false, message: "Upload one .ics file as 'file'" });
+    }
+    // Uploads stop buffering at the limit and arrive truncated.
+    if (file.truncated || file.size > MAX_ICS_UPLOAD_BYTES) {
+      return res.status(413).json({ success: false, message: "Calendar file is too large" });
+    }
+
+    const user   = await User.findById(req.user._id);
+    const source = await importIcsSource(req.user._id, {
+      text:     file.data.toString("utf8"),
+      filename: file.name,
+      name:     typeof req.body.name === "string" ? req.body.name : undefined
+    }, resolveTimezone(user?.timezone));
+
+    return res.status(201).json({ success: true, source });
+  } catch (err) {
+    if (err.code === 400) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("Error in POST /busySources:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete an imported busy-time source.
+ * @route DELETE /api/users/busySources/:id
+ * @returns {object}  JSON confirmation.
+ */
+router.delete("/busySources/:id", isAuthenticated, async (req, res) => {
+  try {
+    if (!(await deleteBusySource(req.user._id, req.params.id))) {
+      return res.status(404).json({ success: false, message: "Source not found" });
+    }
+    return res.json({ success: true, message: "Source deleted" });
+  } catch (err) {
+    console.error("Error in DELETE /busySources/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the user's focus-block profiles.
+ * @route GET /api/users/blockProfiles
+ * @returns {object}               Profiles and active profile name.
+ */
+router.get("/blockProfiles", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    return res.json({ success: true, ...profilePayload(user) });
+  } catch (err) {
+    console.error("Error in GET /blockProfiles:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Create a new focus-block profile.
+ * @route POST /api/users/blockProfiles
+ * @param {string} req.body.name             Unique slug.
+ * @param {number} req.body.blockMinutes     Target block length.
+ * @param {number} req.body.minBlockMinutes  Shortest block to suggest.
+ * @param {number} req.body.gapMinutes       Break between blocks.
+ * @param {number} req.body.alignMinutes     Start alignment (divides 60).
+ * @param {number} req.body.bufferMinutes    Margin next to busy time.
+ * @returns {object}                         Updated profiles.
+ */
+router.post("/blockProfiles", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const profile = pickProfileFields(req.body);
+    const error = validateProfile(profile);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (user.blockProfiles.some(p => p.name === profile.name)) {
+      return res.status(400).json({ success: false, message: "Profile name already exists" });
+    }
+    user.blockProfiles.push(profile);
+    await user.save();
+    return res.json({ success: true, ...profilePayload(user) });
+  } catch (err) {
+    console.error("Error in POST /blockProfiles:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update (or rename) a focus-block profile. Omitted fields keep their values.
+ * @route PUT /api/users/blockProfiles/:name
+ * @param {string} req.params.name  Existing profile name.
+ * @returns {object}                Updated profiles.
+ */
+router.put("/blockProfiles/:name", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const existing = user.blockProfiles.find(p => p.name === req.params.name);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Profile not found" });
+    }
+
+    const changes = pickProfileFields(req.body);
+    Object.keys(changes).forEach(k => changes[k] === undefined && delete changes[k]);
+    const merged = { ...existing.toObject(), ...changes };
+    const error = validateProfile(merged);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (merged.name !== existing.name && user.blockProfiles.some(p => p.name === merged.name)) {
+      return res.status(400).json({ success: false, message: "Profile name already exists" });
+    }
+
+    // Keep the active pointer on a renamed profile.
+    if (user.activeBlockProfile === existing.name) {
+      user.activeBlockProfile = merged.name;
+    }
+    existing.set(merged);
+    await user.save();
+    return res.json({ success: true, ...profilePayload(user) });
+  } catch (err) {
+    console.error("Error in PUT /blockProfiles/:name:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete a focus-block profile. The last profile cannot be removed;
+ * deleting the active profile activates the first remaining one.
+ * @route DELETE /api/users/blockProfiles/:name
+ * @param {string} req.params.name
+ * @returns {object}               Updated profiles.
+ */
+router.delete("/blockProfiles/:name", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const existing = user.blockProfiles.find(p => p.name === req.params.name);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Profile not found" });
+    }
+    if (user.blockProfiles.length === 1) {
+      return res.status(400).json({ success: false, message: "Cannot delete the only profile" });
+    }
+    user.blockProfiles.pull(existing);
+    if (user.activeBlockProfile === req.params.name) {
+      user.activeBlockProfile = user.blockProfiles[0].name;
+    }
+    await user.save();
+    return res.json({ success: true, ...profilePayload(user) });
+  } catch (err) {
+    console.error("Error in DELETE /blockProfiles/:name:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Choose which profile the block generator uses.
+ * @route PUT /api/users/activeBlockProfile
+ * @param {string} req.body.name   Existing profile name.
+ * @returns {object}               Updated profiles.
+ */
+router.put("/activeBlockProfile", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const { name } = req.body;
+    if (!user.blockProfiles.some(p => p.name === name)) {
+      return res.status(400).json({ success: false, message: "Unknown profile" });
+    }
+    user.activeBlockProfile = name;
+    await user.save();
+    return res.json({ success: true, ...profilePayload(user) });
+  } catch (err) {
+    console.error("Error in PUT /activeBlockProfile:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the user's working hours, one entry per weekday.
+ * @route GET /api/users/workingHours
+ * @returns {object}               Working hours (Sunday first).
+ */
+router.get("/workingHours", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    return res.json({ success: true, workingHours: user.workingHours });
+  } catch (err) {
+    console.error("Error in GET /workingHours:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Replace the whole week of working hours.
+ * @route PUT /api/users/workingHours
+ * @param {object[]} req.body.workingHours  Seven { day, off, start, end } entries.
+ * @returns {object}                        Updated working hours.
+ */
+router.put("/workingHours", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const entries = req.body.workingHours;
+    if (!Array.isArray(entries) || entries.length !== WEEKDAYS.length) {
+      return res.status(400).json({ success: false, message: "Provide one entry for each weekday." });
+    }
+    for (const entry of entries) {
+      const error = validateWorkingDay(entry);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+    }
+    if (new Set(entries.map(e => e.day)).size !== WEEKDAYS.length) {
+      return res.status(400).json({ success: false, message: "Each weekday must appear once." });
+    }
+
+    user.workingHours = WEEKDAYS.map(day => {
+      const { off, start, end } = entries.find(e => e.day === day);
+      return { day, off, start, end };
+    });
+    await user.save();
+    return res.json({ success: true, workingHours: user.workingHours });
+  } catch (err) {
+    console.error("Error in PUT /workingHours:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update one weekday. Omitted fields keep their values.
+ * @route PUT /api/users/workingHours/:day
+ * @param {string} req.params.day   Lowercase weekday name.
+ * @param {boolean} [req.body.off]  True to skip generation that day.
+ * @param {string} [req.body.start] Local "HH:mm".
+ * @param {string} [req.body.end]   Local "HH:mm" ("24:00" for midnight).
+ * @returns {object}                Updated working hours.
+ */
+router.put("/workingHours/:day", isAuthenticated, async (req, res) => {
+  try {
+    const { day } = req.params;
+    if (!WEEKDAYS.includes(day)) {
+      return res.status(404).json({ success: false, message: "Unknown weekday" });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const current = user.workingHours.find(w => w.day === day)
+      || defaultWorkingHours().find(w => w.day === day);
+    const merged  = {
+      day,
+      off:   req.body.off   ?? current.off,
+      start: req.body.start ?? current.start,
+      end:   req.body.end   ?? current.end
+    };
+    const error = validateWorkingDay(merged);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    user.workingHours = replaceWorkingDay(user.workingHours, merged);
+    await user.save();
+    return res.json({ success: true, workingHours: user.workingHours });
+  } catch (err) {
+    console.error("Error in PUT /workingHours/:day:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Reset one weekday to the default working window.
+ * @route DELETE /api/users/workingHours/:day
+ * @param {string} req.params.day  Lowercase weekday name.
+ * @returns {object}               Updated working hours.
+ */
+router.delete("/workingHours/:day", isAuthenticated, async (req, res) => {
+  try {
+    const { day } = req.params;
+    if (!WEEKDAYS.includes(day)) {
+      return res.status(404).json({ success: false, message: "Unknown weekday" });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const reset = defaultWorkingHours().find(w => w.day === day);
+    user.workingHours = replaceWorkingDay(user.workingHours, reset);
+    await user.save();
+    return res.json({ success: true, workingHours: user.workingHours });
+  } catch (err) {
+    console.error("Error in DELETE /workingHours/:day:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Get the user's phone alarm settings.
+ * @route GET /api/users/alarmSettings
+ * @returns {object}               Mode, lead minutes and label.
+ */
+router.get("/alarmSettings", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    return res.json({ success: true, alarmSettings: user.alarmSettings || defaultAlarmSettings() });
+  } catch (err) {
+    console.error("Error in GET /alarmSettings:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update the phone alarm settings. Omitted fields keep their values.
+ * @route PUT /api/users/alarmSettings
+ * @param {string} [req.body.mode]         "start", "end" or "both".
+ * @param {number} [req.body.leadMinutes]  Warning before the start, 0 for none.
+ * @param {string} [req.body.label]        Text sent with each alarm.
+ * @returns {object}                       Updated alarm settings.
+ */
+router.put("/alarmSettings", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const current = user.alarmSettings || defaultAlarmSettings();
+    const merged  = {
+      mode:        req.body.mode        ?? current.mode,
+      leadMinutes: req.body.leadMinutes ?? current.leadMinutes,
+      label:       typeof req.body.label === "string" ? req.body.label.trim() : (req.body.label ?? current.label)
+    };
+    const error = validateAlarmSettings(merged);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    user.alarmSettings = merged;
+    await user.save();
+    return res.json({ success: true, alarmSettings: user.alarmSettings });
+  } catch (err) {
+    console.error("Error in PUT /alarmSettings:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Get the user's daily auto-plan settings, the next run and the last one.
+ * @route GET /api/users/autoPlan
+ * @returns {object}               Settings, nextRunAt and lastRun (job status).
+ */
+router.get("/autoPlan", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    return res.json({
+      success:   true,
+      autoPlan:  user.autoPlan || defaultAutoPlan(),
+      nextRunAt: user.autoPlanNextRunAt,
+      lastRun:   await latestDailyPlanRun(user._id)
+    });
+  } catch (err) {
+    console.error("Error in GET /autoPlan:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update the daily auto-plan settings and reschedule the next run.
+ * Omitted fields keep their values; `approveRules` is replaced whole.
+ * @route PUT /api/users/autoPlan
+ * @param {boolean} [req.body.enabled]       Plan the day in the background.
+ * @param {string}  [req.body.time]          Local "HH:mm" to plan at.
+ * @param {Array}   [req.body.approveRules]  { minMinutes, after, before } rules.
+ * @returns {object}                         Updated settings and nextRunAt.
+ */
+router.put("/autoPlan", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const current = user.autoPlan || defaultAutoPlan();
+    const rules   = req.body.approveRules;
+    const merged  = {
+      enabled:      req.body.enabled ?? current.enabled,
+      time:         req.body.time    ?? current.time,
+      // Rules may leave out open bounds.
+      approveRules: Array.isArray(rules)
+        ? rules.map(rule => (rule && typeof rule === "object" ? { minMinutes: 0, after: "", before: "", ...rule } : rule))
+        : (rules ?? current.approveRules)
+    };
+    const error = validateAutoPlan(merged);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    user.autoPlan = {
+      ...merged,
+      approveRules: merged.approveRules.map(({ minMinutes, after, before }) => ({ minMinutes, after, before }))
+    };
+    user.autoPlanNextRunAt = nextAutoPlanRun(merged, resolveTimezone(user.timezone));
+    await user.save();
+    return res.json({ success: true, autoPlan: user.autoPlan, nextRunAt: user.autoPlanNextRunAt });
+  } catch (err) {
+    console.error("Error in PUT /autoPlan:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the user's notification channels (secrets are never returned)
+ * and the channel types that can be added.
+ * @route GET /api/users/notificationChannels
+ * @returns {object}  JSON with channels and types.
+ */
+router.get("/notificationChannels", isAuthenticated, async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    return res.json({ success: true, channels, types: listChannelTypes() });
+  } catch (err) {
+    console.error("Error in GET /notificationChannels:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * The server's Web Push public key, for browsers to subscribe with.
+ * @route GET /api/users/notificationChannels/webPushKey
+ * @returns {object}  JSON with publicKey; 404 when Web Push is not configured.
+ */
+router.get("/notificationChannels/webPushKey", isAuthenticated, (req, res) => {
+  const publicKey = vapidPublicKey();
+  if (!publicKey) {
+    return res.status(404).json({ success: false, message: "Web Push is not configured on this server" });
+  }
+  return res.json({ success: true, publicKey });
+});
+
+/**
+ * Add a notification channel.
+ * @route POST /api/users/notificationChannels
+ * @param {string} req.body.type        "webhook", "ntfy", "smtp" or "webpush".
+ * @param {string} req.body.name
+ * @param {object} req.body.config      Type-specific settings.
+ * @param {object} [req.body.secrets]   Type-specific secrets; stored encrypted.
+ * @param {object} [req.body.template]  { title, body }; empty uses the type's default.
+ * @param {boolean} [req.body.enabled]
+ * @returns {object}                    Created NotificationChannel document.
+ */
+router.post("/notificationChannels", isAuthenticated, async (req, res) => {
+  try {
+    const count = await NotificationChannel.countDocuments({ userId: req.user._id });
+    if (count >= MAX_NOTIFICATION_CHANNELS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_NOTIFICATION_CHANNELS} channels are allowed` });
+    }
+    const { value, error } = validateChannel(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const channel = await NotificationChannel.create({ userId: req.user._id, ...value });
+    return res.status(201).json({ success: true, channel });
+  } catch (err) {
+    console.error("Error in POST /notificationChannels:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update a notification channel. Omitted fields keep their values; an
+ * empty secret removes it.
+ * @route PUT /api/users/notificationChannels/:id
+ * @returns {object}  Updated NotificationChannel document.
+ */
+router.put("/notificationChannels/:id", isAuthenticated, async (req, res) => {
+  try {
+    const channel = await findOwnedChannel(req.user._id, req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: "Channel not found for this user" });
+    }
+    const { value, error } = validateChannel(req.body || {}, channel);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    channel.set({ ...value, lastError: null });
+    channel.markModified("secrets");
+    await channel.save();
+    return res.json({ success: true, channel });
+  } catch (err) {
+    console.error("Error in PUT /notificationChannels/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Send a sample alarm through a channel.
+ * @route POST /api/users/notificationChannels/:id/test
+ * @returns {object}  Test result and updated record; 400 when sending failed.
+ */
+router.post("/notificationChannels/:id/test", isAuthenticated, async (req, res) => {
+  try {
+    const channel = await findOwnedChannel(req.user._id, req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: "Channel not found for this user" });
+    }
+    const result  = await testChannel(channel);
+    const updated = await NotificationChannel.findById(channel._id);
+    if (!result.ok) {
+      return res.status(400).json({ success: false, message: result.message, channel: updated });
+    }
+    return res.json({ success: true, message: "Test notification sent", channel: updated });
+  } catch (err) {
+    console.error("Error in POST /notificationChannels/:id/test:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete a notification channel and its stored secrets.
+ * @route DELETE /api/users/notificationChannels/:id
+ * @returns {object}  Deletion confirmation.
+ */
+router.delete("/notificationChannels/:id", isAuthenticated, async (req, res) => {
+  try {
+    const channel = await findOwnedChannel(req.user._id, req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: "Channel not found for this user" });
+    }
+    await channel.deleteOne();
+    return res.json({ success: true, message: "Channel deleted" });
+  } catch (err) {
+    console.error("Error in DELETE /notificationChannels/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the approval integrations (TaskMagic, phone alarms) with the
+ * user's settings for each. URLs are never returned, only their hosts.
+ * @route GET /api/users/integrations
+ * @returns {object}  JSON with integrations, one entry per provider.
+ */
+router.get("/integrations", isAuthenticated, async (req, res) => {
+  try {
+    const records = await UserIntegration.find({ userId: req.user._id });
+    return res.json({ success: true, integrations: describeIntegrations(records) });
+  } catch (err) {
+    console.error("Error in GET /integrations:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Create or update the user's settings for one integration.
+ * @route PUT /api/users/integrations/:provider
+ * @param {string} req.params.provider     "taskmagic" or "phoneAlarm".
+ * @param {string|string[]} [req.body.urls] Target URL(s); required when creating.
+ * @param {boolean} [req.body.enabled]      False stops sending without deleting.
+ * @returns {object}                        Stored UserIntegration document.
+ */
+router.put("/integrations/:provider", isAuthenticated, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!isIntegrationProvider(provider)) {
+      return res.status(404).json({ success: false, message: "Unknown integration" });
+    }
+    const existing = await UserIntegration.findOne({ userId: req.user._id, provider });
+    const { value, error } = validateIntegration(provider, req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const integration = await UserIntegration.findOneAndUpdate(
+      { userId: req.user._id, provider },
+      value,
+      { new: true, upsert: true, runValidators: true }
+    );
+    return res.json({ success: true, integration });
+  } catch (err) {
+    console.error("Error in PUT /integrations/:provider:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete the user's settings for one integration; the server default,
+ * if any, applies again.
+ * @route DELETE /api/users/integrations/:provider
+ * @returns {object}  Deletion confirmation.
+ */
+router.delete("/integrations/:provider", isAuthenticated, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!isIntegrationProvider(provider)) {
+      return res.status(404).json({ success: false, message: "Unknown integration" });
+    }
+    const result = await UserIntegration.deleteOne({ userId: req.user._id, provider });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: "Integration not set for this user" });
+    }
+    return res.json({ success: true, message: "Integration removed" });
+  } catch (err) {
+    console.error("Error in DELETE /integrations/:provider:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * List the user's webhook subscriptions (without secrets), the events
+ * they can receive and the default payload template.
+ * @route GET /api/users/webhooks
+ * @returns {object}  JSON with subscriptions, events and defaultTemplate.
+ */
+router.get("/webhooks", isAuthenticated, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    return res.json({
+      success: true,
+      subscriptions,
+      events: WEBHOOK_EVENTS,
+      defaultTemplate: DEFAULT_WEBHOOK_TEMPLATE
+    });
+  } catch (err) {
+    console.error("Error in GET /webhooks:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Add a webhook subscription. Without a secret one is generated and
+ * returned; it is not shown again.
+ * @route POST /api/users/webhooks
+ * @param {string} req.body.url
+ * @param {string[]} req.body.events              Any of the listed events.
+ * @param {string} [req.body.name]
+ * @param {string} [req.body.template]            JSON with {{placeholders}}.
+ * @param {string} [req.body.signatureHeader]     Defaults to X-Webhook-Signature.
+ * @param {number} [req.body.startingSoonMinutes] Lead time of block.startingSoon.
+ * @param {string} [req.body.secret]              Signing secret, 16+ characters.
+ * @returns {object}  Created subscription and, if generated, its secret.
+ */
+router.post("/webhooks", isAuthenticated, async (req, res) => {
+  try {
+    const count = await WebhookSubscription.countDocuments({ userId: req.user._id });
+    if (count >= MAX_WEBHOOK_SUBSCRIPTIONS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_WEBHOOK_SUBSCRIPTIONS} webhooks are allowed` });
+    }
+    const { value, secret, error } = validateSubscription(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const subscription = await WebhookSubscription.create({ userId: req.user._id, ...value });
+    return res.status(201).json({ success: true, subscription, secret });
+  } catch (err) {
+    console.error("Error in POST /webhooks:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Update a webhook subscription. Omitted fields keep their values.
+ * @route PUT /api/users/webhooks/:id
+ * @returns {object}  Updated subscription.
+ */
+router.put("/webhooks/:id", isAuthenticated, async (req, res) => {
+  try {
+    const subscription = await findOwnedWebhook(req.user._id, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Webhook not found for this user" });
+    }
+    const { value, error } = validateSubscription(req.body || {}, subscription);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    subscription.set(value);
+    await subscription.save();
+    return res.json({ success: true, subscription });
+  } catch (err) {
+    console.error("Error in PUT /webhooks/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Replace a webhook's signing secret with a generated one.
+ * @route POST /api/users/webhooks/:id/rotateSecret
+ * @returns {object}  JSON with the new secret, shown only this once.
+ */
+router.post("/webhooks/:id/rotateSecret", isAuthenticated, async (req, res) => {
+  try {
+    const subscription = await findOwnedWebhook(req.user._id, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Webhook not found for this user" });
+    }
+    const secret = generateWebhookSecret();
+    subscription.set(validateSubscription({ secret }, subscription).value);
+    await subscription.save();
+    return res.json({ success: true, secret });
+  } catch (err) {
+    console.error("Error in POST /webhooks/:id/rotateSecret:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Send a sample event, for a block an hour from now, and log it.
+ * @route POST /api/users/webhooks/:id/test
+ * @param {string} [req.body.event]  Defaults to the subscription's first event.
+ * @returns {object}  The logged delivery; 400 when the receiver failed.
+ */
+router.post("/webhooks/:id/test", isAuthenticated, async (req, res) => {
+  try {
+    const subscription = await findOwnedWebhook(req.user._id, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Webhook not found for this user" });
+    }
+    const event = req.body?.event || subscription.events[0];
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({ success: false, message: `event must be one of ${WEBHOOK_EVENTS.join(", ")}` });
+    }
+    const user  = await User.findById(req.user._id).select("timezone");
+    const lead  = event === "block.startingSoon" ? subscription.startingSoonMinutes : 0;
+    const delivery = await deliverWebhook(
+      subscription,
+      sampleContext(event, resolveTimezone(user?.timezone), lead),
+      { test: true }
+    );
+    if (delivery.status === "failed") {
+      return res.status(400).json({ success: false, message: delivery.error, delivery });
+    }
+    return res.json({ success: true, message: "Test event delivered", delivery });
+  } catch (err) {
+    console.error("Error in POST /webhooks/:id/test:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * A webhook's recent delivery attempts, newest first.
+ * @route GET /api/users/webhooks/:id/deliveries
+ * @returns {object}  JSON with deliveries.
+ */
+router.get("/webhooks/:id/deliveries", isAuthenticated, async (req, res) => {
+  try {
+    const subscription = await findOwnedWebhook(req.user._id, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Webhook not found for this user" });
+    }
+    return res.json({ success: true, deliveries: await listDeliveries(subscription._id) });
+  } catch (err) {
+    console.error("Error in GET /webhooks/:id/deliveries:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * Delete a webhook subscription and its delivery log.
+ * @route DELETE /api/users/webhooks/:id
+ * @returns {object}  Deletion confirmation.
+ */
+router.delete("/webhooks/:id", isAuthenticated, async (req, res) => {
+  try {
+    const subscription = await findOwnedWebhook(req.user._id, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Webhook not found for this user" });
+    }
+    await subscription.deleteOne();
+    await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+    return res.json({ success: true, message: "Webhook deleted" });
+  } catch (err) {
+    console.error("Error in DELETE /webhooks/:id:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 /**
  * Retrieve the authenticated user's profile.
  * @route GET /api/users/me
@@ -0,0 +1,57 @@
+// ------------------------------------------------------------------
+// Module:    scripts/fixOrphanBlocks.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   One-off migration for blocks stored without a userId.
+// ------------------------------------------------------------------
+
+/**
+ * @module scripts/fixOrphanBlocks
+ * @description
+ *   Usage (from personal-agent-back, with MONGO_URI set):
+ *     node scripts/fixOrphanBlocks.js                      report only
+ *     node scripts/fixOrphanBlocks.js --assign-to <name>   give them to a user
+ *     node scripts/fixOrphanBlocks.js --delete             delete them
+ */
+
+// ─────── Dependencies ───────
+const mongoose = require("../config/mongo");
+const User     = require("../models/user");
+const {
+  countOrphanBlocks,
+  assignOrphanBlocks,
+  deleteOrphanBlocks
+} = require("../services/blocks/orphanBlocks.service");
+
+// ─────── Helper Functions ───────
+
+/**
+ * Run the requested action once connected.
+ * @param {string[]} args - Command-line arguments.
+ * @returns {Promise<void>}
+ */
+async function run(args) {
+  console.log("Orphan blocks by sourceType:", await countOrphanBlocks());
+
+  const assignAt = args.indexOf("--assign-to");
+  if (assignAt !== -1) {
+    const username = args[assignAt + 1];
+    const user = username && await User.findOne({ username });
+    if (!user) throw new Error(`No user named "${username || ""}"`);
+    console.log(`Assigned to ${username}:`, await assignOrphanBlocks(user._id));
+  } else if (args.includes("--delete")) {
+    console.log("Deleted:", await deleteOrphanBlocks());
+  } else {
+    console.log("Nothing changed. Pass --assign-to <username> or --delete.");
+  }
+}
+
+// ─────── Entry Point ───────
+mongoose.connection.once("open", () => {
+  run(process.argv.slice(2))
+    .catch((err) => {
+      console.error("Orphan block migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+});
@@ -11,6 +11,8 @@
  *   - Load environment variables
  *   - Initialize MongoDB connection via Mongoose
  *   - Create and start HTTP server for the Express app
+ *   - Clean up duplicate suggestions and build the block indexes
+ *   - Start the background job worker and daily plan scheduler
  */
 
 // ─────────────── Dependencies ───────────────
@@ -22,6 +24,9 @@ const http     = require("http");
 const app      = require("./app");          
 const mongoose = require("./config/mongo"); 
 // Requiring mongo config triggers mongoose.connect(…)
+const { startJobWorker } = require("./services/jobs/jobQueue.service");
+const { startDailyPlanScheduler } = require("./services/jobs/dailyPlanJobs.service");
+const { ensureBlockIndexes } = require("./services/blocks/blockIndexes.service");
 
 // ─────────────── Configuration ───────────────
 
@@ -36,7 +41,7 @@ const server = http.createServer(app);
 // ─────────── Database Connection ────────────
 
 /**
- * Once Mongoose connection is open, start listening.
+ * Once Mongoose connection is open, start listening and processing jobs.
  */
 mongoose.connection.once("open", () => {
   // Start server only after DB is ready
@@ -44,6 +49,15 @@ mongoose.connection.once("open", () => {
     console.info(`Server is listening on port ${PORT}`);  
     // INFO: Server ready to accept requests
   });
+
+  // Remove duplicates left by older versions so the unique index builds
+  ensureBlockIndexes();
+
+  // Deliver queued approval notifications in the background
+  startJobWorker();
+
+  // Plan users' days at their chosen local times
+  startDailyPlanScheduler();
 });
 
 /**
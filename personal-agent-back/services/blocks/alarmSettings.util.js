@@ -0,0 +1,108 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/alarmSettings.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Per-user phone alarm settings: defaults, validation, and
+//            the alarms they produce for a block.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/alarmSettings.util
+ * @description
+ *   Each user stores:
+ *     { mode: "end", leadMinutes: 0, label: "" }
+ *   `mode` rings at the block's start, its end, or both. A non-zero
+ *   `leadMinutes` adds a warning that many minutes before the start.
+ *   `label` is sent with every alarm; when empty the block's title is
+ *   sent instead.
+ */
+
+// ─────── Dependencies ───────
+const { inZone } = require("./timezone.util");
+
+// ─────── Constants ───────
+
+/** When a block's alarms ring. */
+const ALARM_MODES = ["start", "end", "both"];
+
+/** Longest warning ahead of a block's start. */
+const MAX_LEAD_MINUTES = 120;
+
+/** Longest label. */
+const MAX_LABEL_LENGTH = 60;
+
+/** Settings until the user changes them: one alarm at each block's end. */
+const DEFAULT_ALARM_SETTINGS = { mode: "end", leadMinutes: 0, label: "" };
+
+// ─────── Utility Functions ───────
+
+/**
+ * Fresh default alarm settings, for use as a schema default.
+ *
+ * @returns {Object}
+ */
+function defaultAlarmSettings() {
+  return { ...DEFAULT_ALARM_SETTINGS };
+}
+
+/**
+ * Validate a full set of alarm settings.
+ *
+ * @param {Object} settings  Candidate { mode, leadMinutes, label }.
+ * @returns {string|null}    Error message, or null when valid.
+ */
+function validateAlarmSettings(settings) {
+  if (!ALARM_MODES.includes(settings?.mode)) {
+    return `mode must be one of ${ALARM_MODES.join(", ")}.`;
+  }
+  const lead = settings.leadMinutes;
+  if (!Number.isInteger(lead) || lead < 0 || lead > MAX_LEAD_MINUTES || lead % 5 !== 0) {
+    return `leadMinutes must be a multiple of 5 from 0 to ${MAX_LEAD_MINUTES}.`;
+  }
+  if (typeof settings.label !== "string" || settings.label.length > MAX_LABEL_LENGTH) {
+    return `label must be text of at most ${MAX_LABEL_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Alarms to set for a block, in the order they ring.
+ *
+ * @param {Object} block     Block with startTime, endTime and title.
+ * @param {Object} [settings] User's alarm settings; defaults when missing.
+ * @param {string} tz        User's timezone.
+ * @returns {Array<{kind: "warning"|"start"|"end", time24: string, label: string,
+ *   minutesBefore?: number}>}
+ */
+function blockAlarms(block, settings, tz) {
+  const { mode, leadMinutes, label } = { ...DEFAULT_ALARM_SETTINGS, ...settings };
+  const text  = label || block.title || "";
+  const start = inZone(block.startTime, tz);
+  const alarms = [];
+
+  if (leadMinutes > 0) {
+    alarms.push({
+      kind:          "warning",
+      time24:        start.subtract(leadMinutes, "minute").format("HH:mm"),
+      label:         text,
+      minutesBefore: leadMinutes
+    });
+  }
+  if (mode !== "end") {
+    alarms.push({ kind: "start", time24: start.format("HH:mm"), label: text });
+  }
+  if (mode !== "start") {
+    alarms.push({ kind: "end", time24: inZone(block.endTime, tz).format("HH:mm"), label: text });
+  }
+  return alarms;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  ALARM_MODES,
+  MAX_LEAD_MINUTES,
+  MAX_LABEL_LENGTH,
+  defaultAlarmSettings,
+  validateAlarmSettings,
+  blockAlarms
+};
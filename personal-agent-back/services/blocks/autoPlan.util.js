@@ -0,0 +1,169 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/autoPlan.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Per-user daily auto-plan settings: defaults, validation,
+//            the next run time, and the auto-approve rules.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/autoPlan.util
+ * @description
+ *   Each user stores:
+ *     { enabled: false, time: "07:00", approveRules: [] }
+ *   When enabled, the day's blocks are generated every day at `time`,
+ *   local to the user's timezone. Pending blocks matching any of
+ *   `approveRules` are then approved. A rule
+ *     { minMinutes: 50, after: "", before: "12:00" }
+ *   matches blocks of at least 50 minutes that lie entirely before noon;
+ *   an empty `after` or `before` leaves that side open.
+ */
+
+// ─────── Dependencies ───────
+const dayjs = require("dayjs");
+const { inZone, localDate } = require("./timezone.util");
+
+// ─────── Constants ───────
+
+/** Most auto-approve rules per user. */
+const MAX_APPROVE_RULES = 10;
+
+/** Longest minimum duration a rule may ask for (a whole day). */
+const MAX_RULE_MINUTES = 24 * 60;
+
+/** Local "HH:mm" clock time. */
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** Settings until the user changes them: no daily run. */
+const DEFAULT_AUTO_PLAN = { enabled: false, time: "07:00", approveRules: [] };
+
+// ─────── Helper Functions ───────
+
+/**
+ * Validate one auto-approve rule.
+ *
+ * @param {Object} rule  Candidate { minMinutes, after, before }.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateApproveRule(rule) {
+  const { minMinutes, after, before } = rule || {};
+  if (!Number.isInteger(minMinutes) || minMinutes < 0 || minMinutes > MAX_RULE_MINUTES) {
+    return `minMinutes must be a whole number from 0 to ${MAX_RULE_MINUTES}.`;
+  }
+  for (const [name, value] of [["after", after], ["before", before]]) {
+    if (value !== "" && !CLOCK_PATTERN.test(value)) {
+      return `${name} must be empty or a time in HH:mm format.`;
+    }
+  }
+  if (after && before && after >= before) {
+    return "after must be earlier than before.";
+  }
+  return null;
+}
+
+/**
+ * Local clock time of a block edge, with a midnight end read as "24:00"
+ * so blocks running to the end of the day still compare correctly.
+ *
+ * @param {Date} instant
+ * @param {string} dayOf  Local date the block starts on.
+ * @param {string} tz
+ * @returns {string}
+ */
+function clockTime(instant, dayOf, tz) {
+  return localDate(instant, tz) === dayOf ? inZone(instant, tz).format("HH:mm") : "24:00";
+}
+
+// ─────── Utility Functions ───────
+
+/**
+ * Fresh default auto-plan settings, for use as a schema default.
+ *
+ * @returns {Object}
+ */
+function defaultAutoPlan() {
+  return { ...DEFAULT_AUTO_PLAN, approveRules: [] };
+}
+
+/**
+ * Validate a full set of auto-plan settings.
+ *
+ * @param {Object} settings  Candidate { enabled, time, approveRules }.
+ * @returns {string|null}    Error message, or null when valid.
+ */
+function validateAutoPlan(settings) {
+  if (typeof settings?.enabled !== "boolean") {
+    return "enabled must be true or false.";
+  }
+  if (!CLOCK_PATTERN.test(settings.time)) {
+    return "time must be in HH:mm format.";
+  }
+  if (!Array.isArray(settings.approveRules) || settings.approveRules.length > MAX_APPROVE_RULES) {
+    return `approveRules must be a list of at most ${MAX_APPROVE_RULES} rules.`;
+  }
+  for (const rule of settings.approveRules) {
+    const error = validateApproveRule(rule);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * When the daily run next falls after `now`.
+ *
+ * @param {Object} settings  User's auto-plan settings.
+ * @param {string} tz        User's timezone.
+ * @param {Date} [now]
+ * @returns {Date|null}      Next run, or null when the plan is disabled.
+ */
+function nextAutoPlanRun(settings, tz, now = new Date()) {
+  if (!settings?.enabled) return null;
+  const today = localDate(now, tz);
+  // Two days ahead covers a run time moved by a DST change.
+  for (let offset = 0; offset <= 2; offset++) {
+    const date = dayjs(today).add(offset, "day").format("YYYY-MM-DD");
+    const run  = dayjs.tz(`${date} ${settings.time}`, "YYYY-MM-DD HH:mm", tz);
+    if (run.isAfter(now)) return run.toDate();
+  }
+  return null;
+}
+
+/**
+ * Whether a block matches an auto-approve rule.
+ *
+ * @param {Object} block  Block with startTime and endTime.
+ * @param {{minMinutes: number, after: string, before: string}} rule
+ * @param {string} tz     User's timezone.
+ * @returns {boolean}
+ */
+function matchesApproveRule(block, rule, tz) {
+  const minutes = (new Date(block.endTime) - new Date(block.startTime)) / 60000;
+  const dayOf   = localDate(block.startTime, tz);
+  const start   = inZone(block.startTime, tz).format("HH:mm");
+  const end     = clockTime(block.endTime, dayOf, tz);
+  return minutes >= rule.minMinutes
+    && (!rule.after  || start >= rule.after)
+    && (!rule.before || end <= rule.before);
+}
+
+/**
+ * Blocks that any of the rules approve, in their original order.
+ *
+ * @param {Array} blocks  Pending blocks.
+ * @param {Array} rules   User's auto-approve rules.
+ * @param {string} tz     User's timezone.
+ * @returns {Array}
+ */
+function selectAutoApproved(blocks, rules, tz) {
+  return blocks.filter(block => rules.some(rule => matchesApproveRule(block, rule, tz)));
+}
+
+// ─────── Exports ───────
+module.exports = {
+  MAX_APPROVE_RULES,
+  defaultAutoPlan,
+  validateAutoPlan,
+  nextAutoPlanRun,
+  matchesApproveRule,
+  selectAutoApproved
+};
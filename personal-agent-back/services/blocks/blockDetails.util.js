@@ -0,0 +1,113 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockDetails.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Validate the descriptive fields of a block: title, color,
+//            category, goal and task checklist.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockDetails.util
+ * @description
+ *   - Only fields present in the input are validated and returned, so
+ *     callers can apply partial updates.
+ *   - Empty strings clear a field (null for color and category).
+ */
+
+// ─────── Constants ───────
+
+/** Categories a block may belong to. */
+const BLOCK_CATEGORIES = ["deep-work", "admin", "learning"];
+
+/** Length limits for text fields. */
+const MAX_TITLE_LENGTH = 100;
+const MAX_GOAL_LENGTH  = 200;
+const MAX_TASK_LENGTH  = 200;
+const MAX_TASKS        = 20;
+
+/** CSS hex color, "#1e90ff". */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Validate a trimmed text field.
+ * @param {*} value
+ * @param {string} name
+ * @param {number} max
+ * @returns {{value?: string, error?: string}}
+ */
+function textField(value, name, max) {
+  if (typeof value !== "string") return { error: `${name} must be a string` };
+  const trimmed = value.trim();
+  if (trimmed.length > max) return { error: `${name} must be at most ${max} characters` };
+  return { value: trimmed };
+}
+
+/**
+ * Validate a task checklist.
+ * @param {*} tasks - Array of { text, done? }.
+ * @returns {{value?: Object[], error?: string}}
+ */
+function taskList(tasks) {
+  if (!Array.isArray(tasks)) return { error: "tasks must be an array" };
+  if (tasks.length > MAX_TASKS) return { error: `At most ${MAX_TASKS} tasks are allowed` };
+
+  const value = [];
+  for (const task of tasks) {
+    const text = textField(task?.text, "Task text", MAX_TASK_LENGTH);
+    if (text.error) return text;
+    if (!text.value) return { error: "Task text is required" };
+    value.push({ text: text.value, done: Boolean(task.done) });
+  }
+  return { value };
+}
+
+// ─────── Public API ───────
+
+/**
+ * Validate the descriptive fields present in a request body.
+ * @param {Object} input - May hold title, color, category, goal, tasks.
+ * @param {string[]} [fields] - Fields to accept; others are ignored.
+ * @returns {{value?: Object, error?: string}}
+ */
+function validateBlockDetails(input, fields = ["title", "color", "category", "goal", "tasks"]) {
+  const value = {};
+  const has   = field => fields.includes(field) && input[field] !== undefined;
+
+  if (has("title")) {
+    const title = textField(input.title, "Title", MAX_TITLE_LENGTH);
+    if (title.error) return title;
+    value.title = title.value;
+  }
+  if (has("goal")) {
+    const goal = textField(input.goal, "Goal", MAX_GOAL_LENGTH);
+    if (goal.error) return goal;
+    value.goal = goal.value;
+  }
+  if (has("color")) {
+    if (input.color && !COLOR_PATTERN.test(input.color)) {
+      return { error: "color must be a hex color such as #1e90ff" };
+    }
+    value.color = input.color ? input.color.toLowerCase() : null;
+  }
+  if (has("category")) {
+    if (input.category && !BLOCK_CATEGORIES.includes(input.category)) {
+      return { error: `category must be one of ${BLOCK_CATEGORIES.join(", ")}` };
+    }
+    value.category = input.category || null;
+  }
+  if (has("tasks")) {
+    const tasks = taskList(input.tasks);
+    if (tasks.error) return tasks;
+    value.tasks = tasks.value;
+  }
+  return { value };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  BLOCK_CATEGORIES,
+  MAX_TASKS,
+  validateBlockDetails
+};
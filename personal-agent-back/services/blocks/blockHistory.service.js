@@ -0,0 +1,207 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockHistory.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Record a block's state before each edit or deletion and
+//            restore it on undo.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockHistory.service
+ * @description
+ *   - A revision snapshots the block's fields before the change, plus
+ *     the excluded leftover an edit created when it shortened the block.
+ *   - A split is recorded on both parts. Undoing it from either part
+ *     restores the first and excludes the second.
+ *   - Undo restores the latest revision not yet undone, removes its
+ *     leftover and, for a deleted series occurrence, un-skips its date.
+ *     Repeated undos step further back.
+ *   - Only the newest MAX_REVISIONS_PER_BLOCK revisions are kept, and
+ *     a block's revisions go when the block is removed for good.
+ */
+
+// ─────── Dependencies ───────
+const BlockRevision     = require("../../models/blockRevision");
+const BlockSeries       = require("../../models/blockSeries");
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+
+// ─────── Constants ───────
+
+/** Revisions kept per block; older ones are pruned. */
+const MAX_REVISIONS_PER_BLOCK = 20;
+
+/** Block fields a revision captures and undo restores. */
+const REVISION_FIELDS = [
+  "startTime",
+  "endTime",
+  "approved",
+  "sourceType",
+  "deletedAt",
+  "edited",
+  "seriesOverride",
+  "title",
+  "color",
+  "category",
+  "goal",
+  "tasks"
+];
+
+// ─────── Helper Functions ───────
+
+/**
+ * Copy the revision fields of a block.
+ * @param {Object} block - Block document.
+ * @returns {Object}
+ */
+function snapshotBlock(block) {
+  const plain = block.toObject();
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) snapshot[field] = plain[field];
+  snapshot.tasks = (plain.tasks || []).map(({ text, done }) => ({ text, done }));
+  return snapshot;
+}
+
+// ─────── Public API ───────
+
+/**
+ * Record a block's current state before it changes, or as it was
+ * created ("create").
+ * @param {Object} block - Block document, not yet modified.
+ * @param {"update"|"delete"|"create"} action
+ * @param {Object} [extra]
+ * @param {Object} [extra.leftoverId] - Excluded fragment the change creates.
+ * @param {Object} [extra.splitPartId] - Second part a split of this block creates.
+ * @param {Object} [extra.splitFromId] - Block this one was split from.
+ * @returns {Promise<Object>} - The revision.
+ */
+async function recordRevision(block, action, { leftoverId = null, splitPartId = null, splitFromId = null } = {}) {
+  const revision = await BlockRevision.create({
+    blockId: block._id,
+    userId:  block.userId,
+    action,
+    before:  snapshotBlock(block),
+    leftoverId,
+    splitPartId,
+    splitFromId
+  });
+
+  const stale = await BlockRevision.find({ blockId: block._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(MAX_REVISIONS_PER_BLOCK)
+    .select("_id");
+  if (stale.length) {
+    await BlockRevision.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+  }
+  return revision;
+}
+
+/**
+ * A block's revisions, newest first.
+ * @param {Object} blockId
+ * @returns {Promise<Array>}
+ */
+function listRevisions(blockId) {
+  return BlockRevision.find({ blockId }).sort({ createdAt: -1, _id: -1 });
+}
+
+/**
+ * The revision the next undo would restore.
+ * @param {Object} blockId
+ * @returns {Promise<Object|null>}
+ */
+function latestRevision(blockId) {
+  return BlockRevision.findOne({ blockId, undoneAt: null }).sort({ createdAt: -1, _id: -1 });
+}
+
+/**
+ * The state each block was in before its current deletion, for blocks
+ * whose latest revision not yet undone is a delete.
+ * @param {Array} blockIds
+ * @returns {Promise<Map<string, Object>>} - Block ID to revision `before`.
+ */
+async function statesBeforeDeletion(blockIds) {
+  const latest = await BlockRevision.aggregate([
+    { $match: { blockId: { $in: blockIds }, undoneAt: null } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: "$blockId", action: { $first: "$action" }, before: { $first: "$before" } } },
+    { $match: { action: "delete" } }
+  ]);
+  return new Map(latest.map(rev => [String(rev._id), rev.before]));
+}
+
+/**
+ * The revision undoing a block would restore, and the block it belongs
+ * to. For the second part of a split, that is the split of the first.
+ * @param {Object} block - Block document.
+ * @returns {Promise<{block: Object, revision: Object}|null>}
+ *   Null when there is nothing to undo, or the split was changed since.
+ */
+async function findUndo(block) {
+  const revision = await latestRevision(block._id);
+  if (revision?.action !== "create") return revision && { block, revision };
+  if (!revision.splitFromId) return null;
+
+  const source         = await freedomTimeBlocks.findById(revision.splitFromId);
+  const sourceRevision = source && await latestRevision(source._id);
+  if (!sourceRevision || String(sourceRevision.splitPartId) !== String(block._id)) return null;
+  return { block: source, revision: sourceRevision };
+}
+
+/**
+ * Restore a block to a revision's state. Undoing a split also excludes
+ * its second part.
+ * @param {Object} block - Block document.
+ * @param {Object} revision - From latestRevision or findUndo.
+ * @param {Object} [splitPart] - The split's second part, when undoing a split.
+ * @returns {Promise<Object>} - The restored block.
+ */
+async function undoRevision(block, revision, splitPart = null) {
+  Object.assign(block, revision.before);
+  await block.save();
+
+  if (revision.leftoverId) {
+    await freedomTimeBlocks.deleteOne({ _id: revision.leftoverId, sourceType: "excluded" });
+  }
+  if (splitPart && splitPart.sourceType !== "excluded") {
+    splitPart.sourceType = "excluded";
+    splitPart.deletedAt  = new Date();
+    await splitPart.save();
+  }
+  if (revision.splitPartId) {
+    await BlockRevision.updateMany(
+      { blockId: revision.splitPartId, action: "create", undoneAt: null },
+      { $set: { undoneAt: new Date() } }
+    );
+  }
+  if (revision.action === "delete" && block.seriesId && block.occurrenceDate) {
+    await BlockSeries.updateOne(
+      { _id: block.seriesId },
+      { $pull: { exceptions: block.occurrenceDate } }
+    );
+  }
+
+  revision.undoneAt = new Date();
+  await revision.save();
+  return block;
+}
+
+/**
+ * Drop the revisions of blocks that were removed for good.
+ * @param {Array} blockIds
+ * @returns {Promise<void>}
+ */
+async function forgetRevisions(blockIds) {
+  await BlockRevision.deleteMany({ blockId: { $in: blockIds } });
+}
+
+// ─────── Exports ───────
+module.exports = {
+  MAX_REVISIONS_PER_BLOCK,
+  recordRevision,
+  listRevisions,
+  latestRevision,
+  statesBeforeDeletion,
+  findUndo,
+  undoRevision,
+  forgetRevisions
+};
@@ -0,0 +1,73 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockIndexes.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Bring stored blocks in line with the unique indexes the
+//            block model declares, and build those indexes.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockIndexes.service
+ * @description
+ *   - Databases from before the generation lock can hold duplicate
+ *     suggestions (auto blocks with the same user and start). Mongoose
+ *     builds indexes in the background and a unique index fails on such
+ *     data without surfacing, leaving generation without its backstop.
+ *   - `ensureBlockIndexes` runs at startup: it removes the duplicates,
+ *     keeping the oldest of each set, then builds the indexes and logs
+ *     any build that still fails.
+ */
+
+// ─────── Dependencies ───────
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+
+// ─────── Public API ───────
+
+/**
+ * Delete duplicate suggestions, keeping the oldest block for each user
+ * and start instant. Suggestions are never approved, so nothing the
+ * user chose is lost.
+ * @returns {Promise<number>} - Blocks deleted.
+ */
+async function removeDuplicateSuggestions() {
+  const groups = await freedomTimeBlocks.aggregate([
+    { $match: { sourceType: "auto" } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id:   { userId: "$userId", startTime: "$startTime" },
+        ids:   { $push: "$_id" },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+
+  const extra = groups.flatMap(group => group.ids.slice(1));
+  if (!extra.length) return 0;
+  const { deletedCount } = await freedomTimeBlocks.deleteMany({ _id: { $in: extra }, sourceType: "auto" });
+  return deletedCount;
+}
+
+/**
+ * Remove duplicate suggestions and build the block indexes.
+ * Never throws: a failure is logged so the server still starts.
+ * @returns {Promise<boolean>} - True if every index exists.
+ */
+async function ensureBlockIndexes() {
+  try {
+    const removed = await removeDuplicateSuggestions();
+    if (removed) console.info(`Removed ${removed} duplicate suggested blocks.`);
+    await freedomTimeBlocks.createIndexes();
+    return true;
+  } catch (err) {
+    console.error("Could not build block indexes; duplicate suggestions are not prevented:", err);
+    return false;
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  removeDuplicateSuggestions,
+  ensureBlockIndexes
+};
@@ -0,0 +1,134 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockProfiles.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Built-in focus-block profiles, validation of user-defined
+//            profiles, and active-profile resolution.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockProfiles.util
+ * @description
+ *   A profile controls how breakDownFreeTime carves free time:
+ *     - blockMinutes:    target block length
+ *     - minBlockMinutes: shortest block worth suggesting
+ *     - gapMinutes:      break between consecutive blocks
+ *     - alignMinutes:    start-of-interval alignment (divides 60)
+ *     - bufferMinutes:   margin kept next to busy time
+ */
+
+// ─────── Constants ───────
+
+/**
+ * Profiles every user starts with. "classic" mirrors the original
+ * 50/10 generator with 25-minute fill-ins.
+ * @type {Array<Object>}
+ */
+const PRESET_PROFILES = [
+  { name: "classic",   blockMinutes: 50, minBlockMinutes: 25, gapMinutes: 10, alignMinutes: 30, bufferMinutes: 5 },
+  { name: "deep-work", blockMinutes: 90, minBlockMinutes: 60, gapMinutes: 20, alignMinutes: 30, bufferMinutes: 5 },
+  { name: "pomodoro",  blockMinutes: 25, minBlockMinutes: 25, gapMinutes: 5,  alignMinutes: 5,  bufferMinutes: 5 },
+  { name: "focus-45",  blockMinutes: 45, minBlockMinutes: 30, gapMinutes: 15, alignMinutes: 15, bufferMinutes: 5 }
+];
+
+/** Profile used when a user's active profile cannot be found. */
+const DEFAULT_PROFILE_NAME = "classic";
+
+/** Alignment options; each divides an hour evenly. */
+const ALIGN_OPTIONS = [5, 10, 15, 20, 30, 60];
+
+/** Inclusive [min, max] bounds for each minute field. */
+const FIELD_LIMITS = {
+  blockMinutes:    [5, 240],
+  minBlockMinutes: [5, 240],
+  gapMinutes:      [0, 120],
+  bufferMinutes:   [0, 60]
+};
+
+/** Allowed profile names: lowercase slug. */
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// ─────── Utility Functions ───────
+
+/**
+ * Fresh copies of the preset profiles, for use as a schema default.
+ *
+ * @returns {Array<Object>}
+ */
+function presetProfiles() {
+  return PRESET_PROFILES.map(p => ({ ...p }));
+}
+
+/**
+ * Pick only the known profile fields from a request body.
+ *
+ * @param {Object} input  Untrusted request body.
+ * @returns {Object}      Profile-shaped object (fields may be undefined).
+ */
+function pickProfileFields(input = {}) {
+  return {
+    name:            input.name,
+    blockMinutes:    input.blockMinutes,
+    minBlockMinutes: input.minBlockMinutes,
+    gapMinutes:      input.gapMinutes,
+    alignMinutes:    input.alignMinutes,
+    bufferMinutes:   input.bufferMinutes
+  };
+}
+
+/**
+ * Validate a complete profile.
+ *
+ * @param {Object} profile  Candidate profile.
+ * @returns {string|null}   Error message, or null when valid.
+ */
+function validateProfile(profile) {
+  if (!NAME_PATTERN.test(profile.name || "")) {
+    return "Profile name must be a lowercase slug (letters, digits, dashes).";
+  }
+
+  for (const [field, [min, max]] of Object.entries(FIELD_LIMITS)) {
+    const value = profile[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${field} must be a whole number between ${min} and ${max}.`;
+    }
+    // Blocks are snapped to 5-minute marks everywhere else.
+    if (value % 5 !== 0) {
+      return `${field} must be a multiple of 5.`;
+    }
+  }
+
+  if (!ALIGN_OPTIONS.includes(profile.alignMinutes)) {
+    return `alignMinutes must be one of ${ALIGN_OPTIONS.join(", ")}.`;
+  }
+  if (profile.minBlockMinutes > profile.blockMinutes) {
+    return "minBlockMinutes cannot exceed blockMinutes.";
+  }
+  return null;
+}
+
+/**
+ * Resolve the profile a user's generator should use.
+ *
+ * @param {Object|null} user  User document (may be null).
+ * @returns {Object}          Plain profile object.
+ */
+function getActiveProfile(user) {
+  const profiles = user?.blockProfiles || [];
+  const active   = profiles.find(p => p.name === user?.activeBlockProfile);
+  if (active) {
+    return typeof active.toObject === "function" ? active.toObject() : active;
+  }
+  return PRESET_PROFILES.find(p => p.name === DEFAULT_PROFILE_NAME);
+}
+
+// ─────── Exports ───────
+module.exports = {
+  PRESET_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  ALIGN_OPTIONS,
+  presetProfiles,
+  pickProfileFields,
+  validateProfile,
+  getActiveProfile
+};
@@ -0,0 +1,125 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockSeries.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Materialize recurring block series into each day's
+//            schedule as manual blocks.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockSeries.service
+ * @description
+ *   - An occurrence becomes a 'manual' FreedomTimeBlock carrying its
+ *     `seriesId` and `occurrenceDate`, so generation already treats it
+ *     as busy time and it is approved like any other block.
+ *   - Occurrences are created lazily, for today and later, whenever a
+ *     day is generated or viewed. The unique (seriesId, occurrenceDate)
+ *     index keeps one per day, including deleted (excluded) ones, so an
+ *     occurrence the user removed does not come back.
+ *   - An occurrence yields to an existing manual or approved block; it
+ *     replaces pending auto suggestions it overlaps.
+ *   - Callers hold the day's generation lock.
+ */
+
+// ─────── Dependencies ───────
+const dayjs             = require("dayjs");
+const BlockSeries       = require("../../models/blockSeries");
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+const { occursOn }      = require("./blockSeries.util");
+
+// ─────── Constants ───────
+
+/** MongoDB duplicate-key error code. */
+const DUPLICATE_KEY = 11000;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Absolute start and end of a series' occurrence on a local date.
+ * @param {Object} series
+ * @param {string} date - "YYYY-MM-DD".
+ * @param {string} tz
+ * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs}}
+ */
+function occurrenceBounds(series, date, tz) {
+  return {
+    start: dayjs.tz(`${date} ${series.startTime}`, "YYYY-MM-DD HH:mm", tz),
+    end:   dayjs.tz(`${date} ${series.endTime}`, "YYYY-MM-DD HH:mm", tz)
+  };
+}
+
+// ─────── Public API ───────
+
+/**
+ * Create a day's missing series occurrences.
+ * @param {string} userId
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {string} tz   - User's timezone.
+ * @returns {Promise<Array>} - Newly created occurrence blocks.
+ */
+async function materializeSeriesForDay(userId, date, tz) {
+  if (date < dayjs().tz(tz).format("YYYY-MM-DD")) return [];
+
+  const seriesList = await BlockSeries.find({ userId, startDate: { $lte: date } });
+  const created    = [];
+
+  for (const series of seriesList) {
+    if (!occursOn(series, date)) continue;
+    if (await freedomTimeBlocks.exists({ seriesId: series._id, occurrenceDate: date })) continue;
+
+    const { start, end } = occurrenceBounds(series, date, tz);
+    if (!end.isAfter(start)) continue; // collapsed by a DST gap
+
+    const window = { startTime: { $lt: end.toDate() }, endTime: { $gt: start.toDate() } };
+    const taken  = await freedomTimeBlocks.exists({
+      userId,
+      sourceType: { $in: ["manual", "approved"] },
+      ...window
+    });
+    if (taken) continue;
+
+    await freedomTimeBlocks.deleteMany({ userId, sourceType: "auto", approved: false, ...window });
+    try {
+      created.push(await freedomTimeBlocks.create({
+        userId,
+        startTime:      start.toDate(),
+        endTime:        end.toDate(),
+        approved:       false,
+        sourceType:     "manual",
+        origin:         "manual",
+        seriesId:       series._id,
+        occurrenceDate: date,
+        title:          series.title,
+        color:          series.color,
+        category:       series.category
+      }));
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err;
+    }
+  }
+  return created;
+}
+
+/**
+ * Remove a series' future occurrences that still follow the series, so
+ * they are materialized again from its current definition. Approved and
+ * individually edited occurrences are kept.
+ * @param {Object} series
+ * @param {string} fromDate - First local date affected.
+ * @returns {Promise<number>} - Number of occurrences removed.
+ */
+async function resetFutureOccurrences(series, fromDate) {
+  const { deletedCount } = await freedomTimeBlocks.deleteMany({
+    seriesId:       series._id,
+    occurrenceDate: { $gte: fromDate },
+    seriesOverride: false,
+    approved:       false
+  });
+  return deletedCount;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  materializeSeriesForDay,
+  resetFutureOccurrences
+};
@@ -0,0 +1,134 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/blockSeries.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Validate recurring block definitions and decide which
+//            local dates they occur on.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/blockSeries.util
+ * @description
+ *   - Series use RFC 5545 RRULE syntax ("FREQ=WEEKLY;BYDAY=MO,WE,FR")
+ *     anchored at a local start date, with local "HH:mm" start and end
+ *     times, so they follow the user's timezone across DST.
+ *   - Expansion reuses the .ics importer's RRULE engine on whole dates.
+ *     Unlike an iCalendar DTSTART, the start date is only an occurrence
+ *     when the rule matches it, so "every weekday" created on a Saturday
+ *     starts on Monday.
+ */
+
+// ─────── Dependencies ───────
+const { parseRRule, expandRule, startMatchesRule } = require("../calendar/icsImport.util");
+const { isValidDate } = require("./timezone.util");
+
+// ─────── Constants ───────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Frequencies a series may use. */
+const SERIES_FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+/** Local wall-clock time "HH:mm". */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Midnight of a local date as floating milliseconds.
+ * @param {string} date - "YYYY-MM-DD".
+ * @returns {number}
+ */
+function floatingDate(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+/**
+ * Normalize an RRULE string: drop an "RRULE:" prefix and whitespace.
+ * @param {string} rrule
+ * @returns {string}
+ */
+function normalizeRRule(rrule) {
+  return String(rrule).trim().replace(/^RRULE:/i, "").replace(/\s+/g, "").toUpperCase();
+}
+
+// ─────── Public API ───────
+
+/**
+ * Validate and normalize series fields. Missing fields are taken from
+ * `current`, so the same check serves create and partial update.
+ * @param {Object} input - { rrule, startDate, startTime, endTime }.
+ * @param {Object} [current] - Existing series values.
+ * @returns {{value?: Object, error?: string}}
+ */
+function validateSeries(input, current = {}) {
+  const merged = {
+    rrule:     input.rrule     ?? current.rrule,
+    startDate: input.startDate ?? current.startDate,
+    startTime: input.startTime ?? current.startTime,
+    endTime:   input.endTime   ?? current.endTime
+  };
+
+  if (!merged.rrule || typeof merged.rrule !== "string") {
+    return { error: "A recurrence rule is required" };
+  }
+  const rrule = normalizeRRule(merged.rrule);
+  const rule  = parseRRule(rrule);
+  if (!SERIES_FREQS.includes(rule.freq)) {
+    return { error: `FREQ must be one of ${SERIES_FREQS.join(", ")}` };
+  }
+  const byDayTokens = (/(?:^|;)BYDAY=([^;]*)/.exec(rrule) || [, ""])[1];
+  if (byDayTokens && byDayTokens.split(",").length !== rule.byDay.length) {
+    return { error: "BYDAY must list weekdays such as MO,WE,FR" };
+  }
+
+  if (!isValidDate(merged.startDate)) {
+    return { error: "startDate must be YYYY-MM-DD" };
+  }
+  if (!TIME_PATTERN.test(merged.startTime || "") || !TIME_PATTERN.test(merged.endTime || "")) {
+    return { error: "startTime and endTime must be HH:mm" };
+  }
+  if (merged.startTime >= merged.endTime) {
+    return { error: "startTime must be before endTime" };
+  }
+
+  return { value: { ...merged, rrule } };
+}
+
+/**
+ * Whether a series has an occurrence on a local date.
+ * @param {Object} series - { rrule, startDate, exceptions? }.
+ * @param {string} date   - "YYYY-MM-DD".
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreExceptions=false]
+ * @returns {boolean}
+ */
+function occursOn(series, date, { ignoreExceptions = false } = {}) {
+  if (date < series.startDate) return false;
+  if (!ignoreExceptions && (series.exceptions || []).includes(date)) return false;
+
+  const rule   = parseRRule(series.rrule);
+  const start  = floatingDate(series.startDate);
+  const target = floatingDate(date);
+  if (rule.until) {
+    // UNTIL is compared by date; a time part never cuts a day short.
+    const untilDay = rule.until.ms - (rule.until.ms % DAY_MS);
+    if (target > untilDay) return false;
+  }
+
+  if (startMatchesRule(start, rule)) {
+    return expandRule(start, rule, target, { from: target }).includes(target);
+  }
+  // The engine always yields the start; drop it and let COUNT cover
+  // the days the rule actually describes.
+  const counted = rule.count ? { ...rule, count: rule.count + 1 } : rule;
+  return expandRule(start, counted, target, { from: target }).slice(1).includes(target);
+}
+
+// ─────── Exports ───────
+module.exports = {
+  SERIES_FREQS,
+  validateSeries,
+  occursOn
+};
@@ -0,0 +1,334 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/dayPlan.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Plan a user's day: generate free-time blocks from their
+//            calendars and settings, and approve them.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/dayPlan.service
+ * @description
+ *   - Shared by the block endpoints and the daily auto-plan job, so a
+ *     day planned in the background matches one planned on request.
+ *   - Generation merges Google, CalDAV and imported busy time with the
+ *     user's own blocks, clipped to working hours, under the day's
+ *     generation lock.
+ *   - Approval only marks blocks approved; callers queue notifications.
+ */
+
+// ─────── Dependencies ───────
+const dayjs = require("dayjs");
+const minMax = require("dayjs/plugin/minMax");
+
+dayjs.extend(minMax);
+
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+const User              = require("../../models/user");
+const UserEmail         = require("../../models/userEmail");
+const { getBusyTimesUntil } = require("../calendar/appointments.service");
+const { getImportedBusy }   = require("../calendar/busySources.service");
+const { hasVerifiedCalDav, getCalDavBusy } = require("../calendar/calDavSources.service");
+const { enqueueFocusEventSync } = require("../jobs/calendarJobs.service");
+const { calculateFreeIntervals, breakDownFreeTime } = require("./timeBlocks.util");
+const { resolveTimezone, addMinutes, getDayBounds } = require("./timezone.util");
+const { getActiveProfile } = require("./blockProfiles.util");
+const { getWorkingWindow } = require("./workingHours.util");
+const { withGenerationLock } = require("./generationLock.service");
+const { materializeSeriesForDay } = require("./blockSeries.service");
+
+// ─────── Constants ───────
+
+/** MongoDB duplicate-key error code. */
+const DUPLICATE_KEY = 11000;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Merge overlapping busy intervals into consolidated ISO intervals.
+ * @param {Array<{start: string, end: string}>} busyArr - Input intervals.
+ * @returns {Array<{start: string, end: string}>} - Merged intervals.
+ */
+function mergeBusyIntervals(busyArr) {
+  if (!busyArr.length) return [];
+
+  // Convert to dayjs for comparisons.
+  let intervals = busyArr.map(b => ({
+    start: dayjs(b.start),
+    end:   dayjs(b.end)
+  }));
+
+  // Sort by start time to prepare for merge loop.
+  intervals.sort((a, b) => a.start.valueOf() - b.start.valueOf());
+
+  const merged = [];
+  let current = intervals[0];
+
+  for (let i = 1; i < intervals.length; i++) {
+    const next = intervals[i];
+    if (next.start.isBefore(current.end)) {
+      // Extend current end to cover overlap.
+      current.end = dayjs.max(current.end, next.end);
+    } else {
+      merged.push(current);
+      current = next;
+    }
+  }
+  merged.push(current);
+
+  // Format back to ISO strings.
+  return merged.map(i => ({
+    start: i.start.toISOString(),
+    end:   i.end.toISOString()
+  }));
+}
+
+// ─────── Public API ───────
+
+/**
+ * Load the settings that shape block generation for a user.
+ * @param {string} userId - Authenticated user's ID.
+ * @returns {Promise<{tz: string, profile: Object, workingHours: Array}>}
+ *          Timezone, active block profile and per-weekday working hours.
+ */
+async function getPlanningSettings(userId) {
+  const user = await User.findById(userId);
+  return {
+    tz:           resolveTimezone(user?.timezone),
+    profile:      getActiveProfile(user),
+    workingHours: user?.workingHours || []
+  };
+}
+
+/**
+ * Queue Google Calendar syncs for blocks whose state just changed.
+ * @param {string} userId - Owner of the blocks.
+ * @param {Array} blocks - Approved, moved or excluded blocks.
+ * @returns {Promise<void>}
+ */
+async function syncFocusEvents(userId, blocks) {
+  const user = await User.findById(userId);
+  if (user) await enqueueFocusEventSync(blocks, user);
+}
+
+/**
+ * Generate and store a day's free-time blocks for a user.
+ * Day boundaries follow the user's timezone; blocks stay inside the
+ * day's working hours, never start in the past, and follow the active
+ * profile. Past days and days off yield no blocks.
+ * @param {string} userId - Owner of the generated blocks.
+ * @param {string[]} calendarIds - Google calendar email IDs to query;
+ *   the user's CalDAV calendars and imported .ics files are read too.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {{tz: string, profile: Object, workingHours: Array}} settings - From getPlanningSettings.
+ * @returns {Promise<Array>} - Newly inserted blocks.
+ */
+async function generateBlocksForDay(userId, calendarIds, date, { tz, profile, workingHours }) {
+  const now = dayjs().tz(tz);
+
+  // 1. Define the day's boundaries (23h/25h on DST transition days).
+  const { start: startOfDay, end: endOfDay } = getDayBounds(date, tz);
+
+  // Clip to working hours; days off and finished workdays get nothing.
+  const workWindow = getWorkingWindow(workingHours, date, tz);
+  if (!workWindow || !endOfDay.isAfter(now)) return [];
+  const from = dayjs.max(now, workWindow.start);
+  const to   = workWindow.end;
+  if (!to.isAfter(from)) return [];
+
+  // 2. Fetch calendar busy slots for the working window only.
+  const calendarBusy = await getCalendarBusy(userId, calendarIds, from, to, tz);
+
+  // 3. Retrieve user-defined/approved/excluded blocks.
+  const userBlocks = await freedomTimeBlocks.find({
+    userId,
+    sourceType: { $in: ["manual", "approved", "excluded"] },
+    startTime:  { $gte: startOfDay.toDate() },
+    endTime:    { $lte: endOfDay.toDate() }
+  });
+
+  // 4. Convert them to ISO intervals.
+  const userBusy = userBlocks.map(blk => ({
+    start: dayjs(blk.startTime).toISOString(),
+    end:   dayjs(blk.endTime).toISOString()
+  }));
+
+  // 5. Merge calendar, imported and user busy intervals.
+  const mergedBusy = mergeBusyIntervals(calendarBusy.concat(userBusy));
+
+  // 6. Compute free intervals within the working window.
+  const freeIntervals = calculateFreeIntervals(from, to, mergedBusy, tz);
+
+  // Apply the profile's safety buffer next to busy time; the working
+  // window's own edges need no margin.
+  const bufferMin = profile.bufferMinutes;
+  const adjusted  = freeIntervals
+    .map(i => {
+      const s = i.start.isSame(workWindow.start) ? i.start : addMinutes(i.start, bufferMin, tz);
+      const e = i.end.isSame(to) ? i.end : addMinutes(i.end, -bufferMin, tz);
+      return e.isAfter(s) ? { start: s, end: e } : null;
+    })
+    .filter(Boolean);
+
+  // 7. Break adjusted intervals into discrete blocks.
+  const blocks = breakDownFreeTime(adjusted, profile, tz);
+
+  // 8. Build mongoose documents from the blocks' absolute instants.
+  const docs = blocks.map(b => ({
+    userId,
+    startTime:  b.startTime,
+    endTime:    b.endTime,
+    approved:   false,
+    sourceType: "auto"
+  }));
+
+  // 9. Insert new blocks if present. Callers hold the day's generation
+  // lock; the unique (userId, startTime) index on auto blocks, built at
+  // startup by ensureBlockIndexes, is the backstop if a lease expired
+  // mid-run, so duplicates are skipped.
+  if (docs.length) {
+    try {
+      return await freedomTimeBlocks.insertMany(docs, { ordered: false });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err;
+      return err.insertedDocs || [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Refresh a day's suggestions: recurring series occurrences are
+ * materialized first, stale unapproved auto blocks are replaced, and an
+ * empty day is generated from scratch. Days holding only
+ * manual/approved/excluded blocks are left as they are unless `force`
+ * is set or a series occurrence was just added.
+ *
+ * Runs under the day's generation lock. A caller that finds another
+ * run in progress waits for it and returns without regenerating, so
+ * concurrent requests all end up reading the same blocks. A forced
+ * call waits and then regenerates, so the user's request is not lost.
+ * @param {string} userId - Owner of the blocks.
+ * @param {string[]} calendarIds - Calendar email IDs to query.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {Object} settings - From getPlanningSettings.
+ * @param {{force?: boolean}} [options] - Generate even around existing blocks.
+ * @returns {Promise<Array>} - Newly inserted blocks (empty if untouched).
+ */
+async function regenerateDay(userId, calendarIds, date, settings, { force = false } = {}) {
+  const { result } = await withGenerationLock(userId, date, async () => {
+    const occurrences    = await materializeSeriesForDay(userId, date, settings.tz);
+    const { start, end } = getDayBounds(date, settings.tz);
+    const existing = await freedomTimeBlocks.find({
+      userId,
+      startTime: { $gte: start.toDate() },
+      endTime:   { $lte: end.toDate() }
+    });
+
+    const stale = existing.filter(b => !b.approved && b.sourceType === "auto");
+    if (stale.length) {
+      await freedomTimeBlocks.deleteMany({ _id: { $in: stale.map(b => b._id) } });
+    }
+    if (force || stale.length || occurrences.length || !existing.length) {
+      return generateBlocksForDay(userId, calendarIds, date, settings);
+    }
+    return [];
+  }, { waitToRun: force });
+  return result || [];
+}
+
+/**
+ * Fetch a day's visible (non-excluded) blocks in start order.
+ * @param {string} userId - Owner of the blocks.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {string} tz - User's timezone.
+ * @returns {Promise<Array>}
+ */
+async function findDayBlocks(userId, date, tz) {
+  const { start, end } = getDayBounds(date, tz);
+  return freedomTimeBlocks.find({
+    userId,
+    startTime:  { $gte: start.toDate() },
+    endTime:    { $lte: end.toDate() },
+    sourceType: { $nin: ["excluded"] }
+  }).sort({ startTime: 1 });
+}
+
+/**
+ * Mark a day's pending blocks approved.
+ * @param {string} userId - Owner of the blocks.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {string} tz - User's timezone.
+ * @returns {Promise<Array>} - The blocks that were approved.
+ */
+async function approveDay(userId, date, tz) {
+  const { start, end } = getDayBounds(date, tz);
+  const unapproved = await freedomTimeBlocks.find({
+    userId,
+    approved:   false,
+    sourceType: { $nin: ["excluded"] },
+    startTime:  { $gte: start.toDate() },
+    endTime:    { $lte: end.toDate() }
+  }).sort({ startTime: 1 });
+
+  return approveBlocks(unapproved);
+}
+
+
+/**
+ * Calendar busy time in a window: Google, CalDAV, and busy time
+ * imported from .ics uploads.
+ * @param {string} userId - Owner of the calendars.
+ * @param {string[]} calendarIds - Google calendar email IDs to query.
+ * @param {dayjs.Dayjs} from - Window start.
+ * @param {dayjs.Dayjs} to - Window end.
+ * @param {string} tz - User's timezone.
+ * @returns {Promise<Array<{start: string, end: string}>>} - Unmerged intervals.
+ */
+async function getCalendarBusy(userId, calendarIds, from, to, tz) {
+  const { busyArray } = calendarIds.length
+    ? await getBusyTimesUntil(calendarIds, to, tz, from)
+    : { busyArray: [] };
+  const calDavBusy    = await getCalDavBusy(userId, from, to, tz);
+  const importedBusy  = await getImportedBusy(userId, from, to);
+  return busyArray.concat(calDavBusy, importedBusy);
+}
+
+/**
+ * Calendars a user's blocks are generated around.
+ * @param {string} userId - Owner of the calendars.
+ * @returns {Promise<string[]|null>} - Onboarded Google calendar email IDs,
+ *   or null when the user has no verified calendar of any kind.
+ */
+async function getPlanningCalendars(userId) {
+  const emails = await UserEmail.find({ userId, deletedAt: null, isCalendarOnboarded: true });
+  if (!emails.length && !(await hasVerifiedCalDav(userId))) return null;
+  return emails.map(ue => ue.email);
+}
+
+/**
+ * Mark blocks approved.
+ * @param {Array} blocks - Pending block documents.
+ * @returns {Promise<Array>} - The same blocks, now approved.
+ */
+async function approveBlocks(blocks) {
+  for (const blk of blocks) {
+    blk.approved    = true;
+    blk.sourceType  = "approved";
+    await blk.save();
+  }
+  return blocks;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  getPlanningSettings,
+  getPlanningCalendars,
+  getCalendarBusy,
+  syncFocusEvents,
+  generateBlocksForDay,
+  regenerateDay,
+  findDayBlocks,
+  approveDay,
+  approveBlocks
+};
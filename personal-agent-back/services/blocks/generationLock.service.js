@@ -0,0 +1,145 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/generationLock.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Per-user, per-day lock around block generation so that
+//            concurrent requests converge on a single set of blocks.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/generationLock.service
+ * @description
+ *   - Acquires a lease on a (user, date) run record with an atomic upsert;
+ *     the record's unique index turns a lost race into a duplicate-key error.
+ *   - Callers that lose the race wait for the holder to finish instead of
+ *     regenerating, so they read the holder's blocks. Callers that must
+ *     run (a forced regenerate) take the lease next and run after it.
+ *   - Leases expire, so a crashed process cannot block a day forever.
+ *     Each lease carries a holder token, so a run that outlived its lease
+ *     cannot release the next holder's.
+ */
+
+// ─────── Dependencies ───────
+const crypto             = require("crypto");
+const BlockGenerationRun = require("../../models/blockGenerationRun");
+
+// ─────── Constants ───────
+
+/** How long a run may hold a day before others may take over. */
+const LOCK_TTL_MS = 60 * 1000;
+
+/** Interval between checks while waiting for another run. */
+const POLL_INTERVAL_MS = 100;
+
+/** MongoDB duplicate-key error code. */
+const DUPLICATE_KEY = 11000;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Resolve after the given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    timer.unref();
+  });
+}
+
+/**
+ * Try to take the lease for a user's day.
+ * @param {string} userId
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @returns {Promise<string|null>} - Holder token if this caller now holds the lease.
+ */
+async function acquire(userId, date) {
+  const now    = new Date();
+  const holder = crypto.randomUUID();
+  try {
+    await BlockGenerationRun.findOneAndUpdate(
+      {
+        userId,
+        date,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + LOCK_TTL_MS), holder, lastStartedAt: now },
+        $inc: { runCount: 1 }
+      },
+      { upsert: true }
+    );
+    return holder;
+  } catch (err) {
+    // The filter missed because the day is locked, so the upsert hit the unique index.
+    if (err.code === DUPLICATE_KEY) return null;
+    throw err;
+  }
+}
+
+/**
+ * Release the lease and record completion, unless it has expired and
+ * another run holds it now.
+ * @param {string} userId
+ * @param {string} date
+ * @param {string} holder - Token from acquire.
+ * @returns {Promise<void>}
+ */
+async function release(userId, date, holder) {
+  await BlockGenerationRun.updateOne(
+    { userId, date, holder },
+    { $set: { lockedUntil: null, holder: null, lastCompletedAt: new Date() } }
+  );
+}
+
+/**
+ * Wait until no live lease is held on a user's day.
+ * Gives up once a full lease period has passed.
+ * @param {string} userId
+ * @param {string} date
+ * @returns {Promise<void>}
+ */
+async function waitForRelease(userId, date) {
+  const deadline = Date.now() + LOCK_TTL_MS;
+  while (Date.now() < deadline) {
+    const run = await BlockGenerationRun.findOne({ userId, date }).lean();
+    if (!run?.lockedUntil || run.lockedUntil <= new Date()) return;
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// ─────── Public API ───────
+
+/**
+ * Run `task` while holding the generation lease for a user's day.
+ * If another run already holds it, wait for that run to finish and
+ * skip `task`: the other run's result is the day's result. With
+ * `waitToRun`, take the lease once it is free and run `task` anyway.
+ *
+ * @param {string} userId - Owner of the day.
+ * @param {string} date - Local date "YYYY-MM-DD".
+ * @param {function(): Promise<*>} task - Generation work.
+ * @param {Object} [options]
+ * @param {boolean} [options.waitToRun=false] - Run after the current holder instead of skipping.
+ * @returns {Promise<{ran: boolean, result?: *}>}
+ */
+async function withGenerationLock(userId, date, task, { waitToRun = false } = {}) {
+  let holder = await acquire(userId, date);
+  while (!holder) {
+    await waitForRelease(userId, date);
+    if (!waitToRun) return { ran: false };
+    holder = await acquire(userId, date);
+  }
+  try {
+    return { ran: true, result: await task() };
+  } finally {
+    await release(userId, date, holder);
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  withGenerationLock,
+  LOCK_TTL_MS
+};
@@ -0,0 +1,68 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/orphanBlocks.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Find and fix blocks stored before blocks had an owner.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/orphanBlocks.service
+ * @description
+ *   - Blocks saved before `userId` was required have none, so no user's
+ *     queries reach them and their null owner collides in the unique
+ *     suggestion index.
+ *   - `assignOrphanBlocks` hands the kept blocks to one user;
+ *     `deleteOrphanBlocks` removes them. Orphan suggestions are deleted
+ *     either way: generation recreates them for the owner and keeping
+ *     them could duplicate the owner's own suggestions.
+ *   - Run through scripts/fixOrphanBlocks.js.
+ */
+
+// ─────── Dependencies ───────
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+
+// ─────── Constants ───────
+
+/** Matches blocks whose userId is null or missing. */
+const ORPHAN_FILTER = { userId: null };
+
+// ─────── Public API ───────
+
+/**
+ * Count orphan blocks by sourceType.
+ * @returns {Promise<Object<string, number>>} - e.g. { auto: 3, approved: 1 }.
+ */
+async function countOrphanBlocks() {
+  const rows = await freedomTimeBlocks.aggregate([
+    { $match: ORPHAN_FILTER },
+    { $group: { _id: "$sourceType", count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id || "unknown", row.count]));
+}
+
+/**
+ * Give orphan blocks to one user, deleting orphan suggestions.
+ * @param {ObjectId|string} userId - The new owner.
+ * @returns {Promise<{ assigned: number, deleted: number }>}
+ */
+async function assignOrphanBlocks(userId) {
+  const { deletedCount } = await freedomTimeBlocks.deleteMany({ ...ORPHAN_FILTER, sourceType: "auto" });
+  const { modifiedCount } = await freedomTimeBlocks.updateMany(ORPHAN_FILTER, { $set: { userId } });
+  return { assigned: modifiedCount, deleted: deletedCount };
+}
+
+/**
+ * Delete every orphan block.
+ * @returns {Promise<{ assigned: number, deleted: number }>}
+ */
+async function deleteOrphanBlocks() {
+  const { deletedCount } = await freedomTimeBlocks.deleteMany(ORPHAN_FILTER);
+  return { assigned: 0, deleted: deletedCount };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  countOrphanBlocks,
+  assignOrphanBlocks,
+  deleteOrphanBlocks
+};
@@ -10,9 +10,11 @@
  * @module TimeBlocksUtil
  * @description
  *   - Calculate free intervals given busy intervals and boundaries.
- *   - Break free intervals into discrete blocks of 50- and 25-minute
- *     durations with configured gaps.
- *   - Round timestamps to half-hour or full-hour boundaries.
+ *   - Break free intervals into discrete blocks using a block profile
+ *     (length, minimum length, gap and alignment).
+ *   - Round timestamps up to the profile's alignment boundary.
+ *   - All arithmetic is done on instants in the caller's timezone so
+ *     block boundaries stay correct on DST transition days.
  */
 
 // ─────────────── Dependencies ───────────────
@@ -21,6 +23,12 @@ const utc      = require("dayjs/plugin/utc");
 const timezone = require("dayjs/plugin/timezone");
 const isSameOrBefore = require("dayjs/plugin/isSameOrBefore");
 
+const {
+  DEFAULT_TIMEZONE,
+  inZone,
+  addMinutes
+} = require("./timezone.util");
+
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(isSameOrBefore);
@@ -33,17 +41,18 @@ dayjs.extend(isSameOrBefore);
  * @param {dayjs.Dayjs} endTime     End boundary for free time.
  * @param {Array<{start: string, end: string}>} busyArray
  *        List of busy intervals with ISO start/end strings.
+ * @param {string} [tz=DEFAULT_TIMEZONE]  User's IANA timezone.
  * @returns {Array<{start: dayjs.Dayjs, end: dayjs.Dayjs}>}
  *          Array of free intervals as dayjs objects.
  */
-function calculateFreeIntervals(now, endTime, busyArray) {
+function calculateFreeIntervals(now, endTime, busyArray, tz = DEFAULT_TIMEZONE) {
   const freeIntervals = [];
   let lastEnd = now;
 
   busyArray.forEach((b) => {
-    // Parse busy interval into Denver timezone for comparison
-    const busyStart = dayjs.utc(b.start).tz("America/Denver");
-    const busyEnd   = dayjs.utc(b.end).tz("America/Denver");
+    // Parse busy interval into the user's timezone for comparison
+    const busyStart = inZone(b.start, tz);
+    const busyEnd   = inZone(b.end, tz);
 
     // If there is a gap between last end and the next busy start, record it
     if (busyStart.isAfter(lastEnd)) {
@@ -64,99 +73,87 @@ function calculateFreeIntervals(now, endTime, busyArray) {
 }
 
 /**
- * Break free intervals into blocks of 50 or 25 minutes,
- * inserting gaps between blocks (10 or 5 mins).
+ * Break free intervals into focus blocks according to a profile.
+ *
+ * Each interval's first block starts on the profile's alignment
+ * boundary (local wall clock). Blocks of `blockMinutes` follow, each
+ * separated by `gapMinutes`; when less than a full block remains,
+ * one shorter block is added if it is at least `minBlockMinutes`
+ * (rounded down to 5 minutes).
  *
  * @param {Array<{start: dayjs.Dayjs, end: dayjs.Dayjs}>} freeIntervals
  *        List of free intervals.
- * @returns {Array<{start: string, end: string, length: number}>}
- *          Array of block objects with HH:mm strings and duration.
+ * @param {Object} profile  Block profile (see blockProfiles.util).
+ * @param {string} [tz=DEFAULT_TIMEZONE]  User's IANA timezone.
+ * @returns {Array<{start: string, end: string, startTime: Date, endTime: Date, length: number}>}
+ *          Array of block objects with local HH:mm strings, absolute
+ *          start/end instants, and duration.
  */
-function breakDownFreeTime(freeIntervals) {
+function breakDownFreeTime(freeIntervals, profile, tz = DEFAULT_TIMEZONE) {
   const blocks = [];
 
   freeIntervals.forEach((interval) => {
-    // Initialize pointer at the nearest half-hour boundary
-    let pointer = roundToHalfHour(interval.start);
-
-    // If pointer falls exactly on :30, attempt a 25-min block first
-    if (pointer.minute() === 30 && pointer.isBefore(interval.end)) {
-      const next25 = pointer.add(25, "minute");
-      if (next25.isBefore(interval.end)) {
-        blocks.push({
-          start: pointer.format("HH:mm"),
-          end:   next25.format("HH:mm"),
-          length: 25
-        });
-        // Round up to the next hour after the 25-min block
-        pointer = roundUpToHour(next25);
-      }
-    }
+    // Initialize pointer at the profile's alignment boundary
+    let pointer = alignUp(interval.start, profile.alignMinutes, tz);
 
-    // Fill remaining time with blocks and gaps until interval end
+    // Fill time with blocks and gaps until interval end
     while (pointer.isBefore(interval.end)) {
-      const end50 = pointer.add(50, "minute");
-      if (end50.isSameOrBefore(interval.end)) {
-        // Add a 50-min block with a 10-min gap
-        blocks.push({
-          start: pointer.format("HH:mm"),
-          end:   end50.format("HH:mm"),
-          length: 50
-        });
-        pointer = end50.add(10, "minute");
-      } else {
-        const end25 = pointer.add(25, "minute");
-        if (end25.isSameOrBefore(interval.end)) {
-          // Add a 25-min block with a 5-min gap
-          blocks.push({
-            start: pointer.format("HH:mm"),
-            end:   end25.format("HH:mm"),
-            length: 25
-          });
-          pointer = end25.add(5, "minute");
-        } else {
-          // No more room for a standard block, exit loop
-          break;
-        }
+      const remaining = interval.end.diff(pointer, "minute");
+      const length    = Math.min(profile.blockMinutes, remaining - (remaining % 5));
+
+      if (length < profile.minBlockMinutes) {
+        // No more room for a worthwhile block, exit loop
+        break;
       }
+
+      const blockEnd = addMinutes(pointer, length, tz);
+      blocks.push(toBlock(pointer, blockEnd, length));
+      pointer = addMinutes(blockEnd, profile.gapMinutes, tz);
     }
   });
 
-  // Special-case tweak: add a final block if last ends at specific time
-  const last = blocks[blocks.length - 1];
-  if (last && last.end === "15:20") {
-    blocks.push({ start: "15:30", end: "15:55", length: 25 });
-  }
-
   return blocks;
 }
 
 // ─────────────── Helper Functions ───────────────
 /**
- * Round a dayjs timestamp to the nearest half-hour boundary.
- * If minutes < 30 → set to :30; else → bump to next full hour.
+ * Build a block record from two zoned instants.
  *
- * @param {dayjs.Dayjs} d  Input timestamp.
- * @returns {dayjs.Dayjs}
+ * @param {dayjs.Dayjs} start
+ * @param {dayjs.Dayjs} end
+ * @param {number} length  Duration in minutes.
+ * @returns {{start: string, end: string, startTime: Date, endTime: Date, length: number}}
  */
-function roundToHalfHour(d) {
-  const m = d.minute();
-  if (m < 30) {
-    // move up to the half-hour mark
-    return d.set("minute", 30).set("second", 0).set("millisecond", 0);
-  }
-  // move up to the next hour mark
-  return d.set("minute", 60).set("second", 0).set("millisecond", 0);
+function toBlock(start, end, length) {
+  return {
+    start:     start.format("HH:mm"),
+    end:       end.format("HH:mm"),
+    startTime: start.toDate(),
+    endTime:   end.toDate(),
+    length
+  };
 }
 
 /**
- * Round a dayjs timestamp up to the next full hour.
+ * Round a dayjs timestamp up to the next alignment boundary.
+ * Minutes are read from the local wall clock, then added as an
+ * absolute offset so the result carries the correct UTC offset.
+ * Timestamps already on a boundary are returned unchanged.
  *
- * @param {dayjs.Dayjs} d  Input timestamp.
+ * @param {dayjs.Dayjs} d        Input timestamp.
+ * @param {number} alignMinutes  Boundary size; must divide 60.
+ * @param {string} tz            IANA timezone.
  * @returns {dayjs.Dayjs}
  */
-function roundUpToHour(d) {
-  return d.set("minute", 60).set("second", 0).set("millisecond", 0);
+function alignUp(d, alignMinutes, tz) {
+  const local     = inZone(d, tz);
+  const overshoot = local.minute() % alignMinutes;
+  const partial   = local.second() > 0 || local.millisecond() > 0;
+
+  if (overshoot === 0 && !partial) return local;
+
+  const truncated = local.valueOf() - (local.second() * 1000 + local.millisecond());
+  return addMinutes(dayjs(truncated), alignMinutes - overshoot, tz);
 }
 
 // ─────────────── Exports ───────────────
@@ -0,0 +1,155 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/timezone.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Timezone helpers for per-user day boundaries and
+//            DST-safe minute arithmetic on dayjs objects.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/timezone.util
+ * @description
+ *   - Validates IANA timezone names and falls back to a default.
+ *   - Computes a local calendar day's [start, end) boundaries.
+ *   - Enumerates and validates local calendar dates.
+ *   - Adds minutes on the absolute timeline and re-applies the zone,
+ *     so offsets stay correct across DST transitions.
+ */
+
+// ─────── Dependencies ───────
+const dayjs    = require("dayjs");
+const utc      = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ─────── Constants ───────
+
+/**
+ * Timezone used when a user has none stored or an invalid one.
+ * Matches the value assigned at registration.
+ */
+const DEFAULT_TIMEZONE = "UTC";
+
+// ─────── Utility Functions ───────
+
+/**
+ * Check whether a string is an IANA timezone known to the runtime.
+ *
+ * @param {string} tz  Candidate timezone name (e.g. "Europe/Berlin").
+ * @returns {boolean}  True if Intl accepts the name.
+ */
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Return the timezone if valid, otherwise DEFAULT_TIMEZONE.
+ *
+ * @param {string} tz  Stored timezone name.
+ * @returns {string}   A timezone safe to pass to dayjs.tz.
+ */
+function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Express an instant in the given timezone with the offset that is
+ * actually in effect at that instant.
+ *
+ * @param {dayjs.Dayjs|Date|string|number} instant  Any dayjs-parsable instant.
+ * @param {string} tz                               IANA timezone.
+ * @returns {dayjs.Dayjs}
+ */
+function inZone(instant, tz) {
+  return dayjs.utc(dayjs(instant).valueOf()).tz(tz);
+}
+
+/**
+ * Add minutes to an instant and re-zone the result.
+ * dayjs' own `add()` keeps the original UTC offset, which shifts
+ * wall-clock fields by an hour once a DST transition is crossed.
+ *
+ * @param {dayjs.Dayjs} d        Starting instant.
+ * @param {number} minutes       Minutes to add (may be negative).
+ * @param {string} tz            IANA timezone.
+ * @returns {dayjs.Dayjs}
+ */
+function addMinutes(d, minutes, tz) {
+  return inZone(d.valueOf() + minutes * 60 * 1000, tz);
+}
+
+/**
+ * Compute the boundaries of a local calendar day.
+ * The end is the next day's midnight (exclusive), so DST days span
+ * 23 or 25 hours as they do on the wall clock.
+ *
+ * @param {string} date  Local date as "YYYY-MM-DD".
+ * @param {string} tz    IANA timezone.
+ * @returns {{ start: dayjs.Dayjs, end: dayjs.Dayjs }}
+ */
+function getDayBounds(date, tz) {
+  const nextDate = dayjs(date).add(1, "day").format("YYYY-MM-DD");
+  return {
+    start: dayjs.tz(`${date} 00:00`, "YYYY-MM-DD HH:mm", tz),
+    end:   dayjs.tz(`${nextDate} 00:00`, "YYYY-MM-DD HH:mm", tz)
+  };
+}
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a timezone.
+ *
+ * @param {dayjs.Dayjs|Date|string|number} instant
+ * @param {string} tz
+ * @returns {string}
+ */
+function localDate(instant, tz) {
+  return inZone(instant, tz).format("YYYY-MM-DD");
+}
+
+/**
+ * Check for a real calendar date in "YYYY-MM-DD" form.
+ *
+ * @param {string} date
+ * @returns {boolean}  False for malformed strings and dates like 2025-02-30.
+ */
+function isValidDate(date) {
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  return dayjs(date).format("YYYY-MM-DD") === date;
+}
+
+/**
+ * List local calendar dates from start to end, inclusive.
+ * Dates are plain strings, so no timezone is involved.
+ *
+ * @param {string} startDate  "YYYY-MM-DD".
+ * @param {string} endDate    "YYYY-MM-DD" (on or after startDate).
+ * @returns {string[]}
+ */
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let d = dayjs(startDate); !d.isAfter(dayjs(endDate)); d = d.add(1, "day")) {
+    dates.push(d.format("YYYY-MM-DD"));
+  }
+  return dates;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  inZone,
+  addMinutes,
+  getDayBounds,
+  localDate,
+  isValidDate,
+  listDates
+};
@@ -0,0 +1,116 @@
+// ------------------------------------------------------------------
+// Module:    services/blocks/workingHours.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Per-weekday working-hours defaults, validation, and the
+//            local working window used to clip block generation.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/blocks/workingHours.util
+ * @description
+ *   Each user stores one entry per weekday:
+ *     { day: "monday", off: false, start: "08:00", end: "18:00" }
+ *   Times are local wall-clock "HH:mm"; an end of "24:00" means the
+ *   following midnight. Days marked `off` produce no blocks.
+ */
+
+// ─────── Dependencies ───────
+const dayjs = require("dayjs");
+const { getDayBounds } = require("./timezone.util");
+
+// ─────── Constants ───────
+
+/** Weekday keys, indexed like dayjs().day() (0 = Sunday). */
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** The whole day, so generation is not clipped until the user sets their hours. */
+const DEFAULT_DAY = { off: false, start: "00:00", end: "24:00" };
+
+/** "HH:mm" from 00:00 to 24:00, on 5-minute marks. */
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5][05])|24:00)$/;
+
+// ─────── Utility Functions ───────
+
+/**
+ * Fresh default working hours, for use as a schema default.
+ *
+ * @returns {Array<Object>}  One entry per weekday, Sunday first.
+ */
+function defaultWorkingHours() {
+  return WEEKDAYS.map(day => ({ day, ...DEFAULT_DAY }));
+}
+
+/**
+ * Minutes since local midnight for an "HH:mm" string.
+ *
+ * @param {string} hhmm
+ * @returns {number}
+ */
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Validate one weekday entry.
+ *
+ * @param {Object} entry  Candidate { day, off, start, end }.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateWorkingDay(entry) {
+  if (!WEEKDAYS.includes(entry?.day)) {
+    return `day must be one of ${WEEKDAYS.join(", ")}.`;
+  }
+  if (typeof entry.off !== "boolean") {
+    return "off must be true or false.";
+  }
+  if (!TIME_PATTERN.test(entry.start || "") || !TIME_PATTERN.test(entry.end || "")) {
+    return "start and end must be HH:mm on 5-minute marks.";
+  }
+  if (toMinutes(entry.start) >= toMinutes(entry.end)) {
+    return "start must be before end.";
+  }
+  return null;
+}
+
+/**
+ * Find the stored entry for a local date.
+ *
+ * @param {Array<Object>} workingHours  User's entries (may be empty).
+ * @param {string} date                 Local date "YYYY-MM-DD".
+ * @returns {Object}                    Entry for that weekday, or the default.
+ */
+function getWorkingDay(workingHours, date) {
+  const day = WEEKDAYS[dayjs(date).day()];
+  return (workingHours || []).find(w => w.day === day) || { day, ...DEFAULT_DAY };
+}
+
+/**
+ * Absolute working window for a local date.
+ *
+ * @param {Array<Object>} workingHours  User's entries.
+ * @param {string} date                 Local date "YYYY-MM-DD".
+ * @param {string} tz                   IANA timezone.
+ * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs}|null}
+ *          Window in the user's timezone, or null on a day off.
+ */
+function getWorkingWindow(workingHours, date, tz) {
+  const entry = getWorkingDay(workingHours, date);
+  if (entry.off) return null;
+
+  const at = hhmm => hhmm === "24:00"
+    ? getDayBounds(date, tz).end
+    : dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz);
+
+  return { start: at(entry.start), end: at(entry.end) };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  WEEKDAYS,
+  defaultWorkingHours,
+  validateWorkingDay,
+  getWorkingDay,
+  getWorkingWindow
+};
@@ -7,34 +7,32 @@ const timezone = require("dayjs/plugin/timezone");
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
-const { createCalendarClient } = require("./calendarAuth.service");
+const { getCalendarProvider } = require("./calendarProvider");
+const { DEFAULT_TIMEZONE } = require("../blocks/timezone.util");
 
 /**
- * Query free/busy from now until a specified endTime for a given calendar.
+ * Query free/busy between startTime (default: now) and endTime for the given calendars.
  * Return the 'busy' array from the response.
+ * `tz` is the user's timezone, used for `now` and the API's timeZone.
+ * `startTime` lets callers look at future days without fetching everything up to them.
  */
-async function getBusyTimesUntil(calendarIds, endTime) {
-    const calendar = createCalendarClient();
-    const now = dayjs().tz("America/Denver");
+async function getBusyTimesUntil(calendarIds, endTime, tz = DEFAULT_TIMEZONE, startTime = null) {
+    const now = dayjs().tz(tz);
+    const timeMin = startTime ? dayjs(startTime) : now;
   
-    // Prepare multiple items
-    const items = calendarIds.map((id) => ({ id }));
-  
-    const resp = await calendar.freebusy.query({
-      requestBody: {
-        timeMin: now.toISOString(),
-        timeMax: endTime.toISOString(),
-        timeZone: "America/Denver",
-        items,
-      },
+    const calendars = await getCalendarProvider().freeBusy({
+      calendarIds,
+      timeMin: timeMin.toISOString(),
+      timeMax: endTime.toISOString(),
+      tz,
     });
 
-    console.log(`Calendar Ids:`, items);
+    console.log(`Calendar Ids:`, calendarIds);
 
         // Combine busy arrays
     let allBusy = [];
     for (const calId of calendarIds) {
-      const busyForCal = resp.data.calendars[calId].busy || [];
+      const busyForCal = calendars[calId]?.busy || [];
       allBusy = [...allBusy, ...busyForCal];
     }
   
@@ -91,24 +89,22 @@ async function getBusyTimesUntil(calendarIds, endTime) {
 
 /**
  * Example: list appointments (events) in a given time range
+ * Event times are returned in the user's timezone `tz`.
  */
-async function listAppointments(calendarId = "primary", timeMin, timeMax) {
-  const calendar = createCalendarClient();
+async function listAppointments(calendarId = "primary", timeMin, timeMax, tz = DEFAULT_TIMEZONE) {
   console.log(`Min Time:`, timeMin);
   console.log(`Max Time:`, timeMax);
 
-  const res = await calendar.events.list({
+  const items = await getCalendarProvider().listEvents({
     calendarId,
     timeMin: dayjs(timeMin).toISOString(),
     timeMax: dayjs(timeMax).toISOString(),
-    timeZone: "America/Denver",  // <--- Specify the timezone here
-    singleEvents: true,
-    orderBy: "startTime",
+    tz,  // <--- Specify the timezone here
   });
 
-  console.log(`Calender Appointments:`, res.data.items);
+  console.log(`Calender Appointments:`, items);
   // This returns a list of event objects
-  return res.data.items; 
+  return items;
 }
 
 module.exports = {
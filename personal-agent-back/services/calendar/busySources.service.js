@@ -0,0 +1,148 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/busySources.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Store and query busy time imported from non-Google
+//            calendars, such as uploaded .ics files.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/busySources.service
+ * @description
+ *   - Parses an uploaded .ics file and stores its busy intervals,
+ *     expanded from yesterday to IMPORT_HORIZON_DAYS ahead.
+ *   - Lists and deletes a user's sources.
+ *   - Returns the stored intervals overlapping a window, in the same
+ *     `{ start, end }` ISO shape as Google free/busy, for generation.
+ */
+
+// ─────── Dependencies ───────
+const mongoose         = require("mongoose");
+const BusySource       = require("../../models/busySource");
+const { parseIcsBusy } = require("./icsImport.util");
+
+// ─────── Constants ───────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** How far ahead recurrences are expanded on import. */
+const IMPORT_HORIZON_DAYS = 365;
+
+/** Largest accepted .ics upload. */
+const MAX_ICS_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+/** Maximum sources per user. */
+const MAX_SOURCES_PER_USER = 20;
+
+/** Fields returned when listing sources; intervals stay server-side. */
+const SUMMARY_FIELDS = "type name filename eventCount intervalCount truncated coveredFrom coveredUntil createdAt";
+
+// ─────── Helper Functions ───────
+
+/**
+ * Error for an upload the user must fix; routes answer it with a 400.
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidUpload(message) {
+  const err = new Error(message);
+  err.code = 400;
+  return err;
+}
+
+// ─────── Public API ───────
+
+/**
+ * List a user's imported sources, newest first.
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+function listBusySources(userId) {
+  return BusySource.find({ userId }).select(SUMMARY_FIELDS).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Parse and store an uploaded .ics file.
+ * @param {string} userId
+ * @param {Object} upload
+ * @param {string} upload.text        File contents.
+ * @param {string} [upload.filename]  Original file name.
+ * @param {string} [upload.name]      Display name; defaults to the
+ *                                    calendar's X-WR-CALNAME or file name.
+ * @param {string} tz                 User's timezone, for floating times.
+ * @returns {Promise<Object>}         The stored source, without intervals.
+ * @throws {Error} With `code` 400 when the file cannot be imported.
+ */
+async function importIcsSource(userId, { text, filename, name }, tz) {
+  const existing = await BusySource.countDocuments({ userId });
+  if (existing >= MAX_SOURCES_PER_USER) {
+    throw invalidUpload(`At most ${MAX_SOURCES_PER_USER} imported calendars are allowed`);
+  }
+
+  const coveredFrom  = new Date(Date.now() - DAY_MS);
+  const coveredUntil = new Date(Date.now() + IMPORT_HORIZON_DAYS * DAY_MS);
+  let parsed;
+  try {
+    parsed = parseIcsBusy(text, { from: coveredFrom, to: coveredUntil, tz });
+  } catch (err) {
+    throw invalidUpload(err.message);
+  }
+
+  const source = await BusySource.create({
+    userId,
+    type:          "ics",
+    name:          (name && name.trim()) || parsed.name || filename || "Imported calendar",
+    filename:      filename || null,
+    eventCount:    parsed.eventCount,
+    intervalCount: parsed.intervals.length,
+    truncated:     parsed.truncated,
+    coveredFrom,
+    coveredUntil,
+    intervals:     parsed.intervals
+  });
+
+  const { intervals, ...summary } = source.toObject();
+  return summary;
+}
+
+/**
+ * Delete one of a user's sources.
+ * @param {string} userId
+ * @param {string} sourceId
+ * @returns {Promise<boolean>} Whether a source was deleted.
+ */
+async function deleteBusySource(userId, sourceId) {
+  if (!mongoose.isValidObjectId(sourceId)) return false;
+  const { deletedCount } = await BusySource.deleteOne({ _id: sourceId, userId });
+  return deletedCount > 0;
+}
+
+/**
+ * Imported busy intervals overlapping a window.
+ * @param {string} userId
+ * @param {Date|dayjs.Dayjs} from
+ * @param {Date|dayjs.Dayjs} to
+ * @returns {Promise<Array<{start: string, end: string}>>}
+ */
+async function getImportedBusy(userId, from, to) {
+  const start = new Date(from.valueOf());
+  const end   = new Date(to.valueOf());
+  const rows  = await BusySource.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: "$intervals" },
+    { $match: { "intervals.start": { $lt: end }, "intervals.end": { $gt: start } } },
+    { $project: { _id: 0, start: "$intervals.start", end: "$intervals.end" } }
+  ]);
+  return rows.map(r => ({ start: r.start.toISOString(), end: r.end.toISOString() }));
+}
+
+// ─────── Exports ───────
+module.exports = {
+  IMPORT_HORIZON_DAYS,
+  MAX_ICS_UPLOAD_BYTES,
+  MAX_SOURCES_PER_USER,
+  listBusySources,
+  importIcsSource,
+  deleteBusySource,
+  getImportedBusy
+};
@@ -0,0 +1,147 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/calDavSources.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Read busy time and appointments from a user's verified
+//            CalDAV calendars.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/calDavSources.service
+ * @description
+ *   - Queries each verified CalDAV calendar for the window and expands
+ *     the returned events with icsImport.util, like uploaded .ics files.
+ *   - Returns busy intervals in the `{ start, end }` ISO shape of Google
+ *     free/busy, and appointments in the shape of Google events
+ *     (`start.dateTime`, `end.dateTime`, `summary`) for the schedule.
+ *   - A calendar that fails to answer is skipped and its `lastError`
+ *     recorded, so one unreachable server does not fail the schedule.
+ */
+
+// ─────── Dependencies ───────
+const CalDavCalendar           = require("../../models/calDavCalendar");
+const { fetchCalendarObjects } = require("./caldav.client");
+const { parseIcsBusy }         = require("./icsImport.util");
+const { decryptSecret }        = require("../secrets.util");
+const { inZone }               = require("../blocks/timezone.util");
+
+// ─────── Helper Functions ───────
+
+/**
+ * Connection details for a stored calendar.
+ * @param {Object} calendar - CalDavCalendar document.
+ * @returns {{url: string, username: string, password: string}}
+ */
+function credentialsOf(calendar) {
+  return {
+    url:      calendar.url,
+    username: calendar.username,
+    password: decryptSecret(calendar.passwordEncrypted)
+  };
+}
+
+/**
+ * Busy intervals of one calendar within a window. Failures are logged,
+ * stored as `lastError`, and yield no intervals.
+ * @param {Object} calendar - CalDavCalendar document.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} tz - User's timezone, for floating and all-day events.
+ * @returns {Promise<Array<{start: Date, end: Date, summary: string}>>}
+ */
+async function readCalendar(calendar, from, to, tz) {
+  let objects;
+  try {
+    objects = await fetchCalendarObjects(credentialsOf(calendar), from, to);
+  } catch (err) {
+    console.error(`CalDAV calendar ${calendar._id} could not be read:`, err.message);
+    await CalDavCalendar.updateOne({ _id: calendar._id }, { lastError: err.message });
+    return [];
+  }
+  if (calendar.lastError) {
+    await CalDavCalendar.updateOne({ _id: calendar._id }, { lastError: null });
+  }
+
+  return objects.flatMap(text => {
+    try {
+      return parseIcsBusy(text, { from, to, tz }).intervals;
+    } catch {
+      return []; // not a VCALENDAR; ignore the resource
+    }
+  });
+}
+
+/**
+ * Read every verified calendar of a user.
+ * @param {string} userId
+ * @param {Date|dayjs.Dayjs} from
+ * @param {Date|dayjs.Dayjs} to
+ * @param {string} tz
+ * @returns {Promise<Array<{calendar: Object, intervals: Object[]}>>}
+ */
+async function readVerifiedCalendars(userId, from, to, tz) {
+  const calendars = await CalDavCalendar.find({ userId, isVerified: true });
+  const start     = new Date(from.valueOf());
+  const end       = new Date(to.valueOf());
+  const results   = [];
+  for (const calendar of calendars) {
+    results.push({ calendar, intervals: await readCalendar(calendar, start, end, tz) });
+  }
+  return results;
+}
+
+// ─────── Public API ───────
+
+/**
+ * Whether a user has at least one verified CalDAV calendar.
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function hasVerifiedCalDav(userId) {
+  return Boolean(await CalDavCalendar.exists({ userId, isVerified: true }));
+}
+
+/**
+ * Busy intervals from a user's CalDAV calendars overlapping a window.
+ * @param {string} userId
+ * @param {Date|dayjs.Dayjs} from
+ * @param {Date|dayjs.Dayjs} to
+ * @param {string} tz
+ * @returns {Promise<Array<{start: string, end: string}>>}
+ */
+async function getCalDavBusy(userId, from, to, tz) {
+  const results = await readVerifiedCalendars(userId, from, to, tz);
+  return results.flatMap(({ intervals }) =>
+    intervals.map(i => ({ start: i.start.toISOString(), end: i.end.toISOString() }))
+  );
+}
+
+/**
+ * Appointments from a user's CalDAV calendars, shaped like Google events.
+ * @param {string} userId
+ * @param {Date|dayjs.Dayjs} timeMin
+ * @param {Date|dayjs.Dayjs} timeMax
+ * @param {string} tz - Times are returned with this zone's offset.
+ * @returns {Promise<Object[]>}
+ */
+async function listCalDavAppointments(userId, timeMin, timeMax, tz) {
+  const results = await readVerifiedCalendars(userId, timeMin, timeMax, tz);
+  return results.flatMap(({ calendar, intervals }) =>
+    intervals.map(i => ({
+      id:       `caldav-${calendar._id}-${i.start.getTime()}`,
+      summary:  i.summary,
+      start:    { dateTime: inZone(i.start, tz).format() },
+      end:      { dateTime: inZone(i.end, tz).format() },
+      source:   "caldav",
+      calendar: calendar.displayName
+    }))
+  );
+}
+
+// ─────── Exports ───────
+module.exports = {
+  credentialsOf,
+  hasVerifiedCalDav,
+  getCalDavBusy,
+  listCalDavAppointments
+};
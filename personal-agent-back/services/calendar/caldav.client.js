@@ -0,0 +1,162 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/caldav.client.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Minimal CalDAV (RFC 4791) client for reading events from
+//            Nextcloud, Fastmail and other CalDAV servers.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/caldav.client
+ * @description
+ *   - Runs a calendar-query REPORT with a VEVENT time-range filter and
+ *     returns each matching resource's iCalendar text. Recurrences are
+ *     expanded locally by icsImport.util rather than with the server's
+ *     <C:expand>, which not every server supports.
+ *   - Uses HTTP Basic auth; Nextcloud and Fastmail both expect an
+ *     app-specific password here.
+ *   - verifyCalDav() runs the same query over a short window, so a
+ *     verified calendar is one generation can actually read.
+ */
+
+// ─────── Constants ───────
+
+/** Per-request timeout. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** Window probed when verifying a calendar. */
+const VERIFY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** XML entities that may appear in calendar-data. */
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+// ─────── Helper Functions ───────
+
+/**
+ * Format an instant as a CalDAV UTC time ("20260302T090000Z").
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+function caldavTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * calendar-query REPORT body for VEVENTs overlapping a window.
+ * @param {Date|string} timeMin
+ * @param {Date|string} timeMax
+ * @returns {string}
+ */
+function calendarQueryBody(timeMin, timeMax) {
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<C:calendar-query xmlns:D=\"DAV:\" xmlns:C=\"urn:ietf:params:xml:ns:caldav\">",
+    "  <D:prop><D:getetag/><C:calendar-data/></D:prop>",
+    "  <C:filter>",
+    "    <C:comp-filter name=\"VCALENDAR\">",
+    "      <C:comp-filter name=\"VEVENT\">",
+    `        <C:time-range start="${caldavTime(timeMin)}" end="${caldavTime(timeMax)}"/>`,
+    "      </C:comp-filter>",
+    "    </C:comp-filter>",
+    "  </C:filter>",
+    "</C:calendar-query>"
+  ].join("\n");
+}
+
+/**
+ * Decode XML character data, including CDATA sections.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+  if (cdata) return cdata[1];
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Extract every calendar-data element from a multistatus response,
+ * whatever namespace prefix the server chose.
+ * @param {string} xml
+ * @returns {string[]}
+ */
+function extractCalendarData(xml) {
+  const pattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  return [...String(xml).matchAll(pattern)]
+    .map(m => decodeXmlText(m[1]).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Error carrying the HTTP status of a failed CalDAV request.
+ * @param {number} status
+ * @param {string} url
+ * @returns {Error}
+ */
+function requestFailed(status, url) {
+  const reasons = {
+    401: "CalDAV server rejected the username or password",
+    403: "CalDAV account may not read this calendar",
+    404: "Calendar URL not found on the CalDAV server"
+  };
+  const err = new Error(reasons[status] || `CalDAV request to ${url} failed with HTTP ${status}`);
+  err.code = status;
+  return err;
+}
+
+// ─────── Public API ───────
+
+/**
+ * Fetch the iCalendar text of every event resource overlapping a window.
+ * @param {Object} calendar
+ * @param {string} calendar.url       Calendar collection URL.
+ * @param {string} calendar.username
+ * @param {string} calendar.password
+ * @param {Date|string} timeMin
+ * @param {Date|string} timeMax
+ * @returns {Promise<string[]>}
+ * @throws {Error} With the HTTP status as `code` when the server refuses.
+ */
+async function fetchCalendarObjects({ url, username, password }, timeMin, timeMax) {
+  const resp = await fetch(url, {
+    method:  "REPORT",
+    headers: {
+      Authorization:  `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`,
+      "Content-Type": "application/xml; charset=utf-8",
+      Depth:          "1"
+    },
+    body:   calendarQueryBody(timeMin, timeMax),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (resp.status !== 207) throw requestFailed(resp.status, url);
+  return extractCalendarData(await resp.text());
+}
+
+/**
+ * Check that a calendar can be queried with the given credentials.
+ * @param {Object} calendar - `{ url, username, password }`.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function verifyCalDav(calendar) {
+  try {
+    const now = Date.now();
+    await fetchCalendarObjects(calendar, new Date(now), new Date(now + VERIFY_WINDOW_MS));
+    return { ok: true, message: "Calendar verified" };
+  } catch (err) {
+    const reason = err.name === "TimeoutError" ? "CalDAV server did not respond in time" : err.message;
+    return { ok: false, message: reason };
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  fetchCalendarObjects,
+  verifyCalDav,
+  extractCalendarData
+};
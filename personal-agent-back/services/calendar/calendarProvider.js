@@ -0,0 +1,89 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/calendarProvider.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Select the calendar backend (Google or in-memory) that all
+//            calendar reads and writes go through.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/calendarProvider
+ * @description
+ *   - CALENDAR_PROVIDER picks the backend: "google" (default) or "memory".
+ *   - CALENDAR_PROVIDER_FILE makes the memory provider persist to a JSON
+ *     file, so the app can run with fixed appointments and no Google
+ *     credentials.
+ *   - The provider is created on first use and shared afterwards;
+ *     `setCalendarProvider` swaps it (tests).
+ */
+
+// ─────── Dependencies ───────
+const { createGoogleProvider } = require("./providers/google.provider");
+const { createMemoryProvider } = require("./providers/memory.provider");
+
+// ─────── Types ───────
+
+/**
+ * Calendar backend. Events use Google's event shape.
+ *
+ * @typedef {Object} CalendarProvider
+ * @property {string} name
+ * @property {function({calendarIds: string[], timeMin: Date|string, timeMax: Date|string, tz: string}):
+ *   Promise<Object<string, {busy: Array<{start: string, end: string}>, errors?: Array}>>} freeBusy
+ *   Busy intervals per calendar within the window.
+ * @property {function({calendarId: string, timeMin: Date|string, timeMax: Date|string, tz: string}):
+ *   Promise<Object[]>} listEvents
+ *   Events overlapping the window, in start order.
+ * @property {function(string, Object): Promise<Object>} createEvent
+ *   (calendarId, event) → stored event with `id`.
+ * @property {function(string, string, Object): Promise<Object>} updateEvent
+ *   (calendarId, eventId, patch) → updated event; throws with code 404 if missing.
+ * @property {function(string, string): Promise<void>} deleteEvent
+ *   (calendarId, eventId); throws with code 404 if missing.
+ * @property {function(string): Promise<{ok: boolean, message?: string}>} verifyAccess
+ *   Whether the app can read the calendar.
+ */
+
+// ─────── Constants ───────
+
+/** Provider factories by CALENDAR_PROVIDER value. */
+const PROVIDERS = {
+  google: () => createGoogleProvider(),
+  memory: () => createMemoryProvider({ file: process.env.CALENDAR_PROVIDER_FILE })
+};
+
+// ─────── State ───────
+let activeProvider = null;
+
+// ─────── Public API ───────
+
+/**
+ * The configured calendar provider.
+ * @returns {CalendarProvider}
+ * @throws {Error} If CALENDAR_PROVIDER names an unknown provider.
+ */
+function getCalendarProvider() {
+  if (!activeProvider) {
+    const name    = (process.env.CALENDAR_PROVIDER || "google").toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Unknown CALENDAR_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(" or ")})`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider; null re-reads the configuration on next use.
+ * @param {CalendarProvider|null} provider
+ */
+function setCalendarProvider(provider) {
+  activeProvider = provider;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  getCalendarProvider,
+  setCalendarProvider
+};
@@ -1,45 +1,57 @@
 // services/calendar/events.service.js
 
 const dayjs = require("dayjs");
-const { createCalendarClient } = require("./calendarAuth.service");
+const { getCalendarProvider } = require("./calendarProvider");
+const { DEFAULT_TIMEZONE } = require("../blocks/timezone.util");
 
 /**
- * Create an event on the specified calendar.
+ * Create an event on the specified calendar, in the user's timezone.
  */
-async function createEvent(calendarId, summary, start, end) {
-  const calendar = createCalendarClient();
+async function createEvent(calendarId, summary, start, end, tz = DEFAULT_TIMEZONE) {
   const eventData = {
     summary: summary || "Freedom Block",
     start: {
       dateTime: dayjs(start).toISOString(),
-      timeZone: "America/Denver",
+      timeZone: tz,
     },
     end: {
       dateTime: dayjs(end).toISOString(),
-      timeZone: "America/Denver",
+      timeZone: tz,
     },
   };
 
-  const res = await calendar.events.insert({
-    calendarId,
-    requestBody: eventData,
-  });
-  return res.data; // the newly created event
+  return getCalendarProvider().createEvent(calendarId, eventData); // the newly created event
+}
+
+/**
+ * Move an existing event to new start/end times (and optionally rename it).
+ */
+async function updateEvent(calendarId, eventId, summary, start, end, tz = DEFAULT_TIMEZONE) {
+  const eventData = {
+    start: {
+      dateTime: dayjs(start).toISOString(),
+      timeZone: tz,
+    },
+    end: {
+      dateTime: dayjs(end).toISOString(),
+      timeZone: tz,
+    },
+  };
+  if (summary) eventData.summary = summary;
+
+  return getCalendarProvider().updateEvent(calendarId, eventId, eventData); // the updated event
 }
 
 /**
  * Delete an event by ID
  */
 async function deleteEvent(calendarId, eventId) {
-  const calendar = createCalendarClient();
-  await calendar.events.delete({
-    calendarId,
-    eventId,
-  });
+  await getCalendarProvider().deleteEvent(calendarId, eventId);
   return true;
 }
 
 module.exports = {
   createEvent,
+  updateEvent,
   deleteEvent,
 };
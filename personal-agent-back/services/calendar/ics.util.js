@@ -0,0 +1,157 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/ics.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Serialize freedom blocks as an RFC 5545 iCalendar feed.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/ics.util
+ * @description
+ *   - One VEVENT per block, with a UID derived from the block `_id` so
+ *     subscribers update events in place instead of duplicating them.
+ *   - SEQUENCE grows with the block's `updatedAt`, and LAST-MODIFIED /
+ *     DTSTAMP carry it, so clients notice moves and resizes.
+ *   - Excluded blocks are emitted with STATUS:CANCELLED so subscribers
+ *     remove events they already have.
+ *   - Output uses CRLF line endings and folds lines at 75 octets.
+ */
+
+// ─────── Constants ───────
+
+/** Product identifier for the PRODID property. */
+const PRODID = "-//Personal Agent//Freedom Blocks//EN";
+
+/** Domain part of event UIDs. */
+const UID_DOMAIN = "freedom-blocks.personal-agent";
+
+/** Event title for blocks without a title of their own. */
+const DEFAULT_SUMMARY = "Focus";
+
+/** CATEGORIES value per block category. */
+const CATEGORY_NAMES = { "deep-work": "Deep work", admin: "Admin", learning: "Learning" };
+
+/** Maximum line length in octets before folding (RFC 5545 §3.1). */
+const MAX_LINE_OCTETS = 75;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME ("20260302T090000Z").
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Fold a content line into 75-octet chunks joined by CRLF + space.
+ * Never splits a multi-byte UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current  = "";
+  let octets   = 0;
+  for (const char of line) {
+    const size  = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets  = 0;
+    }
+    current += char;
+    octets  += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * SEQUENCE for a block: whole seconds between creation and last update,
+ * which only ever grows as the block is edited.
+ * @param {Object} block
+ * @returns {number}
+ */
+function sequenceOf(block) {
+  const created = new Date(block.createdAt || block.updatedAt || 0).getTime();
+  const updated = new Date(block.updatedAt || block.createdAt || 0).getTime();
+  return Math.max(0, Math.floor((updated - created) / 1000));
+}
+
+/**
+ * Content lines for one block.
+ * @param {Object} block - Freedom block document or plain object.
+ * @returns {string[]}
+ */
+function eventLines(block) {
+  const modified  = block.updatedAt || block.createdAt || new Date();
+  const cancelled = block.sourceType === "excluded";
+  return [
+    "BEGIN:VEVENT",
+    `UID:${block._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(modified)}`,
+    `CREATED:${formatUtc(block.createdAt || modified)}`,
+    `LAST-MODIFIED:${formatUtc(modified)}`,
+    `SEQUENCE:${sequenceOf(block)}`,
+    `DTSTART:${formatUtc(block.startTime)}`,
+    `DTEND:${formatUtc(block.endTime)}`,
+    `SUMMARY:${escapeText(block.title || DEFAULT_SUMMARY)}`,
+    ...(CATEGORY_NAMES[block.category] ? [`CATEGORIES:${CATEGORY_NAMES[block.category]}`] : []),
+    ...(block.goal ? [`DESCRIPTION:${escapeText(block.goal)}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `TRANSP:${cancelled ? "TRANSPARENT" : "OPAQUE"}`,
+    "END:VEVENT"
+  ];
+}
+
+// ─────── Public API ───────
+
+/**
+ * Build an iCalendar document for a set of blocks.
+ * @param {Array<Object>} blocks - Blocks to publish, any order.
+ * @param {Object} [options]
+ * @param {string} [options.name="Freedom Blocks"] - Calendar display name.
+ * @param {string} [options.tz] - User's timezone, advertised to clients.
+ * @returns {string} - VCALENDAR text with CRLF line endings.
+ */
+function buildIcsFeed(blocks, { name = "Freedom Blocks", tz } = {}) {
+  const sorted = [...blocks].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const lines  = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(tz ? [`X-WR-TIMEZONE:${tz}`] : []),
+    ...sorted.flatMap(eventLines),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ─────── Exports ───────
+module.exports = {
+  buildIcsFeed,
+  escapeText,
+  foldLine,
+  formatUtc
+};
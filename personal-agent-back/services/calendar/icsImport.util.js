@@ -0,0 +1,660 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/icsImport.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Parse uploaded RFC 5545 iCalendar files into busy intervals.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/icsImport.util
+ * @description
+ *   - Unfolds content lines and builds the VCALENDAR component tree.
+ *   - Resolves DATE-TIME values that are UTC, floating (user's zone),
+ *     or TZID-qualified. A TZID is resolved through the file's own
+ *     VTIMEZONE definition first, then as an IANA zone name.
+ *   - Expands RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT,
+ *     UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, WKST) plus RDATE,
+ *     minus EXDATE and occurrences replaced via RECURRENCE-ID.
+ *   - Skips cancelled and transparent (free) events.
+ *
+ *   Wall-clock arithmetic is done on "floating" milliseconds — the local
+ *   date and time encoded as if it were UTC — and only converted to an
+ *   instant once the zone is known, so recurrences keep their local time
+ *   across DST changes.
+ */
+
+// ─────── Dependencies ───────
+const dayjs = require("dayjs");
+const { isValidTimezone } = require("../blocks/timezone.util");
+
+// ─────── Constants ───────
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS    = 24 * 60 * MINUTE_MS;
+
+/** Upper bound on intervals returned for one file. */
+const MAX_INTERVALS = 5000;
+
+/** Weekday codes in JavaScript getUTCDay() order. */
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/** Recurrence frequencies this parser expands. */
+const SUPPORTED_FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+/**
+ * Most recurrence work (one step per period walked and per occurrence)
+ * for one expansion, or for all rules in one file. Rules without COUNT
+ * start near the window, so this mostly bounds COUNT rules reaching far
+ * back and files packed with rules.
+ */
+const MAX_EXPANSION_STEPS = 200000;
+
+// ─────── Content Lines ───────
+
+/**
+ * Split a document into unfolded content lines (RFC 5545 §3.1).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== "");
+}
+
+/**
+ * Parse one content line into name, parameters and value.
+ * Colons and semicolons inside quoted parameter values are preserved.
+ * @param {string} line
+ * @returns {{name: string, params: Object<string,string>, value: string}|null}
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon    = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === "\"") inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [""];
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf("=");
+    if (eq === -1) continue;
+    params[raw.slice(0, eq).toUpperCase()] = raw.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Build the component tree from content lines.
+ * @param {string[]} lines
+ * @returns {{name: string, props: Object[], components: Object[]}} Root node.
+ */
+function buildTree(lines) {
+  const root  = { name: "ROOT", props: [], components: [] };
+  const stack = [root];
+  for (const line of lines) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+    const top = stack[stack.length - 1];
+    if (prop.name === "BEGIN") {
+      const child = { name: prop.value.trim().toUpperCase(), props: [], components: [] };
+      top.components.push(child);
+      stack.push(child);
+    } else if (prop.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      top.props.push(prop);
+    }
+  }
+  return root;
+}
+
+/** First property `name` of a component. */
+const propOf = (component, name) => component.props.find(p => p.name === name);
+
+/** All properties `name` of a component. */
+const propsOf = (component, name) => component.props.filter(p => p.name === name);
+
+/** Child components named `name`, at any depth. */
+function findComponents(node, name) {
+  return node.components.flatMap(c =>
+    c.name === name ? [c] : findComponents(c, name)
+  );
+}
+
+// ─────── Values ───────
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * @param {string} value  "20260302", "20260302T090000" or "20260302T090000Z".
+ * @returns {{ms: number, utc: boolean, dateOnly: boolean}|null}
+ *   `ms` is floating milliseconds (or the instant when `utc`).
+ */
+function parseDateValue(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0", z] = m;
+  return {
+    ms:       Date.UTC(+y, +mo - 1, +d, +h, +mi, +s),
+    utc:      Boolean(z),
+    dateOnly: m[4] === undefined
+  };
+}
+
+/**
+ * Parse a DURATION value ("PT1H30M", "P1D", "-PT15M", "P2W").
+ * @param {string} value
+ * @returns {number|null} Milliseconds.
+ */
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  const ms = ((+w * 7 + +d) * 24 * 60 * 60 + +h * 3600 + +mi * 60 + +s) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE value into its parts.
+ * @param {string} value  e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T235959Z"
+ * @returns {Object}
+ */
+function parseRRule(value) {
+  const parts = {};
+  for (const pair of String(value).split(";")) {
+    const [key, val] = pair.split("=");
+    if (key && val !== undefined) parts[key.trim().toUpperCase()] = val.trim().toUpperCase();
+  }
+  const numbers = key => (parts[key] ? parts[key].split(",").map(Number).filter(Number.isFinite) : []);
+  return {
+    freq:       parts.FREQ,
+    interval:   Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count:      parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until:      parts.UNTIL ? parseDateValue(parts.UNTIL) : null,
+    byDay:      (parts.BYDAY ? parts.BYDAY.split(",") : [])
+      .map(code => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(code))
+      .filter(Boolean)
+      .map(([, n, wd]) => ({ n: n ? parseInt(n, 10) : 0, weekday: WEEKDAYS.indexOf(wd) })),
+    byMonthDay: numbers("BYMONTHDAY"),
+    byMonth:    numbers("BYMONTH"),
+    bySetPos:   numbers("BYSETPOS"),
+    weekStart:  WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1
+  };
+}
+
+// ─────── Time Zones ───────
+
+/**
+ * Offsets defined by a VTIMEZONE component.
+ * @param {Object} vtimezone
+ * @returns {Array<{onset: number, rule: Object|null, rdates: number[], offsetFrom: number, offsetTo: number}>}
+ */
+function parseObservances(vtimezone) {
+  const offset = value => {
+    const m = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value || "").trim());
+    if (!m) return 0;
+    const ms = (+m[2] * 60 + +m[3]) * MINUTE_MS + (+m[4] || 0) * 1000;
+    return m[1] === "-" ? -ms : ms;
+  };
+  return vtimezone.components
+    .filter(c => c.name === "STANDARD" || c.name === "DAYLIGHT")
+    .map(c => {
+      const start = parseDateValue(propOf(c, "DTSTART")?.value);
+      if (!start) return null;
+      const rrule = propOf(c, "RRULE");
+      return {
+        onset:      start.ms,
+        rule:       rrule ? parseRRule(rrule.value) : null,
+        rdates:     propsOf(c, "RDATE").flatMap(p => p.value.split(","))
+          .map(parseDateValue).filter(Boolean).map(d => d.ms),
+        offsetFrom: offset(propOf(c, "TZOFFSETFROM")?.value),
+        offsetTo:   offset(propOf(c, "TZOFFSETTO")?.value)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Offset transitions of a VTIMEZONE up to the end of a year, ascending.
+ * @param {Array<Object>} observances
+ * @param {number} year
+ * @returns {Array<{onset: number, offset: number}>}
+ */
+function transitionsThrough(observances, year) {
+  const limit = Date.UTC(year + 1, 0, 1);
+  return observances
+    .flatMap(obs => {
+      const onsets = obs.rule
+        ? expandRule(obs.onset, obs.rule, limit, { from: Date.UTC(year - 1, 0, 1) })
+        : [obs.onset, ...obs.rdates];
+      return onsets.filter(onset => onset < limit).map(onset => ({ onset, offset: obs.offsetTo }));
+    })
+    .sort((a, b) => a.onset - b.onset);
+}
+
+/**
+ * UTC offset of a VTIMEZONE at a local wall time: the offset introduced
+ * by the latest observance onset at or before it.
+ * @param {Object} zone      `{ observances, byYear }` with a per-year cache.
+ * @param {number} floating  Local wall time as floating ms.
+ * @returns {number} Offset in ms.
+ */
+function vtimezoneOffset(zone, floating) {
+  const year = new Date(floating).getUTCFullYear();
+  if (!zone.byYear.has(year)) zone.byYear.set(year, transitionsThrough(zone.observances, year));
+
+  let latest = null;
+  for (const t of zone.byYear.get(year)) {
+    if (t.onset > floating) break;
+    latest = t;
+  }
+  if (latest) return latest.offset;
+  const earliest = [...zone.observances].sort((a, b) => a.onset - b.onset)[0];
+  return earliest.offsetFrom;
+}
+
+/**
+ * Build a converter from floating ms + TZID to an instant.
+ * @param {Object} root      Parsed component tree.
+ * @param {string} defaultTz IANA zone for floating times and unknown TZIDs.
+ * @returns {function(number, string=): number}
+ */
+function zoneResolver(root, defaultTz) {
+  const defined = new Map();
+  for (const vtz of findComponents(root, "VTIMEZONE")) {
+    const tzid = propOf(vtz, "TZID")?.value;
+    const observances = tzid && parseObservances(vtz);
+    if (observances && observances.length) defined.set(tzid, { observances, byYear: new Map() });
+  }
+
+  const viaIana = (floating, tz) =>
+    dayjs.tz(new Date(floating).toISOString().slice(0, 19), tz).valueOf();
+
+  return (floating, tzid) => {
+    if (tzid && defined.has(tzid)) {
+      return floating - vtimezoneOffset(defined.get(tzid), floating);
+    }
+    if (tzid && isValidTimezone(tzid)) return viaIana(floating, tzid);
+    return viaIana(floating, defaultTz);
+  };
+}
+
+// ─────── Recurrence ───────
+
+/** Days in a month of a floating date. */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Apply BYDAY to candidate days of one period. Ordinals (e.g. 2MO, -1FR)
+ * count within the candidate list.
+ * @param {number[]} days   Floating midnights, ascending.
+ * @param {Array<{n: number, weekday: number}>} byDay
+ * @returns {number[]}
+ */
+function applyByDay(days, byDay) {
+  const picked = new Set();
+  for (const { n, weekday } of byDay) {
+    const matches = days.filter(d => new Date(d).getUTCDay() === weekday);
+    if (!n) matches.forEach(d => picked.add(d));
+    else {
+      const d = n > 0 ? matches[n - 1] : matches[matches.length + n];
+      if (d !== undefined) picked.add(d);
+    }
+  }
+  return days.filter(d => picked.has(d));
+}
+
+/**
+ * Apply BYMONTHDAY (negative values count from the month's end).
+ * @param {number[]} days
+ * @param {number[]} byMonthDay
+ * @returns {number[]}
+ */
+function applyByMonthDay(days, byMonthDay) {
+  return days.filter(d => {
+    const date = new Date(d);
+    const dim  = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+    const dom  = date.getUTCDate();
+    return byMonthDay.some(n => (n > 0 ? n === dom : dim + n + 1 === dom));
+  });
+}
+
+/**
+ * Floating midnights from `start` (inclusive) for `count` days.
+ */
+const dayRange = (start, count) => Array.from({ length: count }, (_, i) => start + i * DAY_MS);
+
+/**
+ * Candidate days of the `k`-th period of a rule.
+ * @param {number} dtstart  Floating ms of DTSTART.
+ * @param {Object} rule
+ * @param {number} k        Period index (already multiplied by INTERVAL).
+ * @returns {{periodStart: number, days: number[]}}
+ */
+function periodDays(dtstart, rule, k) {
+  const first = new Date(dtstart);
+  const year  = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const day0  = Date.UTC(year, month, first.getUTCDate());
+
+  switch (rule.freq) {
+    case "DAILY": {
+      const d = day0 + k * DAY_MS;
+      return { periodStart: d, days: [d] };
+    }
+    case "WEEKLY": {
+      const back  = (first.getUTCDay() - rule.weekStart + 7) % 7;
+      const start = day0 - back * DAY_MS + k * 7 * DAY_MS;
+      return { periodStart: start, days: dayRange(start, 7) };
+    }
+    case "MONTHLY": {
+      const start = Date.UTC(year, month + k, 1);
+      const d     = new Date(start);
+      return { periodStart: start, days: dayRange(start, daysInMonth(d.getUTCFullYear(), d.getUTCMonth())) };
+    }
+    default: { // YEARLY
+      const start = Date.UTC(year + k, 0, 1);
+      if (rule.byMonth.length) {
+        // Only the listed months can match, so skip building the rest.
+        const days = [...rule.byMonth].sort((a, b) => a - b)
+          .filter(m => m >= 1 && m <= 12)
+          .flatMap(m => dayRange(Date.UTC(year + k, m - 1, 1), daysInMonth(year + k, m - 1)));
+        return { periodStart: start, days };
+      }
+      const end = Date.UTC(year + k + 1, 0, 1);
+      return { periodStart: start, days: dayRange(start, (end - start) / DAY_MS) };
+    }
+  }
+}
+
+/**
+ * Filter one period's candidate days down to occurrence days.
+ * @param {number[]} days
+ * @param {Object} rule
+ * @param {number} dtstart
+ * @returns {number[]}
+ */
+function filterPeriod(days, rule, dtstart) {
+  const first = new Date(dtstart);
+  let result  = days;
+
+  if (rule.byMonth.length) {
+    result = result.filter(d => rule.byMonth.includes(new Date(d).getUTCMonth() + 1));
+  }
+
+  const hasByDay      = rule.byDay.length > 0;
+  const hasByMonthDay = rule.byMonthDay.length > 0;
+
+  if (hasByMonthDay) result = applyByMonthDay(result, rule.byMonthDay);
+
+  if (hasByDay) {
+    if (rule.freq === "YEARLY" && rule.byMonth.length) {
+      // With BYMONTH, ordinals count within each month.
+      const months = [...new Set(result.map(d => new Date(d).getUTCMonth()))];
+      result = months.flatMap(m =>
+        applyByDay(result.filter(d => new Date(d).getUTCMonth() === m), rule.byDay)
+      );
+    } else {
+      result = applyByDay(result, rule.byDay);
+    }
+  }
+
+  // Without BY* parts, the period repeats DTSTART's position.
+  if (!hasByDay && !hasByMonthDay) {
+    if (rule.freq === "WEEKLY") {
+      result = result.filter(d => new Date(d).getUTCDay() === first.getUTCDay());
+    } else if (rule.freq === "MONTHLY") {
+      result = result.filter(d => new Date(d).getUTCDate() === first.getUTCDate());
+    } else if (rule.freq === "YEARLY") {
+      result = result.filter(d => {
+        const date = new Date(d);
+        return date.getUTCDate() === first.getUTCDate()
+          && (rule.byMonth.length || date.getUTCMonth() === first.getUTCMonth());
+      });
+    }
+  }
+
+  if (rule.bySetPos.length) {
+    result = rule.bySetPos
+      .map(n => (n > 0 ? result[n - 1] : result[result.length + n]))
+      .filter(d => d !== undefined)
+      .sort((a, b) => a - b);
+  }
+  return result;
+}
+
+/**
+ * First period worth expanding for occurrences from `from` on: the one
+ * before the period holding `from`, on an INTERVAL step. COUNT rules
+ * must be walked from the start to count their occurrences.
+ * @param {number} dtstart  Floating ms.
+ * @param {Object} rule     Parsed RRULE.
+ * @param {number} from     Floating ms.
+ * @returns {number}        Period index for periodDays.
+ */
+function firstPeriodFrom(dtstart, rule, from) {
+  if (rule.count || !(from > dtstart)) return 0;
+  const first   = new Date(dtstart);
+  const target  = new Date(from);
+  const years   = target.getUTCFullYear() - first.getUTCFullYear();
+  const elapsed = {
+    DAILY:   Math.floor((from - dtstart) / DAY_MS),
+    WEEKLY:  Math.floor((from - dtstart) / (7 * DAY_MS)),
+    MONTHLY: years * 12 + target.getUTCMonth() - first.getUTCMonth(),
+    YEARLY:  years
+  }[rule.freq];
+  const k = Math.max(0, elapsed - 1);
+  return k - (k % rule.interval);
+}
+
+/**
+ * Expand a recurrence rule into floating occurrence starts, ascending,
+ * beginning with DTSTART itself. UNTIL is left to the caller because it
+ * compares instants. Without COUNT, expansion starts near `from`, so
+ * the cost follows the window rather than the age of DTSTART.
+ * @param {number} dtstart  Floating ms.
+ * @param {Object} rule     Parsed RRULE.
+ * @param {number} limit    Stop once periods start after this floating ms.
+ * @param {Object} [options]
+ * @param {number} [options.from]    Occurrences before this floating ms may be left out.
+ * @param {{steps: number}} [options.budget] - Work left, shared across
+ *   calls and spent here; expansion stops early when it runs out.
+ * @returns {number[]}
+ */
+function expandRule(dtstart, rule, limit, { from = -Infinity, budget = { steps: MAX_EXPANSION_STEPS } } = {}) {
+  if (!SUPPORTED_FREQS.includes(rule.freq)) return [dtstart];
+
+  const timeOfDay = dtstart - Date.UTC(
+    new Date(dtstart).getUTCFullYear(), new Date(dtstart).getUTCMonth(), new Date(dtstart).getUTCDate()
+  );
+  const out = [dtstart];
+
+  for (let k = firstPeriodFrom(dtstart, rule, from); budget.steps > 0; k += rule.interval) {
+    const { periodStart, days } = periodDays(dtstart, rule, k);
+    if (periodStart > limit) break;
+    budget.steps--;
+    for (const day of filterPeriod(days, rule, dtstart)) {
+      const occurrence = day + timeOfDay;
+      if (occurrence <= dtstart) continue;
+      if (rule.count && out.length >= rule.count) return out;
+      out.push(occurrence);
+      budget.steps--;
+    }
+    if (rule.count && out.length >= rule.count) return out;
+  }
+  return out;
+}
+
+/**
+ * Whether DTSTART itself satisfies the rule's BY* parts. RFC 5545 always
+ * counts DTSTART as the first occurrence; callers that want only days
+ * the rule describes can use this to drop it.
+ * @param {number} dtstart  Floating ms.
+ * @param {Object} rule     Parsed RRULE.
+ * @returns {boolean}
+ */
+function startMatchesRule(dtstart, rule) {
+  if (!SUPPORTED_FREQS.includes(rule.freq)) return true;
+  const d   = new Date(dtstart);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return filterPeriod(periodDays(dtstart, rule, 0).days, rule, dtstart).includes(day);
+}
+
+// ─────── Events ───────
+
+/**
+ * Whether an event should count as busy time.
+ * @param {Object} vevent
+ * @returns {boolean}
+ */
+function isBusy(vevent) {
+  const status = propOf(vevent, "STATUS")?.value.trim().toUpperCase();
+  const transp = propOf(vevent, "TRANSP")?.value.trim().toUpperCase();
+  return status !== "CANCELLED" && transp !== "TRANSPARENT";
+}
+
+/**
+ * Dates listed by EXDATE/RDATE properties. PERIOD values contribute
+ * their start.
+ * @param {Object[]} props
+ * @param {function} toInstant
+ * @param {boolean} dateOnly  Whether DTSTART is a DATE.
+ * @returns {Array<{at: number, floating: number}>}
+ */
+function listedDates(props, toInstant, dateOnly) {
+  return props.flatMap(p =>
+    p.value.split(",").map(v => {
+      const parsed = parseDateValue(v.split("/")[0]);
+      if (!parsed) return null;
+      const at = parsed.utc ? parsed.ms : toInstant(parsed.ms, dateOnly || parsed.dateOnly ? null : p.params.TZID);
+      return { at, floating: parsed.ms };
+    }).filter(Boolean)
+  );
+}
+
+// ─────── Public API ───────
+
+/**
+ * Parse an iCalendar document into busy intervals within a window.
+ * @param {string} text              File contents.
+ * @param {Object} options
+ * @param {Date|number} options.from Window start (instant).
+ * @param {Date|number} options.to   Window end (instant).
+ * @param {string} options.tz        User's IANA zone, used for floating
+ *                                   and all-day values.
+ * @returns {{name: string|null, eventCount: number, truncated: boolean,
+ *           intervals: Array<{start: Date, end: Date, summary: string}>}}
+ * @throws {Error} When the text is not an iCalendar document.
+ */
+function parseIcsBusy(text, { from, to, tz }) {
+  const root     = buildTree(unfoldLines(text));
+  const calendar = root.components.find(c => c.name === "VCALENDAR");
+  if (!calendar) throw new Error("File is not an iCalendar (.ics) document");
+
+  const windowStart = new Date(from).getTime();
+  const windowEnd   = new Date(to).getTime();
+  const toInstant   = zoneResolver(root, tz);
+  const vevents     = findComponents(calendar, "VEVENT");
+
+  // RECURRENCE-ID overrides, keyed by UID, replace single occurrences.
+  const overridden = new Map();
+  for (const ev of vevents) {
+    const rid = propOf(ev, "RECURRENCE-ID");
+    const uid = propOf(ev, "UID")?.value;
+    if (!rid || !uid) continue;
+    const parsed = parseDateValue(rid.value);
+    if (!parsed) continue;
+    const at = parsed.utc ? parsed.ms : toInstant(parsed.ms, parsed.dateOnly ? null : rid.params.TZID);
+    if (!overridden.has(uid)) overridden.set(uid, new Set());
+    overridden.get(uid).add(at);
+  }
+
+  const intervals = [];
+  const budget    = { steps: MAX_EXPANSION_STEPS };
+  for (const ev of vevents) {
+    if (!isBusy(ev)) continue;
+    const startProp = propOf(ev, "DTSTART");
+    const start     = startProp && parseDateValue(startProp.value);
+    if (!start) continue;
+
+    const tzid    = start.utc || start.dateOnly ? null : startProp.params.TZID;
+    const instant = floating => (start.utc ? floating : toInstant(floating, tzid));
+
+    // Nominal duration, applied in wall-clock time.
+    const endProp = propOf(ev, "DTEND");
+    const end     = endProp && parseDateValue(endProp.value);
+    let duration;
+    if (end) {
+      duration = end.utc === start.utc && end.dateOnly === start.dateOnly
+        && (endProp.params.TZID || null) === (startProp.params.TZID || null)
+        ? end.ms - start.ms
+        : (end.utc ? end.ms : toInstant(end.ms, endProp.params.TZID)) - instant(start.ms);
+    } else {
+      const dur = propOf(ev, "DURATION");
+      duration  = dur ? parseDuration(dur.value) : (start.dateOnly ? DAY_MS : 0);
+    }
+    if (!(duration > 0)) continue;
+
+    const summary = (propOf(ev, "SUMMARY")?.value || "")
+      .replace(/\\n/gi, " ")
+      .replace(/\\([,;\\])/g, "$1")
+      .trim();
+
+    // Occurrences keyed by instant, holding their floating start.
+    const occurrences = new Map([[instant(start.ms), start.ms]]);
+    const rrule    = propOf(ev, "RRULE");
+    const isMaster = !propOf(ev, "RECURRENCE-ID");
+    if (rrule && isMaster) {
+      const rule  = parseRRule(rrule.value);
+      const until = !rule.until ? Infinity
+        : rule.until.utc ? rule.until.ms
+          : instant(rule.until.ms + (rule.until.dateOnly ? DAY_MS - 1 : 0));
+      // Floating and instant differ by well under a day.
+      const expanded = expandRule(start.ms, rule, windowEnd + DAY_MS, {
+        from: windowStart - duration - DAY_MS,
+        budget
+      });
+      for (const floating of expanded) {
+        const at = instant(floating);
+        if (at <= until) occurrences.set(at, floating);
+      }
+    }
+    if (isMaster) {
+      listedDates(propsOf(ev, "RDATE"), toInstant, start.dateOnly)
+        .forEach(({ at, floating }) => occurrences.set(at, floating));
+      listedDates(propsOf(ev, "EXDATE"), toInstant, start.dateOnly)
+        .forEach(({ at }) => occurrences.delete(at));
+      const uid = propOf(ev, "UID")?.value;
+      (overridden.get(uid) || []).forEach(at => occurrences.delete(at));
+    }
+
+    for (const [s, floating] of occurrences) {
+      const e = start.utc ? s + duration : instant(floating + duration);
+      if (e <= windowStart || s >= windowEnd) continue;
+      intervals.push({ start: new Date(s), end: new Date(e), summary });
+    }
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+  const name = propOf(calendar, "X-WR-CALNAME")?.value.trim() || null;
+  return {
+    name,
+    eventCount: vevents.length,
+    truncated:  intervals.length > MAX_INTERVALS || budget.steps <= 0,
+    intervals:  intervals.slice(0, MAX_INTERVALS)
+  };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  MAX_INTERVALS,
+  parseIcsBusy,
+  parseDuration,
+  parseRRule,
+  expandRule,
+  startMatchesRule
+};
@@ -0,0 +1,114 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/providers/google.provider.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Calendar provider backed by the Google Calendar API through
+//            the service account in config/service-account.json.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/providers/google.provider
+ * @description
+ *   - Implements the CalendarProvider interface documented in
+ *     services/calendar/calendarProvider.js.
+ *   - A client is created per call, so credentials are only read when
+ *     Google is actually used.
+ */
+
+// ─────── Dependencies ───────
+const { createCalendarClient } = require("../calendarAuth.service");
+
+// ─────── Constants ───────
+
+/** Window checked when verifying access to a calendar. */
+const VERIFY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ─────── Factory ───────
+
+/**
+ * Create the Google Calendar provider.
+ * @returns {import("../calendarProvider").CalendarProvider}
+ */
+function createGoogleProvider() {
+  return {
+    name: "google",
+
+    async freeBusy({ calendarIds, timeMin, timeMax, tz }) {
+      const calendar = createCalendarClient();
+      const resp = await calendar.freebusy.query({
+        requestBody: {
+          timeMin:  new Date(timeMin).toISOString(),
+          timeMax:  new Date(timeMax).toISOString(),
+          timeZone: tz,
+          items:    calendarIds.map(id => ({ id }))
+        }
+      });
+      return resp.data.calendars || {};
+    },
+
+    async listEvents({ calendarId, timeMin, timeMax, tz }) {
+      const calendar = createCalendarClient();
+      const res = await calendar.events.list({
+        calendarId,
+        timeMin:      new Date(timeMin).toISOString(),
+        timeMax:      new Date(timeMax).toISOString(),
+        timeZone:     tz,
+        singleEvents: true,
+        orderBy:      "startTime"
+      });
+      return res.data.items || [];
+    },
+
+    async createEvent(calendarId, event) {
+      const calendar = createCalendarClient();
+      const res = await calendar.events.insert({ calendarId, requestBody: event });
+      return res.data;
+    },
+
+    async updateEvent(calendarId, eventId, patch) {
+      const calendar = createCalendarClient();
+      const res = await calendar.events.patch({ calendarId, eventId, requestBody: patch });
+      return res.data;
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      const calendar = createCalendarClient();
+      await calendar.events.delete({ calendarId, eventId });
+    },
+
+    async verifyAccess(calendarId) {
+      const calendar = createCalendarClient();
+      const now = Date.now();
+
+      let apiResponse;
+      try {
+        apiResponse = await calendar.freebusy.query({
+          requestBody: {
+            timeMin: new Date(now).toISOString(),
+            timeMax: new Date(now + VERIFY_WINDOW_MS).toISOString(),
+            items:   [{ id: calendarId }]
+          }
+        });
+      } catch (apiErr) {
+        console.error("freeBusy query error:", apiErr);
+        return { ok: false, message: `Verification failed: calendar access error for ${calendarId}.` };
+      }
+
+      const calendarInfo = apiResponse.data.calendars?.[calendarId];
+      if (!calendarInfo) {
+        return { ok: false, message: `Verification failed: No calendar data returned for ${calendarId}.` };
+      }
+      if (calendarInfo.errors) {
+        console.error("Calendar info errors:", calendarInfo.errors);
+        return { ok: false, message: `Verification failed for ${calendarId}: ${JSON.stringify(calendarInfo.errors)}` };
+      }
+      if (!Array.isArray(calendarInfo.busy)) {
+        return { ok: false, message: `Verification failed for ${calendarId}: Unexpected calendar data format.` };
+      }
+      return { ok: true };
+    }
+  };
+}
+
+// ─────── Exports ───────
+module.exports = { createGoogleProvider };
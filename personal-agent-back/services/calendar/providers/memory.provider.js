@@ -0,0 +1,164 @@
+// ------------------------------------------------------------------
+// Module:    services/calendar/providers/memory.provider.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Deterministic calendar provider kept in memory, optionally
+//            persisted to a JSON file, for running without Google.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/calendar/providers/memory.provider
+ * @description
+ *   - Implements the CalendarProvider interface documented in
+ *     services/calendar/calendarProvider.js.
+ *   - Events use Google's shape ({ id, summary, start: { dateTime },
+ *     end: { dateTime } }) so callers cannot tell the providers apart.
+ *   - Event IDs are sequential ("mem-1", "mem-2", …), so runs repeat.
+ *   - Every calendar is accessible; verifying one creates it.
+ *   - With a `file`, state is loaded on creation and written after every
+ *     change; seed that file to give the app fixed appointments.
+ */
+
+// ─────── Dependencies ───────
+const fs = require("fs");
+
+// ─────── Helper Functions ───────
+
+/**
+ * Error matching what the Google client throws for a missing event.
+ * @param {string} eventId
+ * @returns {Error}
+ */
+function notFound(eventId) {
+  const err = new Error(`Event ${eventId} not found`);
+  err.code = 404;
+  return err;
+}
+
+/**
+ * Start/end of an event as epoch milliseconds.
+ * @param {Object} event
+ * @returns {{start: number, end: number}}
+ */
+function eventSpan(event) {
+  return {
+    start: new Date(event.start.dateTime).getTime(),
+    end:   new Date(event.end.dateTime).getTime()
+  };
+}
+
+/**
+ * Whether an event blocks time in free/busy results.
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isBusy(event) {
+  return event.status !== "cancelled" && event.transparency !== "transparent";
+}
+
+// ─────── Factory ───────
+
+/**
+ * Create an in-memory calendar provider.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file to load from and save to.
+ * @returns {import("../calendarProvider").CalendarProvider & {reset: function(): void}}
+ */
+function createMemoryProvider({ file } = {}) {
+  let state = { nextId: 1, calendars: {} };
+  if (file && fs.existsSync(file)) {
+    state = { ...state, ...JSON.parse(fs.readFileSync(file, "utf-8")) };
+  }
+
+  /** Persist state when file-backed. */
+  function save() {
+    if (file) fs.writeFileSync(file, JSON.stringify(state, null, 2));
+  }
+
+  /** Events of a calendar, creating it on first use. */
+  function eventsOf(calendarId) {
+    if (!state.calendars[calendarId]) {
+      state.calendars[calendarId] = { events: [] };
+    }
+    return state.calendars[calendarId].events;
+  }
+
+  /** Events of a calendar overlapping [timeMin, timeMax), by start. */
+  function eventsBetween(calendarId, timeMin, timeMax) {
+    const min = new Date(timeMin).getTime();
+    const max = new Date(timeMax).getTime();
+    return eventsOf(calendarId)
+      .filter(event => {
+        const { start, end } = eventSpan(event);
+        return start < max && end > min;
+      })
+      .sort((a, b) => eventSpan(a).start - eventSpan(b).start);
+  }
+
+  return {
+    name: "memory",
+
+    async freeBusy({ calendarIds, timeMin, timeMax }) {
+      const min = new Date(timeMin).getTime();
+      const max = new Date(timeMax).getTime();
+      return Object.fromEntries(calendarIds.map(calendarId => [
+        calendarId,
+        {
+          busy: eventsBetween(calendarId, timeMin, timeMax)
+            .filter(isBusy)
+            .map(event => {
+              const { start, end } = eventSpan(event);
+              return {
+                start: new Date(Math.max(start, min)).toISOString(),
+                end:   new Date(Math.min(end, max)).toISOString()
+              };
+            })
+        }
+      ]));
+    },
+
+    async listEvents({ calendarId, timeMin, timeMax }) {
+      return eventsBetween(calendarId, timeMin, timeMax)
+        .filter(event => event.status !== "cancelled")
+        .map(event => structuredClone(event));
+    },
+
+    async createEvent(calendarId, event) {
+      const stored = { ...structuredClone(event), id: `mem-${state.nextId++}`, status: "confirmed" };
+      eventsOf(calendarId).push(stored);
+      save();
+      return structuredClone(stored);
+    },
+
+    async updateEvent(calendarId, eventId, patch) {
+      const stored = eventsOf(calendarId).find(event => event.id === eventId);
+      if (!stored) throw notFound(eventId);
+      Object.assign(stored, structuredClone(patch));
+      save();
+      return structuredClone(stored);
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      const events = eventsOf(calendarId);
+      const index  = events.findIndex(event => event.id === eventId);
+      if (index === -1) throw notFound(eventId);
+      events.splice(index, 1);
+      save();
+    },
+
+    async verifyAccess(calendarId) {
+      eventsOf(calendarId);
+      save();
+      return { ok: true };
+    },
+
+    /** Drop all calendars and restart event IDs (tests). */
+    reset() {
+      state = { nextId: 1, calendars: {} };
+      save();
+    }
+  };
+}
+
+// ─────── Exports ───────
+module.exports = { createMemoryProvider };
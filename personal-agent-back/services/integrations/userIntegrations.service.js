@@ -0,0 +1,189 @@
+// ------------------------------------------------------------------
+// Module:    services/integrations/userIntegrations.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Per-user targets for the approval integrations (TaskMagic
+//            webhook, phone alarm endpoints) and their resolution.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/integrations/userIntegrations.service
+ * @description
+ *   - Each user may store their own URLs for each provider; they are
+ *     encrypted at rest and only their hosts are shown.
+ *   - A user without a record for a provider falls back to the
+ *     server-wide env var (FREEDOM_APP_TASKMAGIC_WEBHOOK,
+ *     PHONE_ALARM_ENDPOINTS), so single-user deployments keep working.
+ *     A disabled record turns the provider off for that user.
+ *   - Targets are resolved when a job runs, so URLs never sit in the
+ *     job queue in plain text and changes apply to queued jobs.
+ */
+
+// ─────── Dependencies ───────
+const UserIntegration = require("../../models/userIntegration");
+const { encryptSecret, decryptSecret } = require("../secrets.util");
+
+// ─────── Constants ───────
+
+/**
+ * Supported providers: display label, how many URLs they take, and the
+ * env var holding the server-wide default.
+ */
+const INTEGRATION_PROVIDERS = {
+  taskmagic: {
+    label:   "TaskMagic webhook",
+    maxUrls: 1,
+    envVar:  "FREEDOM_APP_TASKMAGIC_WEBHOOK"
+  },
+  phoneAlarm: {
+    label:   "Phone alarm endpoints",
+    maxUrls: 5,
+    envVar:  "PHONE_ALARM_ENDPOINTS"
+  }
+};
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a string is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Split a list of URLs given as an array or comma-separated text.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function splitUrls(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(","))
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Server-wide default URLs for a provider.
+ * @param {string} provider
+ * @returns {string[]}
+ */
+function envUrls(provider) {
+  return splitUrls(process.env[INTEGRATION_PROVIDERS[provider].envVar]);
+}
+
+/**
+ * A record's decrypted URLs, or none when it is disabled.
+ * @param {Object} record - UserIntegration document.
+ * @returns {string[]}
+ */
+function recordUrls(record) {
+  return record.enabled ? JSON.parse(decryptSecret(record.urlsEncrypted)) : [];
+}
+
+// ─────── Public API ───────
+
+/**
+ * Whether a provider name is supported.
+ * @param {string} provider
+ * @returns {boolean}
+ */
+function isIntegrationProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(INTEGRATION_PROVIDERS, provider);
+}
+
+/**
+ * Validate an integration update.
+ * @param {string} provider
+ * @param {{urls?: string|string[], enabled?: boolean}} input
+ * @param {Object} [existing] - Stored record; URLs may then be omitted.
+ * @returns {{value: {enabled: boolean, urlsEncrypted: string, hosts: string[]}}|{error: string}}
+ */
+function validateIntegration(provider, input, existing) {
+  const { maxUrls } = INTEGRATION_PROVIDERS[provider];
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    return { error: "enabled must be true or false" };
+  }
+  const value = { enabled: input.enabled ?? existing?.enabled ?? true };
+
+  if (input.urls === undefined && existing) {
+    return { value: { ...value, urlsEncrypted: existing.urlsEncrypted, hosts: existing.hosts } };
+  }
+  const urls = splitUrls(input.urls);
+  if (!urls.length || urls.length > maxUrls) {
+    return { error: maxUrls === 1 ? "Exactly one URL is required" : `Between 1 and ${maxUrls} URLs are required` };
+  }
+  if (!urls.every(isHttpUrl)) {
+    return { error: "Each URL must start with http:// or https://" };
+  }
+  return {
+    value: {
+      ...value,
+      urlsEncrypted: encryptSecret(JSON.stringify(urls)),
+      hosts:         urls.map(url => new URL(url).host)
+    }
+  };
+}
+
+/**
+ * Each provider as the API reports it: the user's record (without its
+ * URLs) and whether the server default applies instead.
+ * @param {Object[]} records - The user's UserIntegration documents.
+ * @returns {Array<{provider: string, label: string, maxUrls: number,
+ *   integration: ?Object, usesServerDefault: boolean}>}
+ */
+function describeIntegrations(records) {
+  return Object.entries(INTEGRATION_PROVIDERS).map(([provider, { label, maxUrls }]) => {
+    const record = records.find(r => r.provider === provider) || null;
+    return {
+      provider,
+      label,
+      maxUrls,
+      integration:       record,
+      usesServerDefault: !record && envUrls(provider).length > 0
+    };
+  });
+}
+
+/**
+ * Targets a user's approvals go to: their own, or the server defaults
+ * for providers they have not set.
+ * @param {Object[]} records - The user's UserIntegration documents.
+ * @returns {{taskMagicWebhook: ?string, phoneAlarmEndpoints: string[]}}
+ */
+function integrationTargets(records) {
+  const urlsFor = (provider) => {
+    const record = records.find(r => r.provider === provider);
+    return record ? recordUrls(record) : envUrls(provider);
+  };
+  return {
+    taskMagicWebhook:    urlsFor("taskmagic")[0] || null,
+    phoneAlarmEndpoints: urlsFor("phoneAlarm")
+  };
+}
+
+/**
+ * Resolve a user's integration targets.
+ * @param {?string} userId - Jobs queued without an owner use the server defaults.
+ * @returns {Promise<{taskMagicWebhook: ?string, phoneAlarmEndpoints: string[]}>}
+ */
+async function resolveIntegrations(userId) {
+  const records = userId ? await UserIntegration.find({ userId }) : [];
+  return integrationTargets(records);
+}
+
+// ─────── Exports ───────
+module.exports = {
+  INTEGRATION_PROVIDERS,
+  isIntegrationProvider,
+  validateIntegration,
+  describeIntegrations,
+  integrationTargets,
+  resolveIntegrations
+};
@@ -0,0 +1,252 @@
+// ------------------------------------------------------------------
+// Module:    services/jobs/approvalJobs.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Job types for the side effects of approving blocks
+//            (TaskMagic webhook, phone alarms, notification channels,
+//            webhook subscriptions) and their enqueueing.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/jobs/approvalJobs.service
+ * @description
+ *   - Registers one job type per integration with the job queue.
+ *   - `enqueueApprovalJobs` queues those jobs for freshly approved blocks;
+ *     delivery happens in the background worker, so approval requests
+ *     return immediately.
+ *   - Each block gets one phone-alarm job per alarm the user's alarm
+ *     settings call for, and one job per alarm and enabled notification
+ *     channel. TaskMagic and phone alarms go to the user's own targets
+ *     (or the server defaults) and are skipped when there are none.
+ *   - Targets are looked up again when a job runs, so their URLs are not
+ *     stored in the queue.
+ *   - Also raises block.approved for the user's webhook subscriptions
+ *     (services/jobs/webhookJobs.service.js).
+ *   - `enqueueSplitJobs` covers splitting an approved block, whose
+ *     alarms were already queued for the original times.
+ *   - Spacing between calls is enforced by the queue's per-integration
+ *     rate limits rather than by sleeping in the request. TaskMagic and
+ *     phone-alarm calls time out, so an unresponsive target fails its job
+ *     instead of holding up the worker.
+ */
+
+// ─────── Dependencies ───────
+const { defineJob, enqueue } = require("./jobQueue.service");
+const User                   = require("../../models/user");
+const { inZone }             = require("../blocks/timezone.util");
+const { blockAlarms }        = require("../blocks/alarmSettings.util");
+const phoneAlarmService      = require("../phoneAlarm.service");
+const { resolveIntegrations } = require("../integrations/userIntegrations.service");
+const NotificationChannel    = require("../../models/notificationChannel");
+const { listChannelTypes }   = require("../notifications/notificationChannels");
+const { enabledChannels, deliverAlarm } = require("../notifications/notify.service");
+const { enqueueWebhookEvent } = require("./webhookJobs.service");
+
+// ─────── Constants ───────
+
+/** Longest wait for a TaskMagic response, so one slow webhook cannot stall the queue. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** Job type names. */
+const APPROVAL_JOB_TYPES = {
+  TASKMAGIC:   "taskmagic.scheduleBlock",
+  PHONE_ALARM: "phoneAlarm.set"
+};
+
+// ─────── Helper Functions ───────
+
+/**
+ * Job type delivering alarms through one kind of notification channel.
+ * @param {string} channelType - e.g. "ntfy".
+ * @returns {string}
+ */
+function notificationJobType(channelType) {
+  return `notify.${channelType}`;
+}
+
+/**
+ * TaskMagic webhook body for a block, in the user's local time, with
+ * what the block is for.
+ * @param {Object} block - Block with startTime/endTime and its details.
+ * @param {string} tz - User's timezone.
+ * @returns {{startHour: string, startMin: string, endHour: string, endMin: string,
+ *   title: string, category: ?string, goal: string, tasks: string[]}}
+ */
+function taskMagicPayload(block, tz) {
+  const sd = inZone(block.startTime, tz);
+  const ed = inZone(block.endTime, tz);
+  return {
+    startHour: sd.format("H"),
+    startMin:  sd.format("m"),
+    endHour:   ed.format("H"),
+    endMin:    ed.format("m"),
+    title:     block.title || "",
+    category:  block.category || null,
+    goal:      block.goal || "",
+    tasks:     (block.tasks || []).map(task => task.text)
+  };
+}
+
+/**
+ * POST a body to a TaskMagic webhook, giving up after REQUEST_TIMEOUT_MS.
+ * @param {string} webhookUrl
+ * @param {Object} body - From taskMagicPayload.
+ * @returns {Promise<Response>}
+ */
+function postTaskMagic(webhookUrl, body) {
+  return fetch(webhookUrl, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json" },
+    body:    JSON.stringify(body),
+    signal:  AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+}
+
+// ─────── Job Definitions ───────
+
+// Integrations removed since a job was queued are skipped.
+defineJob(APPROVAL_JOB_TYPES.TASKMAGIC, {
+  integration: "taskmagic",
+  handler: async ({ body }, job) => {
+    const { taskMagicWebhook: webhookUrl } = await resolveIntegrations(job.userId);
+    if (!webhookUrl) return;
+    const resp = await postTaskMagic(webhookUrl, body);
+    if (!resp.ok) {
+      throw new Error(`TaskMagic webhook responded with ${resp.status}`);
+    }
+  }
+});
+
+defineJob(APPROVAL_JOB_TYPES.PHONE_ALARM, {
+  integration: "phoneAlarm",
+  handler: async (alarm, job) => {
+    const { phoneAlarmEndpoints } = await resolveIntegrations(job.userId);
+    if (!phoneAlarmEndpoints.length) return;
+    await phoneAlarmService.setPhoneAlarm(alarm, phoneAlarmEndpoints);
+  }
+});
+
+// Each channel type is its own integration, so their rate limits and
+// delivery status are reported apart.
+for (const { type } of listChannelTypes()) {
+  defineJob(notificationJobType(type), {
+    integration: type,
+    handler: async ({ channelId, alarm }) => {
+      const channel = await NotificationChannel.findById(channelId);
+      // Channels deleted or disabled since the alarm was queued are skipped.
+      if (!channel || !channel.enabled) return;
+      await deliverAlarm(channel, alarm);
+    }
+  });
+}
+
+/**
+ * Queue one job per alarm for the user's phone and each channel.
+ * @param {Array} alarms - From blockAlarms.
+ * @param {{phoneAlarms: boolean, channels: Array}} targets
+ * @param {Object} options - Job options (userId, blockId).
+ * @returns {Promise<Array>} - The queued jobs.
+ */
+async function enqueueAlarmJobs(alarms, { phoneAlarms, channels }, options) {
+  const jobs = [];
+  for (const alarm of alarms) {
+    if (phoneAlarms) {
+      jobs.push(await enqueue(APPROVAL_JOB_TYPES.PHONE_ALARM, alarm, options));
+    }
+    for (const channel of channels) {
+      jobs.push(await enqueue(
+        notificationJobType(channel.type),
+        { channelId: channel._id, alarm },
+        options
+      ));
+    }
+  }
+  return jobs;
+}
+
+// ─────── Public API ───────
+
+/**
+ * Queue the TaskMagic and phone-alarm jobs for approved blocks.
+ * TaskMagic jobs are skipped when the user has no webhook; alarms
+ * follow the user's alarm settings and go to the user's phone alarm
+ * endpoints and each enabled notification channel. Webhook
+ * subscriptions to block.approved get one job per block.
+ * @param {Array} blocks - Approved blocks.
+ * @param {string} tz - User's timezone.
+ * @param {string} userId - Owner of the blocks.
+ * @returns {Promise<Array>} - The queued jobs.
+ */
+async function enqueueApprovalJobs(blocks, tz, userId) {
+  const { taskMagicWebhook: webhookUrl, phoneAlarmEndpoints } = await resolveIntegrations(userId);
+  const phoneAlarms = phoneAlarmEndpoints.length > 0;
+  const user     = await User.findById(userId).select("alarmSettings");
+  const channels = await enabledChannels(userId);
+  const jobs = [];
+  for (const blk of blocks) {
+    const options = { userId, blockId: blk._id };
+    if (webhookUrl) {
+      jobs.push(await enqueue(
+        APPROVAL_JOB_TYPES.TASKMAGIC,
+        { body: taskMagicPayload(blk, tz) },
+        options
+      ));
+    }
+    const alarms = blockAlarms(blk, user?.alarmSettings, tz);
+    jobs.push(...await enqueueAlarmJobs(alarms, { phoneAlarms, channels }, options));
+  }
+  jobs.push(...await enqueueWebhookEvent(userId, "block.approved", blocks));
+  return jobs;
+}
+
+/**
+ * Queue the jobs for an approved block split in two. The original
+ * block's alarms are already queued: its start alarms now belong to the
+ * first part and its end alarm to the second. So the first part gets
+ * only an end alarm at its new end, and the second part the approval
+ * jobs of a new block without its end alarm.
+ * @param {Object} first - The shortened original block.
+ * @param {Object} second - The new second part.
+ * @param {string} tz - User's timezone.
+ * @param {string} userId - Owner of the blocks.
+ * @returns {Promise<Array>} - The queued jobs.
+ */
+async function enqueueSplitJobs(first, second, tz, userId) {
+  const { taskMagicWebhook: webhookUrl, phoneAlarmEndpoints } = await resolveIntegrations(userId);
+  const targets = {
+    phoneAlarms: phoneAlarmEndpoints.length > 0,
+    channels:    await enabledChannels(userId)
+  };
+  const user     = await User.findById(userId).select("alarmSettings");
+  const alarmsOf = blk => blockAlarms(blk, user?.alarmSettings, tz);
+  const jobs     = [];
+
+  jobs.push(...await enqueueAlarmJobs(
+    alarmsOf(first).filter(alarm => alarm.kind === "end"),
+    targets,
+    { userId, blockId: first._id }
+  ));
+  if (webhookUrl) {
+    jobs.push(await enqueue(
+      APPROVAL_JOB_TYPES.TASKMAGIC,
+      { body: taskMagicPayload(second, tz) },
+      { userId, blockId: second._id }
+    ));
+  }
+  jobs.push(...await enqueueAlarmJobs(
+    alarmsOf(second).filter(alarm => alarm.kind !== "end"),
+    targets,
+    { userId, blockId: second._id }
+  ));
+  jobs.push(...await enqueueWebhookEvent(userId, "block.approved", [second]));
+  return jobs;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  enqueueApprovalJobs,
+  enqueueSplitJobs,
+  taskMagicPayload,
+  postTaskMagic,
+  APPROVAL_JOB_TYPES
+};
@@ -0,0 +1,135 @@
+// ------------------------------------------------------------------
+// Module:    services/jobs/calendarJobs.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Mirror approved blocks as "Focus" events on the user's chosen
+//            Google Calendar through the background job queue.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/jobs/calendarJobs.service
+ * @description
+ *   - A single job type reconciles one block with its calendar event:
+ *     create it once the block is approved, move it when the block moves,
+ *     and delete it when the block is excluded.
+ *   - The handler reads the block's current state instead of trusting the
+ *     payload, so jobs that retry or run out of order still converge.
+ */
+
+// ─────── Dependencies ───────
+const { defineJob, enqueue } = require("./jobQueue.service");
+const {
+  createEvent,
+  updateEvent,
+  deleteEvent
+} = require("../calendar/events.service");
+const freedomTimeBlocks = require("../../models/freedomTimeBlocks");
+const User              = require("../../models/user");
+
+// ─────── Constants ───────
+
+/** Job type name. */
+const FOCUS_EVENT_JOB_TYPE = "calendar.syncFocusEvent";
+
+/** Title of the calendar events for blocks without a title of their own. */
+const FOCUS_EVENT_SUMMARY = "Focus";
+
+/** Google responses meaning the event is already gone. */
+const GONE_STATUSES = [404, 410];
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a block should currently have a calendar event.
+ * @param {Object|null} block
+ * @returns {boolean}
+ */
+function wantsEvent(block) {
+  return Boolean(block && block.approved && block.sourceType !== "excluded");
+}
+
+/**
+ * Bring a block's calendar event in line with the block.
+ * @param {{blockId: string}} payload
+ * @returns {Promise<void>}
+ */
+async function syncFocusEvent({ blockId }) {
+  const block = await freedomTimeBlocks.findById(blockId);
+  if (!block) return;
+
+  if (!wantsEvent(block)) {
+    if (!block.calendarEventId) return;
+    try {
+      await deleteEvent(block.calendarId, block.calendarEventId);
+    } catch (err) {
+      if (!GONE_STATUSES.includes(err.response?.status ?? err.code)) throw err;
+    }
+    block.calendarId      = null;
+    block.calendarEventId = null;
+    await block.save();
+    return;
+  }
+
+  const user = await User.findById(block.userId);
+  if (!user) return;
+
+  if (block.calendarEventId) {
+    await updateEvent(
+      block.calendarId,
+      block.calendarEventId,
+      block.title || FOCUS_EVENT_SUMMARY,
+      block.startTime,
+      block.endTime,
+      user.timezone
+    );
+    return;
+  }
+
+  if (!user.focusCalendarId) return;
+  const event = await createEvent(
+    user.focusCalendarId,
+    block.title || FOCUS_EVENT_SUMMARY,
+    block.startTime,
+    block.endTime,
+    user.timezone
+  );
+  block.calendarId      = user.focusCalendarId;
+  block.calendarEventId = event.id;
+  await block.save();
+}
+
+// ─────── Job Definitions ───────
+
+defineJob(FOCUS_EVENT_JOB_TYPE, {
+  integration: "googleCalendar",
+  handler: syncFocusEvent
+});
+
+// ─────── Public API ───────
+
+/**
+ * Queue calendar syncs for blocks that have, or should gain, a Focus event.
+ * Blocks without an event are skipped when the user has no focus calendar.
+ * @param {Array} blocks - Blocks whose state just changed.
+ * @param {Object} user - Owner; needs `_id` and `focusCalendarId`.
+ * @returns {Promise<Array>} - The queued jobs.
+ */
+async function enqueueFocusEventSync(blocks, user) {
+  const jobs = [];
+  for (const blk of blocks) {
+    if (!blk.calendarEventId && !(user.focusCalendarId && wantsEvent(blk))) continue;
+    jobs.push(await enqueue(
+      FOCUS_EVENT_JOB_TYPE,
+      { blockId: String(blk._id) },
+      { userId: user._id, blockId: blk._id }
+    ));
+  }
+  return jobs;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  enqueueFocusEventSync,
+  syncFocusEvent,
+  FOCUS_EVENT_JOB_TYPE
+};
@@ -0,0 +1,179 @@
+// ------------------------------------------------------------------
+// Module:    services/jobs/dailyPlanJobs.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Plan each user's day in the background at their chosen
+//            local time, approving blocks their rules allow.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/jobs/dailyPlanJobs.service
+ * @description
+ *   - The schedule lives in MongoDB: each user with an enabled auto-plan
+ *     has `autoPlanNextRunAt`, so restarts lose nothing. A run missed
+ *     while no instance was up (e.g. a sleeping host) happens on the
+ *     next scheduler pass and plans that day.
+ *   - `scheduleDailyPlans` claims due users by advancing their next run
+ *     with a compare-and-set, so with several instances exactly one
+ *     queues each run. The queued job then gets the job queue's leases
+ *     and retries.
+ *   - The job generates the day like GET /today does, approves pending
+ *     blocks matching the user's rules, and queues their notifications
+ *     and calendar events like an approval from the app.
+ */
+
+// ─────── Dependencies ───────
+const Job  = require("../../models/job");
+const User = require("../../models/user");
+const { defineJob, enqueue } = require("./jobQueue.service");
+const { enqueueApprovalJobs } = require("./approvalJobs.service");
+const {
+  getPlanningSettings,
+  getPlanningCalendars,
+  syncFocusEvents,
+  regenerateDay,
+  findDayBlocks,
+  approveBlocks
+} = require("../blocks/dayPlan.service");
+const { nextAutoPlanRun, selectAutoApproved } = require("../blocks/autoPlan.util");
+const { resolveTimezone, localDate } = require("../blocks/timezone.util");
+
+// ─────── Constants ───────
+
+/** Job type name. */
+const DAILY_PLAN_JOB_TYPE = "dailyPlan.run";
+
+/** Default pause between scheduler passes. */
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/** Most users claimed by one pass; the rest wait for the next. */
+const MAX_USERS_PER_PASS = 100;
+
+// ─────── State ───────
+
+let schedulerTimer = null;
+let passRunning    = false;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Plan one user's day.
+ * @param {{date: string}} payload - Local date to plan.
+ * @param {Object} job - The claimed job; `userId` is the user.
+ * @returns {Promise<void>}
+ */
+async function runDailyPlan({ date }, job) {
+  const user = await User.findById(job.userId);
+  if (!user || user.deletedAt || !user.autoPlan?.enabled) return;
+
+  const calendarIds = await getPlanningCalendars(user._id);
+  if (!calendarIds) return;
+
+  const settings = await getPlanningSettings(user._id);
+  await regenerateDay(user._id, calendarIds, date, settings);
+
+  const rules = user.autoPlan.approveRules || [];
+  if (!rules.length) return;
+  const pending  = (await findDayBlocks(user._id, date, settings.tz)).filter(blk => !blk.approved);
+  const approved = await approveBlocks(selectAutoApproved(pending, rules, settings.tz));
+  if (!approved.length) return;
+
+  await enqueueApprovalJobs(approved, settings.tz, user._id);
+  await syncFocusEvents(user._id, approved);
+}
+
+// ─────── Job Definitions ───────
+
+defineJob(DAILY_PLAN_JOB_TYPE, {
+  integration: "dailyPlan",
+  handler: runDailyPlan
+});
+
+// ─────── Public API ───────
+
+/**
+ * Queue today's plan for every user whose run is due, and move their
+ * next run to the following day.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests).
+ * @returns {Promise<Array>} - The queued jobs.
+ */
+async function scheduleDailyPlans({ now = new Date() } = {}) {
+  const due = await User.find({
+    "autoPlan.enabled": true,
+    deletedAt:          null,
+    autoPlanNextRunAt:  { $lte: now }
+  })
+    .select("timezone autoPlan autoPlanNextRunAt")
+    .sort({ autoPlanNextRunAt: 1 })
+    .limit(MAX_USERS_PER_PASS)
+    .lean();
+
+  const jobs = [];
+  for (const user of due) {
+    const tz = resolveTimezone(user.timezone);
+    // Only the instance whose update still sees the old value runs it.
+    const claim = await User.updateOne(
+      { _id: user._id, autoPlanNextRunAt: user.autoPlanNextRunAt },
+      { $set: { autoPlanNextRunAt: nextAutoPlanRun(user.autoPlan, tz, now) } }
+    );
+    if (!claim.modifiedCount) continue;
+    jobs.push(await enqueue(DAILY_PLAN_JOB_TYPE, { date: localDate(now, tz) }, { userId: user._id }));
+  }
+  return jobs;
+}
+
+/**
+ * The user's most recent auto-plan run, for the settings page.
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+function latestDailyPlanRun(userId) {
+  return Job.findOne({ type: DAILY_PLAN_JOB_TYPE, userId })
+    .select("payload status attempts runAt completedAt lastError")
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Start checking for due plans in the background. Safe to call twice.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=POLL_INTERVAL_MS]
+ */
+function startDailyPlanScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (schedulerTimer) return;
+  const tick = async () => {
+    if (passRunning) return;
+    passRunning = true;
+    try {
+      await scheduleDailyPlans();
+    } catch (err) {
+      console.error("Daily plan scheduler pass failed:", err);
+    } finally {
+      passRunning = false;
+    }
+  };
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref();
+  // Catch up on runs missed while the server was down.
+  tick();
+  console.info("Daily plan scheduler started.");
+}
+
+/**
+ * Stop the background scheduler.
+ */
+function stopDailyPlanScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  scheduleDailyPlans,
+  latestDailyPlanRun,
+  startDailyPlanScheduler,
+  stopDailyPlanScheduler,
+  runDailyPlan,
+  DAILY_PLAN_JOB_TYPE
+};
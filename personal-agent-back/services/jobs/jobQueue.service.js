@@ -0,0 +1,339 @@
+// ------------------------------------------------------------------
+// Module:    services/jobs/jobQueue.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Mongo-backed background job queue with retries, exponential
+//            backoff, dead-lettering and per-integration rate limits.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/jobs/jobQueue.service
+ * @description
+ *   - Job types are registered with `defineJob` and queued with `enqueue`.
+ *   - `runDueJobs` performs one worker pass: for each integration with due
+ *     work it claims the oldest job atomically, reserves a slot in the
+ *     job's rate-limit bucket, and runs its handler. A job whose bucket is
+ *     busy goes back to the queue until the bucket frees up.
+ *   - Rate-limit buckets are per integration and user, so one user's
+ *     deliveries never hold up another's.
+ *   - A failed job is retried after BACKOFF_BASE_MS * 2^(attempt-1), capped
+ *     at BACKOFF_MAX_MS; after `maxAttempts` it is marked "dead".
+ *   - Claims are leases: a job left "running" by a crashed process becomes
+ *     claimable again once its lease expires.
+ *   - `startJobWorker` polls in the background; tests call `runDueJobs`.
+ */
+
+// ─────── Dependencies ───────
+const os                   = require("os");
+const Job                  = require("../../models/job");
+const IntegrationRateLimit = require("../../models/integrationRateLimit");
+
+// ─────── Constants ───────
+
+/** Minimum spacing between one user's calls to each integration (ms). Unlisted: none. */
+const RATE_LIMITS_MS = {
+  taskmagic:  15 * 1000,
+  phoneAlarm: 2 * 1000
+};
+
+/** First retry delay; doubles on every further failure. */
+const BACKOFF_BASE_MS = 30 * 1000;
+
+/** Longest retry delay. */
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/** How long a claimed job may run before others may reclaim it. */
+const LEASE_MS = 2 * 60 * 1000;
+
+/** Default pause between background worker passes. */
+const POLL_INTERVAL_MS = 1000;
+
+/** Upper bound on jobs run by a single pass, so one pass cannot starve the loop. */
+const MAX_JOBS_PER_PASS = 50;
+
+/** MongoDB duplicate-key error code. */
+const DUPLICATE_KEY = 11000;
+
+/** Identifies this process in `lockedBy`. */
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// ─────── State ───────
+
+/** Registered job types: type → { integration, handler, maxAttempts }. */
+const definitions = new Map();
+
+let workerTimer = null;
+let passRunning = false;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Filter for jobs that may be claimed at `now`: due pending jobs and
+ * running jobs whose lease has expired.
+ * @param {Date} now
+ * @returns {Object}
+ */
+function dueFilter(now) {
+  return {
+    $or: [
+      { status: "pending", runAt: { $lte: now } },
+      { status: "running", lockExpiresAt: { $lte: now } }
+    ]
+  };
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures.
+ * @param {number} attempts - Attempts made so far (>= 1).
+ * @returns {number} - Milliseconds.
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Rate-limit bucket of a job: its integration and owner.
+ * @param {Object} job
+ * @returns {string}
+ */
+function rateLimitKey(job) {
+  return `${job.integration}:${job.userId || "system"}`;
+}
+
+/**
+ * Reserve the next send slot in a job's rate-limit bucket.
+ * The unique index on `key` makes concurrent reservations safe.
+ * @param {Object} job - Claimed job.
+ * @param {Date} now
+ * @returns {Promise<Date|null>} - Null if the call may be made now,
+ *   otherwise when the bucket frees up.
+ */
+async function reserveSlot(job, now) {
+  const interval = RATE_LIMITS_MS[job.integration] || 0;
+  if (!interval) return null;
+  const key = rateLimitKey(job);
+  try {
+    await IntegrationRateLimit.findOneAndUpdate(
+      {
+        key,
+        $or: [{ nextAvailableAt: null }, { nextAvailableAt: { $lte: now } }]
+      },
+      { $set: { integration: job.integration, nextAvailableAt: new Date(now.getTime() + interval) } },
+      { upsert: true }
+    );
+    return null;
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) throw err;
+    const bucket = await IntegrationRateLimit.findOne({ key }).lean();
+    // Always later than `now`, so this pass does not claim the job again.
+    return new Date(Math.max(bucket?.nextAvailableAt?.getTime() || 0, now.getTime() + 1));
+  }
+}
+
+/**
+ * Atomically claim the oldest due job for an integration.
+ * Claiming counts as an attempt, so repeated crashes still dead-letter.
+ * @param {string} integration
+ * @param {Date} now
+ * @returns {Promise<Object|null>} - The claimed job, or null.
+ */
+function claimJob(integration, now) {
+  return Job.findOneAndUpdate(
+    { integration, ...dueFilter(now) },
+    {
+      $set: {
+        status:        "running",
+        lockedBy:      WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + LEASE_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Return a claimed job to the queue without counting the attempt.
+ * @param {Object} job - Claimed job document.
+ * @param {Date} runAt - When it may be claimed again.
+ * @returns {Promise<void>}
+ */
+async function deferJob(job, runAt) {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: { status: "pending", lockedBy: null, lockExpiresAt: null, runAt },
+      $inc: { attempts: -1 }
+    }
+  );
+}
+
+/**
+ * Run a claimed job and record the outcome. The outcome is dropped if
+ * another worker has reclaimed the job after this one's lease expired.
+ * @param {Object} job - Claimed job document.
+ * @param {Date} now - Reference time for scheduling a retry.
+ * @returns {Promise<void>}
+ */
+async function runJob(job, now) {
+  const definition = definitions.get(job.type);
+  const release    = { lockedBy: null, lockExpiresAt: null };
+
+  try {
+    if (!definition) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    await definition.handler(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { ...release, status: "succeeded", completedAt: new Date(), lastError: null } }
+    );
+  } catch (err) {
+    const exhausted = !definition || job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.type} (${job._id}) attempt ${job.attempts} failed:`, err.message);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: exhausted
+          ? { ...release, status: "dead", lastError: err.message, completedAt: new Date() }
+          : {
+              ...release,
+              status:    "pending",
+              lastError: err.message,
+              runAt:     new Date(now.getTime() + backoffDelay(job.attempts))
+            }
+      }
+    );
+  }
+}
+
+// ─────── Public API ───────
+
+/**
+ * Register a job type.
+ * @param {string} type - Unique job type name.
+ * @param {Object} definition
+ * @param {string} definition.integration - Integration; with the job's user, its rate-limit bucket.
+ * @param {function(Object, Object): Promise<void>} definition.handler
+ *        Receives (payload, job); throwing schedules a retry.
+ * @param {number} [definition.maxAttempts] - Override the default of 5.
+ */
+function defineJob(type, { integration, handler, maxAttempts }) {
+  definitions.set(type, { integration, handler, maxAttempts });
+}
+
+/**
+ * Queue a job.
+ * @param {string} type - A type registered with defineJob.
+ * @param {Object} payload - Handler input; must be JSON-serialisable.
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Owner, for status lookups.
+ * @param {string} [options.blockId] - Related block, for status lookups.
+ * @param {Date}   [options.runAt] - Earliest run time (default now).
+ * @returns {Promise<Object>} - The stored job.
+ */
+async function enqueue(type, payload, { userId = null, blockId = null, runAt = new Date() } = {}) {
+  const definition = definitions.get(type);
+  if (!definition) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+  return Job.create({
+    type,
+    integration: definition.integration,
+    payload,
+    userId,
+    blockId,
+    runAt,
+    ...(definition.maxAttempts ? { maxAttempts: definition.maxAttempts } : {})
+  });
+}
+
+/**
+ * Perform one worker pass over all integrations with due work.
+ * Each integration runs as many jobs as its users' rate limits allow.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests).
+ * @returns {Promise<number>} - Number of jobs run.
+ */
+async function runDueJobs({ now = new Date() } = {}) {
+  const integrations = await Job.distinct("integration", dueFilter(now));
+  let processed = 0;
+
+  for (const integration of integrations) {
+    while (processed < MAX_JOBS_PER_PASS) {
+      const job = await claimJob(integration, now);
+      if (!job) break;
+      const nextSlot = await reserveSlot(job, now);
+      if (nextSlot) {
+        await deferJob(job, nextSlot);
+        continue;
+      }
+      await runJob(job, now);
+      processed++;
+    }
+  }
+  return processed;
+}
+
+/**
+ * Start polling for due jobs in the background. Safe to call twice.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=POLL_INTERVAL_MS]
+ */
+function startJobWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (workerTimer) return;
+  workerTimer = setInterval(async () => {
+    // Skip a tick rather than overlap passes.
+    if (passRunning) return;
+    passRunning = true;
+    try {
+      await runDueJobs();
+    } catch (err) {
+      console.error("Job worker pass failed:", err);
+    } finally {
+      passRunning = false;
+    }
+  }, intervalMs);
+  workerTimer.unref();
+  console.info(`Job worker ${WORKER_ID} started.`);
+}
+
+/**
+ * Stop the background worker.
+ */
+function stopJobWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+/**
+ * Delivery jobs for a user's blocks, grouped by block ID.
+ * @param {string} userId - Owner of the blocks.
+ * @param {string[]} blockIds - Block IDs to look up.
+ * @returns {Promise<Object<string, Object[]>>}
+ */
+async function listJobsForBlocks(userId, blockIds) {
+  const jobs = await Job.find({ userId, blockId: { $in: blockIds } })
+    .select("type integration status attempts maxAttempts runAt lastError completedAt blockId")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byBlock = Object.fromEntries(blockIds.map(id => [String(id), []]));
+  jobs.forEach(job => {
+    const { blockId, ...delivery } = job;
+    byBlock[String(blockId)]?.push(delivery);
+  });
+  return byBlock;
+}
+
+// ─────── Exports ───────
+module.exports = {
+  defineJob,
+  enqueue,
+  runDueJobs,
+  startJobWorker,
+  stopJobWorker,
+  listJobsForBlocks,
+  backoffDelay,
+  RATE_LIMITS_MS
+};
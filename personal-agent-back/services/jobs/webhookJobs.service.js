@@ -0,0 +1,200 @@
+// ------------------------------------------------------------------
+// Module:    services/jobs/webhookJobs.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Queue block events for the user's webhook subscriptions
+//            and deliver them through the background job queue.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/jobs/webhookJobs.service
+ * @description
+ *   - Approved blocks raise block.approved; approved blocks that move or
+ *     are excluded raise block.moved or block.excluded. Each event is
+ *     one job per matching subscription.
+ *   - block.startingSoon is queued to run the subscription's lead time
+ *     before an approved block starts, and re-queued when it moves. The
+ *     handler skips it unless the block is still approved and starts
+ *     when it did.
+ *   - The payload is rendered from the block's state when the job runs;
+ *     the job id is the delivery id, so retries can be de-duplicated.
+ *   - A failed attempt is logged and retried with the queue's backoff.
+ */
+
+// ─────── Dependencies ───────
+const { defineJob, enqueue } = require("./jobQueue.service");
+const WebhookSubscription    = require("../../models/webhookSubscription");
+const freedomTimeBlocks      = require("../../models/freedomTimeBlocks");
+const User                   = require("../../models/user");
+const { resolveTimezone }    = require("../blocks/timezone.util");
+const { webhookContext }     = require("../webhooks/webhookTemplates.util");
+const { deliverWebhook }     = require("../webhooks/webhookDelivery.service");
+
+// ─────── Constants ───────
+
+/** Job type name. */
+const WEBHOOK_JOB_TYPE = "webhook.deliver";
+
+/** Event queued ahead of a block's start. */
+const STARTING_SOON = "block.startingSoon";
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a block is approved and not excluded.
+ * @param {Object} block
+ * @returns {boolean}
+ */
+function isLive(block) {
+  return Boolean(block.approved && block.sourceType !== "excluded");
+}
+
+/**
+ * A user's enabled subscriptions to an event.
+ * @param {string} userId
+ * @param {string} event
+ * @returns {Promise<Object[]>}
+ */
+function subscriptionsFor(userId, event) {
+  return WebhookSubscription.find({ userId, enabled: true, events: event });
+}
+
+/**
+ * Deliver one queued event.
+ * @param {{subscriptionId: string, event: string, blockId: string, startTime?: string}} payload
+ * @param {Object} job - The running Job.
+ * @returns {Promise<void>}
+ * @throws {Error} When the receiver fails, so the job is retried.
+ */
+async function deliverEvent({ subscriptionId, event, blockId, startTime }, job) {
+  const subscription = await WebhookSubscription.findById(subscriptionId);
+  // Subscriptions deleted, disabled or unsubscribed since queueing are skipped.
+  if (!subscription || !subscription.enabled || !subscription.events.includes(event)) return;
+  const block = await freedomTimeBlocks.findById(blockId);
+  if (!block) return;
+  if (event === STARTING_SOON && !(isLive(block) && block.startTime.getTime() === new Date(startTime).getTime())) {
+    return;
+  }
+
+  const user    = await User.findById(subscription.userId).select("timezone");
+  const context = webhookContext({
+    event,
+    block,
+    tz:            resolveTimezone(user?.timezone),
+    minutesBefore: event === STARTING_SOON ? subscription.startingSoonMinutes : 0,
+    deliveryId:    String(job._id)
+  });
+  const delivery = await deliverWebhook(subscription, context, { blockId: block._id, attempt: job.attempts });
+  if (delivery.status === "failed") {
+    throw new Error(delivery.error);
+  }
+}
+
+// ─────── Job Definitions ───────
+
+defineJob(WEBHOOK_JOB_TYPE, {
+  integration: "outgoingWebhook",
+  handler: deliverEvent
+});
+
+// ─────── Public API ───────
+
+/**
+ * The fields of a block that decide its change events; take it before
+ * changing the block and pass it to `enqueueBlockChange`.
+ * @param {Object} block
+ * @returns {{startTime: Date, endTime: Date, sourceType: string}}
+ */
+function snapshotBlock(block) {
+  return { startTime: block.startTime, endTime: block.endTime, sourceType: block.sourceType };
+}
+
+/**
+ * Queue block.startingSoon for approved blocks that have not started.
+ * Blocks starting within the lead time are sent right away.
+ * @param {string} userId
+ * @param {Array} blocks
+ * @param {Date} [now]
+ * @returns {Promise<Array>} The queued jobs.
+ */
+async function scheduleStartingSoon(userId, blocks, now = new Date()) {
+  const upcoming = blocks.filter(blk => isLive(blk) && blk.startTime > now);
+  if (!upcoming.length) return [];
+  const subscriptions = await subscriptionsFor(userId, STARTING_SOON);
+  const jobs = [];
+  for (const blk of upcoming) {
+    for (const subscription of subscriptions) {
+      const runAt = new Date(Math.max(now.getTime(), blk.startTime.getTime() - subscription.startingSoonMinutes * 60 * 1000));
+      jobs.push(await enqueue(
+        WEBHOOK_JOB_TYPE,
+        {
+          subscriptionId: String(subscription._id),
+          event:          STARTING_SOON,
+          blockId:        String(blk._id),
+          startTime:      blk.startTime.toISOString()
+        },
+        { userId, blockId: blk._id, runAt }
+      ));
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Queue an event for each block and subscription to it. Approved and
+ * moved blocks also get their block.startingSoon (re)scheduled.
+ * @param {string} userId
+ * @param {"block.approved"|"block.moved"|"block.excluded"} event
+ * @param {Array} blocks
+ * @returns {Promise<Array>} The queued jobs.
+ */
+async function enqueueWebhookEvent(userId, event, blocks) {
+  if (!blocks.length) return [];
+  const subscriptions = await subscriptionsFor(userId, event);
+  const jobs = [];
+  for (const blk of blocks) {
+    for (const subscription of subscriptions) {
+      jobs.push(await enqueue(
+        WEBHOOK_JOB_TYPE,
+        { subscriptionId: String(subscription._id), event, blockId: String(blk._id) },
+        { userId, blockId: blk._id }
+      ));
+    }
+  }
+  if (event !== "block.excluded") {
+    jobs.push(...await scheduleStartingSoon(userId, blocks));
+  }
+  return jobs;
+}
+
+/**
+ * Queue the event, if any, for a change to an approved block: excluded,
+ * moved or resized, or brought back from the trash (raised again as
+ * block.approved, since subscribers last saw it excluded).
+ * @param {string} userId
+ * @param {{startTime: Date, endTime: Date, sourceType: string}} before - From snapshotBlock.
+ * @param {Object} block - The block after the change.
+ * @returns {Promise<Array>} The queued jobs.
+ */
+function enqueueBlockChange(userId, before, block) {
+  if (!block.approved) return Promise.resolve([]);
+  if (before.sourceType === "excluded") {
+    return block.sourceType === "excluded"
+      ? Promise.resolve([])
+      : enqueueWebhookEvent(userId, "block.approved", [block]);
+  }
+  if (block.sourceType === "excluded") {
+    return enqueueWebhookEvent(userId, "block.excluded", [block]);
+  }
+  const moved = before.startTime.getTime() !== block.startTime.getTime()
+    || before.endTime.getTime() !== block.endTime.getTime();
+  return moved ? enqueueWebhookEvent(userId, "block.moved", [block]) : Promise.resolve([]);
+}
+
+// ─────── Exports ───────
+module.exports = {
+  snapshotBlock,
+  enqueueWebhookEvent,
+  enqueueBlockChange,
+  WEBHOOK_JOB_TYPE
+};
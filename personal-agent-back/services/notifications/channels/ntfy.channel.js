@@ -0,0 +1,90 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/channels/ntfy.channel.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Notification channel that publishes to an ntfy topic.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/channels/ntfy.channel
+ * @description
+ *   - POSTs the rendered body to <server>/<topic>, with the title in
+ *     the Title header, as ntfy.sh and self-hosted ntfy servers accept.
+ *   - An access token for protected topics is stored as a secret.
+ */
+
+// ─────── Constants ───────
+
+/** Per-request timeout. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** Server used when none is given. */
+const DEFAULT_SERVER = "https://ntfy.sh";
+
+/** ntfy topic names: letters, digits, "-" and "_". */
+const TOPIC_PATTERN = /^[\w-]{1,64}$/;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a string is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// ─────── Channel ───────
+
+module.exports = {
+  type:         "ntfy",
+  label:        "ntfy topic",
+  secretFields: ["token"],
+  jsonBody:     false,
+  defaultTemplate: {
+    title: "{{heading}}",
+    body:  "{{label}} at {{time}}"
+  },
+
+  /**
+   * @param {Object} input - { server?, topic }
+   * @returns {{config?: Object, error?: string}}
+   */
+  validateConfig(input) {
+    const server = (input?.server || DEFAULT_SERVER).replace(/\/+$/, "");
+    if (!isHttpUrl(server)) {
+      return { error: "server must be a http(s) URL" };
+    }
+    if (!TOPIC_PATTERN.test(input?.topic || "")) {
+      return { error: "topic must be 1-64 letters, digits, - or _" };
+    }
+    return { config: { server, topic: input.topic } };
+  },
+
+  /**
+   * @param {{config: Object, secrets: Object, title: string, body: string}} message
+   * @returns {Promise<void>}
+   */
+  async send({ config, secrets, title, body }) {
+    const resp = await fetch(`${config.server}/${config.topic}`, {
+      method:  "POST",
+      headers: {
+        "Content-Type": "text/plain; charset=utf-8",
+        // Header values must be ASCII; ntfy decodes RFC 2047 encoded words.
+        Title: /^[\x20-\x7e]*$/.test(title) ? title : `=?UTF-8?B?${Buffer.from(title).toString("base64")}?=`,
+        Tags:  "alarm_clock",
+        ...(secrets.token && { Authorization: `Bearer ${secrets.token}` })
+      },
+      body,
+      signal:  AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!resp.ok) {
+      throw new Error(`ntfy responded with ${resp.status}`);
+    }
+  }
+};
@@ -0,0 +1,88 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/channels/smtp.channel.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Notification channel that sends an email over SMTP.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/channels/smtp.channel
+ * @description
+ *   - Uses the user's own SMTP server (e.g. their mail provider with
+ *     an app password); the password is stored as a secret.
+ *   - The title template becomes the subject, the body the text.
+ */
+
+// ─────── Dependencies ───────
+const { sendMail } = require("../smtp.client");
+
+// ─────── Constants ───────
+
+/** Conservative address check; also rules out header injection. */
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+/** Hostnames and IP literals. */
+const HOST_PATTERN = /^[\w.-]+$|^\[?[\da-f:]+\]?$/i;
+
+/** Most recipients per channel. */
+const MAX_RECIPIENTS = 5;
+
+// ─────── Channel ───────
+
+module.exports = {
+  type:         "smtp",
+  label:        "Email (SMTP)",
+  secretFields: ["password"],
+  jsonBody:     false,
+  defaultTemplate: {
+    title: "{{heading}}: {{label}}",
+    body:  "{{heading}}.\n\n{{label}} at {{time}}."
+  },
+
+  /**
+   * @param {Object} input - { host, port?, secure?, username?, from, to }
+   * @returns {{config?: Object, error?: string}}
+   */
+  validateConfig(input) {
+    const secure = Boolean(input?.secure);
+    const port   = input?.port === undefined || input.port === "" ? (secure ? 465 : 587) : Number(input.port);
+    const to     = [].concat(input?.to || []).flatMap(value => String(value).split(",")).map(s => s.trim()).filter(Boolean);
+
+    if (!HOST_PATTERN.test(input?.host || "")) {
+      return { error: "A SMTP host is required" };
+    }
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { error: "port must be between 1 and 65535" };
+    }
+    if (!EMAIL_PATTERN.test(input.from || "")) {
+      return { error: "from must be an email address" };
+    }
+    if (!to.length || to.length > MAX_RECIPIENTS || !to.every(address => EMAIL_PATTERN.test(address))) {
+      return { error: `to must list 1 to ${MAX_RECIPIENTS} email addresses` };
+    }
+    if (input.username !== undefined && typeof input.username !== "string") {
+      return { error: "username must be text" };
+    }
+    return {
+      config: { host: input.host, port, secure, username: input.username || "", from: input.from, to }
+    };
+  },
+
+  /**
+   * @param {{config: Object, secrets: Object, title: string, body: string}} message
+   * @returns {Promise<void>}
+   */
+  send({ config, secrets, title, body }) {
+    return sendMail({
+      host:     config.host,
+      port:     config.port,
+      secure:   config.secure,
+      username: config.username,
+      password: secrets.password,
+      from:     config.from,
+      to:       config.to,
+      subject:  title,
+      text:     body
+    });
+  }
+};
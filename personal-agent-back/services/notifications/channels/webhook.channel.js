@@ -0,0 +1,77 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/channels/webhook.channel.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Notification channel that POSTs a JSON body to any URL.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/channels/webhook.channel
+ * @description
+ *   - The body template must render to JSON; values are escaped as
+ *     JSON strings, so templates quote their placeholders.
+ *   - An optional Authorization header value is stored as a secret.
+ */
+
+// ─────── Constants ───────
+
+/** Per-request timeout. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a string is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// ─────── Channel ───────
+
+module.exports = {
+  type:         "webhook",
+  label:        "Webhook",
+  secretFields: ["authorization"],
+  jsonBody:     true,
+  defaultTemplate: {
+    title: "{{heading}}",
+    body:  "{\"kind\":\"{{kind}}\",\"time\":\"{{time24}}\",\"label\":\"{{label}}\",\"title\":\"{{heading}}\"}"
+  },
+
+  /**
+   * @param {Object} input - { url }
+   * @returns {{config?: Object, error?: string}}
+   */
+  validateConfig(input) {
+    if (!isHttpUrl(input?.url)) {
+      return { error: "A http(s) webhook URL is required" };
+    }
+    return { config: { url: input.url } };
+  },
+
+  /**
+   * @param {{config: Object, secrets: Object, body: string}} message
+   * @returns {Promise<void>}
+   */
+  async send({ config, secrets, body }) {
+    const resp = await fetch(config.url, {
+      method:  "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(secrets.authorization && { Authorization: secrets.authorization })
+      },
+      body,
+      signal:  AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!resp.ok) {
+      throw new Error(`Webhook responded with ${resp.status}`);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/channels/webpush.channel.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Notification channel that pushes to a subscribed browser.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/channels/webpush.channel
+ * @description
+ *   - The config is the browser's PushSubscription (endpoint and keys);
+ *     the app's service worker shows the pushed { title, body }.
+ *   - Needs the server's VAPID keys; see services/notifications/webPush.util.
+ */
+
+// ─────── Dependencies ───────
+const { sendWebPush } = require("../webPush.util");
+
+// ─────── Constants ───────
+
+/** base64url values of a subscription's keys. */
+const KEY_PATTERN = /^[\w-]+={0,2}$/;
+
+// ─────── Channel ───────
+
+module.exports = {
+  type:         "webpush",
+  label:        "Browser push",
+  secretFields: [],
+  jsonBody:     false,
+  defaultTemplate: {
+    title: "{{heading}}",
+    body:  "{{label}} at {{time}}"
+  },
+
+  /**
+   * @param {Object} input - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+   * @returns {{config?: Object, error?: string}}
+   */
+  validateConfig(input) {
+    let endpoint;
+    try {
+      endpoint = new URL(input?.endpoint);
+    } catch {
+      return { error: "A push subscription endpoint is required" };
+    }
+    if (!["https:", "http:"].includes(endpoint.protocol)) {
+      return { error: "A push subscription endpoint is required" };
+    }
+    const { p256dh, auth } = input.keys || {};
+    if (!KEY_PATTERN.test(p256dh || "") || !KEY_PATTERN.test(auth || "")) {
+      return { error: "The push subscription's p256dh and auth keys are required" };
+    }
+    return { config: { endpoint: endpoint.href, keys: { p256dh, auth } } };
+  },
+
+  /**
+   * @param {{config: Object, title: string, body: string}} message
+   * @returns {Promise<void>}
+   */
+  send({ config, title, body }) {
+    return sendWebPush(config, JSON.stringify({ title, body }));
+  }
+};
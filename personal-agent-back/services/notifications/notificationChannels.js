@@ -0,0 +1,165 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/notificationChannels.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Registry of notification channel types, and validation of
+//            user channel settings against it.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/notificationChannels
+ * @description
+ *   - Each channel type lives in ./channels and is registered here by
+ *     its `type`; adding a channel means adding a module to CHANNELS.
+ *   - Channel modules only check their config and send; nothing is
+ *     read from the environment until a message is sent, so a missing
+ *     or broken channel configuration cannot stop the app starting.
+ *   - `validateChannel` checks a create or update request, encrypts
+ *     new secrets and keeps stored ones that were not resent.
+ */
+
+// ─────── Dependencies ───────
+const { encryptSecret } = require("../secrets.util");
+const { MAX_TEMPLATE_LENGTH, SAMPLE_ALARM, alarmContext, renderTemplate } = require("./template.util");
+
+// ─────── Types ───────
+
+/**
+ * A notification channel type.
+ *
+ * @typedef {Object} ChannelType
+ * @property {string} type
+ * @property {string} label
+ * @property {string[]} secretFields - Fields stored encrypted.
+ * @property {boolean} jsonBody - Whether the body template renders JSON.
+ * @property {{title: string, body: string}} defaultTemplate
+ * @property {function(Object): {config?: Object, error?: string}} validateConfig
+ * @property {function({config: Object, secrets: Object, title: string, body: string}): Promise<void>} send
+ */
+
+// ─────── Constants ───────
+
+/** Registered channel types by name. */
+const CHANNELS = Object.fromEntries([
+  require("./channels/webhook.channel"),
+  require("./channels/ntfy.channel"),
+  require("./channels/smtp.channel"),
+  require("./channels/webpush.channel")
+].map(channel => [channel.type, channel]));
+
+/** Longest channel name. */
+const MAX_NAME_LENGTH = 60;
+
+/** Longest secret value. */
+const MAX_SECRET_LENGTH = 1000;
+
+// ─────── Public API ───────
+
+/**
+ * Look up a channel type.
+ * @param {string} type
+ * @returns {ChannelType|undefined}
+ */
+function getChannelType(type) {
+  return Object.prototype.hasOwnProperty.call(CHANNELS, type) ? CHANNELS[type] : undefined;
+}
+
+/**
+ * Channel types for clients: name, label, secret fields and default template.
+ * @returns {Array<{type: string, label: string, secretFields: string[], defaultTemplate: Object}>}
+ */
+function listChannelTypes() {
+  return Object.values(CHANNELS).map(({ type, label, secretFields, defaultTemplate }) =>
+    ({ type, label, secretFields, defaultTemplate }));
+}
+
+/**
+ * The title and body templates a channel renders with.
+ * @param {Object} channel - NotificationChannel document.
+ * @returns {{title: string, body: string}}
+ */
+function templateOf(channel) {
+  const { defaultTemplate } = getChannelType(channel.type);
+  return {
+    title: channel.template?.title || defaultTemplate.title,
+    body:  channel.template?.body  || defaultTemplate.body
+  };
+}
+
+/**
+ * Check a channel create or update request.
+ * @param {Object} input - Request body: { type, name, enabled?, config, secrets?, template? }.
+ * @param {Object} [existing] - Stored channel being updated; fields it has
+ *   are kept when the input omits them.
+ * @returns {{value?: Object, error?: string}} Fields to store, secrets encrypted.
+ */
+function validateChannel(input, existing) {
+  const type    = existing ? existing.type : input.type;
+  const channel = getChannelType(type);
+  if (!channel) {
+    return { error: `type must be one of ${Object.keys(CHANNELS).join(", ")}` };
+  }
+
+  const name = input.name === undefined && existing ? existing.name : input.name;
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    return { error: "enabled must be true or false" };
+  }
+
+  let config = existing?.config;
+  if (input.config !== undefined || !existing) {
+    const result = channel.validateConfig(input.config || {});
+    if (result.error) return { error: result.error };
+    config = result.config;
+  }
+
+  const secrets = { ...(existing?.secrets || {}) };
+  for (const [field, value] of Object.entries(input.secrets || {})) {
+    if (!channel.secretFields.includes(field)) {
+      return { error: `Unknown secret "${field}" for ${type} channels` };
+    }
+    if (typeof value !== "string" || value.length > MAX_SECRET_LENGTH) {
+      return { error: `${field} must be text of at most ${MAX_SECRET_LENGTH} characters` };
+    }
+    // An empty value removes the stored secret.
+    if (value) secrets[field] = encryptSecret(value);
+    else delete secrets[field];
+  }
+
+  const template = {
+    title: input.template?.title ?? existing?.template?.title ?? "",
+    body:  input.template?.body  ?? existing?.template?.body  ?? ""
+  };
+  if (typeof template.title !== "string" || typeof template.body !== "string"
+    || template.title.length > MAX_TEMPLATE_LENGTH || template.body.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `Templates must be text of at most ${MAX_TEMPLATE_LENGTH} characters` };
+  }
+  if (channel.jsonBody && template.body) {
+    try {
+      JSON.parse(renderTemplate(template.body, alarmContext(SAMPLE_ALARM), { json: true }));
+    } catch {
+      return { error: "The body template must render to valid JSON" };
+    }
+  }
+
+  return {
+    value: {
+      type,
+      name: name.trim(),
+      enabled: input.enabled ?? existing?.enabled ?? true,
+      config,
+      secrets,
+      template
+    }
+  };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  getChannelType,
+  listChannelTypes,
+  templateOf,
+  validateChannel
+};
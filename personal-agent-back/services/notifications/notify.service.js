@@ -0,0 +1,84 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/notify.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Deliver alarms to a user's notification channels.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/notify.service
+ * @description
+ *   - Renders the channel's templates for an alarm, decrypts its
+ *     secrets and sends through the channel type's module.
+ *   - Records the outcome on the channel (`lastError`), so the settings
+ *     page can show a channel that stopped working.
+ */
+
+// ─────── Dependencies ───────
+const NotificationChannel = require("../../models/notificationChannel");
+const { decryptSecret }   = require("../secrets.util");
+const { getChannelType, templateOf } = require("./notificationChannels");
+const { SAMPLE_ALARM, alarmContext, renderTemplate } = require("./template.util");
+
+// ─────── Public API ───────
+
+/**
+ * A user's enabled channels.
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+function enabledChannels(userId) {
+  return NotificationChannel.find({ userId, enabled: true }).sort({ createdAt: 1 });
+}
+
+/**
+ * Send one alarm through one channel.
+ * @param {Object} channel - NotificationChannel document.
+ * @param {{kind: string, time24: string, label?: string, minutesBefore?: number}} alarm
+ * @returns {Promise<void>}
+ * @throws {Error} When delivery fails; the error is also stored on the channel.
+ */
+async function deliverAlarm(channel, alarm) {
+  const type     = getChannelType(channel.type);
+  const template = templateOf(channel);
+  const context  = alarmContext(alarm);
+  try {
+    const secrets = Object.fromEntries(
+      Object.entries(channel.secrets || {}).map(([field, value]) => [field, decryptSecret(value)])
+    );
+    await type.send({
+      config: channel.config,
+      secrets,
+      title:  renderTemplate(template.title, context),
+      body:   renderTemplate(template.body, context, { json: type.jsonBody })
+    });
+  } catch (err) {
+    await NotificationChannel.updateOne({ _id: channel._id }, { lastError: err.message });
+    throw err;
+  }
+  if (channel.lastError) {
+    await NotificationChannel.updateOne({ _id: channel._id }, { lastError: null });
+  }
+}
+
+/**
+ * Send a sample alarm through a channel and record when it was tested.
+ * @param {Object} channel - NotificationChannel document.
+ * @returns {Promise<{ok: boolean, message?: string}>}
+ */
+async function testChannel(channel) {
+  try {
+    await deliverAlarm(channel, SAMPLE_ALARM);
+    await NotificationChannel.updateOne({ _id: channel._id }, { lastTestedAt: new Date() });
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  enabledChannels,
+  deliverAlarm,
+  testChannel
+};
@@ -0,0 +1,248 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/smtp.client.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Minimal SMTP (RFC 5321) client for sending plain-text
+//            notification emails.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/smtp.client
+ * @description
+ *   - Connects with implicit TLS (`secure`, usually port 465) or in
+ *     plain text, upgrading with STARTTLS when the server offers it.
+ *   - Authenticates with AUTH PLAIN. A password is never sent over an
+ *     unencrypted connection except to a loopback host (local relays
+ *     and tests).
+ *   - Sends one UTF-8 text message, base64-encoded so no server
+ *     extension is needed and no line needs dot-stuffing.
+ */
+
+// ─────── Dependencies ───────
+const crypto = require("crypto");
+const net    = require("net");
+const tls    = require("tls");
+
+// ─────── Constants ───────
+
+/** Longest wait for any server reply. */
+const COMMAND_TIMEOUT_MS = 15000;
+
+/** Name this client gives itself in EHLO. */
+const CLIENT_NAME = "personal-agent";
+
+/** Line length of the base64 message body. */
+const BASE64_LINE = 76;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a host is this machine.
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || /^127\./.test(host);
+}
+
+/**
+ * Open a TCP or TLS connection.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure - Implicit TLS.
+ * @param {net.Socket} [options.socket] - Plain socket to upgrade (STARTTLS).
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure, socket }) {
+  return new Promise((resolve, reject) => {
+    const conn = secure
+      ? tls.connect({ host, port, socket, servername: net.isIP(host) ? undefined : host })
+      : net.connect({ host, port });
+    conn.setTimeout(COMMAND_TIMEOUT_MS, () => conn.destroy(new Error("SMTP server timed out")));
+    conn.once(secure ? "secureConnect" : "connect", () => {
+      conn.off("error", reject);
+      resolve(conn);
+    });
+    conn.once("error", reject);
+  });
+}
+
+/**
+ * Read replies from a connection and issue commands.
+ * @param {net.Socket} socket
+ * @returns {{command: function(?string, number[]): Promise<{code: number, lines: string[]}>,
+ *   detach: function(): void}}
+ */
+function createSession(socket) {
+  let buffer  = "";
+  let lines   = [];
+  let failure = null;
+  let pending = null;
+  const queued = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, "");
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      // "250-..." continues a reply; "250 ..." ends it.
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+        lines = [];
+        if (pending) {
+          pending.resolve(reply);
+          pending = null;
+        } else {
+          queued.push(reply);
+        }
+      }
+    }
+  }
+
+  function onFailure(err) {
+    failure = failure || err;
+    if (pending) {
+      pending.reject(failure);
+      pending = null;
+    }
+  }
+  const onClose = () => onFailure(new Error("SMTP connection closed"));
+
+  socket.on("data", onData);
+  socket.on("error", onFailure);
+  socket.on("close", onClose);
+
+  function read() {
+    if (queued.length) return Promise.resolve(queued.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => { pending = { resolve, reject }; });
+  }
+
+  return {
+    /**
+     * Send a command (or just read, when null) and check the reply code.
+     * @param {?string} line
+     * @param {number[]} expected - Accepted reply codes.
+     * @returns {Promise<{code: number, lines: string[]}>}
+     */
+    async command(line, expected) {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        const verb = line === null ? "greeting" : line.split(" ")[0];
+        throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.lines.join(" ")}`);
+      }
+      return reply;
+    },
+
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onFailure);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+/**
+ * Whether an EHLO reply lists an extension.
+ * @param {{lines: string[]}} reply
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+function supports(reply, keyword) {
+  return reply.lines.some(line => line.toUpperCase().split(" ")[0] === keyword);
+}
+
+/**
+ * Encode a header value as an RFC 2047 word when it is not plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const clean = value.replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString("base64")}?=`;
+}
+
+/**
+ * Build the message text sent after DATA.
+ * @param {{from: string, to: string[], subject: string, text: string}} message
+ * @returns {string}
+ */
+function formatMessage({ from, to, subject, text }) {
+  const domain = from.split("@")[1] || CLIENT_NAME;
+  const body   = Buffer.from(text).toString("base64").match(new RegExp(`.{1,${BASE64_LINE}}`, "g")) || [];
+  return [
+    `From: <${from}>`,
+    `To: ${to.map(address => `<${address}>`).join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...body
+  ].join("\r\n");
+}
+
+// ─────── Public API ───────
+
+/**
+ * Send one plain-text email.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.secure=false] - Connect with TLS from the start.
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} options.from
+ * @param {string[]} options.to
+ * @param {string} options.subject
+ * @param {string} options.text
+ * @returns {Promise<void>}
+ * @throws {Error} On connection failures and unexpected replies.
+ */
+async function sendMail({ host, port, secure = false, username, password, from, to, subject, text }) {
+  let socket  = await connect({ host, port, secure });
+  let session = createSession(socket);
+  try {
+    await session.command(null, [220]);
+    let ehlo = await session.command(`EHLO ${CLIENT_NAME}`, [250]);
+
+    let encrypted = secure;
+    if (!encrypted && supports(ehlo, "STARTTLS")) {
+      await session.command("STARTTLS", [220]);
+      session.detach();
+      socket    = await connect({ host, port, secure: true, socket });
+      session   = createSession(socket);
+      ehlo      = await session.command(`EHLO ${CLIENT_NAME}`, [250]);
+      encrypted = true;
+    }
+
+    if (username) {
+      if (!encrypted && !isLoopback(host)) {
+        throw new Error("SMTP server does not offer STARTTLS; refusing to send the password unencrypted");
+      }
+      const credentials = Buffer.from(`\0${username}\0${password || ""}`).toString("base64");
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, [250]);
+    for (const address of to) {
+      await session.command(`RCPT TO:<${address}>`, [250, 251]);
+    }
+    await session.command("DATA", [354]);
+    await session.command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250]);
+    await session.command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  sendMail
+};
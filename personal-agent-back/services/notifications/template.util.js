@@ -0,0 +1,106 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/template.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Render notification templates with an alarm's details.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/template.util
+ * @description
+ *   - Templates are plain text with {{placeholders}}; unknown
+ *     placeholders render empty.
+ *   - Placeholders: heading ("Focus block in 10 minutes"), label, kind
+ *     (warning, start, end), time ("9:50 AM"), time24 ("09:50") and
+ *     minutesBefore (warnings only).
+ *   - JSON templates (webhooks) escape each value for use inside a
+ *     JSON string.
+ */
+
+// ─────── Constants ───────
+
+/** Placeholder syntax: {{name}}, optionally padded with spaces. */
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Longest accepted template. */
+const MAX_TEMPLATE_LENGTH = 2000;
+
+/** Label shown when neither the settings nor the block provide one. */
+const DEFAULT_LABEL = "Focus";
+
+/** Alarm sent when a channel is tested. */
+const SAMPLE_ALARM = { kind: "warning", time24: "09:50", label: "Test alarm", minutesBefore: 10 };
+
+// ─────── Helper Functions ───────
+
+/**
+ * "HH:mm" as "h:mm AM".
+ * @param {string} time24
+ * @returns {string}
+ */
+function toAmPm(time24) {
+  const [hh, mm] = time24.split(":").map(Number);
+  const suffix   = hh < 12 ? "AM" : "PM";
+  return `${hh % 12 || 12}:${String(mm).padStart(2, "0")} ${suffix}`;
+}
+
+/**
+ * Short description of when an alarm rings relative to its block.
+ * @param {Object} alarm
+ * @returns {string}
+ */
+function headingOf(alarm) {
+  if (alarm.kind === "warning") return `Focus block in ${alarm.minutesBefore} minutes`;
+  if (alarm.kind === "start") return "Focus block starting";
+  return "Focus block ending";
+}
+
+/**
+ * Escape a value for the inside of a JSON string.
+ * @param {string} value
+ * @returns {string}
+ */
+function jsonEscape(value) {
+  return JSON.stringify(value).slice(1, -1);
+}
+
+// ─────── Public API ───────
+
+/**
+ * Values available to templates for one alarm.
+ * @param {{kind: string, time24: string, label?: string, minutesBefore?: number}} alarm
+ * @returns {Object<string, string>}
+ */
+function alarmContext(alarm) {
+  return {
+    heading:       headingOf(alarm),
+    label:         alarm.label || DEFAULT_LABEL,
+    kind:          alarm.kind,
+    time:          toAmPm(alarm.time24),
+    time24:        alarm.time24,
+    minutesBefore: alarm.minutesBefore ? String(alarm.minutesBefore) : ""
+  };
+}
+
+/**
+ * Fill a template's placeholders.
+ * @param {string} template
+ * @param {Object<string, string>} context
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Escape values for a JSON string.
+ * @returns {string}
+ */
+function renderTemplate(template, context, { json = false } = {}) {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    const value = context[name] ?? "";
+    return json ? jsonEscape(value) : value;
+  });
+}
+
+// ─────── Exports ───────
+module.exports = {
+  MAX_TEMPLATE_LENGTH,
+  SAMPLE_ALARM,
+  alarmContext,
+  renderTemplate
+};
@@ -0,0 +1,191 @@
+// ------------------------------------------------------------------
+// Module:    services/notifications/webPush.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Web Push delivery: VAPID authorization (RFC 8292) and
+//            message encryption (RFC 8291, aes128gcm).
+// ------------------------------------------------------------------
+
+/**
+ * @module services/notifications/webPush.util
+ * @description
+ *   - VAPID keys come from VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY
+ *     (base64url P-256 keys, as printed by `generateVapidKeys`) and
+ *     VAPID_SUBJECT (a mailto: or https: contact). They are read when a
+ *     message is sent, so a missing key only fails Web Push delivery.
+ *   - Each message is encrypted for the browser subscription's p256dh
+ *     key and auth secret as a single aes128gcm record.
+ */
+
+// ─────── Dependencies ───────
+const crypto = require("crypto");
+
+// ─────── Constants ───────
+
+/** Per-request timeout. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** How long push services keep an undelivered alarm; later it is stale. */
+const TTL_SECONDS = 60 * 60;
+
+/** Lifetime of a VAPID token. */
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+
+/** Record size advertised in the aes128gcm header. */
+const RECORD_SIZE = 4096;
+
+/** Contact used when VAPID_SUBJECT is unset. */
+const DEFAULT_SUBJECT = "mailto:admin@localhost";
+
+// ─────── Helper Functions ───────
+
+/**
+ * HKDF-SHA256.
+ * @param {Buffer} salt
+ * @param {Buffer} ikm
+ * @param {Buffer} info
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+}
+
+/**
+ * Configured VAPID keys.
+ * @returns {{publicKey: string, privateKey: string, subject: string}}
+ * @throws {Error} When the keys are not configured.
+ */
+function vapidKeys() {
+  const publicKey  = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) {
+    throw new Error("Web Push is not configured (set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY)");
+  }
+  return { publicKey, privateKey, subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT };
+}
+
+/**
+ * Signed VAPID JWT for a push service origin.
+ * @param {string} audience - Origin of the subscription endpoint.
+ * @returns {string} Authorization header value.
+ */
+function vapidAuthorization(audience) {
+  const { publicKey, privateKey, subject } = vapidKeys();
+  const point = Buffer.from(publicKey, "base64url");
+  const key   = crypto.createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d:   privateKey,
+      x:   point.subarray(1, 33).toString("base64url"),
+      y:   point.subarray(33, 65).toString("base64url")
+    },
+    format: "jwk"
+  });
+
+  const encode  = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ typ: "JWT", alg: "ES256" })}.${encode({
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+    sub: subject
+  })}`;
+  const signature = crypto.sign("sha256", Buffer.from(unsigned), { key, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${unsigned}.${signature.toString("base64url")}, k=${publicKey}`;
+}
+
+// ─────── Public API ───────
+
+/**
+ * Create a VAPID key pair for the environment.
+ * @returns {{publicKey: string, privateKey: string}} base64url keys.
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  return {
+    publicKey:  ecdh.getPublicKey().toString("base64url"),
+    privateKey: ecdh.getPrivateKey().toString("base64url")
+  };
+}
+
+/**
+ * The configured VAPID public key, for browsers to subscribe with.
+ * @returns {?string}
+ */
+function vapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291).
+ * @param {string} payload
+ * @param {{p256dh: string, auth: string}} keys - Subscription keys, base64url.
+ * @returns {Buffer} aes128gcm message body.
+ */
+function encryptPayload(payload, keys) {
+  const clientPublic = Buffer.from(keys.p256dh, "base64url");
+  const authSecret   = Buffer.from(keys.auth, "base64url");
+
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  const serverPublic = ecdh.getPublicKey();
+  const shared       = ecdh.computeSecret(clientPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), clientPublic, serverPublic]);
+  const ikm     = hkdf(authSecret, shared, keyInfo, 32);
+  const salt    = crypto.randomBytes(16);
+  const cek     = hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce   = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", cek, nonce);
+  // A single record, ended by the 0x02 padding delimiter.
+  const record = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+  return Buffer.concat([header, serverPublic, record]);
+}
+
+/**
+ * Deliver a payload to a browser subscription.
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription
+ * @param {string} payload - Usually JSON.
+ * @returns {Promise<void>}
+ * @throws {Error} With `code` 404 or 410 when the subscription has expired.
+ */
+async function sendWebPush(subscription, payload) {
+  const resp = await fetch(subscription.endpoint, {
+    method:  "POST",
+    headers: {
+      Authorization:      vapidAuthorization(new URL(subscription.endpoint).origin),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type":     "application/octet-stream",
+      TTL:                String(TTL_SECONDS),
+      Urgency:            "high"
+    },
+    body:    encryptPayload(payload, subscription.keys),
+    signal:  AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!resp.ok) {
+    const err = new Error(resp.status === 404 || resp.status === 410
+      ? "Push subscription has expired; subscribe this browser again"
+      : `Push service responded with ${resp.status}`);
+    err.code = resp.status;
+    throw err;
+  }
+}
+
+// ─────── Exports ───────
+module.exports = {
+  generateVapidKeys,
+  vapidPublicKey,
+  encryptPayload,
+  sendWebPush
+};
@@ -8,8 +8,13 @@
 /**
  * @module PhoneAlarmService
  * @description
- *   - Reads alarm endpoints from PHONE_ALARM_ENDPOINTS env variable.
- *   - Converts 24-hour times into API-specific format.
+ *   - Posts to the endpoints it is given (the user's own, resolved by
+ *     services/integrations/userIntegrations.service.js), defaulting to
+ *     the PHONE_ALARM_ENDPOINTS env variable read when an alarm is set;
+ *     without endpoints, phone alarms are skipped rather than failing at
+ *     startup.
+ *   - Formats each alarm kind (warning, start, end) into the API's
+ *     request body, with its time in the API-specific format.
  *   - Tries each endpoint until one succeeds or throws on failure.
  */
 
@@ -22,18 +27,26 @@ const fetch =
   global.fetch ||
   ((...args) => import('node-fetch').then(({ default: f }) => f(...args)));
 
-const PHONE_ALARM_ENDPOINTS = process.env.PHONE_ALARM_ENDPOINTS
-  ? process.env.PHONE_ALARM_ENDPOINTS.split(',')
-  : [];
+// ─────────────── Constants ───────────────
 
-if (PHONE_ALARM_ENDPOINTS.length === 0) {
-  throw new Error(
-    'No phone alarm endpoints defined in environment variable PHONE_ALARM_ENDPOINTS'
-  );
-}
+// Longest wait for each endpoint, so one unresponsive phone cannot
+// stall the job queue.
+const REQUEST_TIMEOUT_MS = 15000;
 
 // ─────────────── Utility Functions ───────────────
 
+/**
+ * Alarm endpoints configured in PHONE_ALARM_ENDPOINTS.
+ *
+ * @returns {string[]}
+ */
+function phoneAlarmEndpoints() {
+  return (process.env.PHONE_ALARM_ENDPOINTS || '')
+    .split(',')
+    .map((endpoint) => endpoint.trim())
+    .filter(Boolean);
+}
+
 /**
  * Convert 24-hour time string "HH:MM" to "h_MM_am" or "h_MM_pm".
  *
@@ -57,26 +70,53 @@ function convert24ToAmPm(time24) {
   return `${hh}_${mm}_${suffix}`;
 }
 
+/**
+ * Build the alarm API request body for one alarm.
+ *   - "start" and "end" ring when a block starts or ends.
+ *   - "warning" rings ahead of the start and says how far ahead.
+ * Alarms without a kind ring at a block's end.
+ *
+ * @param {Object} alarm
+ * @param {"warning"|"start"|"end"} [alarm.kind="end"]
+ * @param {string} alarm.time24           Time in "HH:MM" 24-hour format.
+ * @param {string} [alarm.label=""]       Text shown with the alarm.
+ * @param {number} [alarm.minutesBefore]  Lead time of a warning.
+ * @returns {{time: string, kind: string, label: string, minutesBefore?: number}}
+ */
+function formatAlarm({ kind = 'end', time24, label = '', minutesBefore }) {
+  const body = { time: convert24ToAmPm(time24), kind, label };
+  if (kind === 'warning') {
+    body.minutesBefore = minutesBefore;
+  }
+  return body;
+}
+
 // ─────────────── Service Function ───────────────
 
 /**
- * Attempt to set a phone alarm by POSTing to configured endpoints.
+ * Attempt to set a phone alarm by POSTing to each endpoint in turn.
+ * An endpoint that does not answer within REQUEST_TIMEOUT_MS counts as
+ * failed.
  *
- * @param {string} time24       Time in "HH:MM" 24-hour format.
+ * @param {Object} alarm        Alarm as accepted by formatAlarm.
+ * @param {string[]} [endpoints] Endpoints to try; defaults to PHONE_ALARM_ENDPOINTS.
  * @returns {Promise<void>}     Resolves on the first successful request.
- * @throws {Error}              If all endpoints fail or return status 503.
+ * @throws {Error}              If no endpoint is configured, or all fail or return status 503.
  */
-async function setPhoneAlarm(time24) {
-  const timeAmPm = convert24ToAmPm(time24);
-  const requestBody = { time: timeAmPm };
+async function setPhoneAlarm(alarm, endpoints = phoneAlarmEndpoints()) {
+  if (endpoints.length === 0) {
+    throw new Error('No phone alarm endpoints defined in PHONE_ALARM_ENDPOINTS or integration settings');
+  }
+  const requestBody = formatAlarm(alarm);
   let lastError = null;
 
-  for (const endpoint of PHONE_ALARM_ENDPOINTS) {
+  for (const endpoint of endpoints) {
     try {
       const resp = await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(requestBody),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
       });
 
       if (resp.status === 503) {
@@ -115,5 +155,6 @@ async function setPhoneAlarm(time24) {
 // ─────────────── Exports ───────────────
 
 module.exports = {
+  formatAlarm,
   setPhoneAlarm,
 };
@@ -0,0 +1,82 @@
+// ------------------------------------------------------------------
+// Module:    services/secrets.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Encrypt credentials stored in MongoDB (e.g. CalDAV
+//            passwords) with AES-256-GCM.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/secrets.util
+ * @description
+ *   - The key is SHA-256 of SECRETS_KEY, falling back to JWT_SECRET so
+ *     existing deployments keep working; set SECRETS_KEY to rotate the
+ *     JWT secret independently.
+ *   - Ciphertexts are "v1:<iv>:<tag>:<data>" in base64url, so a format
+ *     change can be detected later.
+ *   - Nothing is checked at import time; a missing key only fails the
+ *     call that needs it.
+ */
+
+// ─────── Dependencies ───────
+const crypto = require("crypto");
+
+// ─────── Constants ───────
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION   = "v1";
+const IV_BYTES  = 12;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Derive the encryption key from the environment.
+ * @returns {Buffer}
+ * @throws {Error} When neither SECRETS_KEY nor JWT_SECRET is set.
+ */
+function secretKey() {
+  const material = process.env.SECRETS_KEY || process.env.JWT_SECRET;
+  if (!material) throw new Error("SECRETS_KEY is not configured");
+  return crypto.createHash("sha256").update(material).digest();
+}
+
+// ─────── Public API ───────
+
+/**
+ * Encrypt a secret for storage.
+ * @param {string} plaintext
+ * @returns {string} Versioned ciphertext.
+ */
+function encryptSecret(plaintext) {
+  const iv     = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, secretKey(), iv);
+  const data   = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data]
+    .map(part => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(":");
+}
+
+/**
+ * Decrypt a value produced by encryptSecret.
+ * @param {string} ciphertext
+ * @returns {string}
+ * @throws {Error} When the value is malformed or was encrypted with another key.
+ */
+function decryptSecret(ciphertext) {
+  const [version, iv, tag, data] = String(ciphertext).split(":");
+  if (version !== VERSION || !iv || !tag || data === undefined) {
+    throw new Error("Unrecognized secret format");
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, secretKey(), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64url")),
+    decipher.final()
+  ]).toString("utf8");
+}
+
+// ─────── Exports ───────
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,123 @@
+// ------------------------------------------------------------------
+// Module:    services/webhooks/webhookDelivery.service.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Send one signed webhook request and record it in the
+//            subscription's delivery log.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/webhooks/webhookDelivery.service
+ * @description
+ *   - Renders the subscription's template, signs the body with its
+ *     decrypted secret and POSTs it.
+ *   - Every attempt, successful or not, is logged as a WebhookDelivery
+ *     with its response code, duration and the start of the response;
+ *     only the latest attempts per subscription are kept.
+ */
+
+// ─────── Dependencies ───────
+const WebhookDelivery = require("../../models/webhookDelivery");
+const { decryptSecret } = require("../secrets.util");
+const { renderWebhookBody, signWebhookBody } = require("./webhookTemplates.util");
+
+// ─────── Constants ───────
+
+/** Per-request timeout. */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** Attempts kept per subscription. */
+const MAX_LOGGED_DELIVERIES = 50;
+
+/** Longest response body kept in the log. */
+const MAX_RESPONSE_LOG = 500;
+
+/** Identifies these requests to receivers. */
+const USER_AGENT = "personal-agent-webhooks/1";
+
+// ─────── Helper Functions ───────
+
+/**
+ * Drop a subscription's log entries beyond the newest ones.
+ * @param {string} subscriptionId
+ * @returns {Promise<void>}
+ */
+async function pruneDeliveries(subscriptionId) {
+  const stale = await WebhookDelivery.find({ subscriptionId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(MAX_LOGGED_DELIVERIES)
+    .select("_id");
+  if (stale.length) {
+    await WebhookDelivery.deleteMany({ _id: { $in: stale.map(d => d._id) } });
+  }
+}
+
+// ─────── Public API ───────
+
+/**
+ * Deliver one event to a subscription and log the attempt.
+ * @param {Object} subscription - WebhookSubscription document.
+ * @param {Object<string, string>} context - Template values (see webhookContext).
+ * @param {Object} [options]
+ * @param {?string} [options.blockId]
+ * @param {boolean} [options.test=false]
+ * @param {number} [options.attempt=1]
+ * @returns {Promise<Object>} The WebhookDelivery record; check its `status`.
+ */
+async function deliverWebhook(subscription, context, { blockId = null, test = false, attempt = 1 } = {}) {
+  const body    = renderWebhookBody(subscription.template, context);
+  const started = Date.now();
+  const record  = {
+    subscriptionId: subscription._id,
+    userId:         subscription.userId,
+    event:          context.event,
+    blockId,
+    test,
+    attempt,
+    requestBody:    body
+  };
+
+  try {
+    const resp = await fetch(subscription.url, {
+      method:  "POST",
+      headers: {
+        "Content-Type":               "application/json",
+        "User-Agent":                 USER_AGENT,
+        "X-Webhook-Event":            context.event,
+        "X-Webhook-Delivery":         context.deliveryId,
+        [subscription.signatureHeader]: signWebhookBody(decryptSecret(subscription.secretEncrypted), body)
+      },
+      body,
+      signal:  AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const text = await resp.text().catch(() => "");
+    Object.assign(record, {
+      status:       resp.ok ? "succeeded" : "failed",
+      statusCode:   resp.status,
+      error:        resp.ok ? null : `Responded with ${resp.status}`,
+      responseBody: text.slice(0, MAX_RESPONSE_LOG)
+    });
+  } catch (err) {
+    Object.assign(record, { status: "failed", error: err.message });
+  }
+  record.durationMs = Date.now() - started;
+
+  const delivery = await WebhookDelivery.create(record);
+  await pruneDeliveries(subscription._id);
+  return delivery;
+}
+
+/**
+ * A subscription's delivery log, newest first.
+ * @param {string} subscriptionId
+ * @returns {Promise<Object[]>}
+ */
+function listDeliveries(subscriptionId) {
+  return WebhookDelivery.find({ subscriptionId }).sort({ createdAt: -1, _id: -1 }).limit(MAX_LOGGED_DELIVERIES);
+}
+
+// ─────── Exports ───────
+module.exports = {
+  deliverWebhook,
+  listDeliveries
+};
@@ -0,0 +1,256 @@
+// ------------------------------------------------------------------
+// Module:    services/webhooks/webhookTemplates.util.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Events, payload templates, signatures and validation for
+//            user-defined outgoing webhooks.
+// ------------------------------------------------------------------
+
+/**
+ * @module services/webhooks/webhookTemplates.util
+ * @description
+ *   - Events: block.approved, block.moved, block.excluded and
+ *     block.startingSoon (a set number of minutes before an approved
+ *     block starts).
+ *   - A payload template is JSON with {{placeholders}}; values are
+ *     escaped for JSON strings, so text placeholders go inside quotes
+ *     and numeric ones (startHour, durationMinutes…) may go outside.
+ *   - The body is signed with HMAC-SHA256 and sent as
+ *     "sha256=<hex digest>" in the subscription's signature header.
+ */
+
+// ─────── Dependencies ───────
+const crypto = require("crypto");
+const { inZone } = require("../blocks/timezone.util");
+const { renderTemplate } = require("../notifications/template.util");
+const { encryptSecret }  = require("../secrets.util");
+
+// ─────── Constants ───────
+
+/** Events a subscription can receive. */
+const WEBHOOK_EVENTS = ["block.approved", "block.moved", "block.excluded", "block.startingSoon"];
+
+/** Body sent when a subscription has no template of its own. */
+const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+  event: "{{event}}",
+  deliveryId: "{{deliveryId}}",
+  sentAt: "{{sentAt}}",
+  block: {
+    id:       "{{blockId}}",
+    title:    "{{title}}",
+    category: "{{category}}",
+    start:    "{{start}}",
+    end:      "{{end}}",
+    timezone: "{{timezone}}"
+  }
+}, null, 2);
+
+/** Default header carrying the signature. */
+const DEFAULT_SIGNATURE_HEADER = "X-Webhook-Signature";
+
+/** Longest accepted template. */
+const MAX_WEBHOOK_TEMPLATE_LENGTH = 4000;
+
+/** Longest subscription name. */
+const MAX_NAME_LENGTH = 60;
+
+/** Bounds of the block.startingSoon lead time. */
+const MIN_STARTING_SOON = 5;
+const MAX_STARTING_SOON = 120;
+
+/** Shortest signing secret a user may choose. */
+const MIN_SECRET_LENGTH = 16;
+
+/** Header names accepted for the signature. */
+const HEADER_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+// ─────── Helper Functions ───────
+
+/**
+ * Whether a string is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A block an hour from now, for test deliveries and template checks.
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function sampleBlock(now = new Date()) {
+  const start = new Date(Math.ceil(now.getTime() / 300000) * 300000 + 60 * 60 * 1000);
+  return {
+    _id:       "000000000000000000000000",
+    title:     "Test block",
+    category:  "deep-work",
+    goal:      "Check the webhook",
+    tasks:     [{ text: "Receive this", done: false }],
+    startTime: start,
+    endTime:   new Date(start.getTime() + 50 * 60 * 1000)
+  };
+}
+
+// ─────── Public API ───────
+
+/**
+ * Values available to templates for one event.
+ * @param {Object} options
+ * @param {string} options.event
+ * @param {Object} options.block - Block with startTime, endTime and details.
+ * @param {string} options.tz - User's timezone.
+ * @param {number} [options.minutesBefore=0] - Lead time of block.startingSoon.
+ * @param {string} [options.deliveryId] - Unique per event, for de-duplication.
+ * @param {Date} [options.now]
+ * @returns {Object<string, string>}
+ */
+function webhookContext({ event, block, tz, minutesBefore = 0, deliveryId = crypto.randomUUID(), now = new Date() }) {
+  const start = inZone(block.startTime, tz);
+  const end   = inZone(block.endTime, tz);
+  return {
+    event,
+    deliveryId,
+    sentAt:          now.toISOString(),
+    blockId:         String(block._id),
+    title:           block.title || "",
+    category:        block.category || "",
+    goal:            block.goal || "",
+    tasks:           (block.tasks || []).map(task => task.text).join("\n"),
+    date:            start.format("YYYY-MM-DD"),
+    start:           start.format(),
+    end:             end.format(),
+    startTime:       start.format("HH:mm"),
+    endTime:         end.format("HH:mm"),
+    startHour:       start.format("H"),
+    startMin:        start.format("m"),
+    endHour:         end.format("H"),
+    endMin:          end.format("m"),
+    durationMinutes: String(end.diff(start, "minute")),
+    minutesBefore:   String(minutesBefore),
+    timezone:        tz
+  };
+}
+
+/**
+ * Render a subscription's body for an event.
+ * @param {string} template
+ * @param {Object<string, string>} context
+ * @returns {string}
+ */
+function renderWebhookBody(template, context) {
+  return renderTemplate(template, context, { json: true });
+}
+
+/**
+ * Signature header value for a body.
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} "sha256=<hex digest>"
+ */
+function signWebhookBody(secret, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * A fresh signing secret.
+ * @returns {string}
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Template values for a sample event, used by test deliveries.
+ * @param {string} event
+ * @param {string} tz
+ * @param {number} [minutesBefore]
+ * @returns {Object<string, string>}
+ */
+function sampleContext(event, tz, minutesBefore = 0) {
+  return webhookContext({ event, block: sampleBlock(), tz, minutesBefore });
+}
+
+/**
+ * Validate a subscription create or update.
+ * @param {Object} input - Any of name, url, events, template,
+ *   signatureHeader, startingSoonMinutes, enabled and secret.
+ * @param {Object} [existing] - Stored subscription; omitted fields keep its values.
+ * @returns {{value: Object, secret: ?string}|{error: string}} `secret` is set
+ *   when a new one was generated, to be shown once.
+ */
+function validateSubscription(input, existing) {
+  const pick = field => (input[field] !== undefined ? input[field] : existing?.[field]);
+
+  const name = String(pick("name") ?? "Webhook").trim();
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  const url = pick("url");
+  if (!isHttpUrl(url || "")) {
+    return { error: "url must start with http:// or https://" };
+  }
+  const events = [...new Set([].concat(pick("events") || []))];
+  if (!events.length || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must list one or more of ${WEBHOOK_EVENTS.join(", ")}` };
+  }
+
+  const template = typeof pick("template") === "string" && pick("template").trim()
+    ? pick("template")
+    : DEFAULT_WEBHOOK_TEMPLATE;
+  if (template.length > MAX_WEBHOOK_TEMPLATE_LENGTH) {
+    return { error: `template must be at most ${MAX_WEBHOOK_TEMPLATE_LENGTH} characters` };
+  }
+  try {
+    JSON.parse(renderWebhookBody(template, sampleContext(events[0], "UTC")));
+  } catch {
+    return { error: "template must render to valid JSON" };
+  }
+
+  const signatureHeader = pick("signatureHeader") || DEFAULT_SIGNATURE_HEADER;
+  if (!HEADER_PATTERN.test(signatureHeader)) {
+    return { error: "signatureHeader must be a header name (letters, digits and dashes)" };
+  }
+  const lead = Number(pick("startingSoonMinutes") ?? 10);
+  if (!Number.isInteger(lead) || lead < MIN_STARTING_SOON || lead > MAX_STARTING_SOON || lead % 5 !== 0) {
+    return { error: `startingSoonMinutes must be a multiple of 5 from ${MIN_STARTING_SOON} to ${MAX_STARTING_SOON}` };
+  }
+  const enabled = pick("enabled") ?? true;
+  if (typeof enabled !== "boolean") {
+    return { error: "enabled must be true or false" };
+  }
+
+  let secret = null;
+  let secretEncrypted = existing?.secretEncrypted;
+  if (input.secret !== undefined) {
+    if (typeof input.secret !== "string" || input.secret.length < MIN_SECRET_LENGTH) {
+      return { error: `secret must be at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    secretEncrypted = encryptSecret(input.secret);
+  } else if (!secretEncrypted) {
+    secret = generateWebhookSecret();
+    secretEncrypted = encryptSecret(secret);
+  }
+
+  return {
+    value: { name, url, events, template, signatureHeader, startingSoonMinutes: lead, enabled, secretEncrypted },
+    secret
+  };
+}
+
+// ─────── Exports ───────
+module.exports = {
+  WEBHOOK_EVENTS,
+  DEFAULT_WEBHOOK_TEMPLATE,
+  webhookContext,
+  sampleContext,
+  renderWebhookBody,
+  signWebhookBody,
+  generateWebhookSecret,
+  validateSubscription
+};
@@ -0,0 +1,83 @@
+// ------------------------------------------------------------------
+// Module:    tests/alarmSettings.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for phone alarm settings and the alarms they
+//            produce, and for formatting each alarm kind.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/alarmSettings.util.test
+ * @description
+ *   - Verifies start, end and warning alarms follow the settings.
+ *   - Verifies settings are validated.
+ *   - Verifies each alarm kind is formatted for the alarm API.
+ */
+
+// ─────────────── Environment ───────────────
+
+process.env.PHONE_ALARM_ENDPOINTS = "http://dummy.com";
+
+// ─────────────── Dependencies ───────────────
+
+const dayjs = require("dayjs");
+const utc   = require("dayjs/plugin/utc");
+const tz    = require("dayjs/plugin/timezone");
+dayjs.extend(utc);
+dayjs.extend(tz);
+
+const { blockAlarms, validateAlarmSettings } = require("../services/blocks/alarmSettings.util");
+const { formatAlarm } = require("../services/phoneAlarm.service");
+
+// ─────────────── Fixtures ───────────────
+
+const zone  = "America/Denver";
+const block = {
+  startTime: dayjs.tz("2026-03-02 09:00", zone).toDate(),
+  endTime:   dayjs.tz("2026-03-02 10:30", zone).toDate(),
+  title:     "Deep work"
+};
+
+// ─────────────── Test Suites ───────────────
+
+describe("blockAlarms", () => {
+  test("Rings at the end by default, labelled with the block title", () => {
+    expect(blockAlarms(block, undefined, zone)).toEqual([
+      { kind: "end", time24: "10:30", label: "Deep work" }
+    ]);
+  });
+
+  test("Adds a warning and a start alarm in ringing order", () => {
+    const alarms = blockAlarms(block, { mode: "both", leadMinutes: 10, label: "Focus" }, zone);
+    expect(alarms).toEqual([
+      { kind: "warning", time24: "08:50", label: "Focus", minutesBefore: 10 },
+      { kind: "start",   time24: "09:00", label: "Focus" },
+      { kind: "end",     time24: "10:30", label: "Focus" }
+    ]);
+    expect(blockAlarms(block, { mode: "start", leadMinutes: 0, label: "" }, zone).map(a => a.kind))
+      .toEqual(["start"]);
+  });
+});
+
+describe("validateAlarmSettings", () => {
+  test("Accepts valid settings and rejects bad ones", () => {
+    expect(validateAlarmSettings({ mode: "both", leadMinutes: 15, label: "" })).toBeNull();
+    expect(validateAlarmSettings({ mode: "never", leadMinutes: 0, label: "" })).toMatch(/mode/);
+    expect(validateAlarmSettings({ mode: "end", leadMinutes: 7, label: "" })).toMatch(/leadMinutes/);
+    expect(validateAlarmSettings({ mode: "end", leadMinutes: 500, label: "" })).toMatch(/leadMinutes/);
+    expect(validateAlarmSettings({ mode: "end", leadMinutes: 0, label: "x".repeat(61) })).toMatch(/label/);
+  });
+});
+
+describe("formatAlarm", () => {
+  test("Formats each kind with an am/pm time", () => {
+    expect(formatAlarm({ kind: "start", time24: "00:05", label: "Focus" }))
+      .toEqual({ time: "12_05_am", kind: "start", label: "Focus" });
+    expect(formatAlarm({ kind: "warning", time24: "13:50", label: "", minutesBefore: 10 }))
+      .toEqual({ time: "1_50_pm", kind: "warning", label: "", minutesBefore: 10 });
+  });
+
+  test("Treats alarms without a kind as end alarms", () => {
+    expect(formatAlarm({ time24: "12:30" })).toEqual({ time: "12_30_pm", kind: "end", label: "" });
+  });
+});
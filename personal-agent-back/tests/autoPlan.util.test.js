@@ -0,0 +1,100 @@
+// ------------------------------------------------------------------
+// Module:    tests/autoPlan.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for daily auto-plan settings: validation, the
+//            next run time and the auto-approve rules.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/autoPlan.util.test
+ * @description
+ *   - Verifies settings and rules are validated.
+ *   - Verifies the next run follows the user's local time, across DST.
+ *   - Verifies rules select blocks by length and local time of day.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const dayjs = require("dayjs");
+const utc   = require("dayjs/plugin/utc");
+const tz    = require("dayjs/plugin/timezone");
+dayjs.extend(utc);
+dayjs.extend(tz);
+
+const {
+  validateAutoPlan,
+  nextAutoPlanRun,
+  selectAutoApproved
+} = require("../services/blocks/autoPlan.util");
+
+// ─────────────── Fixtures ───────────────
+
+const zone  = "America/Denver";
+const at    = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", zone).toDate();
+const block = (start, end) => ({ startTime: at("2026-03-02", start), endTime: at("2026-03-02", end) });
+const plan  = { enabled: true, time: "07:00", approveRules: [] };
+
+// ─────────────── Test Suites ───────────────
+
+describe("validateAutoPlan", () => {
+  test("Accepts settings with open-ended rules", () => {
+    expect(validateAutoPlan({
+      ...plan,
+      approveRules: [{ minMinutes: 50, after: "", before: "12:00" }, { minMinutes: 0, after: "", before: "" }]
+    })).toBeNull();
+  });
+
+  test("Rejects bad times and rules", () => {
+    expect(validateAutoPlan({ ...plan, enabled: "yes" })).toMatch(/enabled/);
+    expect(validateAutoPlan({ ...plan, time: "7:00" })).toMatch(/time/);
+    expect(validateAutoPlan({ ...plan, approveRules: [{ minMinutes: -5, after: "", before: "" }] }))
+      .toMatch(/minMinutes/);
+    expect(validateAutoPlan({ ...plan, approveRules: [{ minMinutes: 0, after: "noon", before: "" }] }))
+      .toMatch(/after/);
+    expect(validateAutoPlan({ ...plan, approveRules: [{ minMinutes: 0, after: "13:00", before: "12:00" }] }))
+      .toMatch(/earlier/);
+    expect(validateAutoPlan({ ...plan, approveRules: Array(11).fill({ minMinutes: 0, after: "", before: "" }) }))
+      .toMatch(/at most 10/);
+  });
+});
+
+describe("nextAutoPlanRun", () => {
+  test("Runs later today, or tomorrow once the time has passed", () => {
+    expect(nextAutoPlanRun(plan, zone, at("2026-03-02", "06:00"))).toEqual(at("2026-03-02", "07:00"));
+    expect(nextAutoPlanRun(plan, zone, at("2026-03-02", "07:00"))).toEqual(at("2026-03-03", "07:00"));
+    expect(nextAutoPlanRun({ ...plan, enabled: false }, zone, at("2026-03-02", "06:00"))).toBeNull();
+  });
+
+  test("Keeps the local time across a DST change", () => {
+    // Denver springs forward on 2026-03-08.
+    const next = nextAutoPlanRun(plan, zone, at("2026-03-07", "08:00"));
+    expect(next).toEqual(at("2026-03-08", "07:00"));
+    expect(dayjs(next).tz(zone).format("HH:mm")).toBe("07:00");
+  });
+});
+
+describe("selectAutoApproved", () => {
+  const blocks = [
+    block("08:00", "08:50"),
+    block("09:00", "09:30"),
+    block("11:30", "12:20"),
+    block("13:00", "14:00"),
+    // Ends at the next day's midnight.
+    { startTime: at("2026-03-02", "23:00"), endTime: at("2026-03-03", "00:00") }
+  ];
+
+  test("Approves long blocks that end by noon", () => {
+    const rules = [{ minMinutes: 50, after: "", before: "12:00" }];
+    expect(selectAutoApproved(blocks, rules, zone)).toEqual([blocks[0]]);
+  });
+
+  test("Approves blocks matching any rule, through the end of the day", () => {
+    const rules = [
+      { minMinutes: 50, after: "", before: "12:00" },
+      { minMinutes: 0, after: "13:00", before: "" }
+    ];
+    expect(selectAutoApproved(blocks, rules, zone)).toEqual([blocks[0], blocks[3], blocks[4]]);
+    expect(selectAutoApproved(blocks, [], zone)).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+// ------------------------------------------------------------------
+// Module:    tests/blockDetails.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for block title, color, category, goal and
+//            task validation.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/blockDetails.util.test
+ * @description
+ *   - Verifies fields are trimmed, cleared and validated.
+ *   - Verifies only present, accepted fields are returned.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const { validateBlockDetails } = require("../services/blocks/blockDetails.util");
+
+// ─────────────── Test Suites ───────────────
+
+describe("validateBlockDetails", () => {
+  test("Normalizes present fields and leaves absent ones out", () => {
+    const { value } = validateBlockDetails({
+      title:    "  Deep work  ",
+      color:    "#1E90FF",
+      category: "deep-work",
+      tasks:    [{ text: " Outline " }, { text: "Draft", done: true }]
+    });
+    expect(value).toEqual({
+      title:    "Deep work",
+      color:    "#1e90ff",
+      category: "deep-work",
+      tasks:    [{ text: "Outline", done: false }, { text: "Draft", done: true }]
+    });
+  });
+
+  test("Empty values clear color and category", () => {
+    expect(validateBlockDetails({ color: "", category: "" }).value).toEqual({ color: null, category: null });
+  });
+
+  test("Rejects unknown categories, bad colors and malformed tasks", () => {
+    expect(validateBlockDetails({ category: "chores" }).error).toMatch(/category/);
+    expect(validateBlockDetails({ color: "blue" }).error).toMatch(/hex color/);
+    expect(validateBlockDetails({ title: 42 }).error).toMatch(/Title/);
+    expect(validateBlockDetails({ title: "x".repeat(101) }).error).toMatch(/at most 100/);
+    expect(validateBlockDetails({ tasks: "Outline" }).error).toMatch(/array/);
+    expect(validateBlockDetails({ tasks: [{ text: "  " }] }).error).toMatch(/required/);
+  });
+
+  test("Ignores fields that are not accepted", () => {
+    const { value } = validateBlockDetails({ title: "Standup", goal: "Unblock the team" }, ["title"]);
+    expect(value).toEqual({ title: "Standup" });
+  });
+});
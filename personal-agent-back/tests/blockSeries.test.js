@@ -0,0 +1,220 @@
+// ------------------------------------------------------------------
+// Module:    tests/blockSeries.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for recurring block series.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/blockSeries.test
+ * @description
+ *   - Verifies series are created, validated, listed and scoped per user.
+ *   - Verifies occurrences appear in the schedule and are busy time for
+ *     auto-generation.
+ *   - Verifies single-occurrence edits and deletes versus whole-series
+ *     edits, and skipped dates.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Environment ───────────────
+
+process.env.SESSION_SECRET         = "dummySecret";
+process.env.JWT_SECRET             = "dummyJwtSecret";
+process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
+
+// ─────────────── Dependencies ───────────────
+
+const request          = require("supertest");
+const mongoose         = require("mongoose");
+const dayjs            = require("dayjs");
+const app              = require("../app");
+const User             = require("../models/user");
+const UserEmail        = require("../models/userEmail");
+const BlockSeries      = require("../models/blockSeries");
+const FreedomTimeBlock = require("../models/freedomTimeBlocks");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const testUser  = { username: "series@example.com", password: "TestPassword123" };
+const otherUser = { username: "seriesother@example.com", password: "TestPassword123" };
+const tz        = "America/Denver";
+
+let token;
+let userId;
+
+/** Local date `offset` days from today in Denver. */
+const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+
+/** Local "HH:mm" of an instant in Denver. */
+const localTime = instant => dayjs(instant).tz(tz).format("HH:mm");
+
+/** Create a daily 10:00–11:00 series as the current user. */
+async function createDailySeries(overrides = {}) {
+  const res = await request(app)
+    .post("/api/freedom-blocks/series")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ rrule: "FREQ=DAILY", startTime: "10:00", endTime: "11:00", ...overrides });
+  expect(res.status).toBe(201);
+  return res.body.series;
+}
+
+/** The schedule's blocks for one day. */
+async function blocksOn(date) {
+  const res = await request(app)
+    .get("/api/freedom-blocks/range")
+    .query({ start: date, end: date })
+    .set("Authorization", `Bearer ${token}`);
+  expect(res.status).toBe(200);
+  return res.body.days[0].timeBlocks;
+}
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    UserEmail.deleteMany({}),
+    BlockSeries.deleteMany({}),
+    FreedomTimeBlock.deleteMany({})
+  ]);
+
+  await request(app).post("/api/users/register").send(testUser);
+  const loginRes = await request(app).post("/api/users/login").send(testUser);
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+
+  await User.findByIdAndUpdate(userId, { timezone: tz });
+  await UserEmail.findOneAndUpdate({ email: testUser.username }, { isCalendarOnboarded: true });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("Recurring block series", () => {
+  test("Creates and lists a series starting today", async () => {
+    const series = await createDailySeries({ rrule: "RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR" });
+    expect(series).toMatchObject({ rrule: "FREQ=WEEKLY;BYDAY=MO,WE,FR", startDate: day(0), exceptions: [] });
+
+    const list = await request(app)
+      .get("/api/freedom-blocks/series")
+      .set("Authorization", `Bearer ${token}`);
+    expect(list.body.series.map(s => s._id)).toEqual([series._id]);
+  });
+
+  test("Rejects invalid rules and times", async () => {
+    const res = await request(app)
+      .post("/api/freedom-blocks/series")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rrule: "FREQ=DAILY", startTime: "11:00", endTime: "10:00" });
+    expect(res.status).toBe(400);
+  });
+
+  test("Occurrences appear in the schedule and are busy for generation", async () => {
+    const series = await createDailySeries();
+
+    const generated = await request(app)
+      .post("/api/freedom-blocks/range")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ start: day(2) });
+    const blocks = generated.body.days[0].timeBlocks;
+    const [occurrence] = blocks.filter(b => b.seriesId);
+    expect(blocks.filter(b => b.seriesId)).toHaveLength(1);
+    expect(occurrence).toMatchObject({ sourceType: "manual", seriesId: series._id, occurrenceDate: day(2) });
+    expect(localTime(occurrence.startTime)).toBe("10:00");
+    const overlapping = blocks.filter(b =>
+      !b.seriesId && b.startTime < occurrence.endTime && b.endTime > occurrence.startTime);
+    expect(overlapping).toHaveLength(0);
+  });
+
+  test("Editing one occurrence leaves the series and other days alone", async () => {
+    const series = await createDailySeries();
+    const [occurrence] = await blocksOn(day(2));
+
+    await request(app)
+      .put(`/api/freedom-blocks/${occurrence._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        startTime: dayjs.tz(`${day(2)} 12:00`, tz).toISOString(),
+        endTime:   dayjs.tz(`${day(2)} 13:00`, tz).toISOString()
+      });
+
+    const edited = await request(app)
+      .put(`/api/freedom-blocks/series/${series._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ startTime: "08:00", endTime: "09:30" });
+    expect(edited.status).toBe(200);
+
+    const [kept]  = await blocksOn(day(2));
+    const [moved] = await blocksOn(day(3));
+    expect(kept.seriesOverride).toBe(true);
+    expect(localTime(kept.startTime)).toBe("12:00");
+    expect(localTime(moved.startTime)).toBe("08:00");
+    expect(localTime(moved.endTime)).toBe("09:30");
+  });
+
+  test("Deleting an occurrence skips that day, and un-skipping restores it", async () => {
+    const series = await createDailySeries();
+    const [occurrence] = await blocksOn(day(2));
+
+    await request(app)
+      .delete(`/api/freedom-blocks/${occurrence._id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect((await BlockSeries.findById(series._id)).exceptions).toEqual([day(2)]);
+    expect(await blocksOn(day(2))).toHaveLength(0);
+
+    const restored = await request(app)
+      .delete(`/api/freedom-blocks/series/${series._id}/exceptions/${day(2)}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(restored.status).toBe(200);
+    expect(await blocksOn(day(2))).toHaveLength(1);
+  });
+
+  test("Skipping a date removes its pending occurrence", async () => {
+    const series = await createDailySeries();
+    await blocksOn(day(3));
+
+    const res = await request(app)
+      .post(`/api/freedom-blocks/series/${series._id}/exceptions`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ date: day(3) });
+    expect(res.status).toBe(200);
+    expect(res.body.series.exceptions).toEqual([day(3)]);
+    expect(await FreedomTimeBlock.countDocuments({ seriesId: series._id })).toBe(0);
+  });
+
+  test("Deleting a series keeps approved occurrences as standalone blocks", async () => {
+    const series = await createDailySeries();
+    const [occurrence] = await blocksOn(day(2));
+    await blocksOn(day(3));
+    await FreedomTimeBlock.findByIdAndUpdate(occurrence._id, { approved: true, sourceType: "approved" });
+
+    const res = await request(app)
+      .delete(`/api/freedom-blocks/series/${series._id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    const remaining = await FreedomTimeBlock.find({ userId });
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0]).toMatchObject({ approved: true, seriesId: null });
+  });
+
+  test("Another user's series cannot be edited or deleted", async () => {
+    const series = await createDailySeries();
+    await request(app).post("/api/users/register").send(otherUser);
+    const otherLogin = await request(app).post("/api/users/login").send(otherUser);
+    const auth = `Bearer ${otherLogin.body.token}`;
+
+    const put = await request(app).put(`/api/freedom-blocks/series/${series._id}`).set("Authorization", auth).send({ endTime: "12:00" });
+    const del = await request(app).delete(`/api/freedom-blocks/series/${series._id}`).set("Authorization", auth);
+    expect(put.status).toBe(404);
+    expect(del.status).toBe(404);
+    expect(await BlockSeries.countDocuments({ userId })).toBe(1);
+  });
+});
@@ -0,0 +1,88 @@
+// ------------------------------------------------------------------
+// Module:    tests/blockSeries.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for recurring block series rules.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/blockSeries.util.test
+ * @description
+ *   - Verifies series validation and RRULE normalization.
+ *   - Verifies which dates weekday, interval, COUNT and UNTIL rules
+ *     occur on, and that skipped dates are honoured.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const { validateSeries, occursOn } = require("../services/blocks/blockSeries.util");
+
+// ─────────────── Helpers ───────────────
+
+/** Dates from 2026-10-17 (Saturday) through 2026-10-31 that a series occurs on. */
+function occurrencesIn(series) {
+  const dates = [];
+  for (let d = 17; d <= 31; d++) {
+    const date = `2026-10-${d}`;
+    if (occursOn(series, date)) dates.push(date);
+  }
+  return dates;
+}
+
+// ─────────────── Test Suites ───────────────
+
+describe("validateSeries", () => {
+  const valid = { rrule: "RRULE:freq=weekly;byday=MO,WE,FR", startDate: "2026-10-19", startTime: "14:00", endTime: "15:00" };
+
+  test("Normalizes the rule", () => {
+    expect(validateSeries(valid).value.rrule).toBe("FREQ=WEEKLY;BYDAY=MO,WE,FR");
+  });
+
+  test("Rejects unsupported frequencies, weekdays and times", () => {
+    expect(validateSeries({ ...valid, rrule: "FREQ=HOURLY" }).error).toMatch(/FREQ/);
+    expect(validateSeries({ ...valid, rrule: "FREQ=WEEKLY;BYDAY=MO,XX" }).error).toMatch(/BYDAY/);
+    expect(validateSeries({ ...valid, startTime: "9:00" }).error).toMatch(/HH:mm/);
+    expect(validateSeries({ ...valid, endTime: "13:00" }).error).toMatch(/before/);
+    expect(validateSeries({ ...valid, startDate: "2026-02-30" }).error).toMatch(/startDate/);
+  });
+
+  test("Fills missing fields from the current series", () => {
+    const { value } = validateSeries({ endTime: "16:30" }, valid);
+    expect(value).toMatchObject({ startTime: "14:00", endTime: "16:30", rrule: "FREQ=WEEKLY;BYDAY=MO,WE,FR" });
+  });
+});
+
+describe("occursOn", () => {
+  test("Every weekday created on a Saturday starts on Monday", () => {
+    const series = { rrule: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR", startDate: "2026-10-17" };
+    expect(occurrencesIn(series)).toEqual([
+      "2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23",
+      "2026-10-26", "2026-10-27", "2026-10-28", "2026-10-29", "2026-10-30"
+    ]);
+  });
+
+  test("COUNT covers only days the rule describes", () => {
+    const series = { rrule: "FREQ=DAILY;BYDAY=MO,WE,FR;COUNT=3", startDate: "2026-10-17" };
+    expect(occurrencesIn(series)).toEqual(["2026-10-19", "2026-10-21", "2026-10-23"]);
+  });
+
+  test("Honours INTERVAL, inclusive UNTIL and skipped dates", () => {
+    const series = {
+      rrule:      "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;UNTIL=20261026T000000Z",
+      startDate:  "2026-10-19",
+      exceptions: []
+    };
+    expect(occurrencesIn(series)).toEqual(["2026-10-19"]);
+
+    const daily = { rrule: "FREQ=DAILY;UNTIL=20261021", startDate: "2026-10-19", exceptions: ["2026-10-20"] };
+    expect(occurrencesIn(daily)).toEqual(["2026-10-19", "2026-10-21"]);
+    expect(occursOn(daily, "2026-10-20", { ignoreExceptions: true })).toBe(true);
+  });
+
+  test("Monthly rules keep the start date's day", () => {
+    const series = { rrule: "FREQ=MONTHLY", startDate: "2026-10-20" };
+    expect(occursOn(series, "2026-11-20")).toBe(true);
+    expect(occursOn(series, "2026-11-19")).toBe(false);
+    expect(occursOn(series, "2026-09-20")).toBe(false);
+  });
+});
@@ -0,0 +1,148 @@
+// ------------------------------------------------------------------
+// Module:    tests/blockStats.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for the focus statistics endpoint.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/blockStats.test
+ * @description
+ *   - Verifies planned, approved and excluded totals, per-day counts and
+ *     block origin over a date range.
+ *   - Verifies drawn and moved blocks are recorded as such.
+ *   - Verifies range validation and per-user scoping.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Environment ───────────────
+
+process.env.SESSION_SECRET         = "dummySecret";
+process.env.JWT_SECRET             = "dummyJwtSecret";
+process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
+
+// ─────────────── Dependencies ───────────────
+
+const request          = require("supertest");
+const dayjs            = require("dayjs");
+const app              = require("../app");
+const User             = require("../models/user");
+const FreedomTimeBlock = require("../models/freedomTimeBlocks");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const testUser = { username: "stats@example.com", password: "TestPassword123" };
+const tz       = "America/Denver";
+
+let token;
+let userId;
+
+/** Local date `offset` days from today in Denver. */
+const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+
+/** Instant of a Denver wall-clock time. */
+const at = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz);
+
+/** Fetch statistics as the current user. */
+const fetchStats = query => request(app)
+  .get("/api/freedom-blocks/stats")
+  .query(query)
+  .set("Authorization", `Bearer ${token}`);
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), FreedomTimeBlock.deleteMany({})]);
+
+  await request(app).post("/api/users/register").send(testUser);
+  const loginRes = await request(app).post("/api/users/login").send(testUser);
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+
+  await User.findByIdAndUpdate(userId, { timezone: tz });
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("GET /api/freedom-blocks/stats", () => {
+  test("Aggregates planned, approved and excluded time per day", async () => {
+    const block = (date, from, to, fields) => ({
+      userId, startTime: at(date, from).toDate(), endTime: at(date, to).toDate(), ...fields
+    });
+    await FreedomTimeBlock.create([
+      block(day(-1), "09:00", "10:00", { approved: true, sourceType: "approved" }),
+      block(day(-1), "10:30", "11:00", { approved: false, sourceType: "auto" }),
+      block(day(-1), "13:00", "13:45", { approved: false, sourceType: "excluded", deletedAt: new Date() }),
+      block(day(-1), "14:00", "14:20", { approved: false, sourceType: "excluded" }),
+      block(day(0), "09:30", "10:30", { approved: true, sourceType: "approved", origin: "manual" }),
+      block(day(-10), "09:00", "10:00", { approved: true, sourceType: "approved" })
+    ]);
+
+    const res = await fetchStats({ start: day(-1), end: day(0) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      start:               day(-1),
+      end:                 day(0),
+      timezone:            tz,
+      minutes:             { planned: 150, approved: 120, excluded: 45 },
+      blocks:              { planned: 3, approved: 2, excluded: 1 },
+      averageBlockMinutes: 50,
+      origin:              { suggested: 2, edited: 0, manual: 1 }
+    });
+    expect(res.body.days).toEqual([
+      { date: day(-1), planned: 2, approved: 1, excluded: 1, plannedMinutes: 90, approvedMinutes: 60 },
+      { date: day(0), planned: 1, approved: 1, excluded: 0, plannedMinutes: 60, approvedMinutes: 60 }
+    ]);
+    expect(res.body.byHour[9]).toBe(90);
+    expect(res.body.byHour[10]).toBe(60);
+  });
+
+  test("Records drawn and moved blocks by origin", async () => {
+    const drawn = await request(app)
+      .post("/api/freedom-blocks/manual")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ startTime: at(day(1), "08:00").toISOString(), endTime: at(day(1), "09:00").toISOString() });
+    expect(drawn.status).toBe(201);
+
+    const suggestion = await FreedomTimeBlock.create({
+      userId, startTime: at(day(1), "13:00").toDate(), endTime: at(day(1), "14:00").toDate(), sourceType: "auto"
+    });
+    const moved = await request(app)
+      .put(`/api/freedom-blocks/${suggestion._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ startTime: at(day(1), "14:00").toISOString(), endTime: at(day(1), "15:00").toISOString() });
+    expect(moved.status).toBe(200);
+
+    const res = await fetchStats({ start: day(1), end: day(1) });
+    expect(res.body.origin).toEqual({ suggested: 0, edited: 1, manual: 1 });
+  });
+
+  test("Defaults to the last four weeks and validates the range", async () => {
+    const res = await fetchStats({});
+    expect(res.status).toBe(200);
+    expect(res.body.end).toBe(day(0));
+    expect(res.body.days).toHaveLength(28);
+
+    expect((await fetchStats({ start: "2026-13-01" })).status).toBe(400);
+    expect((await fetchStats({ start: day(0), end: day(-1) })).status).toBe(400);
+    expect((await fetchStats({ start: "2020-01-01", end: "2022-01-01" })).status).toBe(400);
+  });
+
+  test("Only counts the user's own blocks", async () => {
+    await FreedomTimeBlock.create({
+      userId:     "64b7f0000000000000000000",
+      startTime:  at(day(0), "09:00").toDate(),
+      endTime:    at(day(0), "10:00").toDate(),
+      approved:   true,
+      sourceType: "approved"
+    });
+
+    const res = await fetchStats({ start: day(0), end: day(0) });
+    expect(res.body.blocks.planned).toBe(0);
+  });
+});
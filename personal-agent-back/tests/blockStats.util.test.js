@@ -0,0 +1,86 @@
+// ------------------------------------------------------------------
+// Module:    tests/blockStats.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for block statistics aggregation.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/blockStats.util.test
+ * @description
+ *   - Verifies time-of-day minutes are split across local hours,
+ *     including on a DST change.
+ *   - Verifies empty ranges report zeros.
+ *   - Verifies blocks stored before origin tracking fall back to
+ *     their sourceType.
+ *   - Verifies only deleted blocks count as excluded, not leftovers.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const dayjs = require("dayjs");
+const utc   = require("dayjs/plugin/utc");
+const tzPlugin = require("dayjs/plugin/timezone");
+dayjs.extend(utc);
+dayjs.extend(tzPlugin);
+
+const { summarizeBlocks } = require("../services/blocks/blockStats.util");
+
+// ─────────────── Test Helpers ───────────────
+
+const tz = "America/Denver";
+
+/** A lean block between two Denver wall-clock times. */
+const block = (date, from, to, fields = {}) => ({
+  startTime:  dayjs.tz(`${date} ${from}`, "YYYY-MM-DD HH:mm", tz).toDate(),
+  endTime:    dayjs.tz(`${date} ${to}`, "YYYY-MM-DD HH:mm", tz).toDate(),
+  approved:   false,
+  sourceType: "auto",
+  ...fields
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("summarizeBlocks", () => {
+  test("Splits planned minutes across the local hours they cover", () => {
+    const stats = summarizeBlocks([block("2026-06-01", "09:40", "11:10")], ["2026-06-01"], tz);
+    expect(stats.byHour[9]).toBe(20);
+    expect(stats.byHour[10]).toBe(60);
+    expect(stats.byHour[11]).toBe(10);
+    expect(stats.byHour.reduce((a, b) => a + b, 0)).toBe(90);
+  });
+
+  test("Uses wall-clock hours across a DST change", () => {
+    // 2026-03-08 01:30–03:30 MST→MDT is one real hour.
+    const stats = summarizeBlocks([block("2026-03-08", "01:30", "03:30")], ["2026-03-08"], tz);
+    expect(stats.minutes.planned).toBe(60);
+    expect(stats.byHour[1]).toBe(30);
+    expect(stats.byHour[3]).toBe(30);
+  });
+
+  test("Reports empty ranges as zeros", () => {
+    const stats = summarizeBlocks([], ["2026-06-01", "2026-06-02"], tz);
+    expect(stats.averageBlockMinutes).toBe(0);
+    expect(stats.days.map(d => d.planned)).toEqual([0, 0]);
+  });
+
+  test("Falls back to sourceType for blocks without an origin", () => {
+    const stats = summarizeBlocks([
+      block("2026-06-01", "09:00", "10:00", { sourceType: "manual" }),
+      block("2026-06-01", "11:00", "12:00", { sourceType: "approved", approved: true }),
+      block("2026-06-01", "13:00", "14:00", { origin: "auto", edited: true, sourceType: "manual" })
+    ], ["2026-06-01"], tz);
+    expect(stats.origin).toEqual({ suggested: 1, edited: 1, manual: 1 });
+  });
+
+  test("Counts deleted blocks as excluded and skips leftovers", () => {
+    const stats = summarizeBlocks([
+      block("2026-06-01", "09:00", "10:00", { sourceType: "excluded", deletedAt: new Date() }),
+      block("2026-06-01", "10:00", "10:20", { sourceType: "excluded" })
+    ], ["2026-06-01"], tz);
+    expect(stats.minutes.excluded).toBe(60);
+    expect(stats.blocks.excluded).toBe(1);
+    expect(stats.days[0].excluded).toBe(1);
+    expect(stats.blocks.planned).toBe(0);
+  });
+});
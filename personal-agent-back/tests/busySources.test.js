@@ -0,0 +1,158 @@
+// ------------------------------------------------------------------
+// Module:    tests/busySources.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for busy time imported from .ics uploads.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/busySources.test
+ * @description
+ *   - Verifies .ics uploads are parsed, listed and deleted per user.
+ *   - Verifies invalid uploads are rejected with 400.
+ *   - Verifies generation leaves imported busy time free of blocks.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Environment ───────────────
+
+process.env.SESSION_SECRET         = "dummySecret";
+process.env.JWT_SECRET             = "dummyJwtSecret";
+process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
+
+// ─────────────── Dependencies ───────────────
+
+const request          = require("supertest");
+const mongoose         = require("mongoose");
+const dayjs            = require("dayjs");
+const app              = require("../app");
+const User             = require("../models/user");
+const UserEmail        = require("../models/userEmail");
+const BusySource       = require("../models/busySource");
+const FreedomTimeBlock = require("../models/freedomTimeBlocks");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const testUser  = { username: "icsimport@example.com", password: "TestPassword123" };
+const otherUser = { username: "icsother@example.com", password: "TestPassword123" };
+const tz        = "America/Denver";
+
+let token;
+let userId;
+
+/** Local date `offset` days from today in Denver. */
+const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+
+/** A calendar with one weekly event covering a whole working day. */
+function shiftCalendar(date) {
+  const compact = date.replace(/-/g, "");
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "X-WR-CALNAME:Shifts",
+    "BEGIN:VEVENT",
+    "UID:shift-1",
+    `DTSTART;TZID=${tz}:${compact}T070000`,
+    `DTEND;TZID=${tz}:${compact}T190000`,
+    "RRULE:FREQ=WEEKLY;COUNT=4",
+    "SUMMARY:Shift",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n");
+}
+
+/** Upload an .ics document as the current user. */
+function upload(text, filename = "shifts.ics", authToken = token) {
+  return request(app)
+    .post("/api/users/busySources")
+    .set("Authorization", `Bearer ${authToken}`)
+    .attach("file", Buffer.from(text), filename);
+}
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    UserEmail.deleteMany({}),
+    BusySource.deleteMany({}),
+    FreedomTimeBlock.deleteMany({})
+  ]);
+
+  await request(app).post("/api/users/register").send(testUser);
+  const loginRes = await request(app).post("/api/users/login").send(testUser);
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+
+  await User.findByIdAndUpdate(userId, { timezone: tz });
+  await UserEmail.findOneAndUpdate({ email: testUser.username }, { isCalendarOnboarded: true });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("Imported busy sources", () => {
+  test("Uploads, lists and deletes an .ics source", async () => {
+    const res = await upload(shiftCalendar(day(2)));
+    expect(res.status).toBe(201);
+    expect(res.body.source).toMatchObject({ name: "Shifts", filename: "shifts.ics", eventCount: 1, intervalCount: 4 });
+    expect(res.body.source.intervals).toBeUndefined();
+
+    const list = await request(app)
+      .get("/api/users/busySources")
+      .set("Authorization", `Bearer ${token}`);
+    expect(list.status).toBe(200);
+    expect(list.body.sources.map(s => s._id)).toEqual([res.body.source._id]);
+
+    const del = await request(app)
+      .delete(`/api/users/busySources/${res.body.source._id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(del.status).toBe(200);
+    expect(await BusySource.countDocuments({ userId })).toBe(0);
+  });
+
+  test("Rejects missing and malformed uploads", async () => {
+    const missing = await request(app)
+      .post("/api/users/busySources")
+      .set("Authorization", `Bearer ${token}`);
+    expect(missing.status).toBe(400);
+
+    const malformed = await upload("not a calendar", "notes.txt");
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.message).toMatch(/iCalendar/);
+  });
+
+  test("Another user's source cannot be deleted", async () => {
+    const { body } = await upload(shiftCalendar(day(2)));
+
+    await request(app).post("/api/users/register").send(otherUser);
+    const otherLogin = await request(app).post("/api/users/login").send(otherUser);
+
+    const res = await request(app)
+      .delete(`/api/users/busySources/${body.source._id}`)
+      .set("Authorization", `Bearer ${otherLogin.body.token}`);
+    expect(res.status).toBe(404);
+    expect(await BusySource.countDocuments({ userId })).toBe(1);
+  });
+
+  test("Generation treats imported events as busy", async () => {
+    await upload(shiftCalendar(day(2)));
+
+    const res = await request(app)
+      .post("/api/freedom-blocks/range")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ start: day(2), end: day(3) });
+
+    expect(res.status).toBe(200);
+    const [shiftDay, freeDay] = res.body.days;
+    expect(shiftDay.timeBlocks).toHaveLength(0);
+    expect(freeDay.timeBlocks.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,206 @@
+// ------------------------------------------------------------------
+// Module:    tests/calDavCalendars.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for CalDAV calendar sources against a
+//            local CalDAV server.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/calDavCalendars.test
+ * @description
+ *   - Verifies CalDAV calendars are added with encrypted passwords,
+ *     verified, listed without secrets and deleted per user.
+ *   - Verifies verified CalDAV events become busy time for generation
+ *     and appointments in the schedule, even without a Google calendar.
+ *   - Verifies an unreachable server is recorded rather than failing
+ *     the schedule.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Environment ───────────────
+
+process.env.SESSION_SECRET         = "dummySecret";
+process.env.JWT_SECRET             = "dummyJwtSecret";
+process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
+
+// ─────────────── Dependencies ───────────────
+
+const request          = require("supertest");
+const mongoose         = require("mongoose");
+const dayjs            = require("dayjs");
+const app              = require("../app");
+const User             = require("../models/user");
+const UserEmail        = require("../models/userEmail");
+const CalDavCalendar   = require("../models/calDavCalendar");
+const FreedomTimeBlock = require("../models/freedomTimeBlocks");
+const { startCalDavServer } = require("./support/caldavServer");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const testUser  = { username: "caldavuser@example.com", password: "TestPassword123" };
+const otherUser = { username: "caldavother@example.com", password: "TestPassword123" };
+const tz        = "America/Denver";
+
+let server;
+let token;
+let userId;
+
+/** Local date `offset` days from today in Denver. */
+const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+
+/** A calendar resource with one event from 07:00 to 19:00 on `date`. */
+function allDayMeeting(date) {
+  const compact = date.replace(/-/g, "");
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "BEGIN:VEVENT",
+    `UID:offsite-${compact}`,
+    `DTSTART;TZID=${tz}:${compact}T070000`,
+    `DTEND;TZID=${tz}:${compact}T190000`,
+    "SUMMARY:Team offsite",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n");
+}
+
+/** Add (and optionally verify) a CalDAV calendar as the current user. */
+async function addCalendar({ verify = true, password = "app-password", url = server.url } = {}) {
+  const res = await request(app)
+    .post("/api/users/calDavCalendars")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ url, username: "alice", password, displayName: "Work" });
+  expect(res.status).toBe(200);
+  if (verify) {
+    const verified = await request(app)
+      .post(`/api/users/calDavCalendars/${res.body.calendar._id}/verify`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(verified.status).toBe(200);
+  }
+  return res.body.calendar;
+}
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeAll(async () => {
+  server = await startCalDavServer({ username: "alice", password: "app-password" });
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    UserEmail.deleteMany({}),
+    CalDavCalendar.deleteMany({}),
+    FreedomTimeBlock.deleteMany({})
+  ]);
+  server.resources = [];
+
+  await request(app).post("/api/users/register").send(testUser);
+  const loginRes = await request(app).post("/api/users/login").send(testUser);
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+  await User.findByIdAndUpdate(userId, { timezone: tz });
+});
+
+afterAll(async () => {
+  await server.close();
+  await mongoose.connection.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("CalDAV calendars", () => {
+  test("Stores the password encrypted and never returns it", async () => {
+    const calendar = await addCalendar({ verify: false });
+    expect(calendar).toMatchObject({ displayName: "Work", url: server.url, isVerified: false });
+    expect(calendar.passwordEncrypted).toBeUndefined();
+
+    const stored = await CalDavCalendar.findById(calendar._id).lean();
+    expect(stored.passwordEncrypted).not.toContain("app-password");
+
+    const list = await request(app)
+      .get("/api/users/calDavCalendars")
+      .set("Authorization", `Bearer ${token}`);
+    expect(list.body.calendars).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain("passwordEncrypted");
+  });
+
+  test("Rejects invalid URLs and missing credentials", async () => {
+    const badUrl = await request(app)
+      .post("/api/users/calDavCalendars")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ url: "ftp://example.com/cal", username: "alice", password: "x" });
+    expect(badUrl.status).toBe(400);
+
+    const noPassword = await request(app)
+      .post("/api/users/calDavCalendars")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ url: server.url, username: "alice" });
+    expect(noPassword.status).toBe(400);
+  });
+
+  test("Verification fails with wrong credentials", async () => {
+    const calendar = await addCalendar({ verify: false, password: "wrong" });
+    const res = await request(app)
+      .post(`/api/users/calDavCalendars/${calendar._id}/verify`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/username or password/);
+    expect((await CalDavCalendar.findById(calendar._id)).isVerified).toBe(false);
+  });
+
+  test("Another user's calendar cannot be verified or deleted", async () => {
+    const calendar = await addCalendar({ verify: false });
+    await request(app).post("/api/users/register").send(otherUser);
+    const otherLogin = await request(app).post("/api/users/login").send(otherUser);
+    const auth = `Bearer ${otherLogin.body.token}`;
+
+    const verify = await request(app).post(`/api/users/calDavCalendars/${calendar._id}/verify`).set("Authorization", auth);
+    const del    = await request(app).delete(`/api/users/calDavCalendars/${calendar._id}`).set("Authorization", auth);
+    expect(verify.status).toBe(404);
+    expect(del.status).toBe(404);
+    expect(await CalDavCalendar.countDocuments({ userId })).toBe(1);
+  });
+
+  test("Verified CalDAV events block generation and appear as appointments", async () => {
+    server.resources = [allDayMeeting(day(2))];
+    await addCalendar();
+
+    const generated = await request(app)
+      .post("/api/freedom-blocks/range")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ start: day(2), end: day(3) });
+    expect(generated.status).toBe(200);
+    expect(generated.body.verified).toBe(true);
+    const [busyDay, freeDay] = generated.body.days;
+    expect(busyDay.timeBlocks).toHaveLength(0);
+    expect(freeDay.timeBlocks.length).toBeGreaterThan(0);
+
+    const schedule = await request(app)
+      .get("/api/freedom-blocks/range")
+      .query({ start: day(2), end: day(2) })
+      .set("Authorization", `Bearer ${token}`);
+    expect(schedule.body.days[0].appointments).toEqual([
+      expect.objectContaining({ summary: "Team offsite", source: "caldav", calendar: "Work" })
+    ]);
+  });
+
+  test("An unreachable server is recorded instead of failing the schedule", async () => {
+    const calendar = await addCalendar();
+    await server.close();
+    try {
+      const res = await request(app)
+        .get("/api/freedom-blocks/today")
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(200);
+      expect((await CalDavCalendar.findById(calendar._id)).lastError).toBeTruthy();
+    } finally {
+      server = await startCalDavServer({ username: "alice", password: "app-password" });
+    }
+  });
+});
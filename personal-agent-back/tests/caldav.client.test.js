@@ -0,0 +1,115 @@
+// ------------------------------------------------------------------
+// Module:    tests/caldav.client.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Tests for the CalDAV client and credential encryption,
+//            run against a local CalDAV server.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/caldav.client.test
+ * @description
+ *   - Verifies calendar-query REPORTs carry auth and a time range, and
+ *     that escaped calendar data is decoded.
+ *   - Verifies verification reports bad credentials and wrong URLs.
+ *   - Verifies stored secrets round-trip and detect tampering.
+ */
+
+// ─────────────── Environment ───────────────
+
+process.env.SECRETS_KEY = "test-secrets-key";
+
+// ─────────────── Dependencies ───────────────
+
+const {
+  fetchCalendarObjects,
+  verifyCalDav,
+  extractCalendarData
+} = require("../services/calendar/caldav.client");
+const { encryptSecret, decryptSecret } = require("../services/secrets.util");
+const { startCalDavServer } = require("./support/caldavServer");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const EVENT = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "BEGIN:VEVENT",
+  "UID:standup",
+  "DTSTART:20260302T160000Z",
+  "DTEND:20260302T163000Z",
+  "SUMMARY:Standup & planning",
+  "END:VEVENT",
+  "END:VCALENDAR"
+].join("\r\n");
+
+let server;
+let calendar;
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeAll(async () => {
+  server   = await startCalDavServer({ username: "alice", password: "app-password", resources: [EVENT] });
+  calendar = { url: server.url, username: "alice", password: "app-password" };
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("CalDAV client", () => {
+  test("Queries events in a time range and decodes calendar data", async () => {
+    const objects = await fetchCalendarObjects(
+      calendar,
+      new Date("2026-03-02T00:00:00Z"),
+      new Date("2026-03-03T00:00:00Z")
+    );
+    expect(objects).toEqual([EVENT]);
+
+    const last = server.requests[server.requests.length - 1];
+    expect(last.method).toBe("REPORT");
+    expect(last.headers.depth).toBe("1");
+    expect(last.body).toContain("<C:time-range start=\"20260302T000000Z\" end=\"20260303T000000Z\"/>");
+  });
+
+  test("Reads calendar data under any namespace prefix or in CDATA", () => {
+    const xml = "<multistatus xmlns=\"DAV:\"><calendar-data xmlns=\"urn:ietf:params:xml:ns:caldav\">"
+      + "<![CDATA[BEGIN:VCALENDAR & co]]></calendar-data>"
+      + "<C:calendar-data>a &amp;&#x41;&#66;</C:calendar-data></multistatus>";
+    expect(extractCalendarData(xml)).toEqual(["BEGIN:VCALENDAR & co", "a &AB"]);
+  });
+
+  test("Verification succeeds with valid credentials", async () => {
+    expect(await verifyCalDav(calendar)).toEqual({ ok: true, message: "Calendar verified" });
+  });
+
+  test("Verification reports bad credentials and unknown calendars", async () => {
+    const badPassword = await verifyCalDav({ ...calendar, password: "wrong" });
+    expect(badPassword.ok).toBe(false);
+    expect(badPassword.message).toMatch(/username or password/);
+
+    const badUrl = await verifyCalDav({ ...calendar, url: server.url.replace("work", "home") });
+    expect(badUrl.ok).toBe(false);
+    expect(badUrl.message).toMatch(/not found/);
+  });
+});
+
+describe("Secret storage", () => {
+  test("Round-trips and never stores the plaintext", () => {
+    const stored = encryptSecret("app-password");
+    expect(stored).toMatch(/^v1:/);
+    expect(stored).not.toContain("app-password");
+    expect(encryptSecret("app-password")).not.toBe(stored); // random IV
+    expect(decryptSecret(stored)).toBe("app-password");
+  });
+
+  test("Rejects tampered values", () => {
+    const [version, iv, tag, data] = encryptSecret("app-password").split(":");
+    const flipped = Buffer.from(data, "base64url");
+    flipped[0] ^= 1;
+    expect(() => decryptSecret([version, iv, tag, flipped.toString("base64url")].join(":"))).toThrow();
+    expect(() => decryptSecret("plaintext")).toThrow(/format/);
+  });
+});
@@ -0,0 +1,143 @@
+// ------------------------------------------------------------------
+// Module:    tests/calendarProvider.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for calendar provider selection and the
+//            in-memory provider.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/calendarProvider.test
+ * @description
+ *   - Verifies CALENDAR_PROVIDER selects the backend.
+ *   - Verifies the memory provider's events, free/busy, errors and
+ *     file persistence.
+ *   - Needs no database or Google credentials.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const {
+  getCalendarProvider,
+  setCalendarProvider
+} = require("../services/calendar/calendarProvider");
+const { createMemoryProvider } = require("../services/calendar/providers/memory.provider");
+
+// ─────────────── Helpers ───────────────
+
+const CAL = "someone@example.com";
+
+/** Google-shaped event between two ISO instants. */
+const event = (summary, start, end, extra = {}) => ({
+  summary,
+  start: { dateTime: start },
+  end:   { dateTime: end },
+  ...extra
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("Calendar provider selection", () => {
+  const original = process.env.CALENDAR_PROVIDER;
+
+  afterEach(() => {
+    process.env.CALENDAR_PROVIDER = original;
+    setCalendarProvider(null);
+  });
+
+  test("CALENDAR_PROVIDER picks the backend and defaults to Google", () => {
+    delete process.env.CALENDAR_PROVIDER;
+    expect(getCalendarProvider().name).toBe("google");
+
+    setCalendarProvider(null);
+    process.env.CALENDAR_PROVIDER = "memory";
+    expect(getCalendarProvider().name).toBe("memory");
+    // Shared until replaced.
+    expect(getCalendarProvider()).toBe(getCalendarProvider());
+  });
+
+  test("Unknown providers are rejected", () => {
+    process.env.CALENDAR_PROVIDER = "outlook";
+    expect(() => getCalendarProvider()).toThrow(/Unknown CALENDAR_PROVIDER/);
+  });
+});
+
+describe("Memory calendar provider", () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createMemoryProvider();
+  });
+
+  test("Creates events with sequential IDs and lists them in start order", async () => {
+    const late  = await provider.createEvent(CAL, event("Late", "2026-03-02T15:00:00Z", "2026-03-02T16:00:00Z"));
+    const early = await provider.createEvent(CAL, event("Early", "2026-03-02T09:00:00Z", "2026-03-02T10:00:00Z"));
+    expect([late.id, early.id]).toEqual(["mem-1", "mem-2"]);
+
+    const listed = await provider.listEvents({
+      calendarId: CAL, timeMin: "2026-03-02T00:00:00Z", timeMax: "2026-03-03T00:00:00Z"
+    });
+    expect(listed.map(e => e.summary)).toEqual(["Early", "Late"]);
+
+    const outside = await provider.listEvents({
+      calendarId: CAL, timeMin: "2026-03-03T00:00:00Z", timeMax: "2026-03-04T00:00:00Z"
+    });
+    expect(outside).toEqual([]);
+  });
+
+  test("Free/busy clips to the window and skips transparent events", async () => {
+    await provider.createEvent(CAL, event("Overnight", "2026-03-01T22:00:00Z", "2026-03-02T02:00:00Z"));
+    await provider.createEvent(CAL, event("Reminder", "2026-03-02T09:00:00Z", "2026-03-02T10:00:00Z", { transparency: "transparent" }));
+
+    const result = await provider.freeBusy({
+      calendarIds: [CAL, "empty@example.com"],
+      timeMin:     "2026-03-02T00:00:00Z",
+      timeMax:     "2026-03-03T00:00:00Z"
+    });
+    expect(result[CAL].busy).toEqual([
+      { start: "2026-03-02T00:00:00.000Z", end: "2026-03-02T02:00:00.000Z" }
+    ]);
+    expect(result["empty@example.com"].busy).toEqual([]);
+  });
+
+  test("Updates and deletes events, failing with 404 when missing", async () => {
+    const created = await provider.createEvent(CAL, event("Focus", "2026-03-02T09:00:00Z", "2026-03-02T10:00:00Z"));
+
+    const moved = await provider.updateEvent(CAL, created.id, {
+      start: { dateTime: "2026-03-02T11:00:00Z" },
+      end:   { dateTime: "2026-03-02T12:00:00Z" }
+    });
+    expect(moved).toMatchObject({ summary: "Focus", start: { dateTime: "2026-03-02T11:00:00Z" } });
+
+    await provider.deleteEvent(CAL, created.id);
+    await expect(provider.deleteEvent(CAL, created.id)).rejects.toMatchObject({ code: 404 });
+    await expect(provider.updateEvent(CAL, "mem-99", {})).rejects.toMatchObject({ code: 404 });
+  });
+
+  test("Verifies any calendar", async () => {
+    expect(await provider.verifyAccess("new@example.com")).toEqual({ ok: true });
+  });
+
+  test("File-backed state survives a new provider", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "calendar-")), "calendar.json");
+    try {
+      const first = createMemoryProvider({ file });
+      await first.createEvent(CAL, event("Saved", "2026-03-02T09:00:00Z", "2026-03-02T10:00:00Z"));
+
+      const second = createMemoryProvider({ file });
+      const listed = await second.listEvents({
+        calendarId: CAL, timeMin: "2026-03-02T00:00:00Z", timeMax: "2026-03-03T00:00:00Z"
+      });
+      expect(listed.map(e => e.summary)).toEqual(["Saved"]);
+
+      // IDs continue rather than restart.
+      const next = await second.createEvent(CAL, event("Next", "2026-03-02T11:00:00Z", "2026-03-02T12:00:00Z"));
+      expect(next.id).toBe("mem-2");
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,167 @@
+// ------------------------------------------------------------------
+// Module:    tests/feed.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for the token-protected iCalendar feed.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/feed.test
+ * @description
+ *   - Verifies feed tokens are issued on demand and can be rotated.
+ *   - Verifies the feed lists approved and manual blocks, publishes
+ *     deleted ones as cancelled, and never leaks other users' blocks.
+ *   - Verifies deleted suggestions and edit leftovers, which were never
+ *     published, stay out of the feed.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Environment ───────────────
+
+process.env.SESSION_SECRET         = "dummySecret";
+process.env.JWT_SECRET             = "dummyJwtSecret";
+process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
+
+// ─────────────── Dependencies ───────────────
+
+const request          = require("supertest");
+const mongoose         = require("mongoose");
+const app              = require("../app");
+const User             = require("../models/user");
+const UserEmail        = require("../models/userEmail");
+const FreedomTimeBlock = require("../models/freedomTimeBlocks");
+const { DEFAULT_TIMEZONE } = require("../services/blocks/timezone.util");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const testUser  = { username: "feeduser@example.com", password: "TestPassword123" };
+const otherUser = { username: "feedother@example.com", password: "TestPassword123" };
+
+let token;
+let userId;
+
+/** A block starting `hours` from now, lasting 50 minutes. */
+function blockAt(owner, hours, fields) {
+  const startTime = new Date(Date.now() + hours * 60 * 60 * 1000);
+  return FreedomTimeBlock.create({
+    userId:  owner,
+    startTime,
+    endTime: new Date(startTime.getTime() + 50 * 60 * 1000),
+    ...fields
+  });
+}
+
+/** Fetch the current user's feed path. */
+async function feedPath() {
+  const res = await request(app)
+    .get("/api/users/icsFeed")
+    .set("Authorization", `Bearer ${token}`);
+  expect(res.status).toBe(200);
+  return res.body.path;
+}
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    UserEmail.deleteMany({}),
+    FreedomTimeBlock.deleteMany({})
+  ]);
+  await User.init();
+
+  await request(app).post("/api/users/register").send(testUser);
+  const loginRes = await request(app).post("/api/users/login").send(testUser);
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("iCalendar feed", () => {
+  test("Issues one token and keeps it until rotated", async () => {
+    const first  = await feedPath();
+    const second = await feedPath();
+    expect(first).toMatch(/^\/api\/feed\/[\w-]+\.ics$/);
+    expect(second).toBe(first);
+
+    const rotated = await request(app)
+      .post("/api/users/icsFeed/rotate")
+      .set("Authorization", `Bearer ${token}`);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.path).not.toBe(first);
+
+    expect((await request(app).get(first)).status).toBe(404);
+    expect((await request(app).get(rotated.body.path)).status).toBe(200);
+  });
+
+  test("Serves approved and manual blocks, and excluded ones as cancelled", async () => {
+    const approved = await blockAt(userId, 2, { approved: true, sourceType: "approved" });
+    const manual   = await blockAt(userId, 4, { approved: false, sourceType: "manual" });
+    const excluded = await blockAt(userId, 6, { approved: true, sourceType: "excluded", deletedAt: new Date() });
+    const pending  = await blockAt(userId, 8, { approved: false, sourceType: "auto" });
+    const ancient  = await blockAt(userId, -24 * 365, { approved: true, sourceType: "approved" });
+
+    const res = await request(app).get(await feedPath());
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+
+    const ics = res.text.replace(/\r\n /g, "");
+    [approved, manual, excluded].forEach(b => expect(ics).toContain(`UID:${b._id}@`));
+    [pending, ancient].forEach(b => expect(ics).not.toContain(`UID:${b._id}@`));
+
+    const excludedEvent = ics.slice(ics.indexOf(`UID:${excluded._id}@`));
+    expect(excludedEvent.slice(0, excludedEvent.indexOf("END:VEVENT"))).toContain("STATUS:CANCELLED");
+  });
+
+  test("Cancels only deleted blocks the feed showed before", async () => {
+    const approved   = await blockAt(userId, 2, { approved: true, sourceType: "approved" });
+    const suggestion = await blockAt(userId, 4, { approved: false, sourceType: "auto" });
+    const leftover   = await blockAt(userId, 6, { approved: false, sourceType: "excluded" });
+    for (const block of [approved, suggestion]) {
+      const res = await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(200);
+    }
+
+    const ics = (await request(app).get(await feedPath())).text.replace(/\r\n /g, "");
+    expect(ics).toContain(`UID:${approved._id}@`);
+    [suggestion, leftover].forEach(b => expect(ics).not.toContain(`UID:${b._id}@`));
+  });
+
+  test("Only includes the token owner's blocks", async () => {
+    await request(app).post("/api/users/register").send(otherUser);
+    const otherLogin = await request(app).post("/api/users/login").send(otherUser);
+    const foreign    = await blockAt(otherLogin.body.user._id, 2, { approved: true, sourceType: "approved" });
+
+    const res = await request(app).get(await feedPath());
+    expect(res.text).not.toContain(String(foreign._id));
+  });
+
+  test("Falls back to the default timezone when the stored one is invalid", async () => {
+    const path = await feedPath();
+    await User.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(userId) },
+      { $set: { timezone: "Not/A_Zone" } }
+    );
+
+    const res = await request(app).get(path);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain(`X-WR-TIMEZONE:${DEFAULT_TIMEZONE}`);
+    expect(res.text).not.toContain("Not/A_Zone");
+  });
+
+  test("Unknown tokens return 404", async () => {
+    const res = await request(app).get("/api/feed/not-a-real-token.ics");
+    expect(res.status).toBe(404);
+  });
+});
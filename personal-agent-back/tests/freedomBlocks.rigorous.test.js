@@ -67,7 +67,8 @@ const testUser = {
   password: "TestPassword123"
 };
 
-let token; // Bearer token for authenticated requests
+let token;  // Bearer token for authenticated requests
+let userId; // Owner of the blocks created below
 
 // ─────────────── Setup & Teardown ───────────────
 
@@ -84,8 +85,11 @@ beforeAll(async () => {
   expect(regRes.status).toBe(200);
   const loginRes = await request(app).post("/api/users/login").send(testUser);
   expect(loginRes.status).toBe(200);
-  token = loginRes.body.token;
-  const userId = loginRes.body.user._id;
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+
+  // Fixtures below are expressed in Denver local time.
+  await User.findByIdAndUpdate(userId, { timezone: "America/Denver" });
 
   // Mark that email as onboarded so freedom‑blocks endpoints will run
   const emailDoc = await UserEmail.findOneAndUpdate(
@@ -108,6 +112,7 @@ describe("Editing Scenario", () => {
     const originalEnd   = dayjs(originalStart).add(55, "minute").toDate();
 
     const block = await FreedomTimeBlock.create({
+      userId,
       startTime:  originalStart,
       endTime:    originalEnd,
       approved:   false,
@@ -143,6 +148,7 @@ describe("Regeneration Scenario", () => {
     const manualStart = dayjs().tz(tz).add(1, "hour").startOf("minute").toDate();
     const manualEnd   = dayjs(manualStart).add(30, "minute").toDate();
     await FreedomTimeBlock.create({
+      userId,
       startTime:  manualStart,
       endTime:    manualEnd,
       approved:   false,
@@ -152,6 +158,7 @@ describe("Regeneration Scenario", () => {
     const approvedStart = dayjs().tz(tz).add(2, "hour").startOf("minute").toDate();
     const approvedEnd   = dayjs(approvedStart).add(45, "minute").toDate();
     await FreedomTimeBlock.create({
+      userId,
       startTime:  approvedStart,
       endTime:    approvedEnd,
       approved:   true,
@@ -197,6 +204,7 @@ describe("Deletion Scenario", () => {
     const autoEnd   = dayjs(autoStart).add(50, "minute").toDate();
 
     const autoBlock = await FreedomTimeBlock.create({
+      userId,
       startTime:  autoStart,
       endTime:    autoEnd,
       approved:   false,
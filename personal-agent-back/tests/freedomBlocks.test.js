@@ -12,6 +12,29 @@
  *   - Sets up a dummy environment and mocks external services.
  *   - Verifies behavior of shortening manual blocks, regenerating free blocks,
  *     and excluding deleted blocks.
+ *   - Verifies generation is clipped to the user's working hours.
+ *   - Verifies date-range generation, fetch and approval work per day.
+ *   - Fires parallel generation requests and checks they converge on a
+ *     single set of blocks.
+ *   - Verifies approval queues notification jobs, one alarm per kind the
+ *     user's alarm settings ask for, and exposes their per-block
+ *     delivery status.
+ *   - Verifies notification channels are managed per user, never expose
+ *     their secrets, and receive approved alarms, using a local server.
+ *   - Verifies each user's own TaskMagic webhook and alarm endpoints are
+ *     used instead of the server defaults and are never returned.
+ *   - Verifies webhook subscriptions receive signed, templated block
+ *     events, log each delivery and can send a test event.
+ *   - Verifies the daily auto-plan is scheduled in the user's timezone,
+ *     claimed by one instance only, and generates and approves the day
+ *     by the user's rules.
+ *   - Verifies approved blocks are mirrored as calendar events, using the
+ *     in-memory calendar provider.
+ *   - Verifies edits and deletions are recorded and can be undone.
+ *   - Verifies the trash lists excluded blocks, restores them, and
+ *     releases their slots to generation.
+ *   - Verifies blocks can be split in two and merged back together.
+ *   - Verifies blocks stored without an owner can be assigned or deleted.
  *   - Uses Supertest against the Express app with JWT auth.
  */
 
@@ -24,6 +47,7 @@ jest.setTimeout(70000); // for slow operations
 process.env.SESSION_SECRET         = "dummySecret";
 process.env.JWT_SECRET             = "dummyJwtSecret";
 process.env.PHONE_ALARM_ENDPOINTS  = "http://dummy.com";
+process.env.CALENDAR_PROVIDER      = "memory";
 
 jest.mock("../services/calendar/appointments.service", () => {
   const dayjs = require("dayjs");
@@ -46,6 +70,7 @@ jest.mock("../services/phoneAlarm.service", () => ({
 
 // ─────────────── Dependencies ───────────────
 
+const crypto             = require("crypto");
 const request            = require("supertest");
 const dayjs              = require("dayjs");
 const tzPlugin           = require("dayjs/plugin/timezone");
@@ -55,6 +80,23 @@ const app                = require("../app");
 const User               = require("../models/user");
 const UserEmail          = require("../models/userEmail");
 const FreedomTimeBlock   = require("../models/freedomTimeBlocks");
+const BlockGenerationRun = require("../models/blockGenerationRun");
+const BlockRevision      = require("../models/blockRevision");
+const Job                = require("../models/job");
+const NotificationChannel = require("../models/notificationChannel");
+const UserIntegration    = require("../models/userIntegration");
+const WebhookSubscription = require("../models/webhookSubscription");
+const WebhookDelivery    = require("../models/webhookDelivery");
+const IntegrationRateLimit = require("../models/integrationRateLimit");
+const { getBusyTimesUntil } = require("../services/calendar/appointments.service");
+const { withGenerationLock } = require("../services/blocks/generationLock.service");
+const { ensureBlockIndexes } = require("../services/blocks/blockIndexes.service");
+const { assignOrphanBlocks, deleteOrphanBlocks } = require("../services/blocks/orphanBlocks.service");
+const { runDueJobs }         = require("../services/jobs/jobQueue.service");
+const { scheduleDailyPlans } = require("../services/jobs/dailyPlanJobs.service");
+const { setPhoneAlarm }      = require("../services/phoneAlarm.service");
+const { getCalendarProvider } = require("../services/calendar/calendarProvider");
+const { startHttpSink }      = require("./support/notificationServers");
 
 // ─────────────── Test Data & Globals ───────────────
 
@@ -63,7 +105,13 @@ const testUser = {
   password: "TestPassword123"
 };
 
+const otherUser = {
+  username: "otherfreedom@example.com",
+  password: "TestPassword123"
+};
+
 let token;
+let userId;
 
 // ─────────────── Lifecycle Hooks ───────────────
 
@@ -80,8 +128,11 @@ beforeEach(async () => {
   expect(regRes.status).toBe(200);
   const loginRes = await request(app).post("/api/users/login").send(testUser);
   expect(loginRes.status).toBe(200);
-  token = loginRes.body.token;
-  const userId = loginRes.body.user._id;
+  token  = loginRes.body.token;
+  userId = loginRes.body.user._id;
+
+  // Fixtures below are expressed in Denver local time.
+  await User.findByIdAndUpdate(userId, { timezone: "America/Denver" });
 
   // Mark calendar email onboarded
   const emailDoc = await UserEmail.findOneAndUpdate(
@@ -107,6 +158,7 @@ describe("Freedom Blocks Endpoints", () => {
       const originalEnd   = dayjs.tz(`${dateToday} 12:55`, "YYYY-MM-DD HH:mm", "America/Denver").toDate();
 
       const block = await FreedomTimeBlock.create({
+        userId,
         startTime:  originalStart,
         endTime:    originalEnd,
         approved:   false,
@@ -135,11 +187,11 @@ describe("Freedom Blocks Endpoints", () => {
       const dateToday    = dayjs().tz("America/Denver").format("YYYY-MM-DD");
       const manualStart  = dayjs.tz(`${dateToday} 13:00`, "YYYY-MM-DD HH:mm", "America/Denver").toDate();
       const manualEnd    = dayjs(manualStart).add(30, "minute").toDate();
-      await FreedomTimeBlock.create({ startTime: manualStart, endTime: manualEnd, approved: false, sourceType: "manual" });
+      await FreedomTimeBlock.create({ userId, startTime: manualStart, endTime: manualEnd, approved: false, sourceType: "manual" });
 
       const approvedStart = dayjs.tz(`${dateToday} 14:00`, "YYYY-MM-DD HH:mm", "America/Denver").toDate();
       const approvedEnd   = dayjs(approvedStart).add(50, "minute").toDate();
-      await FreedomTimeBlock.create({ startTime: approvedStart, endTime: approvedEnd, approved: true, sourceType: "approved" });
+      await FreedomTimeBlock.create({ userId, startTime: approvedStart, endTime: approvedEnd, approved: true, sourceType: "approved" });
 
       const resSchedule = await request(app)
         .get("/api/freedom-blocks/today")
@@ -175,6 +227,7 @@ describe("Freedom Blocks Endpoints", () => {
       const autoEnd   = dayjs(autoStart).add(50, "minute").toDate();
 
       const autoBlock = await FreedomTimeBlock.create({
+        userId,
         startTime:  autoStart,
         endTime:    autoEnd,
         approved:   false,
@@ -201,4 +254,1429 @@ describe("Freedom Blocks Endpoints", () => {
     });
 
   });
+
+  describe("Ownership", () => {
+    let otherUserId;
+    let otherBlock;
+
+    beforeEach(async () => {
+      await request(app).post("/api/users/register").send(otherUser);
+      const loginRes = await request(app).post("/api/users/login").send(otherUser);
+      otherUserId = loginRes.body.user._id;
+
+      const dateToday = dayjs().tz("America/Denver").format("YYYY-MM-DD");
+      otherBlock = await FreedomTimeBlock.create({
+        userId:     otherUserId,
+        startTime:  dayjs.tz(`${dateToday} 16:00`, "YYYY-MM-DD HH:mm", "America/Denver").toDate(),
+        endTime:    dayjs.tz(`${dateToday} 16:50`, "YYYY-MM-DD HH:mm", "America/Denver").toDate(),
+        approved:   false,
+        sourceType: "manual"
+      });
+    });
+
+    test("Another user's block returns 404 on update and delete", async () => {
+      const resUpdate = await request(app)
+        .put(`/api/freedom-blocks/${otherBlock._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: otherBlock.startTime, endTime: otherBlock.endTime });
+      expect(resUpdate.status).toBe(404);
+
+      const resDelete = await request(app)
+        .delete(`/api/freedom-blocks/${otherBlock._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+      expect(resDelete.status).toBe(404);
+
+      const unchanged = await FreedomTimeBlock.findById(otherBlock._id);
+      expect(unchanged.sourceType).toBe("manual");
+    });
+
+    test("Malformed block IDs return 404", async () => {
+      const res = await request(app)
+        .delete("/api/freedom-blocks/not-an-id")
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+      expect(res.status).toBe(404);
+    });
+
+    test("Schedule only returns the requesting user's blocks", async () => {
+      const resSchedule = await request(app)
+        .get("/api/freedom-blocks/today")
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+      expect(resSchedule.status).toBe(200);
+      resSchedule.body.timeBlocks.forEach(b => {
+        expect(b.userId).toBe(userId);
+      });
+    });
+
+    test("Approving does not touch another user's blocks", async () => {
+      const resApprove = await request(app)
+        .post("/api/freedom-blocks/approveAll")
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+      expect(resApprove.status).toBe(200);
+
+      const untouched = await FreedomTimeBlock.findById(otherBlock._id);
+      expect(untouched.approved).toBe(false);
+    });
+
+    test("Another user's blocks do not collide with overlap checks", async () => {
+      const block = await FreedomTimeBlock.create({
+        userId,
+        startTime:  dayjs(otherBlock.startTime).subtract(2, "hour").toDate(),
+        endTime:    dayjs(otherBlock.startTime).subtract(1, "hour").toDate(),
+        approved:   false,
+        sourceType: "manual"
+      });
+
+      const resUpdate = await request(app)
+        .put(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          startTime: dayjs(otherBlock.startTime).toISOString(),
+          endTime:   dayjs(otherBlock.endTime).toISOString()
+        });
+      expect(resUpdate.status).toBe(200);
+      expect(resUpdate.body.success).toBe(true);
+    });
+
+    describe("Blocks stored without an owner", () => {
+      const orphan = (hour, sourceType) => ({
+        startTime:  dayjs(otherBlock.startTime).add(hour, "hour").toDate(),
+        endTime:    dayjs(otherBlock.startTime).add(hour, "hour").add(50, "minute").toDate(),
+        approved:   sourceType === "approved",
+        sourceType
+      });
+
+      beforeEach(async () => {
+        // Inserted past the schema, as older versions stored them
+        await FreedomTimeBlock.collection.insertMany([
+          orphan(1, "auto"),
+          { ...orphan(2, "approved"), userId: null }
+        ]);
+      });
+
+      test("Assigning keeps chosen blocks for the user and drops suggestions", async () => {
+        expect(await assignOrphanBlocks(userId)).toEqual({ assigned: 1, deleted: 1 });
+        expect(await FreedomTimeBlock.countDocuments({ userId: null })).toBe(0);
+        const assigned = await FreedomTimeBlock.find({ userId, sourceType: "approved" });
+        expect(assigned).toHaveLength(1);
+      });
+
+      test("Deleting removes every block without an owner", async () => {
+        expect(await deleteOrphanBlocks()).toEqual({ assigned: 0, deleted: 2 });
+        expect(await FreedomTimeBlock.countDocuments({ userId: null })).toBe(0);
+        expect(await FreedomTimeBlock.exists({ _id: otherBlock._id })).toBeTruthy();
+      });
+    });
+  });
+
+  describe("Manual blocks", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz);
+
+    const create = (startTime, endTime) => request(app)
+      .post("/api/freedom-blocks/manual")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ startTime, endTime });
+
+    test("Creates a manual block snapped to 5 minutes", async () => {
+      const res = await create(
+        at(day(2), "10:02").toISOString(),
+        at(day(2), "10:58").toISOString()
+      );
+
+      expect(res.status).toBe(201);
+      expect(res.body.block).toMatchObject({ sourceType: "manual", approved: false });
+      expect(res.body.snappedStart).toBe(at(day(2), "10:00").toISOString());
+      expect(res.body.snappedEnd).toBe(at(day(2), "11:00").toISOString());
+      expect(await FreedomTimeBlock.countDocuments({ userId, sourceType: "manual" })).toBe(1);
+    });
+
+    test("Rejects overlapping and inverted blocks", async () => {
+      await FreedomTimeBlock.create({
+        userId,
+        startTime:  at(day(2), "10:00").toDate(),
+        endTime:    at(day(2), "10:50").toDate(),
+        approved:   true,
+        sourceType: "approved"
+      });
+
+      const overlap = await create(at(day(2), "10:30").toISOString(), at(day(2), "11:30").toISOString());
+      expect(overlap.status).toBe(400);
+      expect(overlap.body.message).toMatch(/Collision/);
+
+      const inverted = await create(at(day(2), "12:00").toISOString(), at(day(2), "12:01").toISOString());
+      expect(inverted.status).toBe(400);
+
+      const missing = await create(undefined, at(day(2), "13:00").toISOString());
+      expect(missing.status).toBe(400);
+    });
+
+    test("Stores a block's title, category, color, goal and tasks", async () => {
+      const res = await request(app)
+        .post("/api/freedom-blocks/manual")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          startTime: at(day(2), "15:00").toISOString(),
+          endTime:   at(day(2), "16:00").toISOString(),
+          title:     "Write chapter 3",
+          category:  "deep-work",
+          color:     "#1E90FF",
+          goal:      "First draft done",
+          tasks:     [{ text: "Outline" }, { text: "Draft", done: true }]
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.block).toMatchObject({
+        title:    "Write chapter 3",
+        category: "deep-work",
+        color:    "#1e90ff",
+        goal:     "First draft done",
+        tasks:    [{ text: "Outline", done: false }, { text: "Draft", done: true }]
+      });
+
+      const resEdit = await request(app)
+        .put(`/api/freedom-blocks/${res.body.block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: res.body.snappedStart, endTime: res.body.snappedEnd, category: "", tasks: [] });
+      expect(resEdit.status).toBe(200);
+      const stored = await FreedomTimeBlock.findById(res.body.block._id);
+      expect(stored.category).toBeNull();
+      expect(stored.tasks).toHaveLength(0);
+      expect(stored.title).toBe("Write chapter 3");
+
+      const resBad = await request(app)
+        .put(`/api/freedom-blocks/${res.body.block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: res.body.snappedStart, endTime: res.body.snappedEnd, category: "chores" });
+      expect(resBad.status).toBe(400);
+    });
+
+    test("Manual blocks are kept when the day is generated", async () => {
+      const { body } = await create(at(day(2), "13:00").toISOString(), at(day(2), "14:00").toISOString());
+
+      const res = await request(app)
+        .post("/api/freedom-blocks/range")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      const blocks = res.body.days[0].timeBlocks;
+      expect(blocks.map(b => b._id)).toContain(body.block._id);
+      const overlapping = blocks.filter(b =>
+        b._id !== body.block._id && b.startTime < body.block.endTime && b.endTime > body.block.startTime);
+      expect(overlapping).toHaveLength(0);
+    });
+  });
+
+  describe("History and undo", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    const undo = id => request(app)
+      .post(`/api/freedom-blocks/${id}/undo`)
+      .set("Authorization", `Bearer ${token}`);
+
+    let block;
+    beforeEach(async () => {
+      await BlockRevision.deleteMany({});
+      block = await FreedomTimeBlock.create({
+        userId,
+        startTime:  at(day(2), "10:00"),
+        endTime:    at(day(2), "11:00"),
+        approved:   false,
+        sourceType: "auto",
+        title:      "Deep work"
+      });
+    });
+
+    test("Undoing an edit restores the block and removes its leftover", async () => {
+      const resEdit = await request(app)
+        .put(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: at(day(2), "10:00").toISOString(), endTime: at(day(2), "10:30").toISOString(), title: "Email" });
+      expect(resEdit.status).toBe(200);
+      expect(await FreedomTimeBlock.countDocuments({ userId, sourceType: "excluded" })).toBe(1);
+
+      const res = await undo(block._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.undone).toBe("update");
+      const restored = await FreedomTimeBlock.findById(block._id);
+      expect(restored.endTime.toISOString()).toBe(at(day(2), "11:00").toISOString());
+      expect(restored).toMatchObject({ sourceType: "auto", title: "Deep work", edited: false });
+      expect(await FreedomTimeBlock.countDocuments({ userId, sourceType: "excluded" })).toBe(0);
+
+      const history = await request(app)
+        .get(`/api/freedom-blocks/${block._id}/history`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(history.body.revisions).toHaveLength(1);
+      expect(history.body.revisions[0].undoneAt).toBeTruthy();
+      expect((await undo(block._id)).status).toBe(404);
+    });
+
+    test("Undoing a deletion brings the block back", async () => {
+      await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`);
+
+      const res = await undo(block._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.undone).toBe("delete");
+      const restored = await FreedomTimeBlock.findById(block._id);
+      expect(restored.sourceType).toBe("auto");
+      expect(restored.deletedAt).toBeNull();
+    });
+
+    test("Undo is refused when a block now fills the old slot", async () => {
+      await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`);
+      await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:30"), endTime: at(day(2), "11:30"), approved: false, sourceType: "manual"
+      });
+
+      const res = await undo(block._id);
+
+      expect(res.status).toBe(409);
+      expect((await FreedomTimeBlock.findById(block._id)).sourceType).toBe("excluded");
+    });
+  });
+
+  describe("Trash", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    const fetchTrash = date => request(app)
+      .get("/api/freedom-blocks/trash")
+      .query({ date })
+      .set("Authorization", `Bearer ${token}`);
+
+    let block;
+    beforeEach(async () => {
+      block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "11:00"), approved: false, sourceType: "auto"
+      });
+      await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`);
+    });
+
+    test("Lists a day's excluded blocks and restores one", async () => {
+      const trash = await fetchTrash(day(2));
+      expect(trash.status).toBe(200);
+      expect(trash.body.blocks).toHaveLength(1);
+      expect(trash.body.blocks[0]).toMatchObject({ _id: String(block._id), restorable: true });
+
+      const res = await request(app)
+        .post(`/api/freedom-blocks/${block._id}/restore`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      // Kept as manual so the next regeneration does not replace it.
+      expect(res.body.block).toMatchObject({ sourceType: "manual", deletedAt: null });
+      expect((await fetchTrash(day(2))).body.blocks).toHaveLength(0);
+    });
+
+    test("Restoring into a taken slot is refused", async () => {
+      await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:30"), endTime: at(day(2), "11:30"), approved: false, sourceType: "manual"
+      });
+      expect((await fetchTrash(day(2))).body.blocks[0].restorable).toBe(false);
+
+      const res = await request(app)
+        .post(`/api/freedom-blocks/${block._id}/restore`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
+    });
+
+    test("Releasing the trash frees the slot for suggestions", async () => {
+      const res = await request(app)
+        .post("/api/freedom-blocks/trash/release")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ date: day(2) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.released).toBe(1);
+      expect(await FreedomTimeBlock.exists({ _id: block._id })).toBeNull();
+      const covering = res.body.timeBlocks.filter(b =>
+        new Date(b.startTime) < block.endTime && new Date(b.endTime) > block.startTime);
+      expect(covering.length).toBeGreaterThan(0);
+
+      const resBad = await request(app)
+        .post("/api/freedom-blocks/trash/release")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ date: day(2), blockIds: "all" });
+      expect(resBad.status).toBe(400);
+    });
+  });
+
+  describe("Split and merge", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    const split = (id, body) => request(app)
+      .post(`/api/freedom-blocks/${id}/split`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+    const merge = blockIds => request(app)
+      .post("/api/freedom-blocks/merge")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ blockIds });
+
+    let block;
+    beforeEach(async () => {
+      block = await FreedomTimeBlock.create({
+        userId,
+        startTime:  at(day(2), "10:00"),
+        endTime:    at(day(2), "11:00"),
+        approved:   true,
+        sourceType: "approved",
+        title:      "Deep work",
+        tasks:      [{ text: "Outline" }]
+      });
+    });
+
+    test("Splits a block at a rounded time with a break", async () => {
+      const res = await split(block._id, { at: at(day(2), "10:22").toISOString(), gapMinutes: 10 });
+
+      expect(res.status).toBe(200);
+      const [first, second] = res.body.blocks;
+      expect(new Date(first.endTime).toISOString()).toBe(at(day(2), "10:20").toISOString());
+      expect(new Date(second.startTime).toISOString()).toBe(at(day(2), "10:30").toISOString());
+      expect(second).toMatchObject({ approved: true, sourceType: "approved", title: "Deep work" });
+      expect(second.tasks.map(t => t.text)).toEqual(["Outline"]);
+      expect(first.sourceType).toBe("approved");
+      expect(await FreedomTimeBlock.countDocuments({ userId, sourceType: "excluded" })).toBe(1);
+    });
+
+    test("Splitting an approved block alarms each part's new edges only", async () => {
+      await User.findByIdAndUpdate(userId, { alarmSettings: { mode: "both" } });
+
+      const res = await split(block._id, { at: at(day(2), "10:20").toISOString(), gapMinutes: 10 });
+      expect(res.status).toBe(200);
+      const [, second] = res.body.blocks;
+
+      // The original block's start and end alarms are already queued:
+      // the first part gets its new end, the second its new start.
+      const alarms = async blockId => (await Job.find({ blockId, type: "phoneAlarm.set" }).sort({ _id: 1 }))
+        .map(job => job.payload);
+      expect(await alarms(block._id)).toEqual([{ kind: "end", time24: "10:20", label: "Deep work" }]);
+      expect(await alarms(second._id)).toEqual([{ kind: "start", time24: "10:30", label: "Deep work" }]);
+    });
+
+    test("Undoing either part of a split restores the block", async () => {
+      const res = await split(block._id, { at: at(day(2), "10:30").toISOString(), gapMinutes: 10 });
+      const [, second] = res.body.blocks;
+
+      const undo = await request(app)
+        .post(`/api/freedom-blocks/${second._id}/undo`)
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+
+      expect(undo.status).toBe(200);
+      expect(String(undo.body.block._id)).toBe(String(block._id));
+      expect(String(undo.body.removedId)).toBe(String(second._id));
+      expect((await FreedomTimeBlock.findById(block._id)).endTime.toISOString())
+        .toBe(at(day(2), "11:00").toISOString());
+      expect((await FreedomTimeBlock.findById(second._id)).sourceType).toBe("excluded");
+      expect(await FreedomTimeBlock.countDocuments({ userId, sourceType: { $ne: "excluded" } })).toBe(1);
+    });
+
+    test("Rejects a split that leaves a part under 5 minutes", async () => {
+      const res = await split(block._id, { at: at(day(2), "10:58").toISOString() });
+
+      expect(res.status).toBe(400);
+      expect((await FreedomTimeBlock.findById(block._id)).endTime.toISOString())
+        .toBe(at(day(2), "11:00").toISOString());
+    });
+
+    test("Merges blocks, covering the gap between them", async () => {
+      const later = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "11:30"), endTime: at(day(2), "12:00"),
+        approved: false, sourceType: "manual", tasks: [{ text: "Review" }]
+      });
+      const gap = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "11:00"), endTime: at(day(2), "11:30"), approved: false, sourceType: "excluded"
+      });
+
+      const res = await merge([later._id, block._id]);
+
+      expect(res.status).toBe(200);
+      expect(String(res.body.block._id)).toBe(String(block._id));
+      expect(new Date(res.body.block.endTime).toISOString()).toBe(at(day(2), "12:00").toISOString());
+      // One part was unapproved, so the merged block needs approval again.
+      expect(res.body.block).toMatchObject({ approved: false, sourceType: "manual", title: "Deep work" });
+      expect(res.body.block.tasks.map(t => t.text)).toEqual(["Outline", "Review"]);
+      expect((await FreedomTimeBlock.findById(later._id)).sourceType).toBe("excluded");
+      expect(await FreedomTimeBlock.exists({ _id: gap._id })).toBeNull();
+    });
+
+    test("Refuses to merge across another block or day", async () => {
+      await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "11:00"), endTime: at(day(2), "11:30"), approved: false, sourceType: "manual"
+      });
+      const later = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "12:00"), endTime: at(day(2), "12:30"), approved: false, sourceType: "manual"
+      });
+      const nextDay = await FreedomTimeBlock.create({
+        userId, startTime: at(day(3), "10:00"), endTime: at(day(3), "11:00"), approved: false, sourceType: "manual"
+      });
+
+      expect((await merge([block._id, later._id])).status).toBe(400);
+      expect((await merge([block._id, nextDay._id])).status).toBe(400);
+      expect((await merge([block._id])).status).toBe(400);
+      expect((await FreedomTimeBlock.findById(later._id)).sourceType).toBe("manual");
+    });
+
+    test("Refuses to merge over a calendar event between the blocks", async () => {
+      const later = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "12:00"), endTime: at(day(2), "12:30"), approved: false, sourceType: "manual"
+      });
+      getBusyTimesUntil.mockResolvedValueOnce({
+        now:       dayjs().tz(tz),
+        busyArray: [{ start: at(day(2), "11:15").toISOString(), end: at(day(2), "11:45").toISOString() }]
+      });
+
+      const res = await merge([block._id, later._id]);
+
+      expect(res.status).toBe(409);
+      expect((await FreedomTimeBlock.findById(block._id)).endTime.toISOString())
+        .toBe(at(day(2), "11:00").toISOString());
+      expect((await FreedomTimeBlock.findById(later._id)).sourceType).toBe("manual");
+    });
+
+    test("Merging keeps deleted blocks in the gap in the trash", async () => {
+      const later = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "12:00"), endTime: at(day(2), "12:30"), approved: false, sourceType: "manual"
+      });
+      const trashed = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "11:10"), endTime: at(day(2), "11:40"), approved: false, sourceType: "manual"
+      });
+      await request(app)
+        .delete(`/api/freedom-blocks/${trashed._id}`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect((await merge([block._id, later._id])).status).toBe(200);
+      expect(await FreedomTimeBlock.findById(trashed._id)).toMatchObject({ sourceType: "excluded" });
+      expect(await BlockRevision.countDocuments({ blockId: trashed._id })).toBe(1);
+    });
+  });
+
+  describe("Working hours", () => {
+    test("Days marked off produce no blocks", async () => {
+      const week = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+        .map(day => ({ day, off: true, start: "08:00", end: "18:00" }));
+      await User.findByIdAndUpdate(userId, { workingHours: week });
+
+      const res = await request(app)
+        .post("/api/freedom-blocks")
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+
+      expect(res.status).toBe(200);
+      expect(res.body.blocks).toEqual([]);
+      expect(await FreedomTimeBlock.countDocuments({ userId })).toBe(0);
+    });
+
+    test("Generated blocks stay inside today's working window", async () => {
+      const dateToday = dayjs().tz("America/Denver").format("YYYY-MM-DD");
+      const week = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+        .map(day => ({ day, off: false, start: "20:00", end: "22:00" }));
+      await User.findByIdAndUpdate(userId, { workingHours: week });
+
+      const res = await request(app)
+        .get("/api/freedom-blocks/today")
+        .set("Authorization", `Bearer ${token}`)
+        .send();
+      expect(res.status).toBe(200);
+
+      const windowStart = dayjs.tz(`${dateToday} 20:00`, "YYYY-MM-DD HH:mm", "America/Denver").toDate();
+      const windowEnd   = dayjs.tz(`${dateToday} 22:00`, "YYYY-MM-DD HH:mm", "America/Denver").toDate();
+      res.body.timeBlocks
+        .filter(b => b.sourceType === "auto")
+        .forEach(b => {
+          expect(new Date(b.startTime) >= windowStart).toBe(true);
+          expect(new Date(b.endTime) <= windowEnd).toBe(true);
+        });
+    });
+  });
+
+  describe("Date ranges", () => {
+    const tz   = "America/Denver";
+    const day  = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at   = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    test("Generating a range creates blocks inside each future day", async () => {
+      const week = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+        .map(day => ({ day, off: false, start: "08:00", end: "18:00" }));
+      await User.findByIdAndUpdate(userId, { workingHours: week });
+
+      const res = await request(app)
+        .post("/api/freedom-blocks/range")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2), end: day(4) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.days.map(d => d.date)).toEqual([day(2), day(3), day(4)]);
+      res.body.days.forEach(({ date, timeBlocks }) => {
+        expect(timeBlocks.length).toBeGreaterThan(0);
+        timeBlocks.forEach(b => {
+          expect(new Date(b.startTime) >= at(date, "08:00")).toBe(true);
+          expect(new Date(b.endTime) <= at(date, "18:00")).toBe(true);
+        });
+      });
+
+      // Busy time is fetched per day, starting at that day's working window.
+      const startArgs = getBusyTimesUntil.mock.calls.map(c => dayjs(c[3]).valueOf());
+      expect(startArgs).toContain(at(day(2), "08:00").getTime());
+    });
+
+    test("Regenerating a range keeps days that were already approved", async () => {
+      const approvedBlock = await FreedomTimeBlock.create({
+        userId,
+        startTime:  at(day(2), "09:00"),
+        endTime:    at(day(2), "09:50"),
+        approved:   true,
+        sourceType: "approved"
+      });
+
+      const res = await request(app)
+        .post("/api/freedom-blocks/range")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2), end: day(3) });
+      expect(res.status).toBe(200);
+
+      const [first, second] = res.body.days;
+      expect(first.timeBlocks.map(b => b._id)).toEqual([approvedBlock._id.toString()]);
+      expect(second.timeBlocks.length).toBeGreaterThan(0);
+    });
+
+    test("Approving a range only touches days in that range", async () => {
+      const inRange = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+      const outOfRange = await FreedomTimeBlock.create({
+        userId, startTime: at(day(3), "10:00"), endTime: at(day(3), "10:50"), approved: false, sourceType: "manual"
+      });
+
+      const res = await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.days).toEqual([{ date: day(2), approved: 1 }]);
+      expect((await FreedomTimeBlock.findById(inRange._id)).approved).toBe(true);
+      expect((await FreedomTimeBlock.findById(outOfRange._id)).approved).toBe(false);
+    });
+
+    test("Fetching a range groups blocks by day without generating", async () => {
+      await FreedomTimeBlock.create({
+        userId, startTime: at(day(3), "11:00"), endTime: at(day(3), "11:50"), approved: false, sourceType: "manual"
+      });
+
+      const res = await request(app)
+        .get("/api/freedom-blocks/range")
+        .query({ start: day(2), end: day(3) })
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.timezone).toBe(tz);
+      expect(res.body.days[0].timeBlocks).toHaveLength(0);
+      expect(res.body.days[1].timeBlocks).toHaveLength(1);
+    });
+
+    test("Invalid ranges return 400", async () => {
+      const cases = [
+        { start: "2025-02-30" },
+        { start: day(3), end: day(2) },
+        { start: day(0), end: day(20) }
+      ];
+      for (const body of cases) {
+        const res = await request(app)
+          .post("/api/freedom-blocks/range")
+          .set("Authorization", `Bearer ${token}`)
+          .send(body);
+        expect(res.status).toBe(400);
+        expect(res.body.success).toBe(false);
+      }
+    });
+  });
+
+  describe("Concurrent generation", () => {
+    const allDay = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+      .map(day => ({ day, off: false, start: "00:00", end: "24:00" }));
+
+    /** Auto blocks stored for the test user, as start-time millis. */
+    async function storedAutoStarts() {
+      const blocks = await FreedomTimeBlock.find({ userId, sourceType: "auto" });
+      return blocks.map(b => b.startTime.getTime()).sort();
+    }
+
+    beforeAll(async () => {
+      // Unique indexes must exist before parallel writes race on them.
+      await Promise.all([FreedomTimeBlock.init(), BlockGenerationRun.init()]);
+    });
+
+    beforeEach(async () => {
+      await BlockGenerationRun.deleteMany({});
+      await User.findByIdAndUpdate(userId, { workingHours: allDay });
+    });
+
+    test("Only one run holds a day's lock at a time", async () => {
+      const date = dayjs().tz("America/Denver").format("YYYY-MM-DD");
+      let active = 0;
+      let maxActive = 0;
+      const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        active--;
+        return "done";
+      };
+
+      const results = await Promise.all([
+        withGenerationLock(userId, date, task),
+        withGenerationLock(userId, date, task),
+        withGenerationLock(userId, date, task)
+      ]);
+
+      expect(maxActive).toBe(1);
+      expect(results.filter(r => r.ran)).toHaveLength(1);
+      // Losers wait for the winner instead of returning early.
+      const run = await BlockGenerationRun.findOne({ userId, date });
+      expect(run.lockedUntil).toBeNull();
+      expect(run.lastCompletedAt).toBeInstanceOf(Date);
+    });
+
+    test("A waiting run takes the lock after the holder finishes", async () => {
+      const date  = dayjs().tz("America/Denver").format("YYYY-MM-DD");
+      const order = [];
+      const task  = name => async () => {
+        order.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        order.push(`${name} end`);
+        return name;
+      };
+
+      const first = withGenerationLock(userId, date, task("first"));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const second = withGenerationLock(userId, date, task("second"), { waitToRun: true });
+
+      expect(await first).toEqual({ ran: true, result: "first" });
+      expect(await second).toEqual({ ran: true, result: "second" });
+      expect(order).toEqual(["first start", "first end", "second start", "second end"]);
+    });
+
+    test("An expired holder cannot release the next holder's lock", async () => {
+      const date = dayjs().tz("America/Denver").format("YYYY-MM-DD");
+      await withGenerationLock(userId, date, async () => {
+        // Another run takes over after this lease expires.
+        await BlockGenerationRun.updateOne(
+          { userId, date },
+          { $set: { holder: "next-run", lockedUntil: dayjs().add(1, "minute").toDate() } }
+        );
+      });
+
+      const run = await BlockGenerationRun.findOne({ userId, date });
+      expect(run.holder).toBe("next-run");
+      expect(run.lockedUntil).toBeInstanceOf(Date);
+    });
+
+    test("Duplicate auto blocks are rejected by the unique index", async () => {
+      const startTime = dayjs().add(1, "day").startOf("hour").toDate();
+      const endTime   = dayjs(startTime).add(50, "minute").toDate();
+      await FreedomTimeBlock.create({ userId, startTime, endTime, sourceType: "auto" });
+
+      await expect(
+        FreedomTimeBlock.create({ userId, startTime, endTime, sourceType: "auto" })
+      ).rejects.toMatchObject({ code: 11000 });
+
+      // Manual blocks are not constrained.
+      await FreedomTimeBlock.create({ userId, startTime, endTime, sourceType: "manual" });
+    });
+
+    test("Startup removes duplicate suggestions and builds the unique index", async () => {
+      await FreedomTimeBlock.collection.dropIndex("userId_1_startTime_1");
+      const startTime = dayjs().add(1, "day").startOf("hour").toDate();
+      const endTime   = dayjs(startTime).add(50, "minute").toDate();
+      const [kept] = await FreedomTimeBlock.insertMany([
+        { userId, startTime, endTime, sourceType: "auto" },
+        { userId, startTime, endTime, sourceType: "auto" },
+        { userId, startTime, endTime, sourceType: "auto" }
+      ]);
+
+      expect(await ensureBlockIndexes()).toBe(true);
+      const left = await FreedomTimeBlock.find({ userId, sourceType: "auto" });
+      expect(left.map(b => String(b._id))).toEqual([String(kept._id)]);
+      await expect(
+        FreedomTimeBlock.create({ userId, startTime, endTime, sourceType: "auto" })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test("Parallel GET /today requests converge on one set of blocks", async () => {
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          request(app).get("/api/freedom-blocks/today").set("Authorization", `Bearer ${token}`)
+        )
+      );
+      responses.forEach(res => expect(res.status).toBe(200));
+
+      const starts = await storedAutoStarts();
+      expect(new Set(starts).size).toBe(starts.length);
+
+      // A later sequential load regenerates the same slots.
+      await request(app).get("/api/freedom-blocks/today").set("Authorization", `Bearer ${token}`);
+      expect(await storedAutoStarts()).toEqual(starts);
+    });
+
+    test("Parallel POST / and GET /today requests converge on one set of blocks", async () => {
+      const calls = [];
+      for (let i = 0; i < 3; i++) {
+        calls.push(request(app).post("/api/freedom-blocks").set("Authorization", `Bearer ${token}`));
+        calls.push(request(app).get("/api/freedom-blocks/today").set("Authorization", `Bearer ${token}`));
+      }
+      const responses = await Promise.all(calls);
+      responses.forEach(res => expect(res.status).toBe(200));
+
+      const starts = await storedAutoStarts();
+      expect(new Set(starts).size).toBe(starts.length);
+
+      // Every response lists distinct blocks.
+      responses.forEach(res => {
+        const listed = (res.body.blocks || res.body.timeBlocks).map(b => b.startTime);
+        expect(new Set(listed).size).toBe(listed.length);
+      });
+
+      await request(app).post("/api/freedom-blocks").set("Authorization", `Bearer ${token}`);
+      expect(await storedAutoStarts()).toEqual(starts);
+    });
+  });
+
+  describe("Approval notifications", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    beforeEach(async () => {
+      setPhoneAlarm.mockClear();
+      await Promise.all([Job.deleteMany({}), IntegrationRateLimit.deleteMany({})]);
+    });
+
+    test("Approving queues jobs and returns before delivering them", async () => {
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+
+      const res = await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+      expect(res.status).toBe(200);
+      expect(res.body.blockIds).toEqual([block._id.toString()]);
+      expect(setPhoneAlarm).not.toHaveBeenCalled();
+
+      const jobs = await Job.find({ blockId: block._id });
+      expect(jobs.map(j => j.status)).toEqual(["pending"]);
+      expect(jobs[0].payload).toEqual({ kind: "end", time24: "10:50", label: "" });
+
+      await runDueJobs();
+      expect(setPhoneAlarm).toHaveBeenCalledWith({ kind: "end", time24: "10:50", label: "" }, ["http://dummy.com"]);
+      expect((await Job.findById(jobs[0]._id)).status).toBe("succeeded");
+    });
+
+    test("Alarms follow the user's alarm settings", async () => {
+      const resSettings = await request(app)
+        .put("/api/users/alarmSettings")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ mode: "both", leadMinutes: 10, label: "Focus time" });
+      expect(resSettings.status).toBe(200);
+      const resBad = await request(app)
+        .put("/api/users/alarmSettings")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ leadMinutes: 3 });
+      expect(resBad.status).toBe(400);
+
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+      await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      const jobs = await Job.find({ blockId: block._id }).sort({ _id: 1 });
+      expect(jobs.map(j => j.payload)).toEqual([
+        { kind: "warning", time24: "09:50", label: "Focus time", minutesBefore: 10 },
+        { kind: "start",   time24: "10:00", label: "Focus time" },
+        { kind: "end",     time24: "10:50", label: "Focus time" }
+      ]);
+    });
+
+    test("Delivery status is reported per block", async () => {
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "11:00"), endTime: at(day(2), "11:50"), approved: false, sourceType: "manual"
+      });
+      await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      const resBatch = await request(app)
+        .get("/api/freedom-blocks/deliveries")
+        .query({ blockIds: block._id.toString() })
+        .set("Authorization", `Bearer ${token}`);
+      expect(resBatch.status).toBe(200);
+      expect(resBatch.body.deliveries[block._id.toString()]).toEqual([
+        expect.objectContaining({ integration: "phoneAlarm", status: "pending", attempts: 0 })
+      ]);
+
+      const resOne = await request(app)
+        .get(`/api/freedom-blocks/${block._id}/deliveries`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resOne.status).toBe(200);
+      expect(resOne.body.deliveries).toHaveLength(1);
+    });
+
+    test("Delivery status is scoped to the requesting user", async () => {
+      await request(app).post("/api/users/register").send(otherUser);
+      const loginRes = await request(app).post("/api/users/login").send(otherUser);
+      const otherToken = loginRes.body.token;
+
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "13:00"), endTime: at(day(2), "13:50"), approved: false, sourceType: "manual"
+      });
+      await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      const resBatch = await request(app)
+        .get("/api/freedom-blocks/deliveries")
+        .query({ blockIds: block._id.toString() })
+        .set("Authorization", `Bearer ${otherToken}`);
+      expect(resBatch.status).toBe(200);
+      expect(resBatch.body.deliveries[block._id.toString()]).toEqual([]);
+
+      const resOne = await request(app)
+        .get(`/api/freedom-blocks/${block._id}/deliveries`)
+        .set("Authorization", `Bearer ${otherToken}`);
+      expect(resOne.status).toBe(404);
+
+      const resBad = await request(app)
+        .get("/api/freedom-blocks/deliveries")
+        .query({ blockIds: "not-an-id" })
+        .set("Authorization", `Bearer ${token}`);
+      expect(resBad.status).toBe(400);
+    });
+
+    test("Notification channels receive approved alarms", async () => {
+      const sink = await startHttpSink();
+      try {
+        await NotificationChannel.deleteMany({});
+        const resCreate = await request(app)
+          .post("/api/users/notificationChannels")
+          .set("Authorization", `Bearer ${token}`)
+          .send({
+            type: "ntfy", name: "Phone", config: { server: sink.url, topic: "focus" }, secrets: { token: "tk_1" },
+            template: { body: "{{label}} at {{time}}" }
+          });
+        expect(resCreate.status).toBe(201);
+        const channel = resCreate.body.channel;
+        expect(channel.secrets).toBeUndefined();
+        expect(channel.secretsSet).toEqual(["token"]);
+
+        const resBad = await request(app)
+          .post("/api/users/notificationChannels")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ type: "ntfy", name: "Bad", config: { topic: "no spaces" } });
+        expect(resBad.status).toBe(400);
+
+        const resTest = await request(app)
+          .post(`/api/users/notificationChannels/${channel._id}/test`)
+          .set("Authorization", `Bearer ${token}`);
+        expect(resTest.status).toBe(200);
+        expect(sink.requests.map(r => r.body.toString())).toEqual(["Test alarm at 9:50 AM"]);
+
+        const block = await FreedomTimeBlock.create({
+          userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual",
+          title: "Deep work"
+        });
+        await request(app)
+          .post("/api/freedom-blocks/range/approve")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ start: day(2) });
+        const jobs = await Job.find({ blockId: block._id }).sort({ _id: 1 });
+        expect(jobs.map(j => j.integration)).toEqual(["phoneAlarm", "ntfy"]);
+
+        await runDueJobs();
+        expect(sink.requests).toHaveLength(2);
+        expect(sink.requests[1].url).toBe("/focus");
+        expect(sink.requests[1].headers.authorization).toBe("Bearer tk_1");
+        expect(sink.requests[1].body.toString()).toBe("Deep work at 10:50 AM");
+
+        // Other users can neither see nor use the channel.
+        await request(app).post("/api/users/register").send(otherUser);
+        const loginRes = await request(app).post("/api/users/login").send(otherUser);
+        const resOther = await request(app)
+          .delete(`/api/users/notificationChannels/${channel._id}`)
+          .set("Authorization", `Bearer ${loginRes.body.token}`);
+        expect(resOther.status).toBe(404);
+
+        const resDelete = await request(app)
+          .delete(`/api/users/notificationChannels/${channel._id}`)
+          .set("Authorization", `Bearer ${token}`);
+        expect(resDelete.status).toBe(200);
+        expect(await NotificationChannel.countDocuments({})).toBe(0);
+      } finally {
+        await sink.close();
+      }
+    });
+  });
+
+  describe("Per-user integrations", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+
+    beforeEach(async () => {
+      setPhoneAlarm.mockClear();
+      await Promise.all([Job.deleteMany({}), IntegrationRateLimit.deleteMany({}), UserIntegration.deleteMany({})]);
+    });
+
+    test("Approvals go to the user's own targets", async () => {
+      const sink = await startHttpSink();
+      try {
+        const resTaskMagic = await request(app)
+          .put("/api/users/integrations/taskmagic")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ urls: `${sink.url}/flow?token=secret` });
+        expect(resTaskMagic.status).toBe(200);
+        expect(JSON.stringify(resTaskMagic.body)).not.toMatch(/secret/);
+        await request(app)
+          .put("/api/users/integrations/phoneAlarm")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ urls: "https://alarm.example.com/a, https://alarm.example.com/b" })
+          .expect(200);
+
+        const resBad = await request(app)
+          .put("/api/users/integrations/taskmagic")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ urls: "ftp://example.com" });
+        expect(resBad.status).toBe(400);
+
+        const resList = await request(app)
+          .get("/api/users/integrations")
+          .set("Authorization", `Bearer ${token}`);
+        const phone = resList.body.integrations.find(i => i.provider === "phoneAlarm");
+        expect(phone.integration.hosts).toEqual(["alarm.example.com", "alarm.example.com"]);
+        expect(phone.integration.urlsEncrypted).toBeUndefined();
+
+        const block = await FreedomTimeBlock.create({
+          userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+        });
+        await request(app)
+          .post("/api/freedom-blocks/range/approve")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ start: day(2) });
+        const jobs = await Job.find({ blockId: block._id });
+        expect(jobs.map(j => j.integration).sort()).toEqual(["phoneAlarm", "taskmagic"]);
+        expect(JSON.stringify(jobs)).not.toMatch(/alarm\.example|secret/);
+
+        await runDueJobs();
+        expect(sink.requests.map(r => r.url)).toEqual(["/flow?token=secret"]);
+        expect(setPhoneAlarm).toHaveBeenCalledWith(
+          expect.objectContaining({ kind: "end" }),
+          ["https://alarm.example.com/a", "https://alarm.example.com/b"]
+        );
+      } finally {
+        await sink.close();
+      }
+    });
+
+    test("Disabling an integration stops it; deleting restores the server default", async () => {
+      await request(app)
+        .put("/api/users/integrations/phoneAlarm")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ urls: ["https://alarm.example.com/a"] })
+        .expect(200);
+      const resOff = await request(app)
+        .put("/api/users/integrations/phoneAlarm")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled: false });
+      expect(resOff.status).toBe(200);
+      expect(resOff.body.integration.hosts).toEqual(["alarm.example.com"]);
+
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: true, sourceType: "manual"
+      });
+      const resAlarm = await request(app)
+        .post(`/api/freedom-blocks/${block._id}/phoneAlarm`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resAlarm.status).toBe(400);
+
+      await request(app)
+        .delete("/api/users/integrations/phoneAlarm")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      const resDefault = await request(app)
+        .post(`/api/freedom-blocks/${block._id}/phoneAlarm`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resDefault.status).toBe(200);
+      expect(setPhoneAlarm).toHaveBeenCalledWith(expect.objectContaining({ kind: "end" }), ["http://dummy.com"]);
+
+      const resTaskMagic = await request(app)
+        .post(`/api/freedom-blocks/${block._id}/taskMagic`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resTaskMagic.status).toBe(400);
+    });
+  });
+
+  describe("Webhook subscriptions", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+    const sign = (secret, body) => `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+    let sink;
+
+    beforeEach(async () => {
+      await Promise.all([
+        Job.deleteMany({}),
+        IntegrationRateLimit.deleteMany({}),
+        WebhookSubscription.deleteMany({}),
+        WebhookDelivery.deleteMany({})
+      ]);
+      sink = await startHttpSink();
+    });
+
+    afterEach(async () => {
+      await sink.close();
+    });
+
+    test("Block events are sent signed, in the subscription's template", async () => {
+      const resCreate = await request(app)
+        .post("/api/users/webhooks")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          name: "Home Assistant",
+          url: `${sink.url}/api/webhook/focus`,
+          events: ["block.approved", "block.moved", "block.excluded", "block.startingSoon"],
+          template: '{"type": "{{event}}", "at": "{{startTime}}", "minutes": {{durationMinutes}}}',
+          signatureHeader: "X-Hub-Signature-256"
+        });
+      expect(resCreate.status).toBe(201);
+      const { subscription, secret } = resCreate.body;
+      expect(secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(subscription.secretEncrypted).toBeUndefined();
+
+      const resList = await request(app).get("/api/users/webhooks").set("Authorization", `Bearer ${token}`);
+      expect(JSON.stringify(resList.body)).not.toContain(secret);
+
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+      await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+
+      const soon = await Job.findOne({ type: "webhook.deliver", "payload.event": "block.startingSoon" });
+      expect(soon.runAt).toEqual(at(day(2), "09:50"));
+
+      await runDueJobs();
+      await request(app)
+        .put(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: at(day(2), "11:00").toISOString(), endTime: at(day(2), "11:30").toISOString() })
+        .expect(200);
+      await runDueJobs();
+      await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      await runDueJobs();
+
+      const bodies = sink.requests.map(r => JSON.parse(r.body));
+      expect(bodies).toEqual([
+        { type: "block.approved", at: "10:00", minutes: 50 },
+        { type: "block.moved",    at: "11:00", minutes: 30 },
+        { type: "block.excluded", at: "11:00", minutes: 30 }
+      ]);
+      for (const req of sink.requests) {
+        expect(req.headers["x-hub-signature-256"]).toBe(sign(secret, req.body.toString()));
+        expect(req.headers["x-webhook-delivery"]).toBeTruthy();
+      }
+
+      // The block no longer starts when either reminder was scheduled for.
+      await runDueJobs({ now: at(day(2), "11:00") });
+      expect(sink.requests).toHaveLength(3);
+
+      const resLog = await request(app)
+        .get(`/api/users/webhooks/${subscription._id}/deliveries`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resLog.body.deliveries.map(d => [d.event, d.status, d.statusCode])).toEqual([
+        ["block.excluded", "succeeded", 200],
+        ["block.moved",    "succeeded", 200],
+        ["block.approved", "succeeded", 200]
+      ]);
+    });
+
+    test("Restoring a deleted approved block raises block.approved again", async () => {
+      await request(app)
+        .post("/api/users/webhooks")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Sink", url: `${sink.url}/hook`, events: ["block.approved", "block.excluded"] })
+        .expect(201);
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: true, sourceType: "approved"
+      });
+
+      await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/freedom-blocks/${block._id}/restore`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      const events = (await Job.find({ type: "webhook.deliver", blockId: block._id }).sort({ _id: 1 }))
+        .map(job => job.payload.event);
+      expect(events).toEqual(["block.excluded", "block.approved"]);
+    });
+
+    test("Send test reports the receiver's response and is logged", async () => {
+      const resCreate = await request(app)
+        .post("/api/users/webhooks")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ url: sink.url, events: ["block.startingSoon"], secret: "shared-secret-1234" });
+      const id = resCreate.body.subscription._id;
+      expect(resCreate.body.secret).toBeNull();
+
+      const resOk = await request(app)
+        .post(`/api/users/webhooks/${id}/test`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resOk.status).toBe(200);
+      const sent = JSON.parse(sink.requests[0].body);
+      expect(sent).toMatchObject({ event: "block.startingSoon", block: { title: "Test block", timezone: tz } });
+      expect(sink.requests[0].headers["x-webhook-signature"]).toBe(sign("shared-secret-1234", sink.requests[0].body.toString()));
+
+      sink.status = 500;
+      const resFail = await request(app)
+        .post(`/api/users/webhooks/${id}/test`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resFail.status).toBe(400);
+      expect(resFail.body.delivery).toMatchObject({ status: "failed", statusCode: 500, test: true });
+
+      await request(app).post("/api/users/register").send(otherUser);
+      const loginRes = await request(app).post("/api/users/login").send(otherUser);
+      const resOther = await request(app)
+        .get(`/api/users/webhooks/${id}/deliveries`)
+        .set("Authorization", `Bearer ${loginRes.body.token}`);
+      expect(resOther.status).toBe(404);
+
+      await request(app)
+        .delete(`/api/users/webhooks/${id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      expect(await WebhookDelivery.countDocuments({})).toBe(0);
+    });
+  });
+
+  describe("Daily auto-plan", () => {
+    const tz    = "America/Denver";
+    const today = () => dayjs().tz(tz).format("YYYY-MM-DD");
+    const at    = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+    const rule  = { minMinutes: 50, before: "12:00" };
+
+    beforeEach(async () => {
+      await Promise.all([Job.deleteMany({}), IntegrationRateLimit.deleteMany({})]);
+    });
+
+    test("Settings are validated and schedule the next run at the local time", async () => {
+      const resBad = await request(app)
+        .put("/api/users/autoPlan")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled: true, time: "25:00" });
+      expect(resBad.status).toBe(400);
+
+      const res = await request(app)
+        .put("/api/users/autoPlan")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled: true, time: "07:00", approveRules: [rule] });
+      expect(res.status).toBe(200);
+      expect(res.body.autoPlan.approveRules).toEqual([{ minMinutes: 50, after: "", before: "12:00" }]);
+      const next = new Date(res.body.nextRunAt);
+      expect(next > new Date()).toBe(true);
+      expect(dayjs(next).tz(tz).format("HH:mm")).toBe("07:00");
+
+      const resOff = await request(app)
+        .put("/api/users/autoPlan")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled: false });
+      expect(resOff.body.nextRunAt).toBeNull();
+      expect(resOff.body.autoPlan.approveRules).toHaveLength(1);
+
+      await User.findByIdAndUpdate(userId, { autoPlanNextRunAt: new Date(Date.now() - 60 * 1000) });
+      expect(await scheduleDailyPlans()).toEqual([]);
+    });
+
+    test("A due run is queued once and plans the day with auto-approval", async () => {
+      // Evening working hours, so generated suggestions never match the rule.
+      const week = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+        .map(day => ({ day, off: false, start: "22:00", end: "23:55" }));
+      await User.findByIdAndUpdate(userId, { workingHours: week });
+      await request(app)
+        .put("/api/users/autoPlan")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled: true, time: "07:00", approveRules: [rule] })
+        .expect(200);
+
+      const date = today();
+      const [long, short, afternoon] = await FreedomTimeBlock.create([
+        { userId, startTime: at(date, "08:00"), endTime: at(date, "08:50"), approved: false, sourceType: "manual" },
+        { userId, startTime: at(date, "10:00"), endTime: at(date, "10:30"), approved: false, sourceType: "manual" },
+        { userId, startTime: at(date, "13:00"), endTime: at(date, "14:00"), approved: false, sourceType: "manual" }
+      ]);
+
+      // Missed while the server was down; two instances race to claim it.
+      await User.findByIdAndUpdate(userId, { autoPlanNextRunAt: new Date(Date.now() - 60 * 1000) });
+      const claimed = (await Promise.all([scheduleDailyPlans(), scheduleDailyPlans()])).flat();
+      expect(claimed).toHaveLength(1);
+      expect(claimed[0].payload).toEqual({ date });
+      expect((await User.findById(userId)).autoPlanNextRunAt > new Date()).toBe(true);
+      expect(await scheduleDailyPlans()).toEqual([]);
+
+      await runDueJobs();
+      const blocks = await FreedomTimeBlock.find({ _id: { $in: [long._id, short._id, afternoon._id] } });
+      expect(blocks.filter(b => b.approved).map(b => String(b._id))).toEqual([String(long._id)]);
+      expect(await Job.countDocuments({ blockId: long._id })).toBeGreaterThan(0);
+      expect(await Job.countDocuments({ blockId: short._id })).toBe(0);
+
+      const res = await request(app).get("/api/users/autoPlan").set("Authorization", `Bearer ${token}`);
+      expect(res.body.lastRun).toMatchObject({ status: "succeeded", payload: { date } });
+    });
+  });
+
+  describe("Focus calendar events", () => {
+    const tz  = "America/Denver";
+    const day = offset => dayjs().tz(tz).add(offset, "day").format("YYYY-MM-DD");
+    const at  = (date, hhmm) => dayjs.tz(`${date} ${hhmm}`, "YYYY-MM-DD HH:mm", tz).toDate();
+    const calendar = getCalendarProvider();
+
+    /** Events on the test user's calendar for day(2). */
+    const dayEvents = () => calendar.listEvents({
+      calendarId: testUser.username,
+      timeMin:    at(day(2), "00:00"),
+      timeMax:    at(day(3), "00:00"),
+      tz
+    });
+
+    /** Approve day(2) and run the queued jobs. */
+    async function approveAndDeliver() {
+      const res = await request(app)
+        .post("/api/freedom-blocks/range/approve")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start: day(2) });
+      expect(res.status).toBe(200);
+      await runDueJobs();
+    }
+
+    beforeEach(async () => {
+      calendar.reset();
+      await Promise.all([Job.deleteMany({}), IntegrationRateLimit.deleteMany({})]);
+    });
+
+    test("Approved blocks become Focus events on the chosen calendar", async () => {
+      await User.findByIdAndUpdate(userId, { focusCalendarId: testUser.username });
+      const block = await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+
+      await approveAndDeliver();
+
+      const events = await dayEvents();
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        summary: "Focus",
+        start:   { dateTime: block.startTime.toISOString(), timeZone: tz },
+        end:     { dateTime: block.endTime.toISOString(), timeZone: tz }
+      });
+      const stored = await FreedomTimeBlock.findById(block._id);
+      expect(stored.calendarId).toBe(testUser.username);
+      expect(stored.calendarEventId).toBe(events[0].id);
+    });
+
+    test("Moving and excluding a block updates and deletes its event", async () => {
+      const event = await calendar.createEvent(testUser.username, {
+        summary: "Focus",
+        start:   { dateTime: at(day(2), "10:00").toISOString() },
+        end:     { dateTime: at(day(2), "10:50").toISOString() }
+      });
+      const block = await FreedomTimeBlock.create({
+        userId,
+        startTime:       at(day(2), "10:00"),
+        endTime:         at(day(2), "10:50"),
+        approved:        true,
+        sourceType:      "approved",
+        calendarId:      testUser.username,
+        calendarEventId: event.id
+      });
+
+      const resMove = await request(app)
+        .put(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ startTime: at(day(2), "11:00").toISOString(), endTime: at(day(2), "11:50").toISOString() });
+      expect(resMove.status).toBe(200);
+      await runDueJobs();
+      const [moved] = await dayEvents();
+      expect(moved.start.dateTime).toBe(at(day(2), "11:00").toISOString());
+      expect(moved.end.dateTime).toBe(at(day(2), "11:50").toISOString());
+
+      const resDelete = await request(app)
+        .delete(`/api/freedom-blocks/${block._id}`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(resDelete.status).toBe(200);
+      await runDueJobs();
+      expect(await dayEvents()).toEqual([]);
+      expect((await FreedomTimeBlock.findById(block._id)).calendarEventId).toBeNull();
+    });
+
+    test("Titled blocks use their title as the event summary", async () => {
+      await User.findByIdAndUpdate(userId, { focusCalendarId: testUser.username });
+      await FreedomTimeBlock.create({
+        userId,
+        startTime:  at(day(2), "10:00"),
+        endTime:    at(day(2), "10:50"),
+        approved:   false,
+        sourceType: "manual",
+        title:      "Write chapter 3"
+      });
+
+      await approveAndDeliver();
+
+      const [event] = await dayEvents();
+      expect(event.summary).toBe("Write chapter 3");
+    });
+
+    test("Nothing is written without a focus calendar", async () => {
+      await FreedomTimeBlock.create({
+        userId, startTime: at(day(2), "10:00"), endTime: at(day(2), "10:50"), approved: false, sourceType: "manual"
+      });
+
+      await approveAndDeliver();
+
+      expect(await dayEvents()).toEqual([]);
+      expect(await Job.countDocuments({ integration: "googleCalendar" })).toBe(0);
+    });
+  });
 });
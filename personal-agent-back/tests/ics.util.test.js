@@ -0,0 +1,108 @@
+// ------------------------------------------------------------------
+// Module:    tests/ics.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for the iCalendar feed serializer.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/ics.util.test
+ * @description
+ *   - Verifies VEVENT fields, stable UIDs, SEQUENCE and cancellation.
+ *   - Verifies TEXT escaping and 75-octet line folding.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const {
+  buildIcsFeed,
+  escapeText,
+  foldLine,
+  formatUtc
+} = require("../services/calendar/ics.util");
+
+// ─────────────── Helpers ───────────────
+
+/** Block fixture created at midnight UTC on 1 March 2026. */
+const block = (overrides = {}) => ({
+  _id:        "65f000000000000000000001",
+  startTime:  new Date("2026-03-02T09:00:00Z"),
+  endTime:    new Date("2026-03-02T09:50:00Z"),
+  createdAt:  new Date("2026-03-01T00:00:00Z"),
+  updatedAt:  new Date("2026-03-01T00:00:00Z"),
+  approved:   true,
+  sourceType: "approved",
+  ...overrides
+});
+
+/** Unfolded content lines of a feed. */
+const linesOf = feed => feed.replace(/\r\n /g, "").split("\r\n");
+
+// ─────────────── Test Suites ───────────────
+
+describe("iCalendar feed", () => {
+  test("Wraps events in a VCALENDAR with CRLF line endings", () => {
+    const feed = buildIcsFeed([block()], { tz: "America/Denver" });
+
+    expect(feed.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(feed.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(feed.replace(/\r\n/g, "")).not.toMatch(/\n/);
+    expect(linesOf(feed)).toContain("X-WR-TIMEZONE:America/Denver");
+  });
+
+  test("Uses the block ID as UID and the timestamps for SEQUENCE", () => {
+    const edited = block({ updatedAt: new Date("2026-03-01T00:02:00Z") });
+    const lines  = linesOf(buildIcsFeed([edited]));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      "UID:65f000000000000000000001@freedom-blocks.personal-agent",
+      "DTSTART:20260302T090000Z",
+      "DTEND:20260302T095000Z",
+      "CREATED:20260301T000000Z",
+      "LAST-MODIFIED:20260301T000200Z",
+      "DTSTAMP:20260301T000200Z",
+      "SEQUENCE:120",
+      "STATUS:CONFIRMED"
+    ]));
+
+    // Unedited blocks start at sequence 0.
+    expect(linesOf(buildIcsFeed([block()]))).toContain("SEQUENCE:0");
+  });
+
+  test("Publishes excluded blocks as cancelled", () => {
+    const lines = linesOf(buildIcsFeed([block({ sourceType: "excluded" })]));
+    expect(lines).toContain("STATUS:CANCELLED");
+    expect(lines).toContain("TRANSP:TRANSPARENT");
+  });
+
+  test("Titles events after the block, with its category and goal", () => {
+    expect(linesOf(buildIcsFeed([block()]))).toContain("SUMMARY:Focus");
+
+    const labelled = block({ title: "Write, edit; ship", category: "deep-work", goal: "Finish chapter 3" });
+    const lines    = linesOf(buildIcsFeed([labelled]));
+    expect(lines).toEqual(expect.arrayContaining([
+      "SUMMARY:Write\\, edit\\; ship",
+      "CATEGORIES:Deep work",
+      "DESCRIPTION:Finish chapter 3"
+    ]));
+  });
+
+  test("Orders events by start time", () => {
+    const later   = block({ _id: "b", startTime: new Date("2026-03-02T11:00:00Z"), endTime: new Date("2026-03-02T11:50:00Z") });
+    const earlier = block({ _id: "a" });
+    const uids = linesOf(buildIcsFeed([later, earlier])).filter(l => l.startsWith("UID:"));
+    expect(uids.map(u => u.slice(4, 5))).toEqual(["a", "b"]);
+  });
+
+  test("Escapes TEXT values and folds long lines", () => {
+    expect(escapeText("a,b;c\\d\ne")).toBe("a\\,b\\;c\\\\d\\ne");
+    expect(formatUtc("2026-03-02T09:05:07.123Z")).toBe("20260302T090507Z");
+
+    const folded = foldLine(`SUMMARY:${"é".repeat(60)}`);
+    const parts  = folded.split("\r\n");
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(parts.slice(1).every(part => part.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"é".repeat(60)}`);
+  });
+});
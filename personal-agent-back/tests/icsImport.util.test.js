@@ -0,0 +1,209 @@
+// ------------------------------------------------------------------
+// Module:    tests/icsImport.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for the uploaded-.ics busy time parser.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/icsImport.util.test
+ * @description
+ *   - Verifies UTC, TZID, floating and all-day values.
+ *   - Verifies RRULE expansion with COUNT, UNTIL, BYDAY ordinals,
+ *     EXDATE, RDATE and RECURRENCE-ID overrides.
+ *   - Verifies VTIMEZONE definitions with non-IANA names, including
+ *     DST transitions.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const {
+  parseIcsBusy,
+  parseDuration,
+  parseRRule,
+  expandRule
+} = require("../services/calendar/icsImport.util");
+
+// ─────────────── Helpers ───────────────
+
+/** Wrap VEVENT/VTIMEZONE lines in a VCALENDAR with CRLF endings. */
+const calendar = (...lines) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", "X-WR-CALNAME:School", ...lines, "END:VCALENDAR"].join("\r\n");
+
+/** A VEVENT from content lines. */
+const vevent = (...lines) => ["BEGIN:VEVENT", ...lines, "END:VEVENT"];
+
+/** Window covering 2026 with the user in Denver. */
+const YEAR_2026 = { from: new Date("2026-01-01T00:00:00Z"), to: new Date("2027-01-01T00:00:00Z"), tz: "America/Denver" };
+
+/** ISO starts of parsed intervals. */
+const startsOf = result => result.intervals.map(i => i.start.toISOString());
+
+/** Outlook-style zone definition with a Windows name. */
+const EASTERN_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  "TZID:Eastern Standard Time",
+  "BEGIN:STANDARD",
+  "DTSTART:16010101T020000",
+  "TZOFFSETFROM:-0400",
+  "TZOFFSETTO:-0500",
+  "RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11",
+  "END:STANDARD",
+  "BEGIN:DAYLIGHT",
+  "DTSTART:16010101T020000",
+  "TZOFFSETFROM:-0500",
+  "TZOFFSETTO:-0400",
+  "RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3",
+  "END:DAYLIGHT",
+  "END:VTIMEZONE"
+];
+
+// ─────────────── Test Suites ───────────────
+
+describe("iCalendar values", () => {
+  test("Parses durations and rule parts", () => {
+    expect(parseDuration("PT1H30M")).toBe(90 * 60 * 1000);
+    expect(parseDuration("P1W")).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration("-PT15M")).toBe(-15 * 60 * 1000);
+    expect(parseDuration("nonsense")).toBeNull();
+
+    const rule = parseRRule("FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR,2MO;COUNT=3");
+    expect(rule).toMatchObject({ freq: "MONTHLY", interval: 2, count: 3 });
+    expect(rule.byDay).toEqual([{ n: -1, weekday: 5 }, { n: 2, weekday: 1 }]);
+  });
+
+  test("Rejects files that are not iCalendar", () => {
+    expect(() => parseIcsBusy("hello", YEAR_2026)).toThrow(/iCalendar/);
+  });
+});
+
+describe("iCalendar busy intervals", () => {
+  test("Resolves UTC, IANA TZID, floating and all-day values", () => {
+    const result = parseIcsBusy(calendar(
+      ...vevent("UID:a", "DTSTART:20260302T150000Z", "DTEND:20260302T160000Z"),
+      ...vevent("UID:b", "DTSTART;TZID=Europe/Berlin:20260303T090000", "DURATION:PT45M"),
+      ...vevent("UID:c", "DTSTART:20260304T090000", "DTEND:20260304T100000"),
+      ...vevent("UID:d", "DTSTART;VALUE=DATE:20260305")
+    ), YEAR_2026);
+
+    expect(result.name).toBe("School");
+    expect(result.intervals.map(i => [i.start.toISOString(), i.end.toISOString()])).toEqual([
+      ["2026-03-02T15:00:00.000Z", "2026-03-02T16:00:00.000Z"],
+      ["2026-03-03T08:00:00.000Z", "2026-03-03T08:45:00.000Z"],
+      ["2026-03-04T16:00:00.000Z", "2026-03-04T17:00:00.000Z"], // floating → Denver (MST)
+      ["2026-03-05T07:00:00.000Z", "2026-03-06T07:00:00.000Z"]  // all-day in Denver
+    ]);
+  });
+
+  test("Skips cancelled and transparent events", () => {
+    const result = parseIcsBusy(calendar(
+      ...vevent("UID:a", "DTSTART:20260302T150000Z", "DTEND:20260302T160000Z", "STATUS:CANCELLED"),
+      ...vevent("UID:b", "DTSTART:20260303T150000Z", "DTEND:20260303T160000Z", "TRANSP:TRANSPARENT")
+    ), YEAR_2026);
+    expect(result.intervals).toEqual([]);
+    expect(result.eventCount).toBe(2);
+  });
+
+  test("Keeps local time for weekly recurrences across DST, minus EXDATE", () => {
+    const result = parseIcsBusy(calendar(
+      ...vevent(
+        "UID:shift",
+        "DTSTART;TZID=America/New_York:20260302T090000",
+        "DTEND;TZID=America/New_York:20260302T170000",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260323T235959Z",
+        "EXDATE;TZID=America/New_York:20260316T090000"
+      )
+    ), YEAR_2026);
+
+    expect(startsOf(result)).toEqual([
+      "2026-03-02T14:00:00.000Z", // EST
+      "2026-03-09T13:00:00.000Z", // EDT after 8 March
+      "2026-03-23T13:00:00.000Z"
+    ]);
+    expect(result.intervals[1].end.toISOString()).toBe("2026-03-09T21:00:00.000Z");
+  });
+
+  test("Expands monthly ordinals with COUNT, RDATE and RECURRENCE-ID", () => {
+    const result = parseIcsBusy(calendar(
+      ...vevent(
+        "UID:review",
+        "DTSTART:20260130T170000Z",
+        "DURATION:PT1H",
+        "RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3",
+        "RDATE:20260415T170000Z"
+      ),
+      ...vevent(
+        "UID:review",
+        "RECURRENCE-ID:20260227T170000Z",
+        "DTSTART:20260226T190000Z",
+        "DTEND:20260226T200000Z"
+      )
+    ), YEAR_2026);
+
+    expect(startsOf(result)).toEqual([
+      "2026-01-30T17:00:00.000Z",
+      "2026-02-26T19:00:00.000Z", // moved occurrence
+      "2026-03-27T17:00:00.000Z",
+      "2026-04-15T17:00:00.000Z"
+    ]);
+  });
+
+  test("Uses the file's VTIMEZONE for non-IANA zone names", () => {
+    const result = parseIcsBusy(calendar(
+      ...EASTERN_VTIMEZONE,
+      ...vevent(
+        "UID:class",
+        "DTSTART;TZID=Eastern Standard Time:20261030T080000",
+        "DTEND;TZID=Eastern Standard Time:20261030T093000",
+        "RRULE:FREQ=DAILY;INTERVAL=7;COUNT=2"
+      )
+    ), YEAR_2026);
+
+    expect(startsOf(result)).toEqual([
+      "2026-10-30T12:00:00.000Z", // EDT
+      "2026-11-06T13:00:00.000Z"  // EST after 1 November
+    ]);
+  });
+
+  test("Clips open-ended rules to the window", () => {
+    const window = { from: new Date("2026-06-01T00:00:00Z"), to: new Date("2026-06-08T00:00:00Z"), tz: "UTC" };
+    const result = parseIcsBusy(calendar(
+      ...vevent("UID:gym", "DTSTART:20200101T060000Z", "DTEND:20200101T070000Z", "RRULE:FREQ=DAILY")
+    ), window);
+    expect(result.intervals).toHaveLength(7);
+    expect(result.intervals[0].start.toISOString()).toBe("2026-06-01T06:00:00.000Z");
+  });
+
+  test("Starts old rules near the window with the same occurrences", () => {
+    const from  = Date.UTC(2026, 5, 1);
+    const limit = Date.UTC(2026, 8, 1);
+    const rules = [
+      ["FREQ=DAILY;INTERVAL=3", Date.UTC(1999, 0, 1, 9)],
+      ["FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH", Date.UTC(2000, 0, 3, 9)],
+      ["FREQ=MONTHLY;INTERVAL=5;BYDAY=-1FR", Date.UTC(1990, 2, 30, 9)],
+      ["FREQ=YEARLY;BYMONTH=7;BYDAY=1WE", Date.UTC(1950, 6, 5, 9)]
+    ];
+    for (const [value, dtstart] of rules) {
+      const rule     = parseRRule(value);
+      const inWindow = starts => starts.filter(ms => ms >= from);
+      const skipped  = expandRule(dtstart, rule, limit, { from });
+      expect(inWindow(skipped)).toEqual(inWindow(expandRule(dtstart, rule, limit)));
+      expect(skipped.length).toBeLessThan(60);
+    }
+  });
+
+  test("Caps the recurrence work one file can cause", () => {
+    const events = Array.from({ length: 300 }, (_, i) => vevent(
+      `UID:old-${i}`, "DTSTART:19000101T090000Z", "DTEND:19000101T100000Z", "RRULE:FREQ=DAILY;COUNT=999999"
+    ).join("\r\n"));
+    const result = parseIcsBusy(calendar(...events), YEAR_2026);
+    expect(result.eventCount).toBe(300);
+    expect(result.truncated).toBe(true);
+  });
+
+  test("Applies BYSETPOS within each period", () => {
+    const rule = parseRRule("FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=2");
+    const starts = expandRule(Date.UTC(2026, 0, 30, 9), rule, Date.UTC(2027, 0, 1));
+    expect(starts.map(ms => new Date(ms).toISOString().slice(0, 10))).toEqual(["2026-01-30", "2026-02-27"]);
+  });
+});
@@ -0,0 +1,194 @@
+// ------------------------------------------------------------------
+// Module:    tests/jobQueue.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Integration tests for the Mongo-backed job queue: delivery,
+//            retries with backoff, dead-lettering, rate limits and leases.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/jobQueue.test
+ * @description
+ *   - Registers test job types with jest.fn handlers.
+ *   - Drives the queue with `runDueJobs({ now })`, moving `now` forward
+ *     instead of waiting on real time.
+ */
+
+// ─────────────── Test Framework Configuration ───────────────
+
+jest.setTimeout(70000); // for slow operations
+
+// ─────────────── Dependencies ───────────────
+
+const mongoose             = require("mongoose");
+const Job                  = require("../models/job");
+const IntegrationRateLimit = require("../models/integrationRateLimit");
+const {
+  defineJob,
+  enqueue,
+  runDueJobs,
+  backoffDelay,
+  RATE_LIMITS_MS
+} = require("../services/jobs/jobQueue.service");
+
+// ─────────────── Test Job Types ───────────────
+
+const unlimitedHandler = jest.fn(async () => {});
+const limitedHandler   = jest.fn(async () => {});
+
+defineJob("test.unlimited", { integration: "test", handler: unlimitedHandler });
+defineJob("test.fragile", { integration: "test", handler: unlimitedHandler, maxAttempts: 2 });
+defineJob("test.limited", { integration: "taskmagic", handler: limitedHandler });
+
+/** Offset a date by milliseconds. */
+const later = (date, ms) => new Date(date.getTime() + ms);
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeAll(async () => {
+  await IntegrationRateLimit.init();
+});
+
+beforeEach(async () => {
+  unlimitedHandler.mockReset();
+  limitedHandler.mockReset();
+  await Promise.all([Job.deleteMany({}), IntegrationRateLimit.deleteMany({})]);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("Job queue", () => {
+  test("Runs a due job once and marks it succeeded", async () => {
+    const job = await enqueue("test.unlimited", { value: 42 });
+
+    expect(await runDueJobs()).toBe(1);
+    expect(unlimitedHandler).toHaveBeenCalledWith({ value: 42 }, expect.anything());
+
+    const stored = await Job.findById(job._id);
+    expect(stored.status).toBe("succeeded");
+    expect(stored.attempts).toBe(1);
+    expect(stored.completedAt).toBeTruthy();
+
+    // Nothing left to run.
+    expect(await runDueJobs()).toBe(0);
+  });
+
+  test("Retries failures with exponential backoff", async () => {
+    unlimitedHandler.mockRejectedValue(new Error("boom"));
+    const now = new Date();
+    const job = await enqueue("test.unlimited", {}, { runAt: now });
+
+    await runDueJobs({ now });
+    let stored = await Job.findById(job._id);
+    expect(stored.status).toBe("pending");
+    expect(stored.attempts).toBe(1);
+    expect(stored.lastError).toBe("boom");
+    expect(stored.runAt.getTime()).toBe(later(now, backoffDelay(1)).getTime());
+
+    // Not due again until the backoff has elapsed.
+    expect(await runDueJobs({ now: later(now, backoffDelay(1) - 1) })).toBe(0);
+
+    const retryAt = later(now, backoffDelay(1));
+    await runDueJobs({ now: retryAt });
+    stored = await Job.findById(job._id);
+    expect(stored.attempts).toBe(2);
+    expect(stored.runAt.getTime()).toBe(later(retryAt, backoffDelay(2)).getTime());
+    expect(backoffDelay(2)).toBe(backoffDelay(1) * 2);
+  });
+
+  test("Dead-letters a job after its last attempt", async () => {
+    unlimitedHandler.mockRejectedValue(new Error("still failing"));
+    const now = new Date();
+    const job = await enqueue("test.fragile", {}, { runAt: now });
+
+    await runDueJobs({ now });
+    await runDueJobs({ now: later(now, backoffDelay(1)) });
+
+    const stored = await Job.findById(job._id);
+    expect(stored.status).toBe("dead");
+    expect(stored.attempts).toBe(2);
+    expect(stored.lastError).toBe("still failing");
+
+    // Dead jobs are never picked up again.
+    expect(await runDueJobs({ now: later(now, 24 * 60 * 60 * 1000) })).toBe(0);
+    expect(unlimitedHandler).toHaveBeenCalledTimes(2);
+  });
+
+  test("Spaces calls to a rate-limited integration", async () => {
+    const now = new Date();
+    await enqueue("test.limited", { n: 1 }, { runAt: now });
+    await enqueue("test.limited", { n: 2 }, { runAt: now });
+    await enqueue("test.unlimited", {}, { runAt: now });
+
+    // One limited call plus the unrelated integration.
+    expect(await runDueJobs({ now })).toBe(2);
+    expect(limitedHandler).toHaveBeenCalledTimes(1);
+    expect(limitedHandler.mock.calls[0][0]).toEqual({ n: 1 });
+
+    expect(await runDueJobs({ now: later(now, RATE_LIMITS_MS.taskmagic - 1) })).toBe(0);
+
+    expect(await runDueJobs({ now: later(now, RATE_LIMITS_MS.taskmagic) })).toBe(1);
+    expect(limitedHandler.mock.calls[1][0]).toEqual({ n: 2 });
+  });
+
+  test("Keeps a separate rate limit for each user", async () => {
+    const now   = new Date();
+    const alice = new mongoose.Types.ObjectId();
+    const bob   = new mongoose.Types.ObjectId();
+    await enqueue("test.limited", { n: 1 }, { userId: alice, runAt: now });
+    await enqueue("test.limited", { n: 2 }, { userId: alice, runAt: now });
+    const waiting = await enqueue("test.limited", { n: 3 }, { userId: bob, runAt: now });
+
+    // Alice's second call waits without holding up Bob's.
+    expect(await runDueJobs({ now })).toBe(2);
+    expect(limitedHandler.mock.calls.map(([payload]) => payload.n)).toEqual([1, 3]);
+    expect((await Job.findById(waiting._id)).status).toBe("succeeded");
+
+    const deferred = await Job.findOne({ "payload.n": 2 });
+    expect(deferred).toMatchObject({ status: "pending", attempts: 0 });
+    expect(deferred.runAt.getTime()).toBe(later(now, RATE_LIMITS_MS.taskmagic).getTime());
+  });
+
+  test("Drops the outcome of a job another worker has reclaimed", async () => {
+    const job = await enqueue("test.unlimited", {});
+    unlimitedHandler.mockImplementation(async () => {
+      // Simulate the lease expiring mid-run and another worker taking over.
+      await Job.updateOne({ _id: job._id }, { $set: { lockedBy: "other-worker" } });
+    });
+
+    expect(await runDueJobs()).toBe(1);
+    expect(await Job.findById(job._id)).toMatchObject({ status: "running", lockedBy: "other-worker" });
+  });
+
+  test("Reclaims a running job whose lease has expired", async () => {
+    const now   = new Date();
+    const stale = await Job.create({
+      type:          "test.unlimited",
+      integration:   "test",
+      status:        "running",
+      attempts:      1,
+      lockedBy:      "crashed-worker",
+      lockExpiresAt: later(now, -1000)
+    });
+    const live = await Job.create({
+      type:          "test.unlimited",
+      integration:   "test",
+      status:        "running",
+      attempts:      1,
+      lockedBy:      "busy-worker",
+      lockExpiresAt: later(now, 60 * 1000)
+    });
+
+    expect(await runDueJobs({ now })).toBe(1);
+    expect((await Job.findById(stale._id)).status).toBe("succeeded");
+    expect((await Job.findById(live._id)).status).toBe("running");
+  });
+
+  test("Rejects unknown job types", async () => {
+    await expect(enqueue("test.missing", {})).rejects.toThrow(/Unknown job type/);
+  });
+});
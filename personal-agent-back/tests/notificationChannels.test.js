@@ -0,0 +1,221 @@
+// ------------------------------------------------------------------
+// Module:    tests/notificationChannels.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Tests for the notification channel registry and each
+//            channel type, run against local mock servers.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/notificationChannels.test
+ * @description
+ *   - Verifies templates render alarm details, escaped for JSON bodies.
+ *   - Verifies channel settings are validated and secrets encrypted.
+ *   - Sends through the webhook, ntfy, SMTP and Web Push channels to
+ *     local servers; Web Push messages are decrypted as a browser would.
+ *   - Verifies the phone alarm service loads without endpoints.
+ */
+
+// ─────────────── Environment ───────────────
+
+process.env.SECRETS_KEY = "test-secrets-key";
+delete process.env.PHONE_ALARM_ENDPOINTS;
+
+// ─────────────── Dependencies ───────────────
+
+const crypto = require("crypto");
+const {
+  getChannelType,
+  validateChannel
+} = require("../services/notifications/notificationChannels");
+const { alarmContext, renderTemplate } = require("../services/notifications/template.util");
+const { generateVapidKeys } = require("../services/notifications/webPush.util");
+const { decryptSecret } = require("../services/secrets.util");
+const { startHttpSink, startSmtpServer } = require("./support/notificationServers");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const ALARM = { kind: "warning", time24: "13:50", label: "Write \"report\"", minutesBefore: 10 };
+
+/**
+ * Render a channel type's default templates and send through it.
+ * @param {string} type
+ * @param {Object} config
+ * @param {Object} [secrets]
+ */
+function sendDefault(type, config, secrets = {}) {
+  const channel = getChannelType(type);
+  const context = alarmContext(ALARM);
+  return channel.send({
+    config,
+    secrets,
+    title: renderTemplate(channel.defaultTemplate.title, context),
+    body:  renderTemplate(channel.defaultTemplate.body, context, { json: channel.jsonBody })
+  });
+}
+
+/**
+ * HKDF-SHA256, for decrypting Web Push messages.
+ */
+const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+
+let sink;
+
+// ─────────────── Lifecycle Hooks ───────────────
+
+beforeEach(async () => {
+  sink = await startHttpSink();
+});
+
+afterEach(async () => {
+  await sink.close();
+});
+
+// ─────────────── Test Suites ───────────────
+
+describe("Templates", () => {
+  test("Render alarm details, escaped for JSON when asked", () => {
+    const context = alarmContext(ALARM);
+    expect(renderTemplate("{{heading}}: {{label}} at {{time}} {{unknown}}", context))
+      .toBe("Focus block in 10 minutes: Write \"report\" at 1:50 PM ");
+    expect(JSON.parse(renderTemplate("{\"label\":\"{{label}}\"}", context, { json: true })))
+      .toEqual({ label: "Write \"report\"" });
+  });
+});
+
+describe("validateChannel", () => {
+  test("Checks the type, config and templates and encrypts secrets", () => {
+    expect(validateChannel({ type: "pager", name: "x" }).error).toMatch(/type/);
+    expect(validateChannel({ type: "ntfy", name: "Phone", config: { topic: "bad topic" } }).error).toMatch(/topic/);
+    expect(validateChannel({
+      type: "webhook", name: "Hook", config: { url: sink.url }, template: { body: "not json {{label}}" }
+    }).error).toMatch(/JSON/);
+
+    const { value } = validateChannel({
+      type: "ntfy", name: "Phone", config: { topic: "focus-alarms" }, secrets: { token: "tk_123" }
+    });
+    expect(value.config).toEqual({ server: "https://ntfy.sh", topic: "focus-alarms" });
+    expect(decryptSecret(value.secrets.token)).toBe("tk_123");
+
+    // Updates keep stored secrets unless replaced or cleared.
+    expect(validateChannel({ name: "Renamed" }, value).value.secrets).toEqual(value.secrets);
+    expect(validateChannel({ secrets: { token: "" } }, value).value.secrets).toEqual({});
+  });
+});
+
+describe("Channels", () => {
+  test("Webhook posts the rendered JSON with its Authorization header", async () => {
+    await sendDefault("webhook", { url: `${sink.url}/hook` }, { authorization: "Bearer abc" });
+
+    const [req] = sink.requests;
+    expect(req.url).toBe("/hook");
+    expect(req.headers.authorization).toBe("Bearer abc");
+    expect(JSON.parse(req.body)).toEqual({
+      kind: "warning", time: "13:50", label: "Write \"report\"", title: "Focus block in 10 minutes"
+    });
+
+    sink.status = 500;
+    await expect(sendDefault("webhook", { url: sink.url })).rejects.toThrow(/500/);
+  });
+
+  test("ntfy publishes to the topic with a title", async () => {
+    await sendDefault("ntfy", { server: sink.url, topic: "focus" }, { token: "tk_1" });
+
+    const [req] = sink.requests;
+    expect(req.url).toBe("/focus");
+    expect(req.headers.title).toBe("Focus block in 10 minutes");
+    expect(req.headers.authorization).toBe("Bearer tk_1");
+    expect(req.body.toString()).toBe("Write \"report\" at 1:50 PM");
+  });
+
+  test("SMTP sends an email after authenticating", async () => {
+    const smtp = await startSmtpServer({ username: "alice", password: "app-password" });
+    try {
+      const config = {
+        host: smtp.host, port: smtp.port, secure: false, username: "alice",
+        from: "agent@example.com", to: ["alice@example.com"]
+      };
+      await sendDefault("smtp", config, { password: "app-password" });
+
+      expect(smtp.messages).toHaveLength(1);
+      const [message] = smtp.messages;
+      expect(message).toMatchObject({ from: "agent@example.com", to: ["alice@example.com"] });
+      expect(message.data).toMatch(/^Subject: Focus block in 10 minutes: Write "report"\r$/m);
+      const body = message.data.split("\r\n\r\n")[1].replace(/\r\n/g, "");
+      expect(Buffer.from(body, "base64").toString()).toMatch(/Write "report" at 1:50 PM/);
+
+      await expect(sendDefault("smtp", config, { password: "wrong" })).rejects.toThrow(/535/);
+    } finally {
+      await smtp.close();
+    }
+  });
+
+  test("Web Push sends a VAPID-signed message only the browser can read", async () => {
+    const vapid = generateVapidKeys();
+    process.env.VAPID_PUBLIC_KEY  = vapid.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+
+    // The browser's subscription keys.
+    const browser = crypto.createECDH("prime256v1");
+    browser.generateKeys();
+    const auth = crypto.randomBytes(16);
+    const subscription = {
+      endpoint: `${sink.url}/push/abc`,
+      keys: { p256dh: browser.getPublicKey().toString("base64url"), auth: auth.toString("base64url") }
+    };
+    await sendDefault("webpush", subscription);
+
+    const [req] = sink.requests;
+    expect(req.headers["content-encoding"]).toBe("aes128gcm");
+
+    // VAPID: a JWT for the endpoint's origin, signed with the server key.
+    const [, token, key] = req.headers.authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+    expect(key).toBe(vapid.publicKey);
+    const [header, claims, signature] = token.split(".");
+    expect(JSON.parse(Buffer.from(claims, "base64url"))).toMatchObject({ aud: sink.url });
+    const point = Buffer.from(vapid.publicKey, "base64url");
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: "EC", crv: "P-256",
+        x: point.subarray(1, 33).toString("base64url"), y: point.subarray(33).toString("base64url")
+      },
+      format: "jwk"
+    });
+    expect(crypto.verify("sha256", Buffer.from(`${header}.${claims}`), { key: publicKey, dsaEncoding: "ieee-p1363" },
+      Buffer.from(signature, "base64url"))).toBe(true);
+
+    // Decrypt as the browser (RFC 8291).
+    const salt         = req.body.subarray(0, 16);
+    const serverPublic = req.body.subarray(21, 21 + req.body.readUInt8(20));
+    const record       = req.body.subarray(21 + serverPublic.length);
+    const shared = browser.computeSecret(serverPublic);
+    const ikm    = hkdf(auth, shared, Buffer.concat([Buffer.from("WebPush: info\0"), browser.getPublicKey(), serverPublic]), 32);
+    const cek    = hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+    const nonce  = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+    const decipher = crypto.createDecipheriv("aes-128-gcm", cek, nonce);
+    decipher.setAuthTag(record.subarray(-16));
+    const plain = Buffer.concat([decipher.update(record.subarray(0, -16)), decipher.final()]);
+    expect(plain[plain.length - 1]).toBe(2);
+    expect(JSON.parse(plain.subarray(0, -1))).toEqual({
+      title: "Focus block in 10 minutes", body: "Write \"report\" at 1:50 PM"
+    });
+
+    sink.status = 410;
+    await expect(sendDefault("webpush", subscription)).rejects.toThrow(/expired/);
+  });
+
+  test("Web Push without VAPID keys fails only when sending", async () => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    const subscription = { endpoint: sink.url, keys: { p256dh: "a", auth: "b" } };
+    await expect(sendDefault("webpush", subscription)).rejects.toThrow(/not configured/);
+    expect(sink.requests).toHaveLength(0);
+  });
+});
+
+describe("Phone alarm endpoints", () => {
+  test("A missing PHONE_ALARM_ENDPOINTS does not break loading", async () => {
+    const phoneAlarm = require("../services/phoneAlarm.service");
+    await expect(phoneAlarm.setPhoneAlarm({ time24: "10:00" })).rejects.toThrow(/PHONE_ALARM_ENDPOINTS/);
+  });
+});
@@ -0,0 +1,97 @@
+// ------------------------------------------------------------------
+// Module:    tests/support/caldavServer.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Local CalDAV server for tests: answers calendar-query
+//            REPORTs for one calendar behind HTTP Basic auth.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/support/caldavServer
+ * @description
+ *   - Serves CALENDAR_PATH; other paths return 404.
+ *   - Returns every stored resource in a 207 multistatus, with the
+ *     calendar data XML-escaped as real servers do. Time-range
+ *     filtering is left to the client, which clips to its window.
+ *   - Records each request for assertions.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const http = require("http");
+
+// ─────────────── Constants ───────────────
+
+const CALENDAR_PATH = "/remote.php/dav/calendars/alice/work/";
+
+// ─────────────── Helpers ───────────────
+
+/** Escape text for an XML element body. */
+const escapeXml = text =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\r/g, "&#13;");
+
+/** 207 multistatus body for the given resources. */
+function multistatus(resources) {
+  const responses = resources.map((ics, i) => [
+    "<d:response>",
+    `<d:href>${CALENDAR_PATH}event-${i}.ics</d:href>`,
+    "<d:propstat><d:prop>",
+    `<d:getetag>"${i}"</d:getetag>`,
+    `<cal:calendar-data>${escapeXml(ics)}</cal:calendar-data>`,
+    "</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>",
+    "</d:response>"
+  ].join(""));
+  return `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join("")}</d:multistatus>`;
+}
+
+// ─────────────── Server ───────────────
+
+/**
+ * Start a CalDAV server on a random local port.
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ * @param {string[]} [options.resources]  iCalendar documents to serve.
+ * @returns {Promise<{url: string, resources: string[], requests: Object[], close: function(): Promise<void>}>}
+ */
+function startCalDavServer({ username, password, resources = [] }) {
+  const state = { resources, requests: [] };
+  const expectedAuth = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.headers.authorization !== expectedAuth) {
+        res.writeHead(401, { "WWW-Authenticate": "Basic realm=\"test\"" });
+        return res.end();
+      }
+      if (req.url !== CALENDAR_PATH) {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (req.method !== "REPORT") {
+        res.writeHead(405);
+        return res.end();
+      }
+      res.writeHead(207, { "Content-Type": "application/xml; charset=utf-8" });
+      return res.end(multistatus(state.resources));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url:      `http://127.0.0.1:${port}${CALENDAR_PATH}`,
+        get resources() { return state.resources; },
+        set resources(value) { state.resources = value; },
+        requests: state.requests,
+        close:    () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+module.exports = { startCalDavServer, CALENDAR_PATH };
@@ -0,0 +1,156 @@
+// ------------------------------------------------------------------
+// Module:    tests/support/notificationServers.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Local servers for notification channel tests: an HTTP
+//            sink (webhook, ntfy, Web Push) and a small SMTP server.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/support/notificationServers
+ * @description
+ *   - The HTTP sink records every request and answers with a fixed
+ *     status.
+ *   - The SMTP server speaks enough of RFC 5321 for the client: EHLO
+ *     with AUTH PLAIN (no STARTTLS), MAIL, RCPT, DATA and QUIT, and
+ *     records each accepted message.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const http = require("http");
+const net  = require("net");
+
+// ─────────────── Helpers ───────────────
+
+/** Listen on a random local port. */
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+// ─────────────── Servers ───────────────
+
+/**
+ * Start an HTTP server that records requests.
+ * @param {Object} [options]
+ * @param {number} [options.status=200]  Status of every response.
+ * @returns {Promise<{url: string, requests: Object[], status: number, close: function(): Promise<void>}>}
+ */
+async function startHttpSink({ status = 200 } = {}) {
+  const state = { status, requests: [] };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(state.status);
+      res.end();
+    });
+  });
+  const port = await listen(server);
+  return {
+    url:      `http://127.0.0.1:${port}`,
+    requests: state.requests,
+    get status() { return state.status; },
+    set status(value) { state.status = value; },
+    close:    () => new Promise(done => server.close(() => done()))
+  };
+}
+
+/**
+ * Start an SMTP server that accepts one set of credentials.
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ * @returns {Promise<{host: string, port: number, messages: Object[], close: function(): Promise<void>}>}
+ */
+async function startSmtpServer({ username, password }) {
+  const messages = [];
+  const sockets  = new Set();
+  const expectedAuth = Buffer.from(`\0${username}\0${password}`).toString("base64");
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer  = "";
+    let inData  = false;
+    let message = { from: null, to: [], data: "", authenticated: false };
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on("data", chunk => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            messages.push(message);
+            message = { from: null, to: [], data: "", authenticated: message.authenticated };
+            reply("250 OK queued");
+          } else {
+            message.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(" ");
+        const arg = rest.join(" ");
+        switch (verb.toUpperCase()) {
+          case "EHLO":
+            reply("250-localhost");
+            reply("250 AUTH PLAIN");
+            break;
+          case "AUTH":
+            if (arg === `PLAIN ${expectedAuth}`) {
+              message.authenticated = true;
+              reply("235 Authenticated");
+            } else {
+              reply("535 Authentication failed");
+            }
+            break;
+          case "MAIL":
+            if (!message.authenticated) {
+              reply("530 Authentication required");
+              break;
+            }
+            message.from = arg.replace(/^FROM:<|>$/gi, "");
+            reply("250 OK");
+            break;
+          case "RCPT":
+            message.to.push(arg.replace(/^TO:<|>$/gi, ""));
+            reply("250 OK");
+            break;
+          case "DATA":
+            inData = true;
+            reply("354 End data with <CR><LF>.<CR><LF>");
+            break;
+          case "QUIT":
+            reply("221 Bye");
+            socket.end();
+            break;
+          default:
+            reply("502 Command not implemented");
+        }
+      }
+    });
+    reply("220 localhost ESMTP test");
+  });
+
+  const port = await listen(server);
+  return {
+    host:     "127.0.0.1",
+    port,
+    messages,
+    close:    () => new Promise(done => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => done());
+    })
+  };
+}
+
+module.exports = { startHttpSink, startSmtpServer };
@@ -0,0 +1,207 @@
+// ------------------------------------------------------------------
+// Module:    tests/timeBlocks.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for timezone-aware free-interval and block
+//            calculations, including DST transition days.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/timeBlocks.util.test
+ * @description
+ *   - Verifies day boundaries span 23/25 hours on DST transition days.
+ *   - Verifies generated blocks keep correct wall-clock labels and
+ *     absolute durations across a transition.
+ *   - Verifies block length, gap, alignment and minimum-length rules
+ *     for the built-in profiles, and profile validation.
+ *   - Verifies working-window resolution and validation.
+ */
+
+// ─────────────── Dependencies ───────────────
+
+const dayjs = require("dayjs");
+const {
+  calculateFreeIntervals,
+  breakDownFreeTime
+} = require("../services/blocks/timeBlocks.util");
+const {
+  getDayBounds,
+  isValidTimezone,
+  resolveTimezone
+} = require("../services/blocks/timezone.util");
+const {
+  PRESET_PROFILES,
+  validateProfile,
+  getActiveProfile
+} = require("../services/blocks/blockProfiles.util");
+
+const {
+  defaultWorkingHours,
+  getWorkingWindow,
+  validateWorkingDay
+} = require("../services/blocks/workingHours.util");
+
+const preset  = name => PRESET_PROFILES.find(p => p.name === name);
+const classic = preset("classic");
+
+// ─────────────── Test Suites ───────────────
+
+describe("timezone.util", () => {
+  test("Day bounds follow the local wall clock on DST days", () => {
+    const spring = getDayBounds("2025-03-30", "Europe/Berlin");
+    const fall   = getDayBounds("2025-10-26", "Europe/Berlin");
+
+    expect(spring.end.diff(spring.start, "hour")).toBe(23);
+    expect(fall.end.diff(fall.start, "hour")).toBe(25);
+  });
+
+  test("Invalid timezones fall back to the default", () => {
+    expect(isValidTimezone("Europe/Berlin")).toBe(true);
+    expect(isValidTimezone("Mars/Olympus")).toBe(false);
+    expect(resolveTimezone("Mars/Olympus")).toBe("UTC");
+  });
+});
+
+describe("breakDownFreeTime", () => {
+  test("Blocks skip the missing hour when clocks spring forward", () => {
+    const tz = "Europe/Berlin";
+    const { start, end } = getDayBounds("2025-03-30", tz);
+    const free   = calculateFreeIntervals(start, end, [], tz);
+    const blocks = breakDownFreeTime(free, classic, tz);
+
+    const labels = blocks.map(b => b.start);
+    expect(labels).toContain("01:00");
+    expect(labels).not.toContain("02:00");
+    expect(labels).toContain("03:00");
+
+    blocks.forEach(b => {
+      expect(dayjs(b.endTime).diff(b.startTime, "minute")).toBe(b.length);
+    });
+  });
+
+  test("Blocks repeat the doubled hour when clocks fall back", () => {
+    const tz = "Europe/Berlin";
+    const { start, end } = getDayBounds("2025-10-26", tz);
+    const free   = calculateFreeIntervals(start, end, [], tz);
+    const blocks = breakDownFreeTime(free, classic, tz);
+
+    expect(blocks.filter(b => b.start === "02:00")).toHaveLength(2);
+
+    // Instants must stay strictly increasing even when labels repeat.
+    for (let i = 1; i < blocks.length; i++) {
+      expect(blocks[i].startTime.getTime()).toBeGreaterThan(blocks[i - 1].endTime.getTime());
+    }
+  });
+
+  test("Busy intervals are compared in the user's timezone", () => {
+    const tz = "Europe/Berlin";
+    const { start, end } = getDayBounds("2025-06-02", tz);
+    const busy = [{
+      start: dayjs.tz("2025-06-02 09:00", "YYYY-MM-DD HH:mm", tz).toISOString(),
+      end:   dayjs.tz("2025-06-02 17:00", "YYYY-MM-DD HH:mm", tz).toISOString()
+    }];
+    const blocks = breakDownFreeTime(calculateFreeIntervals(start, end, busy, tz), classic, tz);
+
+    blocks.forEach(b => {
+      const overlaps = b.startTime < new Date(busy[0].end) && b.endTime > new Date(busy[0].start);
+      expect(overlaps).toBe(false);
+    });
+  });
+});
+
+describe("Block profiles", () => {
+  const tz = "UTC";
+
+  /** Free interval on 2025-06-02 between two HH:mm times. */
+  const interval = (from, to) => [{
+    start: dayjs.tz(`2025-06-02 ${from}`, "YYYY-MM-DD HH:mm", tz),
+    end:   dayjs.tz(`2025-06-02 ${to}`, "YYYY-MM-DD HH:mm", tz)
+  }];
+
+  test("Classic profile yields 50-minute blocks with 10-minute gaps", () => {
+    const blocks = breakDownFreeTime(interval("09:00", "12:00"), classic, tz);
+    expect(blocks.map(b => `${b.start}-${b.end}`)).toEqual([
+      "09:00-09:50", "10:00-10:50", "11:00-11:50"
+    ]);
+  });
+
+  test("Pomodoro profile yields 25-minute blocks with 5-minute gaps", () => {
+    const blocks = breakDownFreeTime(interval("09:00", "10:00"), preset("pomodoro"), tz);
+    expect(blocks.map(b => `${b.start}-${b.end}`)).toEqual(["09:00-09:25", "09:30-09:55"]);
+  });
+
+  test("First block starts on the alignment boundary", () => {
+    const deep = breakDownFreeTime(interval("09:10", "12:00"), preset("deep-work"), tz);
+    expect(deep[0].start).toBe("09:30");
+
+    const focus = breakDownFreeTime(interval("09:10", "12:00"), preset("focus-45"), tz);
+    expect(focus[0].start).toBe("09:15");
+  });
+
+  test("Leftover time shorter than the minimum block is skipped", () => {
+    // 09:00-10:30, a 20-minute gap, then 70 minutes left (>= 60 minimum).
+    const blocks = breakDownFreeTime(interval("09:00", "12:00"), preset("deep-work"), tz);
+    expect(blocks.map(b => b.length)).toEqual([90, 70]);
+
+    // Only 40 minutes remain after the gap.
+    const short = breakDownFreeTime(interval("09:00", "11:30"), preset("deep-work"), tz);
+    expect(short.map(b => b.length)).toEqual([90]);
+  });
+
+  test("Profile validation rejects inconsistent settings", () => {
+    expect(validateProfile({ ...classic, name: "my-profile" })).toBeNull();
+    expect(validateProfile({ ...classic, name: "Bad Name" })).toMatch(/slug/);
+    expect(validateProfile({ ...classic, blockMinutes: 52 })).toMatch(/multiple of 5/);
+    expect(validateProfile({ ...classic, alignMinutes: 25 })).toMatch(/alignMinutes/);
+    expect(validateProfile({ ...classic, minBlockMinutes: 60 })).toMatch(/cannot exceed/);
+  });
+
+  test("Unknown active profile falls back to classic", () => {
+    expect(getActiveProfile(null)).toEqual(classic);
+    expect(getActiveProfile({ blockProfiles: [preset("pomodoro")], activeBlockProfile: "gone" })).toEqual(classic);
+    expect(getActiveProfile({ blockProfiles: [preset("pomodoro")], activeBlockProfile: "pomodoro" }).blockMinutes).toBe(25);
+  });
+});
+
+describe("Working hours", () => {
+  const week = [
+    { day: "monday",   off: false, start: "09:00", end: "17:00" },
+    { day: "saturday", off: true,  start: "09:00", end: "17:00" },
+    { day: "friday",   off: false, start: "20:00", end: "24:00" }
+  ];
+
+  test("Window is built from the weekday's local times", () => {
+    // 2025-06-02 is a Monday.
+    const { start, end } = getWorkingWindow(week, "2025-06-02", "Europe/Berlin");
+    expect(start.format()).toBe("2025-06-02T09:00:00+02:00");
+    expect(end.format()).toBe("2025-06-02T17:00:00+02:00");
+  });
+
+  test("The default week leaves every day unclipped", () => {
+    // 2025-06-07 is a Saturday.
+    const { start, end } = getWorkingWindow(defaultWorkingHours(), "2025-06-07", "UTC");
+    expect(start.format("YYYY-MM-DD HH:mm")).toBe("2025-06-07 00:00");
+    expect(end.format("YYYY-MM-DD HH:mm")).toBe("2025-06-08 00:00");
+  });
+
+  test("Days off have no window and 24:00 means next midnight", () => {
+    expect(getWorkingWindow(week, "2025-06-07", "UTC")).toBeNull();
+    expect(getWorkingWindow(week, "2025-06-06", "UTC").end.format("YYYY-MM-DD HH:mm")).toBe("2025-06-07 00:00");
+  });
+
+  test("Clipped free time yields no blocks outside the window", () => {
+    const tz = "UTC";
+    const { start, end } = getWorkingWindow(week, "2025-06-02", tz);
+    const blocks = breakDownFreeTime(calculateFreeIntervals(start, end, [], tz), classic, tz);
+
+    expect(blocks[0].start).toBe("09:00");
+    expect(blocks[blocks.length - 1].end <= "17:00").toBe(true);
+  });
+
+  test("Validation rejects malformed entries", () => {
+    expect(validateWorkingDay({ day: "monday", off: false, start: "09:00", end: "17:00" })).toBeNull();
+    expect(validateWorkingDay({ day: "funday", off: false, start: "09:00", end: "17:00" })).toMatch(/day/);
+    expect(validateWorkingDay({ day: "monday", off: false, start: "9:00", end: "17:00" })).toMatch(/HH:mm/);
+    expect(validateWorkingDay({ day: "monday", off: false, start: "17:00", end: "09:00" })).toMatch(/before/);
+  });
+});
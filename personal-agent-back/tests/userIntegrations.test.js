@@ -0,0 +1,77 @@
+// ------------------------------------------------------------------
+// Module:    tests/userIntegrations.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for per-user integration settings and how their
+//            targets are resolved.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/userIntegrations.test
+ * @description
+ *   - Verifies integration URLs are validated and stored encrypted.
+ *   - Verifies a user's settings take precedence over the server
+ *     defaults, and that disabling one sends nothing.
+ */
+
+// ─────────────── Environment ───────────────
+
+process.env.SECRETS_KEY                   = "test-secrets-key";
+process.env.FREEDOM_APP_TASKMAGIC_WEBHOOK = "https://hooks.example.com/default";
+process.env.PHONE_ALARM_ENDPOINTS         = "https://phone.example.com/a,https://phone.example.com/b";
+
+// ─────────────── Dependencies ───────────────
+
+const {
+  validateIntegration,
+  describeIntegrations,
+  integrationTargets
+} = require("../services/integrations/userIntegrations.service");
+
+// ─────────────── Test Suites ───────────────
+
+describe("validateIntegration", () => {
+  test("Checks the URLs and encrypts them", () => {
+    expect(validateIntegration("taskmagic", {}).error).toMatch(/one URL/);
+    expect(validateIntegration("taskmagic", { urls: "a, b" }).error).toMatch(/one URL/);
+    expect(validateIntegration("phoneAlarm", { urls: "not a url" }).error).toMatch(/http/);
+    expect(validateIntegration("phoneAlarm", { urls: "https://x.example.com", enabled: "yes" }).error).toMatch(/enabled/);
+
+    const { value } = validateIntegration("phoneAlarm", { urls: "https://a.example.com/x?token=t1, http://b.example.com:8080" });
+    expect(value.enabled).toBe(true);
+    expect(value.hosts).toEqual(["a.example.com", "b.example.com:8080"]);
+    expect(value.urlsEncrypted).not.toMatch(/token/);
+  });
+
+  test("Keeps stored URLs when only enabled changes", () => {
+    const { value: stored } = validateIntegration("taskmagic", { urls: "https://hooks.example.com/mine" });
+    const { value } = validateIntegration("taskmagic", { enabled: false }, stored);
+    expect(value).toEqual({ ...stored, enabled: false });
+  });
+});
+
+describe("integrationTargets", () => {
+  const record = (provider, urls, enabled = true) => ({
+    provider, ...validateIntegration(provider, { urls, enabled }).value
+  });
+
+  test("Falls back to the server defaults", () => {
+    expect(integrationTargets([])).toEqual({
+      taskMagicWebhook:    "https://hooks.example.com/default",
+      phoneAlarmEndpoints: ["https://phone.example.com/a", "https://phone.example.com/b"]
+    });
+    expect(describeIntegrations([]).map(i => i.usesServerDefault)).toEqual([true, true]);
+  });
+
+  test("Prefers the user's targets; disabled ones send nothing", () => {
+    const records = [
+      record("taskmagic", "https://hooks.example.com/mine"),
+      record("phoneAlarm", "https://phone.example.com/mine", false)
+    ];
+    expect(integrationTargets(records)).toEqual({
+      taskMagicWebhook:    "https://hooks.example.com/mine",
+      phoneAlarmEndpoints: []
+    });
+    expect(describeIntegrations(records).map(i => i.usesServerDefault)).toEqual([false, false]);
+  });
+});
@@ -0,0 +1,105 @@
+// ------------------------------------------------------------------
+// Module:    tests/webhookTemplates.util.test.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Unit tests for webhook subscription validation, payload
+//            templates and signatures.
+// ------------------------------------------------------------------
+
+/**
+ * @module tests/webhookTemplates.util.test
+ * @description
+ *   - Verifies subscriptions are validated and secrets generated or
+ *     encrypted.
+ *   - Verifies templates render a block's details in the user's
+ *     timezone, as valid JSON.
+ *   - Verifies bodies are signed with HMAC-SHA256.
+ */
+
+// ─────────────── Environment ───────────────
+
+process.env.SECRETS_KEY = "test-secrets-key";
+
+// ─────────────── Dependencies ───────────────
+
+const crypto = require("crypto");
+const {
+  DEFAULT_WEBHOOK_TEMPLATE,
+  webhookContext,
+  renderWebhookBody,
+  signWebhookBody,
+  validateSubscription
+} = require("../services/webhooks/webhookTemplates.util");
+const { decryptSecret } = require("../services/secrets.util");
+
+// ─────────────── Test Data & Globals ───────────────
+
+const BLOCK = {
+  _id:       "65f000000000000000000001",
+  title:     "Write \"report\"",
+  category:  "deep-work",
+  goal:      "",
+  tasks:     [{ text: "Outline" }, { text: "Draft" }],
+  startTime: new Date("2026-10-20T16:00:00Z"),
+  endTime:   new Date("2026-10-20T16:50:00Z")
+};
+
+const VALID = { url: "https://n8n.example.com/webhook/focus", events: ["block.approved"] };
+
+// ─────────────── Test Suites ───────────────
+
+describe("validateSubscription", () => {
+  test("Checks each field", () => {
+    expect(validateSubscription({ ...VALID, url: "ftp://x" }).error).toMatch(/url/);
+    expect(validateSubscription({ ...VALID, events: [] }).error).toMatch(/events/);
+    expect(validateSubscription({ ...VALID, events: ["block.created"] }).error).toMatch(/events/);
+    expect(validateSubscription({ ...VALID, template: "{\"title\": {{title}}}" }).error).toMatch(/JSON/);
+    expect(validateSubscription({ ...VALID, signatureHeader: "X Sig" }).error).toMatch(/signatureHeader/);
+    expect(validateSubscription({ ...VALID, startingSoonMinutes: 7 }).error).toMatch(/startingSoonMinutes/);
+    expect(validateSubscription({ ...VALID, secret: "short" }).error).toMatch(/secret/);
+  });
+
+  test("Generates a secret once and keeps it on updates", () => {
+    const created = validateSubscription(VALID);
+    expect(created.value).toMatchObject({
+      name: "Webhook", template: DEFAULT_WEBHOOK_TEMPLATE, signatureHeader: "X-Webhook-Signature",
+      startingSoonMinutes: 10, enabled: true
+    });
+    expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(decryptSecret(created.value.secretEncrypted)).toBe(created.secret);
+
+    const updated = validateSubscription({ enabled: false }, created.value);
+    expect(updated.secret).toBeNull();
+    expect(updated.value).toEqual({ ...created.value, enabled: false });
+
+    const chosen = validateSubscription({ secret: "my-own-secret-1234" }, created.value);
+    expect(decryptSecret(chosen.value.secretEncrypted)).toBe("my-own-secret-1234");
+  });
+});
+
+describe("Templates", () => {
+  test("Render a block in the user's timezone as valid JSON", () => {
+    const context = webhookContext({
+      event: "block.startingSoon", block: BLOCK, tz: "America/Denver", minutesBefore: 10, deliveryId: "d1"
+    });
+    // Numeric placeholders may go outside quotes.
+    const template = '{"title": "{{title}}", "when": "{{start}}", "tasks": "{{tasks}}", '
+      + '"startHour": {{startHour}}, "lead": {{minutesBefore}}}';
+    expect(JSON.parse(renderWebhookBody(template, context))).toEqual({
+      title: "Write \"report\"", when: "2026-10-20T10:00:00-06:00", tasks: "Outline\nDraft", startHour: 10, lead: 10
+    });
+
+    const body = JSON.parse(renderWebhookBody(DEFAULT_WEBHOOK_TEMPLATE, context));
+    expect(body).toMatchObject({
+      event: "block.startingSoon",
+      deliveryId: "d1",
+      block: { id: BLOCK._id, end: "2026-10-20T10:50:00-06:00", timezone: "America/Denver" }
+    });
+  });
+
+  test("Bodies are signed with HMAC-SHA256", () => {
+    const body = "{\"event\":\"block.approved\"}";
+    const expected = crypto.createHmac("sha256", "secret").update(body).digest("hex");
+    expect(signWebhookBody("secret", body)).toBe(`sha256=${expected}`);
+  });
+});
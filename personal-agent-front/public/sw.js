@@ -0,0 +1,35 @@
+// ------------------------------------------------------------------
+// Module:    public/sw.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Service worker showing Web Push block alarms.
+// ------------------------------------------------------------------
+
+// Each push carries JSON { title, body } rendered from the channel's templates.
+self.addEventListener("push", (event) => {
+  let message = { title: "Focus block", body: "" };
+  try {
+    message = { ...message, ...event.data.json() };
+  } catch {
+    message.body = event.data ? event.data.text() : "";
+  }
+  event.waitUntil(
+    self.registration.showNotification(message.title, {
+      body:               message.body,
+      tag:                "focus-alarm",
+      renotify:           true,
+      requireInteraction: true
+    })
+  );
+});
+
+// Clicking a notification focuses the app, opening it if needed.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find(w => "focus" in w);
+      return open ? open.focus() : self.clients.openWindow("/");
+    })
+  );
+});
@@ -11,8 +11,8 @@
  * @description
  *   - Checks user session on mount and sets auth state.
 //    - Defines public routes (/login, /register).
- *   - Protects /schedule behind `PrivateRoute`.
- *   - Renders a fixed header with toggleable slide‑out menu.
+ *   - Protects /schedule, /dashboard and /settings behind `PrivateRoute`.
+ *   - Wraps protected pages in `AppLayout` (header + slide‑out menu).
  */
 
 import React, { useState, useEffect } from "react";
@@ -20,17 +20,18 @@ import {
   Routes,
   Route,
   Navigate,
-  useNavigate,
-  Link
+  useNavigate
 } from "react-router-dom";
-import { FaBars } from "react-icons/fa";
 import { useUser } from "./UserContext";
 import axiosInstance from "./axiosInstance";
 
 import LoginPage    from "./Login/LoginPage";
 import RegisterPage from "./Login/RegisterPage";
 import Schedule     from "./Schedule/Schedule";
+import Settings     from "./Settings/Settings";
+import Dashboard    from "./Dashboard/Dashboard";
 import PrivateRoute from "./PrivateRoute";
+import AppLayout    from "./AppLayout";
 import TourGuide    from "./TourGuide";
 
 // ─────────────── App Component ───────────────
@@ -44,7 +45,6 @@ function App() {
   const { setUser } = useUser();
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isAuthChecked, setIsAuthChecked]           = useState(false);
-  const [menuOpen, setMenuOpen]                     = useState(false);
   const navigate = useNavigate();
 
   // ─── Check session on mount ───
@@ -93,17 +93,17 @@ function App() {
   }
 
   /**
-   * Toggle slide‑out menu open/closed.
+   * Wrap a page in the auth guard and shared layout.
+   *
+   * @param {JSX.Element} page  Protected page content.
+   * @returns {JSX.Element}
    */
-  function handleToggleMenu() {
-    setMenuOpen(open => !open);
-  }
-
-  /**
-   * Close slide‑out menu.
-   */
-  function handleCloseMenu() {
-    setMenuOpen(false);
+  function renderProtected(page) {
+    return (
+      <PrivateRoute isAuthenticated={isAuthenticated}>
+        <AppLayout onLogout={handleLogout}>{page}</AppLayout>
+      </PrivateRoute>
+    );
   }
 
   // ─── Render Routes & Layout ───
@@ -113,132 +113,18 @@ function App() {
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
 
-      {/* Protected Schedule Route */}
+      {/* Protected Routes */}
       <Route
         path="/schedule"
-        element={
-          <PrivateRoute isAuthenticated={isAuthenticated}>
-            <div>
-              {/* Header Bar */}
-              <header
-                style={{
-                  position:      "fixed",
-                  top:           0,
-                  left:          0,
-                  right:         0,
-                  height:        "60px",
-                  display:       "flex",
-                  alignItems:    "center",
-                  justifyContent:"flex-end",
-                  backgroundColor:"#333",
-                  padding:       "0 1rem",
-                  boxSizing:     "border-box",
-                  zIndex:        1000
-                }}
-              >
-                <button
-                  onClick={handleToggleMenu}
-                  style={{
-                    background:    "none",
-                    border:        "1px solid white",
-                    padding:       "0.4rem",
-                    borderRadius:  "6px",
-                    color:         "#fff",
-                    fontSize:      "1.5rem",
-                    cursor:        "pointer"
-                  }}
-                >
-                  <FaBars />
-                </button>
-              </header>
-
-              {/* Slide‑out Menu */}
-              {menuOpen && (
-                <>
-                  {/* Overlay to close menu on click */}
-                  <div
-                    onClick={handleCloseMenu}
-                    style={{
-                      position:       "fixed",
-                      top:            0,
-                      left:           0,
-                      width:          "100vw",
-                      height:         "100vh",
-                      backgroundColor:"rgba(0, 0, 0, 0.5)",
-                      zIndex:         999
-                    }}
-                  />
-                  {/* Menu panel */}
-                  <div
-                    style={{
-                      position:       "fixed",
-                      top:            0,
-                      right:          0,
-                      width:          "200px",
-                      height:         "100vh",
-                      backgroundColor:"#222",
-                      zIndex:         1000,
-                      display:        "flex",
-                      flexDirection:  "column",
-                      padding:        "1rem",
-                      boxSizing:      "border-box",
-                      transition:     "transform 0.3s ease-in-out"
-                    }}
-                  >
-                    <button
-                      onClick={handleCloseMenu}
-                      style={{
-                        background:    "none",
-                        border:        "none",
-                        color:         "#fff",
-                        fontSize:      "1rem",
-                        marginBottom:  "1rem",
-                        alignSelf:     "flex-end",
-                        cursor:        "pointer"
-                      }}
-                    >
-                      Close ✕
-                    </button>
-                    <Link
-                      to="/schedule"
-                      onClick={handleCloseMenu}
-                      style={{
-                        color:         "#fff",
-                        textDecoration:"none",
-                        marginBottom:  10
-                      }}
-                    >
-                      Schedule
-                    </Link>
-                    <button
-                      onClick={() => {
-                        handleCloseMenu();
-                        handleLogout();
-                      }}
-                      style={{
-                        marginTop:    "auto",
-                        color:        "#fff",
-                        background:   "none",
-                        border:       "1px solid white",
-                        padding:      "0.4rem",
-                        borderRadius: "6px",
-                        cursor:       "pointer"
-                      }}
-                    >
-                      Logout
-                    </button>
-                  </div>
-                </>
-              )}
-
-              {/* Main Protected Content */}
-              {/* Padding avoids overlap with fixed header */}
-              <div style={{ padding: "80px 1rem 1rem 1rem" }}>
-                <Schedule />
-              </div>
-            </div>
-          </PrivateRoute>
-        }
+        element={renderProtected(<Schedule />)}
+      />
+      <Route
+        path="/dashboard"
+        element={renderProtected(<Dashboard />)}
+      />
+      <Route
+        path="/settings"
+        element={renderProtected(<Settings />)}
       />
 
       {/* Redirect root to /schedule */}
@@ -0,0 +1,185 @@
+// ------------------------------------------------------------------
+// Module:    src/AppLayout.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Shared layout for protected pages: fixed header bar and
+//            slide‑out navigation menu.
+// ------------------------------------------------------------------
+
+/**
+ * @module AppLayout
+ * @description
+ *   - Renders the fixed header with the menu toggle.
+ *   - Renders the slide‑out menu with page links and logout.
+ *   - Pads page content below the header.
+ */
+
+// ─────────────── Dependencies ───────────────
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { FaBars } from "react-icons/fa";
+
+// ─────────────── Constants ───────────────
+
+/** Pages listed in the slide‑out menu, in display order. */
+const MENU_LINKS = [
+  { to: "/schedule", label: "Schedule" },
+  { to: "/dashboard", label: "Dashboard" },
+  { to: "/settings", label: "Settings" }
+];
+
+// ─────────────── Component ───────────────
+
+/**
+ * Layout wrapper for authenticated pages.
+ *
+ * @param {Object}          props
+ * @param {function()}      props.onLogout  Called when Logout is clicked.
+ * @param {React.ReactNode} props.children  Page content.
+ * @returns {JSX.Element}
+ */
+export default function AppLayout({ onLogout, children }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  // ─── Handlers ───
+
+  /**
+   * Toggle slide‑out menu open/closed.
+   */
+  function handleToggleMenu() {
+    setMenuOpen(open => !open);
+  }
+
+  /**
+   * Close slide‑out menu.
+   */
+  function handleCloseMenu() {
+    setMenuOpen(false);
+  }
+
+  // ─── Render ───
+  return (
+    <div>
+      {/* Header Bar */}
+      <header
+        style={{
+          position:      "fixed",
+          top:           0,
+          left:          0,
+          right:         0,
+          height:        "60px",
+          display:       "flex",
+          alignItems:    "center",
+          justifyContent:"flex-end",
+          backgroundColor:"#333",
+          padding:       "0 1rem",
+          boxSizing:     "border-box",
+          zIndex:        1000
+        }}
+      >
+        <button
+          onClick={handleToggleMenu}
+          style={{
+            background:    "none",
+            border:        "1px solid white",
+            padding:       "0.4rem",
+            borderRadius:  "6px",
+            color:         "#fff",
+            fontSize:      "1.5rem",
+            cursor:        "pointer"
+          }}
+        >
+          <FaBars />
+        </button>
+      </header>
+
+      {/* Slide‑out Menu */}
+      {menuOpen && (
+        <>
+          {/* Overlay to close menu on click */}
+          <div
+            onClick={handleCloseMenu}
+            style={{
+              position:       "fixed",
+              top:            0,
+              left:           0,
+              width:          "100vw",
+              height:         "100vh",
+              backgroundColor:"rgba(0, 0, 0, 0.5)",
+              zIndex:         999
+            }}
+          />
+          {/* Menu panel */}
+          <div
+            style={{
+              position:       "fixed",
+              top:            0,
+              right:          0,
+              width:          "200px",
+              height:         "100vh",
+              backgroundColor:"#222",
+              zIndex:         1000,
+              display:        "flex",
+              flexDirection:  "column",
+              padding:        "1rem",
+              boxSizing:      "border-box",
+              transition:     "transform 0.3s ease-in-out"
+            }}
+          >
+            <button
+              onClick={handleCloseMenu}
+              style={{
+                background:    "none",
+                border:        "none",
+                color:         "#fff",
+                fontSize:      "1rem",
+                marginBottom:  "1rem",
+                alignSelf:     "flex-end",
+                cursor:        "pointer"
+              }}
+            >
+              Close ✕
+            </button>
+            {MENU_LINKS.map(link => (
+              <Link
+                key={link.to}
+                to={link.to}
+                onClick={handleCloseMenu}
+                style={{
+                  color:         "#fff",
+                  textDecoration:"none",
+                  marginBottom:  10
+                }}
+              >
+                {link.label}
+              </Link>
+            ))}
+            <button
+              onClick={() => {
+                handleCloseMenu();
+                onLogout();
+              }}
+              style={{
+                marginTop:    "auto",
+                color:        "#fff",
+                background:   "none",
+                border:       "1px solid white",
+                padding:      "0.4rem",
+                borderRadius: "6px",
+                cursor:       "pointer"
+              }}
+            >
+              Logout
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Main Protected Content */}
+      {/* Padding avoids overlap with fixed header */}
+      <div style={{ padding: "80px 1rem 1rem 1rem" }}>
+        {children}
+      </div>
+    </div>
+  );
+}
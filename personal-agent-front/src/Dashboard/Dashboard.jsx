@@ -0,0 +1,194 @@
+// ------------------------------------------------------------------
+// Module:    src/Dashboard/Dashboard.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Focus analytics: how much focus time is planned,
+//            approved and excluded over recent weeks.
+// ------------------------------------------------------------------
+
+/**
+ * @module Dashboard
+ * @description
+ *   - Fetches block statistics for the last 7, 28 or 90 days.
+ *   - Shows totals, average block length and blocks per day.
+ *   - Charts daily planned vs approved minutes, the time-of-day
+ *     distribution, and suggested vs edited vs drawn blocks, as SVG.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { useUser } from "../UserContext";
+import { todayIn, shiftDate } from "../Schedule/scheduleConstants";
+import { fetchBlockStats } from "./dashboardAPI";
+import { BarChart, ShareBar } from "./charts";
+import "./Dashboard.css";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ─────── Constants ───────
+
+/** Ranges offered, in days ending today. */
+const RANGE_OPTIONS = [7, 28, 90];
+
+/** Chart colors. */
+const COLORS = {
+  planned:  "rgba(0, 200, 255, 0.3)",
+  approved: "rgba(0, 200, 255, 0.9)",
+  excluded: "#ff5252",
+  edited:   "#ffa726",
+  manual:   "#66bb6a"
+};
+
+// ─────── Utilities ───────
+
+/**
+ * Format minutes as "3h 20m".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m}m`;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * Dashboard page component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function Dashboard() {
+  // ─────── State ───────
+  const { user } = useUser();
+  const tz = user?.timezone || dayjs.tz.guess();
+  const [rangeDays, setRangeDays] = useState(28);
+  const [stats, setStats]         = useState(null);
+  const [loading, setLoading]     = useState(true);
+  const [error, setError]         = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    const end = todayIn(tz);
+    setLoading(true);
+    setError("");
+    fetchBlockStats(shiftDate(end, -(rangeDays - 1)), end)
+      .then(setStats)
+      .catch((err) => setError(err.response?.data?.message || err.message))
+      .finally(() => setLoading(false));
+  }, [rangeDays, tz]);
+
+  // ─────── Render ───────
+  const dayItems = stats?.days.map((d) => ({
+    label:     dayjs(d.date).format(rangeDays > 7 ? "M/D" : "ddd"),
+    value:     d.plannedMinutes,
+    highlight: d.approvedMinutes,
+    title:     `${d.date}: ${formatMinutes(d.plannedMinutes)} planned, ${formatMinutes(d.approvedMinutes)} approved`
+  })) || [];
+  const hourItems = stats?.byHour.map((minutes, hour) => ({
+    label: String(hour),
+    value: minutes,
+    title: `${hour}:00–${hour + 1}:00: ${formatMinutes(minutes)}`
+  })) || [];
+
+  return (
+    <div className="dashboard-container">
+      <h2>Focus Dashboard</h2>
+
+      <div className="dashboard-range" role="group" aria-label="Date range">
+        {RANGE_OPTIONS.map((days) => (
+          <button
+            key={days}
+            type="button"
+            className={days === rangeDays ? "active" : ""}
+            onClick={() => setRangeDays(days)}
+            disabled={loading}
+          >
+            Last {days} days
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="dashboard-error">Could not load statistics: {error}</p>}
+      {loading && !stats && <p>Loading statistics…</p>}
+
+      {stats && (
+        <>
+          <div className="dashboard-cards">
+            <div className="dashboard-card">
+              <span className="card-value">{formatMinutes(stats.minutes.planned)}</span>
+              <span className="card-label">Planned</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="card-value">{formatMinutes(stats.minutes.approved)}</span>
+              <span className="card-label">Approved</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="card-value">{formatMinutes(stats.minutes.excluded)}</span>
+              <span className="card-label">Excluded</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="card-value">{formatMinutes(stats.averageBlockMinutes)}</span>
+              <span className="card-label">Average block</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="card-value">{(stats.blocks.planned / stats.days.length).toFixed(1)}</span>
+              <span className="card-label">Blocks per day</span>
+            </div>
+          </div>
+
+          <section className="dashboard-section">
+            <h3>Planned vs approved</h3>
+            <ShareBar
+              format={formatMinutes}
+              segments={[
+                { label: "Approved", value: stats.minutes.approved, color: COLORS.approved },
+                { label: "Pending", value: stats.minutes.planned - stats.minutes.approved, color: COLORS.planned },
+                { label: "Excluded", value: stats.minutes.excluded, color: COLORS.excluded }
+              ]}
+            />
+          </section>
+
+          <section className="dashboard-section">
+            <h3>Focus time per day</h3>
+            <BarChart
+              items={dayItems}
+              color={COLORS.planned}
+              highlightColor={COLORS.approved}
+              labelEvery={Math.ceil(dayItems.length / 14)}
+              ariaLabel="Planned and approved minutes per day"
+            />
+          </section>
+
+          <section className="dashboard-section">
+            <h3>Time of day</h3>
+            <BarChart
+              items={hourItems}
+              color={COLORS.approved}
+              labelEvery={3}
+              ariaLabel="Planned minutes by hour of day"
+            />
+          </section>
+
+          <section className="dashboard-section">
+            <h3>Suggestions vs your changes</h3>
+            <ShareBar
+              segments={[
+                { label: "Kept as suggested", value: stats.origin.suggested, color: COLORS.approved },
+                { label: "Suggested, then edited", value: stats.origin.edited, color: COLORS.edited },
+                { label: "Added by you", value: stats.origin.manual, color: COLORS.manual }
+              ]}
+            />
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
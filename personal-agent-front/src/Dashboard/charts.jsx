@@ -0,0 +1,124 @@
+// ------------------------------------------------------------------
+// Module:    src/Dashboard/charts.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Small SVG charts for the focus dashboard.
+// ------------------------------------------------------------------
+
+/**
+ * @module charts
+ * @description
+ *   - BarChart draws one bar per item, optionally with a highlighted
+ *     share of each bar (approved out of planned).
+ *   - ShareBar draws a single horizontal bar split into segments, with
+ *     a legend.
+ *   - Both scale to their container through the SVG viewBox.
+ */
+
+// ─────────────── Constants ───────────────
+
+/** Drawing area of a BarChart, in viewBox units. */
+const CHART_WIDTH  = 600;
+const CHART_HEIGHT = 160;
+const AXIS_HEIGHT  = 18;
+
+// ─────────────── Components ───────────────
+
+/**
+ * Vertical bar chart.
+ *
+ * @param {Object}   props
+ * @param {Array<{label: string, value: number, highlight?: number, title?: string}>} props.items
+ * @param {string}   props.color           Bar color.
+ * @param {string}   [props.highlightColor] Color of each bar's highlighted part.
+ * @param {number}   [props.labelEvery=1]   Show every nth axis label.
+ * @param {string}   props.ariaLabel       Accessible chart description.
+ * @returns {JSX.Element}
+ */
+export function BarChart({ items, color, highlightColor, labelEvery = 1, ariaLabel }) {
+  const max    = Math.max(1, ...items.map((item) => item.value));
+  const slot   = CHART_WIDTH / Math.max(items.length, 1);
+  const barW   = Math.max(slot * 0.7, 1);
+  const scaleY = (value) => (value / max) * (CHART_HEIGHT - AXIS_HEIGHT);
+
+  return (
+    <svg
+      className="chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={ariaLabel}
+      preserveAspectRatio="none"
+    >
+      <line
+        x1={0}
+        x2={CHART_WIDTH}
+        y1={CHART_HEIGHT - AXIS_HEIGHT}
+        y2={CHART_HEIGHT - AXIS_HEIGHT}
+        stroke="#555"
+      />
+      {items.map((item, i) => {
+        const x = i * slot + (slot - barW) / 2;
+        const h = scaleY(item.value);
+        const hh = highlightColor ? scaleY(item.highlight || 0) : 0;
+        return (
+          <g key={item.label}>
+            <title>{item.title || `${item.label}: ${item.value}`}</title>
+            <rect x={x} y={CHART_HEIGHT - AXIS_HEIGHT - h} width={barW} height={h} fill={color} />
+            {hh > 0 && (
+              <rect x={x} y={CHART_HEIGHT - AXIS_HEIGHT - hh} width={barW} height={hh} fill={highlightColor} />
+            )}
+            {i % labelEvery === 0 && (
+              <text
+                x={x + barW / 2}
+                y={CHART_HEIGHT - 4}
+                textAnchor="middle"
+                fontSize="10"
+                fill="#aaa"
+              >
+                {item.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Horizontal bar split into proportional segments.
+ *
+ * @param {Object} props
+ * @param {Array<{label: string, value: number, color: string}>} props.segments
+ * @param {function(number): string} [props.format]  Formats values in the legend.
+ * @returns {JSX.Element}
+ */
+export function ShareBar({ segments, format = String }) {
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+  let offset = 0;
+
+  return (
+    <div className="share-bar">
+      <svg viewBox="0 0 100 8" preserveAspectRatio="none" role="img" aria-label={
+        segments.map((s) => `${s.label} ${format(s.value)}`).join(", ")
+      }>
+        <rect x={0} y={0} width={100} height={8} fill="#333" />
+        {total > 0 && segments.map((s) => {
+          const width = (s.value / total) * 100;
+          const rect  = <rect key={s.label} x={offset} y={0} width={width} height={8} fill={s.color} />;
+          offset += width;
+          return rect;
+        })}
+      </svg>
+      <ul className="chart-legend">
+        {segments.map((s) => (
+          <li key={s.label}>
+            <span className="legend-swatch" style={{ backgroundColor: s.color }} />
+            {s.label}: {format(s.value)}
+            {total > 0 && ` (${Math.round((s.value / total) * 100)}%)`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
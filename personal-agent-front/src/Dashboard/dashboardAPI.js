@@ -0,0 +1,34 @@
+// ------------------------------------------------------------------
+// Module:    src/Dashboard/dashboardAPI.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Client API for focus statistics.
+// ------------------------------------------------------------------
+
+/**
+ * @module src/Dashboard/dashboardAPI
+ * @description
+ *   Provides a function to fetch block statistics over a date range.
+ */
+
+// ───── Dependencies ─────────────────────────────────────────────────────────
+
+import axiosInstance from "../axiosInstance";
+
+// ───── API Functions ────────────────────────────────────────────────────────
+
+/**
+ * Fetch focus statistics for a range of local dates.
+ *
+ * @async
+ * @function fetchBlockStats
+ * @param {string} start  First date "YYYY-MM-DD".
+ * @param {string} end    Last date "YYYY-MM-DD" (inclusive).
+ * @returns {Promise<Object>} Totals, per-day counts, hourly minutes and origin.
+ */
+export async function fetchBlockStats(start, end) {
+  const { data } = await axiosInstance.get("/api/freedom-blocks/stats", {
+    params: { start, end }
+  });
+  return data;
+}
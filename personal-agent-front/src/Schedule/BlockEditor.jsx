@@ -2,23 +2,41 @@
 // Module:    BlockEditor.jsx
 // Author:    John Gibson
 // Created:   2025-04-21
-// Purpose:   UI component for editing a single time block: update times,
-//            set phone alarms, and trigger TaskMagic actions.
+// Purpose:   UI component for editing a single time block: update times
+//            and details, set phone alarms, and trigger TaskMagic actions.
 // ------------------------------------------------------------------
 
 /**
  * @module BlockEditor
  * @description
  *   - Renders a modal for editing a freedom time block.
- *   - Allows users to save updated start/end times.
+ *   - Allows users to save updated start/end times; for a recurring
+ *     block, to this occurrence only or to the whole series.
+ *   - Edits the block's title, category, color, goal and task checklist.
+ *     A whole-series edit carries the title, category and color only.
+ *   - Splits the block at a chosen time, optionally with a break, or
+ *     merges it with the day's next block.
  *   - Provides actions for setting phone alarms and calling TaskMagic.
  */
 
 import React, { useState, useEffect } from "react";
 import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
 
 // ─────────────── API Helpers ───────────────
-import { updateTimeBlock, callPhoneAlarm, callTaskMagic } from "./scheduleAPI";
+import {
+  updateTimeBlock,
+  updateBlockSeries,
+  splitTimeBlock,
+  mergeTimeBlocks,
+  callPhoneAlarm,
+  callTaskMagic,
+} from "./scheduleAPI";
+import { BLOCK_CATEGORIES, blockColor } from "./blockCategories";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 // ─────────────── Utility Functions ───────────────
 /**
@@ -34,16 +52,33 @@ const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * Edit and manage a single time block.
  *
  * @param {Object} props
- * @param {Object} props.block      Block data containing startTime, endTime, and _id.
+ * @param {Object} props.block      Block data containing startTime, endTime, _id, its details
+ *                                  and, for recurring blocks, seriesId.
+ * @param {Object} [props.nextBlock] The day's following block, offered for merging.
  * @param {function} props.onClose  Callback when modal is closed.
- * @param {function} props.onSaved  Callback when changes are saved.
+ * @param {function} props.onSaved  Callback when changes are saved; given the change
+ *                                  ({ blockId, message }) when it can be undone.
+ * @param {string} props.tz         User's IANA timezone for displayed times.
  * @returns {JSX.Element|null}
  */
-function BlockEditor({ block, onClose, onSaved }) {
+function BlockEditor({ block, nextBlock, onClose, onSaved, tz }) {
   // Local state for form inputs and error feedback
   const [start, setStart] = useState("");
   const [end, setEnd]     = useState("");
   const [error, setError] = useState("");
+  const [scope, setScope] = useState("occurrence");
+
+  // Block details; an empty color follows the category
+  const [title, setTitle]       = useState("");
+  const [category, setCategory] = useState("");
+  const [color, setColor]       = useState("");
+  const [goal, setGoal]         = useState("");
+  const [tasks, setTasks]       = useState([]);
+  const [newTask, setNewTask]   = useState("");
+
+  // Split point and the break left between the two parts
+  const [splitAt, setSplitAt]       = useState("");
+  const [gapMinutes, setGapMinutes] = useState(0);
 
   // Loading states for each async action
   const [isSaving, setIsSaving]                   = useState(false);
@@ -53,38 +88,85 @@ function BlockEditor({ block, onClose, onSaved }) {
   // ─────── Initialize form fields when block changes ───────
   useEffect(() => {
     if (block) {
-      const fmtStart = dayjs(block.startTime).format("HH:mm");
-      const fmtEnd   = dayjs(block.endTime).format("HH:mm");
+      const fmtStart = dayjs(block.startTime).tz(tz).format("HH:mm");
+      const fmtEnd   = dayjs(block.endTime).tz(tz).format("HH:mm");
       setStart(fmtStart);
       setEnd(fmtEnd);
+      setScope("occurrence");
+      setTitle(block.title || "");
+      setCategory(block.category || "");
+      setColor(block.color || "");
+      setGoal(block.goal || "");
+      setTasks((block.tasks || []).map(({ text, done }) => ({ text, done })));
+      setNewTask("");
+
+      const middle = dayjs(block.startTime).add(dayjs(block.endTime).diff(block.startTime) / 2);
+      setSplitAt(middle.tz(tz).format("HH:mm"));
+      setGapMinutes(0);
     }
-  }, [block]);
+  }, [block, tz]);
 
   // Do not render modal if no block provided
   if (!block) return null;
 
+  const seriesScope = scope === "series";
+
+  // ─────────────── Task Checklist ───────────────
+  /**
+   * Append the typed task to the checklist.
+   */
+  function addTask() {
+    const text = newTask.trim();
+    if (!text) return;
+    setTasks((prev) => [...prev, { text, done: false }]);
+    setNewTask("");
+  }
+
+  /**
+   * Flip a task between done and not done.
+   *
+   * @param {number} index
+   */
+  function toggleTask(index) {
+    setTasks((prev) => prev.map((task, i) => (i === index ? { ...task, done: !task.done } : task)));
+  }
+
+  /**
+   * Remove a task from the checklist.
+   *
+   * @param {number} index
+   */
+  function removeTask(index) {
+    setTasks((prev) => prev.filter((_, i) => i !== index));
+  }
+
   // ─────────────── Handle Save ───────────────
   /**
    * Persist updated start/end times to server, enforcing a minimum
-   * 3s delay for UX consistency.
+   * 3s delay for UX consistency. A whole-series edit sends the local
+   * times, title, category and color to the series instead of
+   * changing this block.
    */
   async function handleSave() {
-    const date = dayjs(block.startTime).format("YYYY-MM-DD");
-    const newStartISO = dayjs(`${date}T${start}`).toISOString();
-    const newEndISO   = dayjs(`${date}T${end}`).toISOString();
+    const date = dayjs(block.startTime).tz(tz).format("YYYY-MM-DD");
+    const newStartISO = dayjs.tz(`${date} ${start}`, tz).toISOString();
+    const newEndISO   = dayjs.tz(`${date} ${end}`, tz).toISOString();
+    const labels      = { title, category, color };
 
     setIsSaving(true);
     setError("");
     const t0 = Date.now();
     try {
-      const resp = await updateTimeBlock(block._id, newStartISO, newEndISO);
+      const resp = seriesScope
+        ? await updateBlockSeries(block.seriesId, { startTime: start, endTime: end, ...labels })
+        : await updateTimeBlock(block._id, newStartISO, newEndISO, { ...labels, goal, tasks });
       const elapsed = Date.now() - t0;
       if (elapsed < 3000) await delay(3000 - elapsed); // ensure 3s minimum
 
       if (!resp.success) {
         setError(resp.message);
       } else {
-        onSaved();
+        onSaved(seriesScope ? undefined : { blockId: block._id, message: "Block updated." });
         onClose();
       }
     } catch (err) {
@@ -95,6 +177,42 @@ function BlockEditor({ block, onClose, onSaved }) {
     }
   }
 
+  // ─────────────── Handle Split & Merge ───────────────
+  /**
+   * Run a split or merge request, then refresh and close. These
+   * changes touch several blocks, so they are not offered for undo.
+   *
+   * @param {() => Promise<Object>} action
+   */
+  async function runBlockAction(action) {
+    setIsSaving(true);
+    setError("");
+    try {
+      const resp = await action();
+      if (!resp.success) {
+        setError(resp.message);
+      } else {
+        onSaved();
+        onClose();
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  function handleSplit() {
+    const date = dayjs(block.startTime).tz(tz).format("YYYY-MM-DD");
+    const at   = dayjs.tz(`${date} ${splitAt}`, tz).toISOString();
+    return runBlockAction(() => splitTimeBlock(block._id, at, Number(gapMinutes) || 0));
+  }
+
+  function handleMerge() {
+    return runBlockAction(() => mergeTimeBlocks([block._id, nextBlock._id]));
+  }
+
   // ─────────────── Handle Phone Alarm ───────────────
   /**
    * Trigger phone alarm via API, enforcing 3s UX delay.
@@ -174,6 +292,172 @@ function BlockEditor({ block, onClose, onSaved }) {
           />
         </div>
 
+        {/* Details */}
+        <div style={{ marginTop: 10 }}>
+          <label>Title: </label>
+          <input
+            data-tour="blockeditor-title"
+            type="text"
+            value={title}
+            maxLength={100}
+            placeholder="Focus"
+            onChange={(e) => setTitle(e.target.value)}
+            disabled={isSaving}
+          />
+        </div>
+        <div style={{ marginTop: 10 }}>
+          <label>Category: </label>
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            disabled={isSaving}
+          >
+            <option value="">None</option>
+            {BLOCK_CATEGORIES.map((c) => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+          <label style={{ marginLeft: 10 }}>Color: </label>
+          <input
+            type="color"
+            value={blockColor({ color, category })}
+            onChange={(e) => setColor(e.target.value)}
+            disabled={isSaving}
+          />
+          {color && (
+            <button
+              type="button"
+              onClick={() => setColor("")}
+              disabled={isSaving}
+              style={{ marginLeft: 6 }}
+              title="Use the category's color"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+        <div style={{ marginTop: 10 }}>
+          <label>Goal: </label>
+          <input
+            type="text"
+            value={goal}
+            maxLength={200}
+            placeholder="What should be done by the end?"
+            onChange={(e) => setGoal(e.target.value)}
+            disabled={isSaving || seriesScope}
+          />
+        </div>
+        <div style={{ marginTop: 10 }} data-tour="blockeditor-tasks">
+          <label>Tasks:</label>
+          {tasks.map((task, i) => (
+            <div key={i}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={task.done}
+                  onChange={() => toggleTask(i)}
+                  disabled={isSaving || seriesScope}
+                />
+                {task.text}
+              </label>
+              <button
+                type="button"
+                onClick={() => removeTask(i)}
+                disabled={isSaving || seriesScope}
+                style={{ marginLeft: 6 }}
+                aria-label={`Remove task ${task.text}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <div>
+            <input
+              type="text"
+              value={newTask}
+              maxLength={200}
+              placeholder="Add a task"
+              onChange={(e) => setNewTask(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") addTask();
+              }}
+              disabled={isSaving || seriesScope || tasks.length >= 20}
+            />
+            <button
+              type="button"
+              onClick={addTask}
+              disabled={isSaving || seriesScope || !newTask.trim() || tasks.length >= 20}
+              style={{ marginLeft: 6 }}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        {/* Recurring block: edit this day or the whole series */}
+        {block.seriesId && (
+          <div style={{ marginTop: 10 }} data-tour="blockeditor-series-scope">
+            <label>
+              <input
+                type="radio"
+                name="series-scope"
+                value="occurrence"
+                checked={scope === "occurrence"}
+                onChange={() => setScope("occurrence")}
+                disabled={isSaving}
+              />
+              This occurrence
+            </label>
+            <label style={{ marginLeft: 10 }}>
+              <input
+                type="radio"
+                name="series-scope"
+                value="series"
+                checked={scope === "series"}
+                onChange={() => setScope("series")}
+                disabled={isSaving}
+              />
+              Whole series
+            </label>
+          </div>
+        )}
+
+        {/* Split / merge */}
+        <div style={{ marginTop: 10 }} data-tour="blockeditor-split">
+          <label>Split at: </label>
+          <input
+            type="time"
+            value={splitAt}
+            onChange={(e) => setSplitAt(e.target.value)}
+            disabled={isSaving}
+          />
+          <label style={{ marginLeft: 10 }}>Break (min): </label>
+          <input
+            type="number"
+            min={0}
+            step={5}
+            value={gapMinutes}
+            onChange={(e) => setGapMinutes(e.target.value)}
+            disabled={isSaving}
+            style={{ width: 60 }}
+          />
+          <button
+            type="button"
+            onClick={handleSplit}
+            disabled={isSaving || !splitAt}
+            style={{ marginLeft: 6 }}
+          >
+            Split
+          </button>
+        </div>
+        {nextBlock && (
+          <div style={{ marginTop: 10 }}>
+            <button type="button" onClick={handleMerge} disabled={isSaving}>
+              Merge with next block ({dayjs(nextBlock.startTime).tz(tz).format("h:mm A")})
+            </button>
+          </div>
+        )}
+
         {/* Action buttons */}
         <div style={{ marginTop: 10 }}>
           <button
@@ -0,0 +1,241 @@
+// ------------------------------------------------------------------
+// Module:    src/Schedule/DayColumn.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   One day of the schedule grid: slot lines, appointments and
+//            draggable time blocks positioned against that day's start.
+// ------------------------------------------------------------------
+
+/**
+ * @module DayColumn
+ * @description
+ *   - Renders grid lines (optionally labelled) for a single local date.
+ *   - Positions appointments and TimeBlocks relative to that date, so
+ *     drag/resize snaps to the column's own day.
+ *   - Click-and-drag on empty grid space draws a new manual block,
+ *     previewing its snapped times while dragging.
+ *   - Used once by the day view and seven times by the week view.
+ */
+
+// ─────────────── Dependencies ───────────────
+import { useState } from "react";
+import { getEventStyle } from "./eventStyle.js";
+import {
+  addZonedMinutes,
+  getDayStart,
+  getGridLines,
+  pxToMinutes,
+  snapTo5Min,
+  MINUTES_PER_SLOT,
+  ROW_HEIGHT_PX,
+} from "./scheduleConstants.js";
+import { createTimeBlock } from "./scheduleAPI";
+import TimeBlock from "./TimeBlock.jsx";
+import { findNextBlock } from "./blockUtils.js";
+
+// ─────────────── Constants ───────────────
+
+/** Offsets/widths for the wide single-day layout (labels on the left). */
+const WIDE_LAYOUT = { blockLeft: 100, blockWidth: 275, apptLeft: 100, apptWidth: 200 };
+
+/** Inset applied to items inside a narrow week column. */
+const COMPACT_INSET_PX = 2;
+
+/** Shortest block that a drag creates; shorter drags count as clicks. */
+const MIN_DRAFT_MINUTES = 5;
+
+// ─────────────── Helpers ───────────────
+
+/**
+ * Whether a pointer-down target is empty grid space rather than an
+ * appointment or block.
+ *
+ * @param {Element} target
+ * @param {Element} column  The day column element.
+ * @returns {boolean}
+ */
+function isEmptyGridSpace(target, column) {
+  return target === column
+    || target.classList.contains("schedule-grid-line")
+    || target.classList.contains("schedule-grid-line-label");
+}
+
+// ─────────────── Component ───────────────
+
+/**
+ * Render a single day's column.
+ *
+ * @param {Object}   props
+ * @param {string}   props.date           Local date ("YYYY-MM-DD").
+ * @param {string}   props.tz             User's IANA timezone.
+ * @param {Object[]} props.appointments   Calendar events for this day.
+ * @param {Object[]} props.timeBlocks     Freedom blocks for this day.
+ * @param {Object<string, Object[]>} [props.deliveries]  Notification jobs keyed by block ID.
+ * @param {function(Object=)} props.onUpdate  Refresh callback after edits; given the
+ *                                            change when it can be undone.
+ * @param {function(Object)} props.onEdit Open the BlockEditor for a block.
+ * @param {boolean}  [props.showLabels=true]  Draw time labels on grid lines.
+ * @param {number}   [props.compactWidth]     Column width; enables the narrow week layout.
+ * @returns {JSX.Element}
+ */
+export default function DayColumn({
+  date,
+  tz,
+  appointments,
+  timeBlocks,
+  deliveries = {},
+  onUpdate,
+  onEdit,
+  showLabels = true,
+  compactWidth,
+}) {
+  const dayStart = getDayStart(tz, date);
+  const { height, lines } = getGridLines(tz, date);
+
+  // Block being drawn: minutes from dayStart where the drag began and
+  // where the pointer is now.
+  const [draft, setDraft] = useState(null);
+
+  const layout = compactWidth
+    ? {
+        blockLeft:  COMPACT_INSET_PX,
+        blockWidth: compactWidth - COMPACT_INSET_PX * 2,
+        apptLeft:   COMPACT_INSET_PX,
+        apptWidth:  compactWidth - COMPACT_INSET_PX * 2,
+      }
+    : WIDE_LAYOUT;
+
+  // ─────────────── Handlers: Draw a Block ───────────────
+
+  /**
+   * Snapped minutes from dayStart under the pointer, kept inside the day.
+   *
+   * @param {React.PointerEvent} e
+   * @returns {number}
+   */
+  function pointerMinutes(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const y    = Math.min(Math.max(e.clientY - rect.top, 0), height);
+    return snapTo5Min(pxToMinutes(y));
+  }
+
+  function handlePointerDown(e) {
+    if (e.button !== 0 || draft || !isEmptyGridSpace(e.target, e.currentTarget)) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const minutes = pointerMinutes(e);
+    setDraft({ anchor: minutes, current: minutes });
+  }
+
+  function handlePointerMove(e) {
+    if (!draft || draft.saving) return;
+    const minutes = pointerMinutes(e);
+    setDraft(prev => ({ ...prev, current: minutes }));
+  }
+
+  async function handlePointerUp() {
+    if (!draft || draft.saving) return;
+    const from = Math.min(draft.anchor, draft.current);
+    const to   = Math.max(draft.anchor, draft.current);
+    if (to - from < MIN_DRAFT_MINUTES) {
+      setDraft(null);
+      return;
+    }
+
+    setDraft(prev => ({ ...prev, saving: true }));
+    try {
+      await createTimeBlock(
+        addZonedMinutes(dayStart, from, tz).toISOString(),
+        addZonedMinutes(dayStart, to, tz).toISOString()
+      );
+      onUpdate();
+    } catch (err) {
+      alert("Error: " + (err.response?.data?.message || err.message));
+    } finally {
+      setDraft(null);
+    }
+  }
+
+  const draftFrom = draft && Math.min(draft.anchor, draft.current);
+  const draftTo   = draft && Math.max(draft.anchor, draft.current);
+
+  return (
+    <div
+      className="day-column-inner"
+      style={{ height, width: compactWidth || undefined }}
+      data-date={date}
+      data-tour="draw-timeblock"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDraft(null)}
+    >
+      {lines.map((line, idx) => (
+        <div
+          key={idx}
+          className="schedule-grid-line"
+          style={{ top: line.top }}
+        >
+          {showLabels && (
+            <span className="schedule-grid-line-label">{line.label}</span>
+          )}
+        </div>
+      ))}
+
+      {appointments.map((appt, idx) => {
+        const style = getEventStyle(
+          appt.start?.dateTime,
+          appt.end?.dateTime,
+          true,
+          { tz, dayStart, left: layout.apptLeft, width: layout.apptWidth }
+        );
+        return (
+          <div
+            key={appt.id || idx}
+            style={{
+              ...style,
+              backgroundColor: "rgba(255,150,150,0.7)",
+              border: "1px solid rgba(255,100,100,0.7)",
+            }}
+          >
+            <strong>{appt.summary || "Appointment"}</strong>
+          </div>
+        );
+      })}
+
+      {timeBlocks.map((block) => (
+        <TimeBlock
+          key={block._id}
+          block={block}
+          nextBlock={findNextBlock(timeBlocks, block)}
+          deliveries={deliveries[block._id]}
+          onUpdate={onUpdate}
+          onEdit={onEdit}
+          tz={tz}
+          dayStart={dayStart}
+          left={layout.blockLeft}
+          width={layout.blockWidth}
+        />
+      ))}
+
+      {/* Block being drawn, with a live preview of its snapped times */}
+      {draft && (
+        <div
+          className="draft-block"
+          style={{
+            top:    (draftFrom / MINUTES_PER_SLOT) * ROW_HEIGHT_PX,
+            height: ((draftTo - draftFrom) / MINUTES_PER_SLOT) * ROW_HEIGHT_PX,
+            left:   layout.blockLeft,
+            width:  layout.blockWidth,
+          }}
+        >
+          {draftTo > draftFrom && (
+            <span className="draft-block-label">
+              {addZonedMinutes(dayStart, draftFrom, tz).format("h:mm A")} -{" "}
+              {addZonedMinutes(dayStart, draftTo, tz).format("h:mm A")}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
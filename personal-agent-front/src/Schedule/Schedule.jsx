@@ -2,43 +2,60 @@
 // Module:    src/Schedule/Schedule.jsx
 // Author:    John Gibson
 // Created:   2025-04-21
-// Purpose:   React component to fetch and render today’s schedule:
-//            appointments, time blocks, approval workflow, and tour.
+// Purpose:   React component to fetch and render the schedule for a day
+//            or week: appointments, time blocks, approval workflow, and tour.
 // ------------------------------------------------------------------
 
 /**
  * @module Schedule
  * @description
- *   - Fetches today’s appointments and freedom blocks from the API.
- *   - Manages loading state, error handling, and approval actions.
+ *   - Fetches appointments and freedom blocks for the selected day or week.
+ *   - Day/week view and the selected date live in the URL (?view=&date=).
+ *   - Manages loading state, error handling, generation and approval actions.
+ *   - Polls notification delivery status for approved blocks in view.
+ *   - Offers to undo the last block edit or deletion.
+ *   - Opens the day's trash to restore or release excluded blocks.
  *   - Provides an interactive tour and calendar email setup UI.
  */
 
  // ─────────────── Dependencies ───────────────
- import React, { useState, useEffect, useRef } from "react";
+ import { useState, useEffect, useRef, useCallback } from "react";
+ import { useSearchParams } from "react-router-dom";
  import dayjs from "dayjs";
  import utc from "dayjs/plugin/utc";
  import timezone from "dayjs/plugin/timezone";
- import { fetchTodaySchedule } from "./scheduleAPI.js";
- import { getEventStyle } from "./eventStyle.js";
  import {
-   dayStart,
-   START_HOUR,
-   END_HOUR,
+   fetchTodaySchedule,
+   fetchScheduleRange,
+   generateScheduleRange,
+   approveScheduleRange,
+   fetchDeliveryStatus,
+ } from "./scheduleAPI.js";
+ import {
+   getDayStart,
+   getGridLines,
+   todayIn,
+   isDateParam,
+   shiftDate,
+   getWeekDates,
    MINUTES_PER_SLOT,
    ROW_HEIGHT_PX,
  } from "./scheduleConstants.js";
  import "./Schedule.css";
- import TimeBlock from "./TimeBlock.jsx";
+ import DayColumn from "./DayColumn.jsx";
  import BlockEditor from "./BlockEditor";
+ import { findNextBlock } from "./blockUtils.js";
+ import UndoToast from "./UndoToast";
+ import TrashPanel from "./TrashPanel";
  import axiosInstance from "../axiosInstance";
  import CalendarEmailManager from "../CalendarEmailManager";
  import TourGuide from "../TourGuide";
- 
+ import { useUser } from "../UserContext";
+
  // Extend dayjs with UTC and timezone support
  dayjs.extend(utc);
  dayjs.extend(timezone);
- 
+
   // ─────────────── Constants ───────────────
  /**
   * Spinner style for the "Approve All Blocks" button.
@@ -53,32 +70,43 @@
    display: "inline-block",
    marginRight: "0.5rem",
  };
- 
+
+ /**
+  * Width of each day column in the week view, in pixels.
+  */
+ const WEEK_COLUMN_WIDTH = 150;
+
+ /**
+  * Interval between delivery-status polls while notifications are in flight.
+  */
+ const DELIVERY_POLL_MS = 5000;
+
   // ─────────────── Utility Functions ───────────────
- 
+
  /**
   * Pause execution for a given number of milliseconds.
   * @param {number} ms  Milliseconds to delay.
   * @returns {Promise<void>}
   */
  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
- 
+
   // ─────────────── Component: Schedule ───────────────
- 
+
  /**
-  * Render today’s schedule view.
+  * Render the day or week schedule view.
   *
   * @component
   * @returns {JSX.Element} The schedule UI.
   */
  function Schedule() {
    // ─ State & Refs ─
-   const [appointments, setAppointments] = useState([]);
-   const [timeBlocks, setTimeBlocks] = useState([]);
+   const [days, setDays] = useState([]);
    const [loading, setLoading] = useState(true);
    const [error, setError] = useState("");
    const [editBlock, setEditBlock] = useState(null);
    const [isApproving, setIsApproving] = useState(false);
+   const [isGenerating, setIsGenerating] = useState(false);
+   const [deliveries, setDeliveries] = useState({});
    const [progressSteps, setProgressSteps] = useState([
      { label: "Account Created", done: true },
      { label: "Email Verified", done: false },
@@ -86,21 +114,46 @@
    // Separate “open accordion” from “run tour” for Joyride integration
    const [tourActive, setTourActive] = useState(false);
    const [accordionForTour, setAccordionForTour] = useState(false);
+   const [scheduleTz, setScheduleTz] = useState("");
+   const [undoChange, setUndoChange] = useState(null);
+   const [trashOpen, setTrashOpen] = useState(false);
    const scrollContainerRef = useRef(null);
- 
+   const { user } = useUser();
+   const [searchParams, setSearchParams] = useSearchParams();
+
+   // Render in the timezone the server reported, falling back to
+   // the profile value and finally the browser's own zone.
+   const tz = scheduleTz || user?.timezone || dayjs.tz.guess();
+
+   // ─ View Selection (from the URL) ─
+   const view = searchParams.get("view") === "week" ? "week" : "day";
+   const today = todayIn(tz);
+   const selectedDate = isDateParam(searchParams.get("date"))
+     ? searchParams.get("date")
+     : today;
+   const visibleDates = view === "week" ? getWeekDates(selectedDate) : [selectedDate];
+   const rangeStart = visibleDates[0];
+   const rangeEnd = visibleDates[visibleDates.length - 1];
+   // Today's day view keeps auto-regeneration; other views are read-only
+   // until the user asks to generate.
+   const isTodayView = view === "day" && selectedDate === today;
+
    // ─── Data Fetching ───
- 
+
    /**
-    * Load today’s schedule data from the API.
-    * Updates loading, error, progress steps, appointments, and time blocks.
+    * Load schedule data for the visible dates from the API.
+    * Updates loading, error, progress steps and per-day data.
     */
-   async function loadData() {
+   const loadData = useCallback(async () => {
      try {
        setLoading(true);
        setError("");
-       const data = await fetchTodaySchedule();
- 
+       const data = isTodayView
+         ? await fetchTodaySchedule()
+         : await fetchScheduleRange(rangeStart, rangeEnd);
+
        if (data.success) {
+         if (data.timezone) setScheduleTz(data.timezone);
          if (!data.verified) {
            // No calendar verified → update progress and show error
            setProgressSteps([
@@ -109,17 +162,20 @@
              { label: "Calendar Setup", done: false },
            ]);
            setError("No verified calendar emails found. Please verify or add an email.");
-           setAppointments([]);
-           setTimeBlocks([]);
+           setDays([]);
          } else {
            // Calendar is set up → mark steps and populate data
+           const loadedDays = data.days || [{
+             date: rangeStart,
+             appointments: data.appointments || [],
+             timeBlocks: data.timeBlocks || [],
+           }];
            setProgressSteps([
              { label: "Account Created", done: true },
              { label: "Email Verified", done: true },
-             { label: "Calendar Setup", done: (data.appointments?.length > 0) },
+             { label: "Calendar Setup", done: loadedDays.some(d => d.appointments.length > 0) },
            ]);
-           setAppointments(data.appointments || []);
-           setTimeBlocks(data.timeBlocks || []);
+           setDays(loadedDays);
          }
        } else {
          setError(data.message || "Failed to load schedule.");
@@ -130,36 +186,101 @@
      } finally {
        setLoading(false);
      }
-   }
- 
-   // Initial data fetch on mount
+   }, [isTodayView, rangeStart, rangeEnd]);
+
+   // Fetch whenever the visible range changes
    useEffect(() => {
      loadData();
-   }, []);
- 
+   }, [loadData]);
+
+   /**
+    * Refresh after a block changed, offering to undo it when the
+    * change can be undone.
+    *
+    * @param {{blockId: string, message: string}} [change]
+    */
+   const handleBlockChange = useCallback((change) => {
+     if (change) setUndoChange(change);
+     loadData();
+   }, [loadData]);
+
+   const dismissUndo = useCallback(() => setUndoChange(null), []);
+
+   /**
+    * Refresh after an undo and close the toast.
+    */
+   const handleUndone = useCallback(() => {
+     setUndoChange(null);
+     loadData();
+   }, [loadData]);
+
    // ─── Auto‑Scroll to Current Time ───
    useEffect(() => {
      if (!loading && scrollContainerRef.current) {
-       const now = dayjs().tz("America/Denver");
+       const now = dayjs().tz(tz);
        // Compute pixel offset so that current time is visible
-       const diffMinutes = Math.max(now.diff(dayStart, "minute"), 0);
+       const diffMinutes = Math.max(now.diff(getDayStart(tz), "minute"), 0);
        const offset = (diffMinutes / MINUTES_PER_SLOT) * ROW_HEIGHT_PX;
        scrollContainerRef.current.scrollTop = Math.max(offset - 10, 0);
      }
-   }, [loading]);
- 
-   // ─── Display Blocks Fallback ───
-   const displayTimeBlocks = error
+   }, [loading, tz]);
+
+   // ─── Display Data Fallback ───
+   const dayStart = getDayStart(tz, rangeStart);
+   const displayDays = error
      ? [
          {
-           _id: "dummy",
-           startTime: dayStart.toISOString(),
-           endTime: dayStart.add(30, "minute").toISOString(),
-           approved: false,
+           date: rangeStart,
+           appointments: [],
+           timeBlocks: [
+             {
+               _id: "dummy",
+               startTime: dayStart.toISOString(),
+               endTime: dayStart.add(30, "minute").toISOString(),
+               approved: false,
+             },
+           ],
          },
        ]
-     : timeBlocks;
- 
+     : days;
+   const dataFor = (date) =>
+     displayDays.find((d) => d.date === date) || { appointments: [], timeBlocks: [] };
+   const displayTimeBlocks = displayDays.flatMap((d) => d.timeBlocks);
+   const approvedIds = displayTimeBlocks
+     .filter((b) => b.approved && b._id !== "dummy")
+     .map((b) => b._id)
+     .join(",");
+
+   // ─── Delivery Status Polling ───
+   // Notifications are delivered in the background after approval; keep
+   // polling while any job for a visible block is still pending or running.
+   useEffect(() => {
+     if (!approvedIds) {
+       setDeliveries({});
+       return undefined;
+     }
+     let cancelled = false;
+     let timer;
+     async function poll() {
+       try {
+         const data = await fetchDeliveryStatus(approvedIds.split(","));
+         if (cancelled || !data.success) return;
+         setDeliveries(data.deliveries);
+         const inFlight = Object.values(data.deliveries)
+           .flat()
+           .some((job) => job.status === "pending" || job.status === "running");
+         if (inFlight) timer = setTimeout(poll, DELIVERY_POLL_MS);
+       } catch (err) {
+         console.error("Error loading delivery status:", err);
+       }
+     }
+     poll();
+     return () => {
+       cancelled = true;
+       clearTimeout(timer);
+     };
+   }, [approvedIds]);
+
    // ─── Tour Step Handler ───
    useEffect(() => {
      const onStep = (e) => {
@@ -170,9 +291,9 @@
      window.addEventListener("tourStepBefore", onStep);
      return () => window.removeEventListener("tourStepBefore", onStep);
    }, [displayTimeBlocks]);
- 
+
    // ─── Event Handlers ───
- 
+
    /**
     * Open the BlockEditor for a given time block.
     * @param {Object} block  The block to edit.
@@ -180,16 +301,41 @@
    function handleEditBlock(block) {
      setEditBlock(block);
    }
- 
+
+   /**
+    * Merge changes into the URL query, dropping empty values.
+    * @param {Object<string, string|null>} changes
+    */
+   function updateParams(changes) {
+     setSearchParams((prev) => {
+       const next = new URLSearchParams(prev);
+       Object.entries(changes).forEach(([key, value]) =>
+         value ? next.set(key, value) : next.delete(key)
+       );
+       return next;
+     });
+   }
+
    /**
-    * Approve all unapproved blocks via API.
+    * Step back or forward by one day (day view) or one week (week view).
+    * @param {number} direction  -1 for previous, 1 for next.
+    */
+   function handleStep(direction) {
+     const step = view === "week" ? 7 : 1;
+     updateParams({ date: shiftDate(selectedDate, direction * step) });
+   }
+
+   /**
+    * Approve all unapproved blocks in view via API.
     * Ensures button is shown for at least 3s to avoid flicker.
     */
    async function handleApproveAll() {
      setIsApproving(true);
      const start = Date.now();
      try {
-       const { data } = await axiosInstance.post("/api/freedom-blocks/approveAll");
+       const data = isTodayView
+         ? (await axiosInstance.post("/api/freedom-blocks/approveAll")).data
+         : await approveScheduleRange(rangeStart, rangeEnd);
        const elapsed = Date.now() - start;
        if (elapsed < 3000) {
          await delay(3000 - elapsed);
@@ -202,24 +348,62 @@
        setIsApproving(false);
      }
    }
- 
-   // ─── Grid Line Generation ───
-   const totalSlots = ((END_HOUR - START_HOUR) * 60) / MINUTES_PER_SLOT;
-   const containerHeight = totalSlots * ROW_HEIGHT_PX;
-   const gridLines = [];
-   let current = dayStart;
-   for (let i = 0; i <= totalSlots; i++) {
-     gridLines.push({
-       top: i * ROW_HEIGHT_PX,
-       label: current.format("h:mm A"),
-     });
-     current = current.add(MINUTES_PER_SLOT, "minute");
+
+   /**
+    * Generate (or regenerate) blocks for the visible dates.
+    */
+   async function handleGenerate() {
+     setIsGenerating(true);
+     try {
+       const data = await generateScheduleRange(rangeStart, rangeEnd);
+       data.success ? loadData() : alert("Error generating blocks: " + data.message);
+     } catch (err) {
+       alert("Network error generating blocks");
+       console.error("Generation error:", err);
+     } finally {
+       setIsGenerating(false);
+     }
    }
- 
+
+   // ─── Headings ───
+   const title = isTodayView
+     ? "Today's Schedule"
+     : view === "week"
+       ? `Week of ${dayjs(rangeStart).format("MMM D, YYYY")}`
+       : dayjs(selectedDate).format("dddd, MMM D, YYYY");
+   const gutter = getGridLines(tz, rangeStart);
+
    // ─── Render ───
    return (
      <div className="schedule-container">
-       <h2>Today's Schedule</h2>
+       <h2>{title}</h2>
+
+       <div className="schedule-toolbar">
+         <div className="schedule-view-toggle" role="group" aria-label="Schedule view">
+           <button
+             className={view === "day" ? "active" : undefined}
+             onClick={() => updateParams({ view: "day" })}
+           >
+             Day
+           </button>
+           <button
+             className={view === "week" ? "active" : undefined}
+             onClick={() => updateParams({ view: "week" })}
+           >
+             Week
+           </button>
+         </div>
+         <button onClick={() => handleStep(-1)} aria-label="Previous">‹</button>
+         <button onClick={() => updateParams({ date: null })}>Today</button>
+         <button onClick={() => handleStep(1)} aria-label="Next">›</button>
+         <input
+           type="date"
+           value={selectedDate}
+           onChange={(e) => isDateParam(e.target.value) && updateParams({ date: e.target.value })}
+           aria-label="Jump to date"
+         />
+       </div>
+
        {loading ? (
          <div>Loading schedule...</div>
        ) : (
@@ -229,12 +413,18 @@
                <p>{error}</p>
              </div>
            )}
- 
+
            <CalendarEmailManager
              onCalendarUpdate={loadData}
              forceOpen={accordionForTour}
            />
- 
+
+           {!isTodayView && !error && (
+             <button onClick={handleGenerate} disabled={isGenerating}>
+               {isGenerating ? "Generating..." : "Generate Blocks"}
+             </button>
+           )}
+
            {displayTimeBlocks.some((b) => !b.approved) && (
              <button
                data-tour="approve-timeblocks"
@@ -250,60 +440,87 @@
                )}
              </button>
            )}
- 
+
+           {view === "day" && !error && (
+             <button data-tour="open-trash" onClick={() => setTrashOpen(true)}>
+               Trash
+             </button>
+           )}
+
            <hr className="day-column-divider" />
- 
-           <div className="day-column-outer" ref={scrollContainerRef}>
-             <div className="day-column-inner" style={{ height: containerHeight }}>
-               {gridLines.map((line, idx) => (
-                 <div
-                   key={idx}
-                   className="schedule-grid-line"
-                   style={{ top: line.top }}
-                 >
-                   <span className="schedule-grid-line-label">{line.label}</span>
-                 </div>
-               ))}
- 
-               {appointments.map((appt, idx) => {
-                 const style = getEventStyle(
-                   appt.start?.dateTime,
-                   appt.end?.dateTime,
-                   true
-                 );
-                 return (
-                   <div
-                     key={idx}
-                     style={{
-                       ...style,
-                       backgroundColor: "rgba(255,150,150,0.7)",
-                       border: "1px solid rgba(255,100,100,0.7)",
-                     }}
+
+           {view === "day" ? (
+             <div className="day-column-outer" ref={scrollContainerRef}>
+               <DayColumn
+                 date={selectedDate}
+                 tz={tz}
+                 appointments={dataFor(selectedDate).appointments}
+                 timeBlocks={dataFor(selectedDate).timeBlocks}
+                 deliveries={deliveries}
+                 onUpdate={handleBlockChange}
+                 onEdit={handleEditBlock}
+               />
+             </div>
+           ) : (
+             <div className="week-grid-outer" ref={scrollContainerRef}>
+               <div className="week-grid-header">
+                 <div className="week-grid-gutter" />
+                 {visibleDates.map((date) => (
+                   <button
+                     key={date}
+                     className={`week-grid-day-label${date === today ? " today" : ""}`}
+                     style={{ width: WEEK_COLUMN_WIDTH }}
+                     onClick={() => updateParams({ view: "day", date })}
                    >
-                     <strong>{appt.summary || "Appointment"}</strong>
-                   </div>
-                 );
-               })}
- 
-               {displayTimeBlocks.map((block) => (
-                 <TimeBlock
-                   key={block._id}
-                   block={block}
-                   onUpdate={loadData}
-                   onEdit={handleEditBlock}
-                 />
-               ))}
- 
-               {editBlock && (
-                 <BlockEditor
-                   block={editBlock}
-                   onClose={() => setEditBlock(null)}
-                   onSaved={loadData}
-                 />
-               )}
+                     {dayjs(date).format("ddd D")}
+                   </button>
+                 ))}
+               </div>
+               <div className="week-grid-body">
+                 {/* Labels follow the first day; DST days in the week may
+                     run an hour longer or shorter than the gutter. */}
+                 <div className="week-grid-gutter" style={{ height: gutter.height }}>
+                   {gutter.lines.map((line, idx) => (
+                     <span
+                       key={idx}
+                       className="schedule-grid-line-label"
+                       style={{ top: line.top }}
+                     >
+                       {line.label}
+                     </span>
+                   ))}
+                 </div>
+                 {visibleDates.map((date) => (
+                   <DayColumn
+                     key={date}
+                     date={date}
+                     tz={tz}
+                     appointments={dataFor(date).appointments}
+                     timeBlocks={dataFor(date).timeBlocks}
+                     deliveries={deliveries}
+                     onUpdate={handleBlockChange}
+                     onEdit={handleEditBlock}
+                     showLabels={false}
+                     compactWidth={WEEK_COLUMN_WIDTH}
+                   />
+                 ))}
+               </div>
              </div>
-           </div>
- 
+           )}
+
+           {editBlock && (
+             <BlockEditor
+               block={editBlock}
+               nextBlock={findNextBlock(
+                 dataFor(dayjs(editBlock.startTime).tz(tz).format("YYYY-MM-DD")).timeBlocks,
+                 editBlock
+               )}
+               onClose={() => setEditBlock(null)}
+               onSaved={handleBlockChange}
+               tz={tz}
+             />
+           )}
+
            <TourGuide
              runTour={tourActive}
              startTour={() => {
@@ -318,7 +535,24 @@
            />
          </>
        )}
- 
+
+       {/* Shown outside the loading branch so they survive the refresh */}
+       {trashOpen && (
+         <TrashPanel
+           date={selectedDate}
+           tz={tz}
+           onChanged={loadData}
+           onClose={() => setTrashOpen(false)}
+         />
+       )}
+       {undoChange && (
+         <UndoToast
+           change={undoChange}
+           onUndone={handleUndone}
+           onDismiss={dismissUndo}
+         />
+       )}
+
        <style>{`
          @keyframes spin {
            0% { transform: rotate(0deg); }
@@ -328,6 +562,5 @@
      </div>
    );
  }
- 
+
  export default Schedule;
- 
\ No newline at end of file
@@ -9,7 +9,12 @@
  * @module TimeBlock
  * @description
  *   - Renders a calendar time block that can be dragged & resized on a 5‑minute grid.
- *   - Persists updates and deletions via scheduleAPI.
+ *   - Persists updates and deletions via scheduleAPI, reporting each
+ *     change so it can be undone.
+ *   - Shows the block's title and category, drawn in its color.
+ *   - Shows whether an approved block's notifications were delivered.
+ *   - Right-click opens a menu to split the block in half or merge it
+ *     with the next block.
  *   - Includes guided‑tour attributes for drag, resize, edit, and delete steps.
  */
 
@@ -20,9 +25,12 @@ import { Rnd } from "react-rnd";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
 import timezone from "dayjs/plugin/timezone";
-import { updateTimeBlock, deleteTimeBlock } from "./scheduleAPI";
+import { updateTimeBlock, deleteTimeBlock, splitTimeBlock, mergeTimeBlocks } from "./scheduleAPI";
+import { blockColor, findCategory, withAlpha } from "./blockCategories";
 import {
-  dayStart,
+  addZonedMinutes,
+  snapTo5Min,
+  pxToMinutes,
   MINUTES_PER_SLOT,
   ROW_HEIGHT_PX,
 } from "./scheduleConstants.js";
@@ -33,14 +41,26 @@ dayjs.extend(timezone);
 // ──────────── Utility Functions ────────────
 
 /**
- * Snap a raw minute value to the nearest 5‑minute increment.
- * Ensures all blocks align on 5‑minute boundaries.
+ * Indicator shown for each overall delivery state.
+ */
+const DELIVERY_BADGES = {
+  pending:   { symbol: "…", color: "#ffd54f", label: "Notifications pending" },
+  delivered: { symbol: "✓", color: "#7cfc00", label: "Notifications delivered" },
+  failed:    { symbol: "!", color: "#ff5252", label: "Notification delivery failed" },
+};
+
+/**
+ * Reduce a block's notification jobs to one delivery state.
+ * Any dead job means failed; otherwise any unfinished job means pending.
  *
- * @param {number} rawMinutes
- * @returns {number}
+ * @param {Array<{status: string}>} [jobs]
+ * @returns {"pending"|"delivered"|"failed"|null}  Null when nothing was queued.
  */
-function snapTo5MinOffset(rawMinutes) {
-  return Math.round(rawMinutes / 5) * 5;
+function summarizeDeliveries(jobs) {
+  if (!jobs?.length) return null;
+  if (jobs.some((job) => job.status === "dead")) return "failed";
+  if (jobs.some((job) => job.status !== "succeeded")) return "pending";
+  return "delivered";
 }
 
 // ──────────── Component: TimeBlock ────────────
@@ -50,15 +70,23 @@ function snapTo5MinOffset(rawMinutes) {
  * resized, edited, or deleted.
  *
  * @param {Object} props
- * @param {{ startTime: string, endTime: string, approved: boolean, _id: string }} props.block
- * @param {() => void} props.onUpdate   Callback after successful update/delete
+ * @param {{ startTime: string, endTime: string, approved: boolean, _id: string, seriesId?: string,
+ *           title?: string, category?: string, color?: string }} props.block
+ * @param {(change?: {blockId: string, message: string}) => void} props.onUpdate
+ *                                      Callback after a successful update/delete
  * @param {(block: Object) => void} props.onEdit   Callback to open edit mode
+ * @param {Object} [props.nextBlock]     The day's following block, for merging
+ * @param {Object[]} [props.deliveries]    Notification jobs queued for this block
+ * @param {string} props.tz                User's IANA timezone
+ * @param {dayjs.Dayjs} props.dayStart     Moment at the top of the grid
+ * @param {number} [props.left=100]        Horizontal offset inside the day column (px)
+ * @param {number} [props.width=275]       Block width (px)
  */
-function TimeBlock({ block, onUpdate, onEdit }) {
+function TimeBlock({ block, nextBlock, onUpdate, onEdit, deliveries, tz, dayStart, left = 100, width = 275 }) {
   // ─────────── Initialization ───────────
-  // Convert ISO strings into local dayjs instances for Denver timezone.
-  const start = dayjs.utc(block.startTime).tz("America/Denver");
-  const end   = dayjs.utc(block.endTime).tz("America/Denver");
+  // Convert ISO strings into dayjs instances in the user's timezone.
+  const start = dayjs.utc(block.startTime).tz(tz);
+  const end   = dayjs.utc(block.endTime).tz(tz);
 
   // Clamp start at dayStart to avoid negative offsets before grid positioning.
   const effectiveStart     = start.isBefore(dayStart) ? dayStart : start;
@@ -70,17 +98,23 @@ function TimeBlock({ block, onUpdate, onEdit }) {
 
   // ───────────── State & Styles ─────────────
   // Manage drag/resize position and display hover label.
-  const [position, setPosition] = useState({ x: 100, y: topPx });
-  const [size,     setSize]     = useState({ width: 275, height: heightPx });
+  const [position, setPosition] = useState({ x: left, y: topPx });
+  const [size,     setSize]     = useState({ width, height: heightPx });
   const [hoverTime, setHoverTime] = useState("");
+  const [menuOpen,  setMenuOpen]  = useState(false);
+
+  // Visual style varies based on the block's color and approval status.
+  const color   = blockColor(block);
+  const bgColor = withAlpha(color, block.approved ? 0.7 : 0.2);
+  const border  = block.approved ? "none" : `2px solid ${color}`;
 
-  // Visual style varies based on approval status.
-  const bgColor = block.approved
-    ? "rgba(0, 200, 255, 0.7)"
-    : "rgba(0, 200, 255, 0.2)";
-  const border = block.approved ? "none" : "2px solid cyan";
+  const blockLabel    = `${start.format("h:mm A")} - ${end.format("h:mm A")}`;
+  const categoryLabel = findCategory(block.category)?.label;
 
-  const blockLabel = `${start.format("h:mm A")} - ${end.format("h:mm A")}`;
+  const deliveryState = summarizeDeliveries(deliveries);
+  const deliveryBadge = deliveryState && DELIVERY_BADGES[deliveryState];
+  const deliveryTitle = deliveryBadge
+    && [deliveryBadge.label, ...deliveries.map((job) => `${job.integration}: ${job.status}`)].join("\n");
 
   // ─────────── Helper: Grid Alignment ───────────
 
@@ -92,9 +126,7 @@ function TimeBlock({ block, onUpdate, onEdit }) {
    * @returns {dayjs.Dayjs}
    */
   function getSnappedStartTime(yPx) {
-    const rawMinutes = (yPx / ROW_HEIGHT_PX) * MINUTES_PER_SLOT;
-    const snapped    = snapTo5MinOffset(rawMinutes);
-    return dayStart.add(snapped, "minute");
+    return addZonedMinutes(dayStart, snapTo5Min(pxToMinutes(yPx)), tz);
   }
 
   // ─────────── Handlers: Drag ───────────
@@ -103,14 +135,14 @@ function TimeBlock({ block, onUpdate, onEdit }) {
     // Show live preview of new time range during drag.
     const newStart    = getSnappedStartTime(d.y);
     const oldDuration = end.diff(start, "minute");
-    const newEnd      = newStart.add(oldDuration, "minute");
+    const newEnd      = addZonedMinutes(newStart, oldDuration, tz);
     setHoverTime(`${newStart.format("h:mm A")} - ${newEnd.format("h:mm A")}`);
   }
 
   async function handleDragStop(e, d) {
     const newStart    = getSnappedStartTime(d.y);
     const oldDuration = end.diff(start, "minute");
-    const newEnd      = newStart.add(oldDuration, "minute");
+    const newEnd      = addZonedMinutes(newStart, oldDuration, tz);
 
     try {
       const resp = await updateTimeBlock(
@@ -120,12 +152,12 @@ function TimeBlock({ block, onUpdate, onEdit }) {
       );
       if (!resp.success) {
         alert("Error: " + resp.message);
-        setPosition({ x: 100, y: topPx });  // revert on failure
+        setPosition({ x: left, y: topPx });  // revert on failure
       } else {
-        onUpdate();  // notify parent to refresh
+        onUpdate({ blockId: block._id, message: "Block moved." });  // notify parent to refresh
       }
     } catch {
-      setPosition({ x: 100, y: topPx });  // revert on exception
+      setPosition({ x: left, y: topPx });  // revert on exception
     } finally {
       setHoverTime("");
     }
@@ -137,18 +169,16 @@ function TimeBlock({ block, onUpdate, onEdit }) {
     // Show live preview of new time range during resize.
     const newHeightPx  = parseFloat(ref.style.height);
     const newStart     = getSnappedStartTime(pos.y);
-    const rawDuration  = (newHeightPx / ROW_HEIGHT_PX) * MINUTES_PER_SLOT;
-    const snappedDur   = snapTo5MinOffset(rawDuration);
-    const newEnd       = newStart.add(snappedDur, "minute");
+    const snappedDur   = snapTo5Min(pxToMinutes(newHeightPx));
+    const newEnd       = addZonedMinutes(newStart, snappedDur, tz);
     setHoverTime(`${newStart.format("h:mm A")} - ${newEnd.format("h:mm A")}`);
   }
 
   async function handleResizeStop(e, direction, ref, delta, pos) {
     const newHeightPx  = parseFloat(ref.style.height);
     const newStart     = getSnappedStartTime(pos.y);
-    const rawDuration  = (newHeightPx / ROW_HEIGHT_PX) * MINUTES_PER_SLOT;
-    const snappedDur   = snapTo5MinOffset(rawDuration);
-    const newEnd       = newStart.add(snappedDur, "minute");
+    const snappedDur   = snapTo5Min(pxToMinutes(newHeightPx));
+    const newEnd       = addZonedMinutes(newStart, snappedDur, tz);
 
     try {
       const resp = await updateTimeBlock(
@@ -158,14 +188,14 @@ function TimeBlock({ block, onUpdate, onEdit }) {
       );
       if (!resp.success) {
         alert("Error: " + resp.message);
-        setPosition({ x: 100, y: topPx });
-        setSize({ width: 275, height: heightPx });
+        setPosition({ x: left, y: topPx });
+        setSize({ width, height: heightPx });
       } else {
-        onUpdate();
+        onUpdate({ blockId: block._id, message: "Block resized." });
       }
     } catch {
-      setPosition({ x: 100, y: topPx });
-      setSize({ width: 275, height: heightPx });
+      setPosition({ x: left, y: topPx });
+      setSize({ width, height: heightPx });
     } finally {
       setHoverTime("");
     }
@@ -182,13 +212,44 @@ function TimeBlock({ block, onUpdate, onEdit }) {
       if (!resp.success) {
         alert("Error deleting block: " + resp.message);
       } else {
-        onUpdate();
+        onUpdate({ blockId: block._id, message: "Block deleted." });
       }
     } catch {
       alert("Network error deleting block");
     }
   }
 
+  // ─────────── Handlers: Split & Merge ───────────
+
+  /**
+   * Run a split or merge request from the context menu, then refresh.
+   * Neither change is offered for undo: it touches more than one block.
+   *
+   * @param {() => Promise<Object>} action
+   */
+  async function runMenuAction(action) {
+    setMenuOpen(false);
+    try {
+      const resp = await action();
+      if (!resp.success) {
+        alert("Error: " + resp.message);
+      } else {
+        onUpdate();
+      }
+    } catch (err) {
+      alert("Error: " + (err.response?.data?.message || err.message));
+    }
+  }
+
+  function handleSplitInHalf() {
+    const middle = addZonedMinutes(start, snapTo5Min(durationMinutes / 2), tz);
+    return runMenuAction(() => splitTimeBlock(block._id, middle.toISOString()));
+  }
+
+  function handleMergeWithNext() {
+    return runMenuAction(() => mergeTimeBlocks([block._id, nextBlock._id]));
+  }
+
   // ──────────── Render ────────────
 
   return (
@@ -219,6 +280,10 @@ function TimeBlock({ block, onUpdate, onEdit }) {
         onResize={handleResize}
         onResizeStop={handleResizeStop}
         enableResizing={{ top: false, right: false, bottom: true, left: false }}
+        onContextMenu={(e) => {
+          e.preventDefault();
+          setMenuOpen(true);
+        }}
         style={{
           backgroundColor: bgColor,
           border,
@@ -238,11 +303,14 @@ function TimeBlock({ block, onUpdate, onEdit }) {
             height: "calc(100% - 20px)",
             cursor: "move",
             display: "flex",
+            flexDirection: "column",
             alignItems: "center",
             justifyContent: "center"
           }}
         >
-          <strong>{blockLabel}</strong>
+          {block.title && <strong>{block.title}</strong>}
+          {block.title ? <span style={{ fontSize: "0.8rem" }}>{blockLabel}</span> : <strong>{blockLabel}</strong>}
+          {categoryLabel && <span style={{ fontSize: "0.7rem", opacity: 0.8 }}>{categoryLabel}</span>}
         </div>
 
         {/* DELETE BUTTON */}
@@ -279,14 +347,68 @@ function TimeBlock({ block, onUpdate, onEdit }) {
         >
           Edit
         </div>
+
+        {/* RECURRING MARKER */}
+        {block.seriesId && (
+          <div
+            title={block.seriesOverride ? "Recurring block, edited on this day" : "Recurring block"}
+            aria-label="Recurring block"
+            style={{
+              position: "absolute",
+              top: 2,
+              left: 4,
+              fontSize: "0.8rem",
+              color: "cyan"
+            }}
+          >
+            ↻
+          </div>
+        )}
+
+        {/* DELIVERY STATUS */}
+        {deliveryBadge && (
+          <div
+            title={deliveryTitle}
+            aria-label={deliveryBadge.label}
+            style={{
+              position: "absolute",
+              bottom: 2,
+              left: 4,
+              fontWeight: "bold",
+              fontSize: "0.8rem",
+              color: deliveryBadge.color
+            }}
+          >
+            {deliveryBadge.symbol}
+          </div>
+        )}
       </Rnd>
 
+      {/* Context menu: split or merge */}
+      {menuOpen && (
+        <div
+          role="menu"
+          className="timeblock-menu"
+          style={{ left: position.x + size.width + 10, top: position.y }}
+        >
+          <button type="button" role="menuitem" onClick={handleSplitInHalf} disabled={durationMinutes < 10}>
+            Split in half
+          </button>
+          <button type="button" role="menuitem" onClick={handleMergeWithNext} disabled={!nextBlock}>
+            Merge with next
+          </button>
+          <button type="button" role="menuitem" onClick={() => setMenuOpen(false)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
       {/* Hover label showing live preview of new times */}
       {hoverTime && (
         <div
           style={{
             position: "absolute",
-            left: position.x + 310,
+            left: position.x + size.width + 10,
             top: position.y,
             background: "#222",
             color: "#fff",
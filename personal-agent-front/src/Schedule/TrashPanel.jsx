@@ -0,0 +1,160 @@
+// ------------------------------------------------------------------
+// Module:    src/Schedule/TrashPanel.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Modal listing a day's excluded blocks, with restore and
+//            release actions.
+// ------------------------------------------------------------------
+
+/**
+ * @module TrashPanel
+ * @description
+ *   - Lists the day's deleted blocks and the leftovers of shortened ones.
+ *   - Restores a block whose slot is still free.
+ *   - Releases one or all excluded slots so suggestions can fill them.
+ */
+
+// ─────────────── Dependencies ───────────────
+import { useState, useEffect, useCallback } from "react";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { fetchTrash, restoreBlock, releaseTrash } from "./scheduleAPI";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ─────────────── Utility Functions ───────────────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────────────── Component ───────────────
+
+/**
+ * Trash for one day.
+ *
+ * @param {Object}     props
+ * @param {string}     props.date       Local date "YYYY-MM-DD".
+ * @param {string}     props.tz         User's IANA timezone.
+ * @param {function()} props.onChanged  Called after blocks are restored or released.
+ * @param {function()} props.onClose    Called when the panel is closed.
+ * @returns {JSX.Element}
+ */
+export default function TrashPanel({ date, tz, onChanged, onClose }) {
+  const [blocks, setBlocks]   = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy]       = useState(false);
+  const [status, setStatus]   = useState("");
+
+  // ─────── Data ───────
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setBlocks(await fetchTrash(date));
+    } catch (err) {
+      setStatus(`Could not load the trash: ${errorMessage(err)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [date]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Run a trash action, then refresh the list and the schedule.
+   *
+   * @param {function(): Promise<Object>} action
+   * @param {string} failure  Status prefix when the action fails.
+   */
+  async function run(action, failure) {
+    setBusy(true);
+    setStatus("");
+    try {
+      const resp = await action();
+      if (resp.message && resp.success) setStatus(resp.message);
+      await load();
+      onChanged();
+    } catch (err) {
+      setStatus(`${failure}: ${errorMessage(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ─────── Render ───────
+  const timeRange = (blk) =>
+    `${dayjs(blk.startTime).tz(tz).format("h:mm A")} - ${dayjs(blk.endTime).tz(tz).format("h:mm A")}`;
+
+  return (
+    <div className="trash-overlay" onClick={onClose}>
+      <div className="trash-panel" onClick={(e) => e.stopPropagation()} data-tour="trash-panel">
+        <h3>Trash for {dayjs(date).format("ddd, MMM D")}</h3>
+        <p className="trash-hint">
+          Deleted blocks keep their slot free of suggestions. Restore a block,
+          or release its slot so new suggestions can be generated there.
+        </p>
+
+        {loading ? (
+          <p>Loading…</p>
+        ) : blocks.length === 0 ? (
+          <p>Nothing in the trash for this day.</p>
+        ) : (
+          <ul className="trash-list">
+            {blocks.map((blk) => (
+              <li key={blk._id}>
+                <span>
+                  <strong>{timeRange(blk)}</strong>
+                  {blk.title && ` ${blk.title}`}
+                </span>
+                <span>
+                  <button
+                    type="button"
+                    onClick={() => run(() => restoreBlock(blk._id), "Restore failed")}
+                    disabled={busy || !blk.restorable}
+                    title={blk.restorable ? "Put the block back" : "Another block now uses this time"}
+                  >
+                    Restore
+                  </button>{" "}
+                  <button
+                    type="button"
+                    onClick={() => run(() => releaseTrash(date, [blk._id]), "Release failed")}
+                    disabled={busy}
+                  >
+                    Release
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {status && <p className="trash-status">{status}</p>}
+
+        <div className="trash-actions">
+          {blocks.length > 0 && (
+            <button
+              type="button"
+              onClick={() => run(() => releaseTrash(date), "Release failed")}
+              disabled={busy}
+            >
+              Release all to suggestions
+            </button>
+          )}
+          <button type="button" onClick={onClose} disabled={busy}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
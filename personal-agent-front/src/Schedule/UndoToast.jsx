@@ -0,0 +1,78 @@
+// ------------------------------------------------------------------
+// Module:    src/Schedule/UndoToast.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Toast offering to undo the last block edit or deletion.
+// ------------------------------------------------------------------
+
+/**
+ * @module UndoToast
+ * @description
+ *   - Shows what just changed with an Undo button.
+ *   - Dismisses itself after UNDO_TOAST_MS, or when closed.
+ */
+
+// ─────────────── Dependencies ───────────────
+import { useState, useEffect } from "react";
+import { undoBlockChange } from "./scheduleAPI";
+
+// ─────────────── Constants ───────────────
+
+/** How long the toast stays up, in milliseconds. */
+const UNDO_TOAST_MS = 10000;
+
+// ─────────────── Component ───────────────
+
+/**
+ * Undo toast for one change.
+ *
+ * @param {Object}   props
+ * @param {{blockId: string, message: string}} props.change  The change to offer undoing.
+ * @param {function()} props.onUndone   Called after a successful undo.
+ * @param {function()} props.onDismiss  Called when the toast closes.
+ * @returns {JSX.Element}
+ */
+export default function UndoToast({ change, onUndone, onDismiss }) {
+  const [isUndoing, setIsUndoing] = useState(false);
+  const [error, setError]         = useState("");
+
+  // Restart the timer for each new change.
+  useEffect(() => {
+    setError("");
+    const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [change, onDismiss]);
+
+  /**
+   * Undo the change, keeping the toast open with the reason if refused.
+   */
+  async function handleUndo() {
+    setIsUndoing(true);
+    try {
+      const resp = await undoBlockChange(change.blockId);
+      if (!resp.success) {
+        setError(resp.message);
+      } else {
+        onUndone();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setIsUndoing(false);
+    }
+  }
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{error || change.message}</span>
+      {!error && (
+        <button type="button" onClick={handleUndo} disabled={isUndoing}>
+          {isUndoing ? "Undoing..." : "Undo"}
+        </button>
+      )}
+      <button type="button" className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
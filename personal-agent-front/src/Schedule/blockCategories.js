@@ -0,0 +1,60 @@
+// ------------------------------------------------------------------
+// Module:    src/Schedule/blockCategories.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Block categories and the colors blocks are drawn in.
+// ------------------------------------------------------------------
+
+/**
+ * @module blockCategories
+ * @description
+ *   - Lists the categories a block may belong to, matching the server.
+ *   - Resolves a block's color: its own color, else its category's,
+ *     else the default cyan.
+ */
+
+// ─────────────── Constants ───────────────
+
+/** Categories a block may belong to, with their default colors. */
+export const BLOCK_CATEGORIES = [
+  { value: "deep-work", label: "Deep work", color: "#7e57c2" },
+  { value: "admin",     label: "Admin",     color: "#ffa726" },
+  { value: "learning",  label: "Learning",  color: "#66bb6a" },
+];
+
+/** Color of blocks without a color or category. */
+export const DEFAULT_BLOCK_COLOR = "#00c8ff";
+
+// ─────────────── Public API ───────────────
+
+/**
+ * Look up a category by value.
+ *
+ * @param {?string} value
+ * @returns {{value: string, label: string, color: string}|undefined}
+ */
+export function findCategory(value) {
+  return BLOCK_CATEGORIES.find((category) => category.value === value);
+}
+
+/**
+ * A block's color as "#rrggbb".
+ *
+ * @param {{color?: ?string, category?: ?string}} block
+ * @returns {string}
+ */
+export function blockColor(block) {
+  return block.color || findCategory(block.category)?.color || DEFAULT_BLOCK_COLOR;
+}
+
+/**
+ * Convert "#rrggbb" to an rgba() string.
+ *
+ * @param {string} hex
+ * @param {number} alpha - 0–1.
+ * @returns {string}
+ */
+export function withAlpha(hex, alpha) {
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return `rgba(${rgb.join(", ")}, ${alpha})`;
+}
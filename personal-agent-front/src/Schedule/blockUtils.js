@@ -0,0 +1,32 @@
+// ------------------------------------------------------------------
+// Module:    src/Schedule/blockUtils.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Helpers for finding blocks relative to one another.
+// ------------------------------------------------------------------
+
+/**
+ * @module blockUtils
+ * @description
+ *   - Finds the block that follows another on the same day, the one a
+ *     "merge with next" action combines it with.
+ */
+
+// ─────────────── Public API ───────────────
+
+/**
+ * The earliest block starting at or after `block` ends.
+ *
+ * @param {Object[]} blocks  A day's blocks.
+ * @param {{_id: string, endTime: string}} block
+ * @returns {Object|undefined}
+ */
+export function findNextBlock(blocks, block) {
+  const end = new Date(block.endTime).valueOf();
+  return blocks
+    .filter((other) => other._id !== block._id && new Date(other.startTime).valueOf() >= end)
+    .reduce(
+      (next, other) => (!next || new Date(other.startTime) < new Date(next.startTime) ? other : next),
+      undefined
+    );
+}
@@ -9,8 +9,8 @@
  * @module src/Schedule/eventStyle.js
  * @description
  *   Provides a function to calculate CSS style for positioning and sizing an
- *   event element in a daily schedule grid, based on its start/end ISO timestamps
- *   and approval status.
+ *   event element in a daily schedule grid, based on its start/end ISO timestamps,
+ *   approval status, and the user’s timezone.
  */
 
 // ─────────────── Dependencies ───────────────
@@ -19,9 +19,6 @@ import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
 import timezone from "dayjs/plugin/timezone";
 import {
-  dayStart,
-  START_HOUR,
-  END_HOUR,
   MINUTES_PER_SLOT,
   ROW_HEIGHT_PX
 } from "./scheduleConstants.js";
@@ -38,12 +35,17 @@ dayjs.extend(timezone);
  * @param {string} startISO - Event start time as an ISO string.
  * @param {string} endISO - Event end time as an ISO string.
  * @param {boolean} [isBlockApproved=false] - Whether the event block is approved.
+ * @param {object} grid - Grid reference for the rendered day.
+ * @param {string} grid.tz - User's IANA timezone.
+ * @param {dayjs.Dayjs} grid.dayStart - Moment at the top of the grid.
+ * @param {number} [grid.left=100] - Horizontal offset inside the day column (px).
+ * @param {number} [grid.width=200] - Event width (px).
  * @returns {object} CSS style properties for positioning the event.
  */
-export function getEventStyle(startISO, endISO, isBlockApproved = false) {
-  // Parse ISO timestamps as UTC then convert to America/Denver timezone.
-  const start = dayjs.utc(startISO).tz("America/Denver");
-  const end = dayjs.utc(endISO).tz("America/Denver");
+export function getEventStyle(startISO, endISO, isBlockApproved = false, { tz, dayStart, left = 100, width = 200 }) {
+  // Parse ISO timestamps as UTC then convert to the user's timezone.
+  const start = dayjs.utc(startISO).tz(tz);
+  const end = dayjs.utc(endISO).tz(tz);
 
   // Clamp events that start before the beginning of the day.
   const effectiveStart = start.isBefore(dayStart) ? dayStart : start;
@@ -70,8 +72,8 @@ export function getEventStyle(startISO, endISO, isBlockApproved = false) {
   return {
     position: "absolute",
     top: `${top}px`,
-    left: "100px",
-    width: "200px",
+    left: `${left}px`,
+    width: `${width}px`,
     height: `${safeHeight}px`,
     backgroundColor: bgColor,
     border: borderStyle,
@@ -10,7 +10,12 @@
  * @description
  *   Provides functions to:
  *     - Fetch today's schedule (appointments + time blocks).
- *     - Update, delete, and trigger alarms or TaskMagic for time blocks.
+ *     - Fetch, generate and approve blocks for a date range.
+ *     - Poll delivery status of approval notifications per block.
+ *     - Create, update, delete, and trigger alarms or TaskMagic for time blocks.
+ *     - Edit a recurring block series as a whole.
+ *     - Undo a block's latest edit or deletion.
+ *     - List a day's excluded blocks, restore them, or release their slots.
  */
 
 // ───── Dependencies ─────────────────────────────────────────────────────────
@@ -37,6 +42,88 @@ export async function fetchTodaySchedule() {
   }
 }
 
+/**
+ * Fetch appointments and time blocks for each day in a date range.
+ *
+ * @async
+ * @function fetchScheduleRange
+ * @param {string} start       First date ("YYYY-MM-DD").
+ * @param {string} end         Last date, inclusive ("YYYY-MM-DD").
+ * @returns {Promise<Object>}  Response data with `timezone` and `days`.
+ * @throws {Error}             If the HTTP request fails with a status code or message.
+ */
+export async function fetchScheduleRange(start, end) {
+  try {
+    const { data } = await axiosInstance.get("/api/freedom-blocks/range", {
+      params: { start, end }
+    });
+    return data;
+  } catch (error) {
+    throw new Error(`HTTP error: ${error.response?.status || error.message}`);
+  }
+}
+
+/**
+ * Generate (or regenerate) blocks for each day in a date range.
+ *
+ * @async
+ * @function generateScheduleRange
+ * @param {string} start       First date ("YYYY-MM-DD").
+ * @param {string} end         Last date, inclusive ("YYYY-MM-DD").
+ * @returns {Promise<Object>}  Response data with generated `days`.
+ */
+export async function generateScheduleRange(start, end) {
+  const { data } = await axiosInstance.post("/api/freedom-blocks/range", { start, end });
+  return data;
+}
+
+/**
+ * Approve pending blocks for each day in a date range.
+ *
+ * @async
+ * @function approveScheduleRange
+ * @param {string} start       First date ("YYYY-MM-DD").
+ * @param {string} end         Last date, inclusive ("YYYY-MM-DD").
+ * @returns {Promise<Object>}  Response data with per-day approval counts.
+ */
+export async function approveScheduleRange(start, end) {
+  const { data } = await axiosInstance.post("/api/freedom-blocks/range/approve", { start, end });
+  return data;
+}
+
+/**
+ * Fetch the delivery status of queued approval notifications.
+ *
+ * @async
+ * @function fetchDeliveryStatus
+ * @param {string[]} blockIds  IDs of approved blocks.
+ * @returns {Promise<Object>}  Response data with `deliveries` keyed by block ID.
+ */
+export async function fetchDeliveryStatus(blockIds) {
+  const { data } = await axiosInstance.get("/api/freedom-blocks/deliveries", {
+    params: { blockIds: blockIds.join(",") }
+  });
+  return data;
+}
+
+/**
+ * Create a manual time block. The server snaps both times to 5 minutes
+ * and rejects overlaps with existing blocks.
+ *
+ * @async
+ * @function createTimeBlock
+ * @param {string} startTime   ISO string for the start time.
+ * @param {string} endTime     ISO string for the end time.
+ * @returns {Promise<Object>}  The response data with the created block.
+ */
+export async function createTimeBlock(startTime, endTime) {
+  const { data } = await axiosInstance.post(
+    "/api/freedom-blocks/manual",
+    { startTime, endTime }
+  );
+  return data;
+}
+
 /**
  * Update a specific time block by ID.
  *
@@ -45,12 +132,31 @@ export async function fetchTodaySchedule() {
  * @param {string} id          The ID of the time block to update.
  * @param {string} startTime   ISO string for the new start time.
  * @param {string} endTime     ISO string for the new end time.
+ * @param {Object} [details]   Optional title, color, category, goal and tasks to save.
  * @returns {Promise<Object>}  The updated time block data.
  */
-export async function updateTimeBlock(id, startTime, endTime) {
+export async function updateTimeBlock(id, startTime, endTime, details = {}) {
   const { data } = await axiosInstance.put(
     `/api/freedom-blocks/${id}`,
-    { startTime, endTime }
+    { startTime, endTime, ...details }
+  );
+  return data;
+}
+
+/**
+ * Update every upcoming occurrence of a recurring block series.
+ *
+ * @async
+ * @function updateBlockSeries
+ * @param {string} seriesId   The ID of the series.
+ * @param {Object} changes    Local { startTime, endTime } as "HH:mm", rrule, title, color
+ *                            and/or category.
+ * @returns {Promise<Object>} The response data with the updated series.
+ */
+export async function updateBlockSeries(seriesId, changes) {
+  const { data } = await axiosInstance.put(
+    `/api/freedom-blocks/series/${seriesId}`,
+    changes
   );
   return data;
 }
@@ -68,6 +174,96 @@ export async function deleteTimeBlock(id) {
   return data;
 }
 
+/**
+ * Split a block in two, optionally leaving a break between the parts.
+ *
+ * @async
+ * @function splitTimeBlock
+ * @param {string} id              The ID of the block to split.
+ * @param {string} at              ISO time where the first part ends.
+ * @param {number} [gapMinutes=0]  Break before the second part starts.
+ * @returns {Promise<Object>}      The response data with both parts.
+ */
+export async function splitTimeBlock(id, at, gapMinutes = 0) {
+  const { data } = await axiosInstance.post(`/api/freedom-blocks/${id}/split`, {
+    at,
+    gapMinutes
+  });
+  return data;
+}
+
+/**
+ * Merge blocks on the same day into one spanning them all.
+ *
+ * @async
+ * @function mergeTimeBlocks
+ * @param {string[]} blockIds  The IDs of the blocks to merge.
+ * @returns {Promise<Object>}  The response data with the merged block.
+ */
+export async function mergeTimeBlocks(blockIds) {
+  const { data } = await axiosInstance.post("/api/freedom-blocks/merge", { blockIds });
+  return data;
+}
+
+/**
+ * Undo a block's latest edit or deletion.
+ *
+ * @async
+ * @function undoBlockChange
+ * @param {string} id         The ID of the changed block.
+ * @returns {Promise<Object>} The response data with the restored block.
+ */
+export async function undoBlockChange(id) {
+  const { data } = await axiosInstance.post(`/api/freedom-blocks/${id}/undo`);
+  return data;
+}
+
+/**
+ * Fetch a day's excluded (deleted) blocks.
+ *
+ * @async
+ * @function fetchTrash
+ * @param {string} date        Local date "YYYY-MM-DD".
+ * @returns {Promise<Object[]>} Excluded blocks, each with a `restorable` flag.
+ */
+export async function fetchTrash(date) {
+  const { data } = await axiosInstance.get("/api/freedom-blocks/trash", {
+    params: { date }
+  });
+  return data.blocks;
+}
+
+/**
+ * Restore an excluded block to the schedule.
+ *
+ * @async
+ * @function restoreBlock
+ * @param {string} id         The ID of the excluded block.
+ * @returns {Promise<Object>} The response data with the restored block.
+ */
+export async function restoreBlock(id) {
+  const { data } = await axiosInstance.post(`/api/freedom-blocks/${id}/restore`);
+  return data;
+}
+
+/**
+ * Remove a day's excluded blocks for good so their slots can be
+ * suggested again.
+ *
+ * @async
+ * @function releaseTrash
+ * @param {string} date         Local date "YYYY-MM-DD".
+ * @param {string[]} [blockIds] Blocks to release; all of the day's when omitted.
+ * @returns {Promise<Object>}   The response data with the day's blocks.
+ */
+export async function releaseTrash(date, blockIds) {
+  const { data } = await axiosInstance.post("/api/freedom-blocks/trash/release", {
+    date,
+    ...(blockIds && { blockIds })
+  });
+  return data;
+}
+
 /**
  * Trigger a phone alarm for a given block.
  *
@@ -13,12 +13,21 @@
  *     - START_HOUR, END_HOUR define the visible time span (in hours).
  *     - MINUTES_PER_SLOT controls the duration of each row (in minutes).
  *     - ROW_HEIGHT_PX sets the pixel height of each time slot row.
- *     - dayStart is the dayjs reference moment marking the schedule’s top.
+ *     - getDayStart / getDayEnd give the reference moments marking the
+ *       schedule’s top and bottom in the user’s timezone.
+ *     - addZonedMinutes moves along the grid without DST drift.
+ *     - snapTo5Min / pxToMinutes convert grid pixels to 5-minute steps.
+ *     - Date helpers pick the days shown by the day and week views.
  */
 
 // ─────────────── Dependencies ───────────────
 
 import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 // ─────────────── Constants ───────────────
 
@@ -46,14 +55,151 @@ export const MINUTES_PER_SLOT = 15;
  */
 export const ROW_HEIGHT_PX = 30;
 
-// ─────────────── Reference Moment ───────────────
+/**
+ * First day of the week view (0 = Sunday, 1 = Monday).
+ */
+export const WEEK_START_DAY = 1;
+
+// ─────────────── Reference Moments ───────────────
+
+/**
+ * Format an hour as a zero-padded "HH:00" string.
+ *
+ * @param {number} hour
+ * @returns {string}
+ */
+function hourLabel(hour) {
+  return `${String(hour).padStart(2, "0")}:00`;
+}
+
+/**
+ * Today’s date ("YYYY-MM-DD") in the given timezone.
+ *
+ * @param {string} tz  IANA timezone.
+ * @returns {string}
+ */
+export function todayIn(tz) {
+  return dayjs().tz(tz).format("YYYY-MM-DD");
+}
+
+/**
+ * A dayjs object representing the start of a day’s schedule.
+ * Set to START_HOUR:00 on `date` in the user’s timezone.
+ *
+ * @param {string} tz                 IANA timezone.
+ * @param {string} [date=todayIn(tz)] Local date as "YYYY-MM-DD".
+ * @returns {dayjs.Dayjs}
+ */
+export function getDayStart(tz, date = todayIn(tz)) {
+  return dayjs.tz(`${date} ${hourLabel(START_HOUR)}`, tz);
+}
+
+/**
+ * A dayjs object representing the end of a day’s schedule.
+ * END_HOUR 24 resolves to the next day’s midnight, so DST days
+ * are 23 or 25 hours long.
+ *
+ * @param {string} tz                 IANA timezone.
+ * @param {string} [date=todayIn(tz)] Local date as "YYYY-MM-DD".
+ * @returns {dayjs.Dayjs}
+ */
+export function getDayEnd(tz, date = todayIn(tz)) {
+  const endDate = END_HOUR >= 24
+    ? dayjs(date).add(1, "day").format("YYYY-MM-DD")
+    : date;
+  return dayjs.tz(`${endDate} ${hourLabel(END_HOUR % 24)}`, tz);
+}
+
+/**
+ * Add minutes on the absolute timeline and re-apply the timezone.
+ * dayjs’ `add()` keeps the old UTC offset, which mislabels times
+ * after a DST transition.
+ *
+ * @param {dayjs.Dayjs} moment
+ * @param {number} minutes
+ * @param {string} tz
+ * @returns {dayjs.Dayjs}
+ */
+export function addZonedMinutes(moment, minutes, tz) {
+  return dayjs(moment.valueOf() + minutes * 60 * 1000).tz(tz);
+}
+
+/**
+ * Snap a minute value to the nearest 5-minute increment, the step
+ * blocks are stored at.
+ *
+ * @param {number} rawMinutes
+ * @returns {number}
+ */
+export function snapTo5Min(rawMinutes) {
+  return Math.round(rawMinutes / 5) * 5;
+}
+
+/**
+ * Minutes below the top of the grid for a vertical pixel offset.
+ *
+ * @param {number} yPx
+ * @returns {number}
+ */
+export function pxToMinutes(yPx) {
+  return (yPx / ROW_HEIGHT_PX) * MINUTES_PER_SLOT;
+}
+
+/**
+ * Horizontal grid lines for one day, one per slot.
+ * Slot count follows the real day length (23h/25h on DST days).
+ *
+ * @param {string} tz    IANA timezone.
+ * @param {string} date  Local date as "YYYY-MM-DD".
+ * @returns {{height: number, lines: Array<{top: number, label: string}>}}
+ */
+export function getGridLines(tz, date) {
+  const dayStart   = getDayStart(tz, date);
+  const totalSlots = getDayEnd(tz, date).diff(dayStart, "minute") / MINUTES_PER_SLOT;
+  const lines      = [];
+  for (let i = 0; i <= totalSlots; i++) {
+    lines.push({
+      top:   i * ROW_HEIGHT_PX,
+      label: addZonedMinutes(dayStart, i * MINUTES_PER_SLOT, tz).format("h:mm A"),
+    });
+  }
+  return { height: totalSlots * ROW_HEIGHT_PX, lines };
+}
+
+// ─────────────── Date Navigation ───────────────
+
+/**
+ * Check for a real "YYYY-MM-DD" date, e.g. from the URL.
+ *
+ * @param {string|null} date
+ * @returns {boolean}
+ */
+export function isDateParam(date) {
+  return typeof date === "string"
+    && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    && dayjs(date).format("YYYY-MM-DD") === date;
+}
+
+/**
+ * Move a local date by whole days. Dates are plain calendar strings,
+ * so no timezone is involved.
+ *
+ * @param {string} date  "YYYY-MM-DD".
+ * @param {number} days  Days to move (may be negative).
+ * @returns {string}
+ */
+export function shiftDate(date, days) {
+  return dayjs(date).add(days, "day").format("YYYY-MM-DD");
+}
 
 /**
- * A dayjs object representing the start of today’s schedule.
- * Set to START_HOUR:00:00.000 in local time.
+ * The seven dates of the week containing `date`, starting on WEEK_START_DAY.
+ *
+ * @param {string} date  "YYYY-MM-DD".
+ * @returns {string[]}
  */
-export const dayStart = dayjs()
-  .hour(START_HOUR)
-  .minute(0)
-  .second(0)
-  .millisecond(0);
+export function getWeekDates(date) {
+  const offset = (dayjs(date).day() - WEEK_START_DAY + 7) % 7;
+  const first  = shiftDate(date, -offset);
+  return Array.from({ length: 7 }, (_, i) => shiftDate(first, i));
+}
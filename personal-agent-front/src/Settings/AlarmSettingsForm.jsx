@@ -0,0 +1,155 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/AlarmSettingsForm.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Form for choosing when approved blocks ring the phone and
+//            what the alarms say.
+// ------------------------------------------------------------------
+
+/**
+ * @module AlarmSettingsForm
+ * @description
+ *   - Loads the user's alarm settings.
+ *   - Saves when alarms ring (start, end or both), an optional warning
+ *     before the start, and the label sent with each alarm.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import { fetchAlarmSettings, saveAlarmSettings } from "./settingsAPI";
+
+// ─────── Constants ───────
+
+/** Choices for when a block's alarms ring. */
+const ALARM_MODES = [
+  { value: "start", label: "At the start" },
+  { value: "end",   label: "At the end" },
+  { value: "both",  label: "At the start and end" },
+];
+
+/** Longest warning ahead of a block's start, matching the server. */
+const MAX_LEAD_MINUTES = 120;
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * AlarmSettingsForm component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function AlarmSettingsForm() {
+  // ─────── State ───────
+  const [mode, setMode]               = useState("end");
+  const [leadMinutes, setLeadMinutes] = useState(0);
+  const [label, setLabel]             = useState("");
+  const [loading, setLoading]         = useState(true);
+  const [saving, setSaving]           = useState(false);
+  const [status, setStatus]           = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchAlarmSettings()
+      .then(applySettings)
+      .catch(err => setStatus(`Could not load alarm settings: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Copy stored settings into the form.
+   *
+   * @param {{mode: string, leadMinutes: number, label: string}} settings
+   */
+  function applySettings(settings) {
+    setMode(settings.mode);
+    setLeadMinutes(settings.leadMinutes);
+    setLabel(settings.label);
+  }
+
+  /**
+   * Save the alarm settings.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setStatus("");
+    try {
+      applySettings(await saveAlarmSettings({ mode, leadMinutes: Number(leadMinutes), label }));
+      setStatus("Alarm settings saved. They apply to blocks approved from now on.");
+    } catch (err) {
+      setStatus(`Save failed: ${errorMessage(err)}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading alarm settings…</p>;
+  }
+
+  return (
+    <form className="settings-section" onSubmit={handleSubmit}>
+      <h3>Phone Alarms</h3>
+      <p className="settings-hint">
+        Approved blocks set alarms on your phone. Choose when they ring and, optionally,
+        a warning a few minutes before a block starts. The label is shown with each alarm;
+        leave it empty to use the block&apos;s title.
+      </p>
+
+      <label>
+        Ring{" "}
+        <select value={mode} onChange={e => setMode(e.target.value)}>
+          {ALARM_MODES.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </label>{" "}
+
+      <label>
+        Warning{" "}
+        <input
+          type="number"
+          min={0}
+          max={MAX_LEAD_MINUTES}
+          step={5}
+          value={leadMinutes}
+          onChange={e => setLeadMinutes(e.target.value)}
+          style={{ width: 60 }}
+        />{" "}
+        min before start (0 for none)
+      </label>
+
+      <div>
+        <label>
+          Label{" "}
+          <input
+            type="text"
+            value={label}
+            maxLength={60}
+            placeholder="Block title"
+            onChange={e => setLabel(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <button type="submit" disabled={saving}>
+        {saving ? "Saving…" : "Save Alarms"}
+      </button>
+      {status && <p className="settings-status">{status}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,199 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/AutoPlanForm.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Form for planning the day automatically at a chosen local
+//            time and approving the blocks that match the user's rules.
+// ------------------------------------------------------------------
+
+/**
+ * @module AutoPlanForm
+ * @description
+ *   - Loads the user's daily auto-plan settings with the next and last
+ *     runs.
+ *   - Saves whether the day is planned in the background, at what time,
+ *     and the rules that approve blocks automatically.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import { fetchAutoPlan, saveAutoPlan } from "./settingsAPI";
+
+// ─────── Constants ───────
+
+/** Most approval rules, matching the server. */
+const MAX_APPROVE_RULES = 10;
+
+/** A new rule: blocks of at least 50 minutes that end by noon. */
+const NEW_RULE = { minMinutes: 50, after: "", before: "12:00" };
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * One line describing the last run.
+ *
+ * @param {?Object} run  Job status from the server.
+ * @returns {string}
+ */
+function describeRun(run) {
+  if (!run) return "Not run yet.";
+  const when = new Date(run.completedAt || run.runAt).toLocaleString();
+  if (run.status === "succeeded") return `Planned ${run.payload.date} at ${when}.`;
+  if (run.status === "dead") return `Planning ${run.payload.date} failed: ${run.lastError}`;
+  return run.lastError
+    ? `Planning ${run.payload.date}, retrying after: ${run.lastError}`
+    : `Planning ${run.payload.date}…`;
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * AutoPlanForm component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function AutoPlanForm() {
+  // ─────── State ───────
+  const [enabled, setEnabled]     = useState(false);
+  const [time, setTime]           = useState("07:00");
+  const [rules, setRules]         = useState([]);
+  const [nextRunAt, setNextRunAt] = useState(null);
+  const [lastRun, setLastRun]     = useState(null);
+  const [loading, setLoading]     = useState(true);
+  const [saving, setSaving]       = useState(false);
+  const [status, setStatus]       = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchAutoPlan()
+      .then(data => {
+        applySettings(data);
+        setLastRun(data.lastRun);
+      })
+      .catch(err => setStatus(`Could not load auto-plan settings: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Copy stored settings into the form.
+   *
+   * @param {{autoPlan: Object, nextRunAt: ?string}} data
+   */
+  function applySettings({ autoPlan, nextRunAt: next }) {
+    setEnabled(autoPlan.enabled);
+    setTime(autoPlan.time);
+    setRules(autoPlan.approveRules);
+    setNextRunAt(next);
+  }
+
+  /**
+   * Update one field of one rule.
+   *
+   * @param {number} index
+   * @param {string} field
+   * @returns {function(React.ChangeEvent): void}
+   */
+  const updateRule = (index, field) => (e) =>
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: e.target.value } : rule)));
+
+  /**
+   * Save the auto-plan settings.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setStatus("");
+    try {
+      applySettings(await saveAutoPlan({
+        enabled,
+        time,
+        approveRules: rules.map(rule => ({ ...rule, minMinutes: Number(rule.minMinutes) }))
+      }));
+      setStatus("Auto-plan settings saved.");
+    } catch (err) {
+      setStatus(`Save failed: ${errorMessage(err)}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading auto-plan settings…</p>;
+  }
+
+  return (
+    <form className="settings-section" onSubmit={handleSubmit}>
+      <h3>Daily Auto-Plan</h3>
+      <p className="settings-hint">
+        Plan each day in the background at a set time, without opening the app. Blocks matching
+        a rule below are approved right away; the rest wait for you. Leave a time empty for no limit.
+      </p>
+
+      <label>
+        <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} />{" "}
+        Plan my day at
+      </label>{" "}
+      <input type="time" value={time} onChange={e => setTime(e.target.value)} aria-label="Planning time" required />
+
+      {rules.length > 0 && (
+        <ul className="busy-source-list">
+          {rules.map((rule, index) => (
+            <li key={index}>
+              <span>
+                Approve blocks of at least{" "}
+                <input
+                  type="number"
+                  min={0}
+                  step={5}
+                  value={rule.minMinutes}
+                  onChange={updateRule(index, "minMinutes")}
+                  aria-label="Minimum minutes"
+                  style={{ width: 60 }}
+                />{" "}
+                min, from{" "}
+                <input type="time" value={rule.after} onChange={updateRule(index, "after")} aria-label="Starting at or after" />{" "}
+                until{" "}
+                <input type="time" value={rule.before} onChange={updateRule(index, "before")} aria-label="Ending by" />
+              </span>
+              <button type="button" onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <button
+          type="button"
+          onClick={() => setRules(prev => [...prev, { ...NEW_RULE }])}
+          disabled={rules.length >= MAX_APPROVE_RULES}
+        >
+          Add approval rule
+        </button>{" "}
+        <button type="submit" disabled={saving}>
+          {saving ? "Saving…" : "Save Auto-Plan"}
+        </button>
+      </div>
+
+      <p className="settings-hint">
+        {nextRunAt ? `Next run: ${new Date(nextRunAt).toLocaleString()}. ` : ""}
+        Last run: {describeRun(lastRun)}
+      </p>
+      {status && <p className="settings-status">{status}</p>}
+    </form>
+  );
+}
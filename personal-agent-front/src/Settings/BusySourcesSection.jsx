@@ -0,0 +1,151 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/BusySourcesSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users import .ics files as busy time and manage the
+//            imported calendars.
+// ------------------------------------------------------------------
+
+/**
+ * @module BusySourcesSection
+ * @description
+ *   - Lists imported calendars with their event counts and coverage.
+ *   - Uploads an .ics file, optionally under a custom name.
+ *   - Deletes a source after confirmation.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect, useRef } from "react";
+import dayjs from "dayjs";
+import { fetchBusySources, uploadBusySource, deleteBusySource } from "./settingsAPI";
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * BusySourcesSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function BusySourcesSection() {
+  // ─────── State ───────
+  const [sources, setSources]     = useState([]);
+  const [name, setName]           = useState("");
+  const [loading, setLoading]     = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [status, setStatus]       = useState("");
+  const fileInput                 = useRef(null);
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchBusySources()
+      .then(setSources)
+      .catch(err => setStatus(`Could not load imported calendars: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Upload the chosen file.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const file = fileInput.current?.files?.[0];
+    if (!file) {
+      setStatus("Choose an .ics file first.");
+      return;
+    }
+    setUploading(true);
+    setStatus("");
+    try {
+      const source = await uploadBusySource(file, name.trim());
+      setSources(prev => [source, ...prev]);
+      setName("");
+      fileInput.current.value = "";
+      setStatus(source.truncated
+        ? `Imported "${source.name}", but only the first ${source.intervalCount} occurrences were kept.`
+        : `Imported "${source.name}".`);
+    } catch (err) {
+      setStatus(`Import failed: ${errorMessage(err)}`);
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  /**
+   * Delete a source after confirmation.
+   *
+   * @param {Object} source
+   */
+  async function handleDelete(source) {
+    if (!window.confirm(`Stop treating events from "${source.name}" as busy?`)) return;
+    setStatus("");
+    try {
+      await deleteBusySource(source._id);
+      setSources(prev => prev.filter(s => s._id !== source._id));
+    } catch (err) {
+      setStatus(`Delete failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading imported calendars…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Imported Calendars</h3>
+      <p className="settings-hint">
+        Upload an .ics export (e.g. a school or shift schedule) to keep blocks
+        out of its events. Recurring events are expanded for the next year;
+        upload the file again to pick up changes.
+      </p>
+
+      {sources.length > 0 && (
+        <ul className="busy-source-list">
+          {sources.map(source => (
+            <li key={source._id}>
+              <span>
+                <strong>{source.name}</strong>{" "}
+                <span className="settings-hint">
+                  {source.intervalCount} busy slots until {dayjs(source.coveredUntil).format("MMM D, YYYY")}
+                </span>
+              </span>
+              <button type="button" onClick={() => handleDelete(source)}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="settings-url-row" onSubmit={handleSubmit}>
+        <input type="file" accept=".ics,text/calendar" ref={fileInput} aria-label="Calendar file" />
+        <input
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Name (optional)"
+          aria-label="Calendar name"
+        />
+        <button type="submit" disabled={uploading}>
+          {uploading ? "Importing…" : "Import"}
+        </button>
+      </form>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
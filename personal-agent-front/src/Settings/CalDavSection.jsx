@@ -0,0 +1,189 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/CalDavSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users connect CalDAV calendars (Nextcloud, Fastmail)
+//            whose events count as busy time.
+// ------------------------------------------------------------------
+
+/**
+ * @module CalDavSection
+ * @description
+ *   - Lists connected CalDAV calendars with their verification state
+ *     and the last read error, if any.
+ *   - Adds a calendar from its URL and credentials, then verifies it.
+ *   - Re-verifies or deletes a calendar.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import {
+  fetchCalDavCalendars,
+  addCalDavCalendar,
+  verifyCalDavCalendar,
+  deleteCalDavCalendar
+} from "./settingsAPI";
+
+// ─────── Constants ───────
+
+/** Empty add-calendar form. */
+const EMPTY_FORM = { displayName: "", url: "", username: "", password: "" };
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * CalDavSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function CalDavSection() {
+  // ─────── State ───────
+  const [calendars, setCalendars] = useState([]);
+  const [form, setForm]           = useState(EMPTY_FORM);
+  const [loading, setLoading]     = useState(true);
+  const [busyId, setBusyId]       = useState(null);
+  const [status, setStatus]       = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchCalDavCalendars()
+      .then(setCalendars)
+      .catch(err => setStatus(`Could not load CalDAV calendars: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Update one field of the add-calendar form.
+   *
+   * @param {string} field
+   * @returns {function(React.ChangeEvent): void}
+   */
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * Verify a calendar and refresh its row.
+   *
+   * @param {Object} calendar
+   */
+  async function handleVerify(calendar) {
+    setBusyId(calendar._id);
+    setStatus("");
+    try {
+      const verified = await verifyCalDavCalendar(calendar._id);
+      setCalendars(prev => prev.map(c => (c._id === verified._id ? verified : c)));
+      setStatus(`"${verified.displayName}" verified; its events now count as busy time.`);
+    } catch (err) {
+      setStatus(`Verification failed: ${errorMessage(err)}`);
+      setCalendars(await fetchCalDavCalendars().catch(() => calendars));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  /**
+   * Add a calendar, then verify it straight away.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusyId("new");
+    setStatus("");
+    let added;
+    try {
+      added = await addCalDavCalendar(form);
+      setCalendars(prev => [...prev, added]);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      setStatus(`Add failed: ${errorMessage(err)}`);
+      setBusyId(null);
+      return;
+    }
+    await handleVerify(added);
+  }
+
+  /**
+   * Delete a calendar after confirmation.
+   *
+   * @param {Object} calendar
+   */
+  async function handleDelete(calendar) {
+    if (!window.confirm(`Disconnect "${calendar.displayName}"?`)) return;
+    setStatus("");
+    try {
+      await deleteCalDavCalendar(calendar._id);
+      setCalendars(prev => prev.filter(c => c._id !== calendar._id));
+    } catch (err) {
+      setStatus(`Delete failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading CalDAV calendars…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>CalDAV Calendars</h3>
+      <p className="settings-hint">
+        Connect a Nextcloud, Fastmail or other CalDAV calendar by its URL. Use an
+        app-specific password; it is stored encrypted.
+      </p>
+
+      {calendars.length > 0 && (
+        <ul className="busy-source-list">
+          {calendars.map(calendar => (
+            <li key={calendar._id}>
+              <span>
+                <strong>{calendar.displayName}</strong>{" "}
+                <span className="settings-hint">
+                  {calendar.isVerified ? "Verified" : "Not verified"}
+                  {calendar.lastError && ` — ${calendar.lastError}`}
+                </span>
+              </span>
+              <span>
+                <button type="button" onClick={() => handleVerify(calendar)} disabled={busyId !== null}>
+                  {busyId === calendar._id ? "Verifying…" : "Verify"}
+                </button>{" "}
+                <button type="button" onClick={() => handleDelete(calendar)}>
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="caldav-form" onSubmit={handleSubmit}>
+        <input
+          type="url"
+          value={form.url}
+          onChange={updateField("url")}
+          placeholder="https://cloud.example.com/remote.php/dav/calendars/me/personal/"
+          aria-label="Calendar URL"
+          required
+        />
+        <input type="text" value={form.displayName} onChange={updateField("displayName")} placeholder="Name (optional)" aria-label="Calendar name" />
+        <input type="text" value={form.username} onChange={updateField("username")} placeholder="Username" aria-label="Username" autoComplete="username" required />
+        <input type="password" value={form.password} onChange={updateField("password")} placeholder="App password" aria-label="Password" autoComplete="new-password" required />
+        <button type="submit" disabled={busyId !== null}>
+          {busyId === "new" ? "Connecting…" : "Connect"}
+        </button>
+      </form>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,110 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/FocusCalendarForm.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Form for choosing the Google Calendar that approved blocks
+//            are written to as "Focus" events.
+// ------------------------------------------------------------------
+
+/**
+ * @module FocusCalendarForm
+ * @description
+ *   - Loads the selected calendar and the user's verified calendars.
+ *   - Saves a new selection, or turns syncing off.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import { fetchFocusCalendar, saveFocusCalendar } from "./settingsAPI";
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * FocusCalendarForm component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function FocusCalendarForm() {
+  // ─────── State ───────
+  const [calendars, setCalendars]   = useState([]);
+  const [calendarId, setCalendarId] = useState("");
+  const [loading, setLoading]       = useState(true);
+  const [saving, setSaving]         = useState(false);
+  const [status, setStatus]         = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchFocusCalendar()
+      .then(data => {
+        setCalendars(data.calendars);
+        setCalendarId(data.calendarId || "");
+      })
+      .catch(err => setStatus(`Could not load calendars: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Save the selected calendar.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setStatus("");
+    try {
+      const saved = await saveFocusCalendar(calendarId || null);
+      setCalendarId(saved || "");
+      setStatus(saved
+        ? "Approved blocks will be added to this calendar."
+        : "Approved blocks will no longer be added to a calendar.");
+    } catch (err) {
+      setStatus(`Save failed: ${errorMessage(err)}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading calendars…</p>;
+  }
+
+  return (
+    <form className="settings-section" onSubmit={handleSubmit}>
+      <h3>Focus Calendar</h3>
+      <p className="settings-hint">
+        Approved blocks are added to this calendar as &quot;Focus&quot; events, so
+        colleagues can see your focus time. Only verified calendars can be chosen.
+      </p>
+
+      <select
+        value={calendarId}
+        onChange={e => setCalendarId(e.target.value)}
+        aria-label="Focus calendar"
+      >
+        <option value="">Don&apos;t add events</option>
+        {calendars.map(email => (
+          <option key={email} value={email}>{email}</option>
+        ))}
+      </select>{" "}
+
+      <button type="submit" disabled={saving}>
+        {saving ? "Saving…" : "Save Calendar"}
+      </button>
+      {status && <p className="settings-status">{status}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,109 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/IcsFeedSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Shows the iCalendar subscription URL for the user's blocks
+//            and lets it be copied or rotated.
+// ------------------------------------------------------------------
+
+/**
+ * @module IcsFeedSection
+ * @description
+ *   - Loads (and on first use issues) the feed URL.
+ *   - Copies it to the clipboard for pasting into a calendar app.
+ *   - Rotates the token after confirmation, revoking old subscriptions.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import { fetchIcsFeed, rotateIcsFeed } from "./settingsAPI";
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * IcsFeedSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function IcsFeedSection() {
+  // ─────── State ───────
+  const [url, setUrl]           = useState("");
+  const [loading, setLoading]   = useState(true);
+  const [rotating, setRotating] = useState(false);
+  const [status, setStatus]     = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchIcsFeed()
+      .then(setUrl)
+      .catch(err => setStatus(`Could not load feed: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Copy the feed URL to the clipboard.
+   */
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Feed URL copied.");
+    } catch {
+      setStatus("Copy failed; select the URL and copy it manually.");
+    }
+  }
+
+  /**
+   * Issue a new feed URL after confirmation.
+   */
+  async function handleRotate() {
+    if (!window.confirm("Calendars subscribed to the current URL will stop updating. Continue?")) return;
+    setRotating(true);
+    setStatus("");
+    try {
+      setUrl(await rotateIcsFeed());
+      setStatus("New feed URL issued. Update your calendar subscriptions.");
+    } catch (err) {
+      setStatus(`Rotate failed: ${errorMessage(err)}`);
+    } finally {
+      setRotating(false);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading calendar feed…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Calendar Feed</h3>
+      <p className="settings-hint">
+        Subscribe to this URL in Apple Calendar, Thunderbird or Outlook to see your
+        approved and manual blocks. Anyone with the URL can read it.
+      </p>
+
+      <div className="settings-url-row">
+        <input type="text" value={url} readOnly aria-label="Calendar feed URL" onFocus={e => e.target.select()} />
+        <button type="button" onClick={handleCopy} disabled={!url}>
+          Copy
+        </button>
+        <button type="button" onClick={handleRotate} disabled={rotating}>
+          {rotating ? "Rotating…" : "Rotate"}
+        </button>
+      </div>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
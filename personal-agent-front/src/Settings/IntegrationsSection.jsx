@@ -0,0 +1,173 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/IntegrationsSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users set their own TaskMagic webhook and phone alarm
+//            endpoints for approved blocks.
+// ------------------------------------------------------------------
+
+/**
+ * @module IntegrationsSection
+ * @description
+ *   - Shows each integration's hosts, or that the server default applies.
+ *   - Replaces its URLs, turns it on or off, or removes it so the server
+ *     default applies again. Stored URLs are never shown.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import { fetchIntegrations, saveIntegration, deleteIntegration } from "./settingsAPI";
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * Describe where an integration currently sends.
+ *
+ * @param {Object} entry  Provider entry from the API.
+ * @returns {string}
+ */
+function describeTarget(entry) {
+  if (entry.integration) {
+    const hosts = entry.integration.hosts.join(", ");
+    return entry.integration.enabled ? `Sends to ${hosts}` : `Off (saved: ${hosts})`;
+  }
+  return entry.usesServerDefault ? "Uses the server default" : "Not set";
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * IntegrationsSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function IntegrationsSection() {
+  // ─────── State ───────
+  const [entries, setEntries] = useState([]);
+  const [drafts, setDrafts]   = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy]       = useState(null);
+  const [status, setStatus]   = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchIntegrations()
+      .then(setEntries)
+      .catch(err => setStatus(`Could not load integrations: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Run a change to one provider, then reload the list.
+   *
+   * @param {Object} entry
+   * @param {function(): Promise<void>} change
+   * @param {string} done  Status shown on success.
+   */
+  async function apply(entry, change, done) {
+    setBusy(entry.provider);
+    setStatus("");
+    try {
+      await change();
+      setEntries(await fetchIntegrations());
+      setStatus(done);
+    } catch (err) {
+      setStatus(`${entry.label}: ${errorMessage(err)}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  /**
+   * Save the URLs typed for a provider.
+   *
+   * @param {React.FormEvent} e
+   * @param {Object} entry
+   */
+  function handleSave(e, entry) {
+    e.preventDefault();
+    apply(entry, async () => {
+      await saveIntegration(entry.provider, { urls: drafts[entry.provider], enabled: true });
+      setDrafts(prev => ({ ...prev, [entry.provider]: "" }));
+    }, `${entry.label} saved.`);
+  }
+
+  /**
+   * Turn a saved integration on or off.
+   *
+   * @param {Object} entry
+   */
+  function handleToggle(entry) {
+    const enabled = !entry.integration.enabled;
+    apply(entry, () => saveIntegration(entry.provider, { enabled }), `${entry.label} turned ${enabled ? "on" : "off"}.`);
+  }
+
+  /**
+   * Remove a saved integration after confirmation.
+   *
+   * @param {Object} entry
+   */
+  function handleDelete(entry) {
+    if (!window.confirm(`Remove your ${entry.label}?`)) return;
+    apply(entry, () => deleteIntegration(entry.provider), `${entry.label} removed.`);
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading integrations…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Integrations</h3>
+      <p className="settings-hint">
+        Approved blocks call your TaskMagic webhook and set alarms through your phone alarm
+        endpoints. URLs are stored encrypted and only their hosts are shown. Without your own,
+        the server&apos;s defaults are used, if any.
+      </p>
+
+      {entries.map(entry => (
+        <form key={entry.provider} className="caldav-form integration-form" onSubmit={e => handleSave(e, entry)}>
+          <div>
+            <strong>{entry.label}</strong>{" "}
+            <span className="settings-hint">{describeTarget(entry)}</span>
+          </div>
+          <input
+            type="text"
+            value={drafts[entry.provider] || ""}
+            onChange={e => setDrafts(prev => ({ ...prev, [entry.provider]: e.target.value }))}
+            placeholder={entry.maxUrls === 1 ? "https://…" : `Up to ${entry.maxUrls} URLs, comma-separated, tried in order`}
+            aria-label={`${entry.label} URL`}
+            required
+          />
+          <span>
+            <button type="submit" disabled={busy !== null}>
+              {busy === entry.provider ? "Saving…" : entry.integration ? "Replace" : "Save"}
+            </button>{" "}
+            {entry.integration && (
+              <>
+                <button type="button" onClick={() => handleToggle(entry)} disabled={busy !== null}>
+                  {entry.integration.enabled ? "Turn off" : "Turn on"}
+                </button>{" "}
+                <button type="button" onClick={() => handleDelete(entry)} disabled={busy !== null}>
+                  Remove
+                </button>
+              </>
+            )}
+          </span>
+        </form>
+      ))}
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
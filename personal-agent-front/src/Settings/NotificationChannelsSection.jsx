@@ -0,0 +1,348 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/NotificationChannelsSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users add notification channels (webhook, ntfy,
+//            email, browser push) that receive their block alarms.
+// ------------------------------------------------------------------
+
+/**
+ * @module NotificationChannelsSection
+ * @description
+ *   - Lists the user's channels with their last error, an enable
+ *     toggle, and Test and Delete buttons.
+ *   - Adds a channel of any type offered by the server, with its
+ *     settings, secrets and optional title/body templates.
+ *   - Subscribes this browser to Web Push through `/sw.js`.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import {
+  fetchNotificationChannels,
+  addNotificationChannel,
+  updateNotificationChannel,
+  testNotificationChannel,
+  deleteNotificationChannel,
+  fetchWebPushKey
+} from "./settingsAPI";
+
+// ─────── Constants ───────
+
+/** Settings fields per channel type; Web Push is configured by subscribing. */
+const CONFIG_FIELDS = {
+  webhook: [{ name: "url", placeholder: "https://example.com/hooks/alarm", type: "url", required: true }],
+  ntfy: [
+    { name: "server", placeholder: "https://ntfy.sh", type: "url" },
+    { name: "topic", placeholder: "Topic, e.g. my-focus-alarms", required: true }
+  ],
+  smtp: [
+    { name: "host", placeholder: "SMTP host, e.g. smtp.fastmail.com", required: true },
+    { name: "port", placeholder: "Port (587, or 465 with TLS)", type: "number" },
+    { name: "username", placeholder: "Username", autoComplete: "username" },
+    { name: "from", placeholder: "From address", type: "email", required: true },
+    { name: "to", placeholder: "To addresses, comma-separated", required: true }
+  ],
+  webpush: []
+};
+
+/** Descriptions of each secret field. */
+const SECRET_PLACEHOLDERS = {
+  authorization: "Authorization header (optional)",
+  token:         "Access token (optional)",
+  password:      "Password"
+};
+
+/** Placeholders templates may use. */
+const PLACEHOLDERS = "{{heading}}, {{label}}, {{kind}}, {{time}}, {{time24}}, {{minutesBefore}}";
+
+/**
+ * Empty add-channel form for a type.
+ *
+ * @param {string} type
+ * @returns {Object}
+ */
+const emptyForm = (type) => ({ type, name: "", config: {}, secrets: {}, title: "", body: "", secure: false });
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * Decode a base64url VAPID key for PushManager.subscribe.
+ *
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = window.atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Subscribe this browser to push messages.
+ *
+ * @returns {Promise<{endpoint: string, keys: {p256dh: string, auth: string}}>}
+ * @throws {Error} When the browser or server does not support Web Push.
+ */
+async function subscribeBrowser() {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+    throw new Error("This browser does not support push notifications");
+  }
+  if (await Notification.requestPermission() !== "granted") {
+    throw new Error("Notifications are blocked for this site");
+  }
+  const publicKey    = await fetchWebPushKey();
+  const registration = await navigator.serviceWorker.register("/sw.js");
+  await navigator.serviceWorker.ready;
+  const subscription = (await registration.pushManager.getSubscription())
+    || await registration.pushManager.subscribe({
+      userVisibleOnly:      true,
+      applicationServerKey: base64UrlToBytes(publicKey)
+    });
+  const { endpoint, keys } = subscription.toJSON();
+  return { endpoint, keys };
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * NotificationChannelsSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function NotificationChannelsSection() {
+  // ─────── State ───────
+  const [channels, setChannels] = useState([]);
+  const [types, setTypes]       = useState([]);
+  const [form, setForm]         = useState(emptyForm("webhook"));
+  const [loading, setLoading]   = useState(true);
+  const [busyId, setBusyId]     = useState(null);
+  const [status, setStatus]     = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchNotificationChannels()
+      .then(data => {
+        setChannels(data.channels);
+        setTypes(data.types);
+      })
+      .catch(err => setStatus(`Could not load notification channels: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Derived Data ───────
+  const formType = types.find(t => t.type === form.type);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Update one part of the add-channel form.
+   *
+   * @param {"config"|"secrets"|null} group  Nested object, or null for top-level fields.
+   * @param {string} field
+   * @returns {function(React.ChangeEvent): void}
+   */
+  const updateField = (group, field) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm(prev => (group
+      ? { ...prev, [group]: { ...prev[group], [field]: value } }
+      : { ...prev, [field]: value }));
+  };
+
+  /**
+   * Replace one channel in the list.
+   *
+   * @param {Object} updated
+   */
+  const replaceChannel = (updated) => setChannels(prev => prev.map(c => (c._id === updated._id ? updated : c)));
+
+  /**
+   * Send a sample alarm through a channel.
+   *
+   * @param {Object} channel
+   */
+  async function handleTest(channel) {
+    setBusyId(channel._id);
+    setStatus("");
+    try {
+      replaceChannel(await testNotificationChannel(channel._id));
+      setStatus(`Test alarm sent to "${channel.name}".`);
+    } catch (err) {
+      setStatus(`Test failed: ${errorMessage(err)}`);
+      if (err.response?.data?.channel) replaceChannel(err.response.data.channel);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  /**
+   * Turn a channel on or off.
+   *
+   * @param {Object} channel
+   */
+  async function handleToggle(channel) {
+    setStatus("");
+    try {
+      replaceChannel(await updateNotificationChannel(channel._id, { enabled: !channel.enabled }));
+    } catch (err) {
+      setStatus(`Update failed: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Add a channel, then send it a test alarm.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusyId("new");
+    setStatus("");
+    let added;
+    try {
+      const config = form.type === "smtp" ? { ...form.config, secure: form.secure } : { ...form.config };
+      const payload = {
+        type:     form.type,
+        name:     form.name || formType?.label || form.type,
+        config:   form.type === "webpush" ? await subscribeBrowser() : config,
+        secrets:  form.secrets,
+        template: { title: form.title, body: form.body }
+      };
+      added = await addNotificationChannel(payload);
+      setChannels(prev => [...prev, added]);
+      setForm(emptyForm(form.type));
+    } catch (err) {
+      setStatus(`Add failed: ${errorMessage(err)}`);
+      setBusyId(null);
+      return;
+    }
+    await handleTest(added);
+  }
+
+  /**
+   * Delete a channel after confirmation.
+   *
+   * @param {Object} channel
+   */
+  async function handleDelete(channel) {
+    if (!window.confirm(`Delete "${channel.name}"?`)) return;
+    setStatus("");
+    try {
+      await deleteNotificationChannel(channel._id);
+      setChannels(prev => prev.filter(c => c._id !== channel._id));
+    } catch (err) {
+      setStatus(`Delete failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading notification channels…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Notification Channels</h3>
+      <p className="settings-hint">
+        Besides the phone alarm, each approved block&apos;s alarms are sent to every
+        enabled channel. Secrets are stored encrypted.
+      </p>
+
+      {channels.length > 0 && (
+        <ul className="busy-source-list">
+          {channels.map(channel => (
+            <li key={channel._id}>
+              <label>
+                <input type="checkbox" checked={channel.enabled} onChange={() => handleToggle(channel)} />{" "}
+                <strong>{channel.name}</strong>{" "}
+                <span className="settings-hint">
+                  {types.find(t => t.type === channel.type)?.label || channel.type}
+                  {channel.lastError && ` — ${channel.lastError}`}
+                </span>
+              </label>
+              <span>
+                <button type="button" onClick={() => handleTest(channel)} disabled={busyId !== null}>
+                  {busyId === channel._id ? "Sending…" : "Test"}
+                </button>{" "}
+                <button type="button" onClick={() => handleDelete(channel)}>
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="caldav-form" onSubmit={handleSubmit}>
+        <select value={form.type} onChange={e => setForm(emptyForm(e.target.value))} aria-label="Channel type">
+          {types.map(t => (
+            <option key={t.type} value={t.type}>{t.label}</option>
+          ))}
+        </select>
+        <input type="text" value={form.name} onChange={updateField(null, "name")} placeholder="Name (optional)" aria-label="Channel name" />
+
+        {(CONFIG_FIELDS[form.type] || []).map(field => (
+          <input
+            key={field.name}
+            type={field.type || "text"}
+            value={form.config[field.name] || ""}
+            onChange={updateField("config", field.name)}
+            placeholder={field.placeholder}
+            aria-label={field.name}
+            autoComplete={field.autoComplete}
+            required={field.required}
+          />
+        ))}
+        {form.type === "smtp" && (
+          <label>
+            <input type="checkbox" checked={form.secure} onChange={updateField(null, "secure")} /> Connect with TLS
+            (port 465)
+          </label>
+        )}
+        {(formType?.secretFields || []).map(name => (
+          <input
+            key={name}
+            type="password"
+            value={form.secrets[name] || ""}
+            onChange={updateField("secrets", name)}
+            placeholder={SECRET_PLACEHOLDERS[name] || name}
+            aria-label={name}
+            autoComplete="new-password"
+          />
+        ))}
+        {form.type === "webpush" && (
+          <p className="settings-hint">Adding this channel asks to show notifications in this browser.</p>
+        )}
+
+        <input
+          type="text"
+          value={form.title}
+          onChange={updateField(null, "title")}
+          placeholder={`Title: ${formType?.defaultTemplate.title || ""}`}
+          aria-label="Title template"
+        />
+        <textarea
+          value={form.body}
+          onChange={updateField(null, "body")}
+          placeholder={`Body: ${formType?.defaultTemplate.body || ""}`}
+          aria-label="Body template"
+          rows={2}
+        />
+        <p className="settings-hint">Leave the templates empty for the defaults. Placeholders: {PLACEHOLDERS}.</p>
+
+        <button type="submit" disabled={busyId !== null}>
+          {busyId === "new" ? "Adding…" : form.type === "webpush" ? "Subscribe this browser" : "Add channel"}
+        </button>
+      </form>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,328 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/RecurringBlocksSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users define recurring focus blocks, such as every
+//            weekday 08:00–09:30, and the dates they are skipped.
+// ------------------------------------------------------------------
+
+/**
+ * @module RecurringBlocksSection
+ * @description
+ *   - Lists recurring block series with their rule, times and skipped
+ *     dates.
+ *   - Creates a series from weekday checkboxes, or from a custom RRULE
+ *     such as "FREQ=MONTHLY;BYDAY=1MO", with an optional title and
+ *     category passed on to its occurrences.
+ *   - Skips or restores single dates, and deletes a series.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import {
+  fetchBlockSeries,
+  createBlockSeries,
+  deleteBlockSeries,
+  skipSeriesDate,
+  unskipSeriesDate
+} from "./settingsAPI";
+import { BLOCK_CATEGORIES, findCategory } from "../Schedule/blockCategories";
+
+// ─────── Constants ───────
+
+/** Weekdays in display order, with their RRULE codes. */
+const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" }
+];
+
+/** Empty create-series form: every weekday, 08:00–09:30. */
+const EMPTY_FORM = {
+  days:      ["MO", "TU", "WE", "TH", "FR"],
+  startTime: "08:00",
+  endTime:   "09:30",
+  startDate: "",
+  rrule:     "",
+  title:     "",
+  category:  ""
+};
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * Describe a rule in words when it is a plain daily or weekday rule.
+ *
+ * @param {string} rrule
+ * @returns {string}
+ */
+function describeRule(rrule) {
+  if (rrule === "FREQ=DAILY") return "Every day";
+  const weekly = /^FREQ=WEEKLY;BYDAY=((?:MO|TU|WE|TH|FR|SA|SU)(?:,(?:MO|TU|WE|TH|FR|SA|SU))*)$/.exec(rrule);
+  if (!weekly) return rrule;
+  const codes = weekly[1].split(",");
+  return WEEKDAYS.filter(d => codes.includes(d.code)).map(d => d.label).join(", ");
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * RecurringBlocksSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function RecurringBlocksSection() {
+  // ─────── State ───────
+  const [seriesList, setSeriesList] = useState([]);
+  const [form, setForm]             = useState(EMPTY_FORM);
+  const [skipDates, setSkipDates]   = useState({});
+  const [loading, setLoading]       = useState(true);
+  const [saving, setSaving]         = useState(false);
+  const [status, setStatus]         = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchBlockSeries()
+      .then(setSeriesList)
+      .catch(err => setStatus(`Could not load recurring blocks: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Update one field of the create form.
+   *
+   * @param {string} field
+   * @returns {function(React.ChangeEvent): void}
+   */
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * Toggle a weekday checkbox.
+   *
+   * @param {string} code - RRULE weekday code.
+   */
+  function toggleDay(code) {
+    setForm(prev => ({
+      ...prev,
+      days: prev.days.includes(code) ? prev.days.filter(d => d !== code) : [...prev.days, code]
+    }));
+  }
+
+  /**
+   * Replace one series in the list.
+   *
+   * @param {Object} updated
+   */
+  const replaceSeries = (updated) =>
+    setSeriesList(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+
+  /**
+   * Create a series from the form.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const rrule = form.rrule.trim()
+      || `FREQ=WEEKLY;BYDAY=${WEEKDAYS.filter(d => form.days.includes(d.code)).map(d => d.code).join(",")}`;
+    if (!form.rrule.trim() && !form.days.length) {
+      setStatus("Pick at least one weekday.");
+      return;
+    }
+
+    setSaving(true);
+    setStatus("");
+    try {
+      const created = await createBlockSeries({
+        rrule,
+        startTime: form.startTime,
+        endTime:   form.endTime,
+        title:     form.title,
+        category:  form.category,
+        ...(form.startDate && { startDate: form.startDate })
+      });
+      setSeriesList(prev => [...prev, created]);
+      setForm(EMPTY_FORM);
+      setStatus("Recurring block added; it appears on your schedule from its start date.");
+    } catch (err) {
+      setStatus(`Add failed: ${errorMessage(err)}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /**
+   * Skip the date entered for a series.
+   *
+   * @param {Object} series
+   */
+  async function handleSkip(series) {
+    const date = skipDates[series._id];
+    if (!date) return;
+    setStatus("");
+    try {
+      replaceSeries(await skipSeriesDate(series._id, date));
+      setSkipDates(prev => ({ ...prev, [series._id]: "" }));
+    } catch (err) {
+      setStatus(`Skip failed: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Restore a skipped date.
+   *
+   * @param {Object} series
+   * @param {string} date
+   */
+  async function handleUnskip(series, date) {
+    setStatus("");
+    try {
+      replaceSeries(await unskipSeriesDate(series._id, date));
+    } catch (err) {
+      setStatus(`Restore failed: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Delete a series after confirmation.
+   *
+   * @param {Object} series
+   */
+  async function handleDelete(series) {
+    if (!window.confirm("Delete this recurring block? Approved occurrences are kept.")) return;
+    setStatus("");
+    try {
+      await deleteBlockSeries(series._id);
+      setSeriesList(prev => prev.filter(s => s._id !== series._id));
+    } catch (err) {
+      setStatus(`Delete failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading recurring blocks…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Recurring Blocks</h3>
+      <p className="settings-hint">
+        Recurring blocks are placed on your schedule each day they occur, and
+        suggestions are generated around them. Edit a single day from the
+        schedule, or the whole series there with &quot;Whole series&quot;.
+      </p>
+
+      {seriesList.length > 0 && (
+        <ul className="busy-source-list">
+          {seriesList.map(series => (
+            <li key={series._id}>
+              <span>
+                <strong>{series.startTime}–{series.endTime}</strong>{" "}
+                {series.title && <>{series.title}{" "}</>}
+                {series.category && (
+                  <span className="settings-hint">({findCategory(series.category)?.label}){" "}</span>
+                )}
+                {describeRule(series.rrule)}{" "}
+                <span className="settings-hint">from {series.startDate}</span>
+                {series.exceptions.length > 0 && (
+                  <span className="series-exceptions">
+                    Skipped:{" "}
+                    {series.exceptions.map(date => (
+                      <button
+                        key={date}
+                        type="button"
+                        title="Stop skipping this date"
+                        onClick={() => handleUnskip(series, date)}
+                      >
+                        {date} ×
+                      </button>
+                    ))}
+                  </span>
+                )}
+              </span>
+              <span>
+                <input
+                  type="date"
+                  value={skipDates[series._id] || ""}
+                  onChange={e => setSkipDates(prev => ({ ...prev, [series._id]: e.target.value }))}
+                  aria-label="Date to skip"
+                />{" "}
+                <button type="button" onClick={() => handleSkip(series)} disabled={!skipDates[series._id]}>
+                  Skip date
+                </button>{" "}
+                <button type="button" onClick={() => handleDelete(series)}>
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="series-form" onSubmit={handleSubmit}>
+        <fieldset disabled={Boolean(form.rrule.trim())}>
+          <legend>Repeat on</legend>
+          {WEEKDAYS.map(day => (
+            <label key={day.code}>
+              <input
+                type="checkbox"
+                checked={form.days.includes(day.code)}
+                onChange={() => toggleDay(day.code)}
+              />
+              {day.label}
+            </label>
+          ))}
+        </fieldset>
+        <input
+          type="text"
+          value={form.rrule}
+          onChange={updateField("rrule")}
+          placeholder="Custom rule (optional), e.g. FREQ=MONTHLY;BYDAY=1MO"
+          aria-label="Custom recurrence rule"
+        />
+        <input
+          type="text"
+          value={form.title}
+          onChange={updateField("title")}
+          maxLength={100}
+          placeholder="Title (optional)"
+          aria-label="Title"
+        />
+        <select value={form.category} onChange={updateField("category")} aria-label="Category">
+          <option value="">No category</option>
+          {BLOCK_CATEGORIES.map(c => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <label>
+          From <input type="time" value={form.startTime} onChange={updateField("startTime")} required />
+        </label>
+        <label>
+          To <input type="time" value={form.endTime} onChange={updateField("endTime")} required />
+        </label>
+        <label>
+          Starting <input type="date" value={form.startDate} onChange={updateField("startDate")} aria-label="Start date (default today)" />
+        </label>
+        <button type="submit" disabled={saving}>
+          {saving ? "Adding…" : "Add recurring block"}
+        </button>
+      </form>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,55 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/Settings.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Settings page grouping the user's planning preferences.
+// ------------------------------------------------------------------
+
+/**
+ * @module Settings
+ * @description
+ *   - Hosts settings sections: working hours, recurring blocks, the
+ *     daily auto-plan, phone alarms, notification channels, integrations,
+ *     webhooks, the focus calendar, the iCalendar feed, imported
+ *     calendars and CalDAV calendars.
+ */
+
+// ─────── Dependencies ───────
+import WorkingHoursForm from "./WorkingHoursForm";
+import RecurringBlocksSection from "./RecurringBlocksSection";
+import AlarmSettingsForm from "./AlarmSettingsForm";
+import AutoPlanForm from "./AutoPlanForm";
+import NotificationChannelsSection from "./NotificationChannelsSection";
+import IntegrationsSection from "./IntegrationsSection";
+import WebhooksSection from "./WebhooksSection";
+import FocusCalendarForm from "./FocusCalendarForm";
+import IcsFeedSection from "./IcsFeedSection";
+import BusySourcesSection from "./BusySourcesSection";
+import CalDavSection from "./CalDavSection";
+import "./Settings.css";
+
+// ─────── Component Definition ───────
+
+/**
+ * Settings page component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function Settings() {
+  return (
+    <div className="settings-container">
+      <h2>Settings</h2>
+      <WorkingHoursForm />
+      <RecurringBlocksSection />
+      <AutoPlanForm />
+      <AlarmSettingsForm />
+      <NotificationChannelsSection />
+      <IntegrationsSection />
+      <WebhooksSection />
+      <FocusCalendarForm />
+      <IcsFeedSection />
+      <BusySourcesSection />
+      <CalDavSection />
+    </div>
+  );
+}
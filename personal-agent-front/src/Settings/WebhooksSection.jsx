@@ -0,0 +1,374 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/WebhooksSection.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Lets users send block events to their own automation
+//            (n8n, Home Assistant, local runners) as signed webhooks.
+// ------------------------------------------------------------------
+
+/**
+ * @module WebhooksSection
+ * @description
+ *   - Lists webhook subscriptions with their events, an enable toggle,
+ *     Send test, the delivery log, secret rotation and Delete.
+ *   - Adds a subscription with its events, JSON payload template,
+ *     signature header and "starting soon" lead time.
+ *   - Shows a generated signing secret once, right after it is made.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import {
+  fetchWebhooks,
+  addWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  fetchWebhookDeliveries,
+  deleteWebhook
+} from "./settingsAPI";
+
+// ─────── Constants ───────
+
+/** Readable names of the events. */
+const EVENT_LABELS = {
+  "block.approved":     "Block approved",
+  "block.moved":        "Block moved",
+  "block.excluded":     "Block excluded",
+  "block.startingSoon": "Block starting soon"
+};
+
+/** Placeholders templates may use. */
+const PLACEHOLDERS = "{{event}}, {{deliveryId}}, {{sentAt}}, {{blockId}}, {{title}}, {{category}}, {{goal}}, "
+  + "{{tasks}}, {{date}}, {{start}}, {{end}}, {{startTime}}, {{endTime}}, {{startHour}}, {{startMin}}, "
+  + "{{endHour}}, {{endMin}}, {{durationMinutes}}, {{minutesBefore}}, {{timezone}}";
+
+/** Empty add-webhook form. */
+const EMPTY_FORM = {
+  name: "",
+  url: "",
+  events: ["block.approved"],
+  template: "",
+  signatureHeader: "",
+  startingSoonMinutes: 10
+};
+
+// ─────── Utilities ───────
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * One line describing a delivery attempt.
+ *
+ * @param {Object} delivery
+ * @returns {string}
+ */
+function describeDelivery(delivery) {
+  const when   = new Date(delivery.createdAt).toLocaleString();
+  const result = delivery.statusCode ? `HTTP ${delivery.statusCode}` : delivery.error;
+  const test   = delivery.test ? " (test)" : "";
+  return `${when} — ${EVENT_LABELS[delivery.event] || delivery.event}${test}: ${result}, ${delivery.durationMs} ms`;
+}
+
+// ─────── Component Definition ───────
+
+/**
+ * WebhooksSection component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function WebhooksSection() {
+  // ─────── State ───────
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [events, setEvents]               = useState([]);
+  const [defaultTemplate, setDefaultTemplate] = useState("");
+  const [form, setForm]                   = useState(EMPTY_FORM);
+  const [logs, setLogs]                   = useState({});
+  const [secret, setSecret]               = useState(null);
+  const [loading, setLoading]             = useState(true);
+  const [busyId, setBusyId]               = useState(null);
+  const [status, setStatus]               = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchWebhooks()
+      .then(data => {
+        setSubscriptions(data.subscriptions);
+        setEvents(data.events);
+        setDefaultTemplate(data.defaultTemplate);
+      })
+      .catch(err => setStatus(`Could not load webhooks: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Update one field of the add-webhook form.
+   *
+   * @param {string} field
+   * @returns {function(React.ChangeEvent): void}
+   */
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * Add or remove an event in the add-webhook form.
+   *
+   * @param {string} event
+   */
+  const toggleEvent = (event) => setForm(prev => ({
+    ...prev,
+    events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+  }));
+
+  /**
+   * Replace one subscription in the list.
+   *
+   * @param {Object} updated
+   */
+  const replaceSubscription = (updated) =>
+    setSubscriptions(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+
+  /**
+   * Reload a subscription's log if it is open.
+   *
+   * @param {string} id
+   * @param {boolean} [open]  Open it even if closed.
+   */
+  async function refreshLog(id, open = false) {
+    if (!open && !logs[id]) return;
+    const deliveries = await fetchWebhookDeliveries(id);
+    setLogs(prev => ({ ...prev, [id]: deliveries }));
+  }
+
+  /**
+   * Send a sample event and show the result in the log.
+   *
+   * @param {Object} subscription
+   */
+  async function handleTest(subscription) {
+    setBusyId(subscription._id);
+    setStatus("");
+    try {
+      const delivery = await testWebhook(subscription._id);
+      setStatus(`Test sent to "${subscription.name}": HTTP ${delivery.statusCode}.`);
+    } catch (err) {
+      setStatus(`Test failed: ${errorMessage(err)}`);
+    } finally {
+      await refreshLog(subscription._id, true).catch(() => {});
+      setBusyId(null);
+    }
+  }
+
+  /**
+   * Show or hide a subscription's delivery log.
+   *
+   * @param {Object} subscription
+   */
+  async function handleToggleLog(subscription) {
+    if (logs[subscription._id]) {
+      setLogs(prev => ({ ...prev, [subscription._id]: undefined }));
+      return;
+    }
+    try {
+      await refreshLog(subscription._id, true);
+    } catch (err) {
+      setStatus(`Could not load deliveries: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Turn a subscription on or off.
+   *
+   * @param {Object} subscription
+   */
+  async function handleToggle(subscription) {
+    setStatus("");
+    try {
+      replaceSubscription(await updateWebhook(subscription._id, { enabled: !subscription.enabled }));
+    } catch (err) {
+      setStatus(`Update failed: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Replace a subscription's signing secret after confirmation.
+   *
+   * @param {Object} subscription
+   */
+  async function handleRotate(subscription) {
+    if (!window.confirm(`Replace the signing secret of "${subscription.name}"? The receiver must be updated.`)) return;
+    setStatus("");
+    try {
+      setSecret({ name: subscription.name, value: await rotateWebhookSecret(subscription._id) });
+    } catch (err) {
+      setStatus(`Rotate failed: ${errorMessage(err)}`);
+    }
+  }
+
+  /**
+   * Add a subscription and show its generated secret.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusyId("new");
+    setStatus("");
+    try {
+      const { subscription, secret: generated } = await addWebhook({
+        ...form,
+        name:                form.name || undefined,
+        signatureHeader:     form.signatureHeader || undefined,
+        startingSoonMinutes: Number(form.startingSoonMinutes)
+      });
+      setSubscriptions(prev => [...prev, subscription]);
+      setForm(EMPTY_FORM);
+      if (generated) setSecret({ name: subscription.name, value: generated });
+    } catch (err) {
+      setStatus(`Add failed: ${errorMessage(err)}`);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  /**
+   * Delete a subscription after confirmation.
+   *
+   * @param {Object} subscription
+   */
+  async function handleDelete(subscription) {
+    if (!window.confirm(`Delete "${subscription.name}" and its delivery log?`)) return;
+    setStatus("");
+    try {
+      await deleteWebhook(subscription._id);
+      setSubscriptions(prev => prev.filter(s => s._id !== subscription._id));
+    } catch (err) {
+      setStatus(`Delete failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading webhooks…</p>;
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Webhooks</h3>
+      <p className="settings-hint">
+        Send block events to n8n, Home Assistant or any HTTP endpoint. Each body is signed with
+        HMAC-SHA256 of the raw body, sent as <code>sha256=&lt;hex&gt;</code> in the signature header.
+      </p>
+
+      {secret && (
+        <div className="settings-status">
+          Signing secret for &quot;{secret.name}&quot; — copy it now, it is not shown again:
+          <div className="settings-url-row">
+            <input type="text" value={secret.value} readOnly aria-label="Signing secret" onFocus={e => e.target.select()} />
+            <button type="button" onClick={() => setSecret(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {subscriptions.length > 0 && (
+        <ul className="busy-source-list">
+          {subscriptions.map(subscription => (
+            <li key={subscription._id} className="webhook-row">
+              <span>
+                <label>
+                  <input type="checkbox" checked={subscription.enabled} onChange={() => handleToggle(subscription)} />{" "}
+                  <strong>{subscription.name}</strong>
+                </label>{" "}
+                <span className="settings-hint">
+                  {subscription.events.map(e => EVENT_LABELS[e] || e).join(", ")}
+                </span>
+              </span>
+              <span>
+                <button type="button" onClick={() => handleTest(subscription)} disabled={busyId !== null}>
+                  {busyId === subscription._id ? "Sending…" : "Send test"}
+                </button>{" "}
+                <button type="button" onClick={() => handleToggleLog(subscription)}>
+                  {logs[subscription._id] ? "Hide log" : "Deliveries"}
+                </button>{" "}
+                <button type="button" onClick={() => handleRotate(subscription)}>New secret</button>{" "}
+                <button type="button" onClick={() => handleDelete(subscription)}>Delete</button>
+              </span>
+              {logs[subscription._id] && (
+                <ul className="webhook-log">
+                  {logs[subscription._id].length === 0 && <li className="settings-hint">No deliveries yet.</li>}
+                  {logs[subscription._id].map(delivery => (
+                    <li key={delivery._id} className={delivery.status === "failed" ? "webhook-log-failed" : undefined}>
+                      {describeDelivery(delivery)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="caldav-form" onSubmit={handleSubmit}>
+        <input type="text" value={form.name} onChange={updateField("name")} placeholder="Name (optional)" aria-label="Webhook name" />
+        <input
+          type="url"
+          value={form.url}
+          onChange={updateField("url")}
+          placeholder="https://n8n.example.com/webhook/focus"
+          aria-label="Webhook URL"
+          required
+        />
+        <div>
+          {events.map(event => (
+            <label key={event}>
+              <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />{" "}
+              {EVENT_LABELS[event] || event}{" "}
+            </label>
+          ))}
+        </div>
+        <label>
+          Starting soon{" "}
+          <input
+            type="number"
+            min={5}
+            max={120}
+            step={5}
+            value={form.startingSoonMinutes}
+            onChange={updateField("startingSoonMinutes")}
+            style={{ width: 60 }}
+          />{" "}
+          min before the start
+        </label>
+        <textarea
+          value={form.template}
+          onChange={updateField("template")}
+          placeholder={defaultTemplate}
+          aria-label="Payload template"
+          rows={6}
+        />
+        <p className="settings-hint">
+          Leave the template empty for the default. Placeholders: {PLACEHOLDERS}. Put text placeholders
+          inside quotes; numbers may go outside.
+        </p>
+        <input
+          type="text"
+          value={form.signatureHeader}
+          onChange={updateField("signatureHeader")}
+          placeholder="Signature header (X-Webhook-Signature)"
+          aria-label="Signature header"
+        />
+        <button type="submit" disabled={busyId !== null || form.events.length === 0}>
+          {busyId === "new" ? "Adding…" : "Add webhook"}
+        </button>
+      </form>
+      {status && <p className="settings-status">{status}</p>}
+    </section>
+  );
+}
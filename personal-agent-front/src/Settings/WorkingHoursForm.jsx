@@ -0,0 +1,199 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/WorkingHoursForm.jsx
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Form for editing per-weekday working hours that bound
+//            freedom-block generation.
+// ------------------------------------------------------------------
+
+/**
+ * @module WorkingHoursForm
+ * @description
+ *   - Loads the user's working hours on mount.
+ *   - Lets each weekday be marked off or given a start/end time.
+ *   - Saves the whole week at once; a row can be reset to the default.
+ */
+
+// ─────── Dependencies ───────
+import { useState, useEffect } from "react";
+import {
+  fetchWorkingHours,
+  saveWorkingHours,
+  resetWorkingDay
+} from "./settingsAPI";
+
+// ─────── Utilities ───────
+
+/**
+ * Capitalize a weekday key for display ("monday" → "Monday").
+ *
+ * @param {string} day
+ * @returns {string}
+ */
+const dayLabel = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+
+/**
+ * Time inputs cannot show "24:00", so midnight end times are shown as
+ * "00:00" and converted back on save.
+ *
+ * @param {string} end  Stored end time.
+ * @returns {string}    Value for an <input type="time">.
+ */
+const endToInput = (end) => (end === "24:00" ? "00:00" : end);
+
+/**
+ * Inverse of endToInput.
+ *
+ * @param {string} value  Value from an <input type="time">.
+ * @returns {string}      End time accepted by the API.
+ */
+const inputToEnd = (value) => (value === "00:00" ? "24:00" : value);
+
+/**
+ * Extract a readable message from an axios error.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+// ─────── Component Definition ───────
+
+/**
+ * WorkingHoursForm component.
+ *
+ * @returns {JSX.Element}
+ */
+export default function WorkingHoursForm() {
+  // ─────── State ───────
+  const [rows, setRows]       = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving]   = useState(false);
+  const [status, setStatus]   = useState("");
+
+  // ─────── Effects ───────
+  useEffect(() => {
+    fetchWorkingHours()
+      .then(setRows)
+      .catch(err => setStatus(`Could not load working hours: ${errorMessage(err)}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ─────── Handlers ───────
+
+  /**
+   * Update one field of a weekday row.
+   *
+   * @param {string} day    Weekday key.
+   * @param {string} field  "off" | "start" | "end".
+   * @param {*} value       New value.
+   */
+  function handleChange(day, field, value) {
+    setRows(prev => prev.map(r => (r.day === day ? { ...r, [field]: value } : r)));
+  }
+
+  /**
+   * Save the whole week.
+   *
+   * @param {React.FormEvent} e
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setStatus("");
+    try {
+      setRows(await saveWorkingHours(rows));
+      setStatus("Working hours saved. New blocks will follow them.");
+    } catch (err) {
+      setStatus(`Save failed: ${errorMessage(err)}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /**
+   * Reset a weekday to the default: the whole day.
+   *
+   * @param {string} day  Weekday key.
+   */
+  async function handleReset(day) {
+    setStatus("");
+    try {
+      setRows(await resetWorkingDay(day));
+    } catch (err) {
+      setStatus(`Reset failed: ${errorMessage(err)}`);
+    }
+  }
+
+  // ─────── Render ───────
+  if (loading) {
+    return <p>Loading working hours…</p>;
+  }
+
+  return (
+    <form className="settings-section" onSubmit={handleSubmit}>
+      <h3>Working Hours</h3>
+      <p className="settings-hint">
+        Focus blocks are only suggested inside these hours. Days marked off get no blocks.
+        Until you change them, every day runs from midnight to midnight.
+      </p>
+
+      <table className="working-hours-table">
+        <thead>
+          <tr>
+            <th>Day</th>
+            <th>Off</th>
+            <th>Start</th>
+            <th>End</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.day} className={row.off ? "working-hours-off" : undefined}>
+              <td>{dayLabel(row.day)}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={row.off}
+                  onChange={e => handleChange(row.day, "off", e.target.checked)}
+                  aria-label={`${dayLabel(row.day)} off`}
+                />
+              </td>
+              <td>
+                <input
+                  type="time"
+                  step={300}
+                  value={row.start}
+                  disabled={row.off}
+                  onChange={e => handleChange(row.day, "start", e.target.value)}
+                  aria-label={`${dayLabel(row.day)} start`}
+                />
+              </td>
+              <td>
+                <input
+                  type="time"
+                  step={300}
+                  value={endToInput(row.end)}
+                  disabled={row.off}
+                  onChange={e => handleChange(row.day, "end", inputToEnd(e.target.value))}
+                  aria-label={`${dayLabel(row.day)} end`}
+                />
+              </td>
+              <td>
+                <button type="button" onClick={() => handleReset(row.day)}>
+                  Reset
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button type="submit" disabled={saving}>
+        {saving ? "Saving…" : "Save Working Hours"}
+      </button>
+      {status && <p className="settings-status">{status}</p>}
+    </form>
+  );
+}
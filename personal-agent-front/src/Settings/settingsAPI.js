@@ -0,0 +1,546 @@
+// ------------------------------------------------------------------
+// Module:    src/Settings/settingsAPI.js
+// Author:    John Gibson
+// Created:   2026-10-19
+// Purpose:   Client API for user planning settings (working hours,
+//            focus calendar, iCalendar feed, imported and CalDAV
+//            calendars, recurring blocks, notification channels,
+//            integrations, webhook subscriptions).
+// ------------------------------------------------------------------
+
+/**
+ * @module src/Settings/settingsAPI
+ * @description
+ *   Provides functions to:
+ *     - Fetch and replace the week of working hours.
+ *     - Update or reset a single weekday.
+ *     - Fetch and choose the calendar that receives approved blocks.
+ *     - Fetch and update phone alarm settings.
+ *     - Fetch and update the daily auto-plan and its approval rules.
+ *     - Fetch and rotate the iCalendar feed URL.
+ *     - List, upload and delete imported .ics busy-time sources.
+ *     - List, add, verify and delete CalDAV calendars.
+ *     - List, add, update, test and delete notification channels, and
+ *       fetch the server's Web Push key.
+ *     - List, save and remove the user's TaskMagic and phone alarm
+ *       targets.
+ *     - List, add, update, test and delete webhook subscriptions, rotate
+ *       their secrets and read their delivery logs.
+ *     - List, create and delete recurring block series and their
+ *       skipped dates.
+ */
+
+// ───── Dependencies ─────────────────────────────────────────────────────────
+
+import axiosInstance from "../axiosInstance";
+
+// ───── API Functions ────────────────────────────────────────────────────────
+
+/**
+ * Fetch the user's working hours.
+ *
+ * @async
+ * @function fetchWorkingHours
+ * @returns {Promise<Object[]>} Seven { day, off, start, end } entries, Sunday first.
+ */
+export async function fetchWorkingHours() {
+  const { data } = await axiosInstance.get("/api/users/workingHours");
+  return data.workingHours;
+}
+
+/**
+ * Replace the whole week of working hours.
+ *
+ * @async
+ * @function saveWorkingHours
+ * @param {Object[]} workingHours  Seven { day, off, start, end } entries.
+ * @returns {Promise<Object[]>}    The stored working hours.
+ */
+export async function saveWorkingHours(workingHours) {
+  const { data } = await axiosInstance.put("/api/users/workingHours", { workingHours });
+  return data.workingHours;
+}
+
+/**
+ * Reset one weekday to the default working window.
+ *
+ * @async
+ * @function resetWorkingDay
+ * @param {string} day           Lowercase weekday name.
+ * @returns {Promise<Object[]>}  The stored working hours.
+ */
+export async function resetWorkingDay(day) {
+  const { data } = await axiosInstance.delete(`/api/users/workingHours/${day}`);
+  return data.workingHours;
+}
+
+/**
+ * Fetch the focus calendar and the verified calendars to choose from.
+ *
+ * @async
+ * @function fetchFocusCalendar
+ * @returns {Promise<{calendarId: string|null, calendars: string[]}>}
+ */
+export async function fetchFocusCalendar() {
+  const { data } = await axiosInstance.get("/api/users/focusCalendar");
+  return { calendarId: data.calendarId, calendars: data.calendars };
+}
+
+/**
+ * Choose the calendar approved blocks are written to.
+ *
+ * @async
+ * @function saveFocusCalendar
+ * @param {string|null} calendarId  A verified calendar email, or null to stop.
+ * @returns {Promise<string|null>}  The stored calendar ID.
+ */
+export async function saveFocusCalendar(calendarId) {
+  const { data } = await axiosInstance.put("/api/users/focusCalendar", { calendarId });
+  return data.calendarId;
+}
+
+/**
+ * Fetch the user's phone alarm settings.
+ *
+ * @async
+ * @function fetchAlarmSettings
+ * @returns {Promise<{mode: string, leadMinutes: number, label: string}>}
+ */
+export async function fetchAlarmSettings() {
+  const { data } = await axiosInstance.get("/api/users/alarmSettings");
+  return data.alarmSettings;
+}
+
+/**
+ * Update the phone alarm settings.
+ *
+ * @async
+ * @function saveAlarmSettings
+ * @param {{mode?: string, leadMinutes?: number, label?: string}} settings
+ * @returns {Promise<{mode: string, leadMinutes: number, label: string}>} The stored settings.
+ */
+export async function saveAlarmSettings(settings) {
+  const { data } = await axiosInstance.put("/api/users/alarmSettings", settings);
+  return data.alarmSettings;
+}
+
+/**
+ * Fetch the daily auto-plan settings with the next and last runs.
+ *
+ * @async
+ * @function fetchAutoPlan
+ * @returns {Promise<{autoPlan: Object, nextRunAt: ?string, lastRun: ?Object}>}
+ */
+export async function fetchAutoPlan() {
+  const { data } = await axiosInstance.get("/api/users/autoPlan");
+  return { autoPlan: data.autoPlan, nextRunAt: data.nextRunAt, lastRun: data.lastRun };
+}
+
+/**
+ * Update the daily auto-plan settings.
+ *
+ * @async
+ * @function saveAutoPlan
+ * @param {{enabled?: boolean, time?: string, approveRules?: Object[]}} settings
+ * @returns {Promise<{autoPlan: Object, nextRunAt: ?string}>} The stored settings and next run.
+ */
+export async function saveAutoPlan(settings) {
+  const { data } = await axiosInstance.put("/api/users/autoPlan", settings);
+  return { autoPlan: data.autoPlan, nextRunAt: data.nextRunAt };
+}
+
+/**
+ * Absolute subscription URL for a feed path returned by the API.
+ *
+ * @param {string} path  Path such as "/api/feed/<token>.ics".
+ * @returns {string}
+ */
+function feedUrl(path) {
+  return new URL(path, axiosInstance.defaults.baseURL).toString();
+}
+
+/**
+ * Fetch the iCalendar feed URL, issuing one on first use.
+ *
+ * @async
+ * @function fetchIcsFeed
+ * @returns {Promise<string>}  Subscription URL.
+ */
+export async function fetchIcsFeed() {
+  const { data } = await axiosInstance.get("/api/users/icsFeed");
+  return feedUrl(data.path);
+}
+
+/**
+ * Replace the feed token; the old URL stops working.
+ *
+ * @async
+ * @function rotateIcsFeed
+ * @returns {Promise<string>}  New subscription URL.
+ */
+export async function rotateIcsFeed() {
+  const { data } = await axiosInstance.post("/api/users/icsFeed/rotate");
+  return feedUrl(data.path);
+}
+
+/**
+ * Fetch the user's imported busy-time sources.
+ *
+ * @async
+ * @function fetchBusySources
+ * @returns {Promise<Object[]>}  Sources, newest first.
+ */
+export async function fetchBusySources() {
+  const { data } = await axiosInstance.get("/api/users/busySources");
+  return data.sources;
+}
+
+/**
+ * Upload an .ics file whose events block out time.
+ *
+ * @async
+ * @function uploadBusySource
+ * @param {File}   file    The .ics file.
+ * @param {string} [name]  Display name; defaults to the calendar's own name.
+ * @returns {Promise<Object>}  The stored source.
+ */
+export async function uploadBusySource(file, name) {
+  const form = new FormData();
+  form.append("file", file);
+  if (name) form.append("name", name);
+  const { data } = await axiosInstance.post("/api/users/busySources", form);
+  return data.source;
+}
+
+/**
+ * Delete an imported source; its events stop blocking time.
+ *
+ * @async
+ * @function deleteBusySource
+ * @param {string} id  Source ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteBusySource(id) {
+  await axiosInstance.delete(`/api/users/busySources/${id}`);
+}
+
+/**
+ * Fetch the user's CalDAV calendars.
+ *
+ * @async
+ * @function fetchCalDavCalendars
+ * @returns {Promise<Object[]>}  Calendars, without passwords.
+ */
+export async function fetchCalDavCalendars() {
+  const { data } = await axiosInstance.get("/api/users/calDavCalendars");
+  return data.calendars;
+}
+
+/**
+ * Add a CalDAV calendar. It is read only after verification.
+ *
+ * @async
+ * @function addCalDavCalendar
+ * @param {Object} calendar  { url, username, password, displayName? }.
+ * @returns {Promise<Object>}  The stored calendar.
+ */
+export async function addCalDavCalendar(calendar) {
+  const { data } = await axiosInstance.post("/api/users/calDavCalendars", calendar);
+  return data.calendar;
+}
+
+/**
+ * Check that a CalDAV calendar can be read with its credentials.
+ *
+ * @async
+ * @function verifyCalDavCalendar
+ * @param {string} id  Calendar ID.
+ * @returns {Promise<Object>}  The verified calendar.
+ */
+export async function verifyCalDavCalendar(id) {
+  const { data } = await axiosInstance.post(`/api/users/calDavCalendars/${id}/verify`);
+  return data.calendar;
+}
+
+/**
+ * Delete a CalDAV calendar and its stored credentials.
+ *
+ * @async
+ * @function deleteCalDavCalendar
+ * @param {string} id  Calendar ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteCalDavCalendar(id) {
+  await axiosInstance.delete(`/api/users/calDavCalendars/${id}`);
+}
+
+/**
+ * Fetch the user's notification channels and the types that can be added.
+ *
+ * @async
+ * @function fetchNotificationChannels
+ * @returns {Promise<{channels: Object[], types: Object[]}>}  Channels, without secrets.
+ */
+export async function fetchNotificationChannels() {
+  const { data } = await axiosInstance.get("/api/users/notificationChannels");
+  return { channels: data.channels, types: data.types };
+}
+
+/**
+ * Add a notification channel.
+ *
+ * @async
+ * @function addNotificationChannel
+ * @param {Object} channel  { type, name, config, secrets?, template?, enabled? }.
+ * @returns {Promise<Object>}  The stored channel.
+ */
+export async function addNotificationChannel(channel) {
+  const { data } = await axiosInstance.post("/api/users/notificationChannels", channel);
+  return data.channel;
+}
+
+/**
+ * Update a notification channel. Omitted fields keep their values.
+ *
+ * @async
+ * @function updateNotificationChannel
+ * @param {string} id       Channel ID.
+ * @param {Object} changes  Any of name, enabled, config, secrets, template.
+ * @returns {Promise<Object>}  The updated channel.
+ */
+export async function updateNotificationChannel(id, changes) {
+  const { data } = await axiosInstance.put(`/api/users/notificationChannels/${id}`, changes);
+  return data.channel;
+}
+
+/**
+ * Send a sample alarm through a notification channel.
+ *
+ * @async
+ * @function testNotificationChannel
+ * @param {string} id  Channel ID.
+ * @returns {Promise<Object>}  The channel, with lastTestedAt updated.
+ */
+export async function testNotificationChannel(id) {
+  const { data } = await axiosInstance.post(`/api/users/notificationChannels/${id}/test`);
+  return data.channel;
+}
+
+/**
+ * Delete a notification channel and its stored secrets.
+ *
+ * @async
+ * @function deleteNotificationChannel
+ * @param {string} id  Channel ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteNotificationChannel(id) {
+  await axiosInstance.delete(`/api/users/notificationChannels/${id}`);
+}
+
+/**
+ * Fetch the server's Web Push (VAPID) public key.
+ *
+ * @async
+ * @function fetchWebPushKey
+ * @returns {Promise<string>}  base64url public key.
+ */
+export async function fetchWebPushKey() {
+  const { data } = await axiosInstance.get("/api/users/notificationChannels/webPushKey");
+  return data.publicKey;
+}
+
+/**
+ * Fetch the approval integrations with the user's settings for each.
+ *
+ * @async
+ * @function fetchIntegrations
+ * @returns {Promise<Object[]>}  One entry per provider; URLs are not returned.
+ */
+export async function fetchIntegrations() {
+  const { data } = await axiosInstance.get("/api/users/integrations");
+  return data.integrations;
+}
+
+/**
+ * Create or update the user's settings for one integration.
+ *
+ * @async
+ * @function saveIntegration
+ * @param {string} provider  "taskmagic" or "phoneAlarm".
+ * @param {Object} changes   { urls?, enabled? }.
+ * @returns {Promise<Object>}  The stored integration.
+ */
+export async function saveIntegration(provider, changes) {
+  const { data } = await axiosInstance.put(`/api/users/integrations/${provider}`, changes);
+  return data.integration;
+}
+
+/**
+ * Remove the user's settings for one integration.
+ *
+ * @async
+ * @function deleteIntegration
+ * @param {string} provider  "taskmagic" or "phoneAlarm".
+ * @returns {Promise<void>}
+ */
+export async function deleteIntegration(provider) {
+  await axiosInstance.delete(`/api/users/integrations/${provider}`);
+}
+
+/**
+ * Fetch the user's webhook subscriptions, the events they can receive
+ * and the default payload template.
+ *
+ * @async
+ * @function fetchWebhooks
+ * @returns {Promise<{subscriptions: Object[], events: string[], defaultTemplate: string}>}
+ */
+export async function fetchWebhooks() {
+  const { data } = await axiosInstance.get("/api/users/webhooks");
+  return { subscriptions: data.subscriptions, events: data.events, defaultTemplate: data.defaultTemplate };
+}
+
+/**
+ * Add a webhook subscription.
+ *
+ * @async
+ * @function addWebhook
+ * @param {Object} subscription  { url, events, name?, template?, signatureHeader?, startingSoonMinutes?, secret? }.
+ * @returns {Promise<{subscription: Object, secret: ?string}>}  The generated secret, shown once.
+ */
+export async function addWebhook(subscription) {
+  const { data } = await axiosInstance.post("/api/users/webhooks", subscription);
+  return { subscription: data.subscription, secret: data.secret };
+}
+
+/**
+ * Update a webhook subscription. Omitted fields keep their values.
+ *
+ * @async
+ * @function updateWebhook
+ * @param {string} id       Subscription ID.
+ * @param {Object} changes
+ * @returns {Promise<Object>}  The updated subscription.
+ */
+export async function updateWebhook(id, changes) {
+  const { data } = await axiosInstance.put(`/api/users/webhooks/${id}`, changes);
+  return data.subscription;
+}
+
+/**
+ * Replace a webhook's signing secret.
+ *
+ * @async
+ * @function rotateWebhookSecret
+ * @param {string} id  Subscription ID.
+ * @returns {Promise<string>}  The new secret, shown once.
+ */
+export async function rotateWebhookSecret(id) {
+  const { data } = await axiosInstance.post(`/api/users/webhooks/${id}/rotateSecret`);
+  return data.secret;
+}
+
+/**
+ * Send a sample event through a webhook.
+ *
+ * @async
+ * @function testWebhook
+ * @param {string} id       Subscription ID.
+ * @param {string} [event]  Defaults to the subscription's first event.
+ * @returns {Promise<Object>}  The logged delivery.
+ */
+export async function testWebhook(id, event) {
+  const { data } = await axiosInstance.post(`/api/users/webhooks/${id}/test`, { event });
+  return data.delivery;
+}
+
+/**
+ * Fetch a webhook's recent deliveries, newest first.
+ *
+ * @async
+ * @function fetchWebhookDeliveries
+ * @param {string} id  Subscription ID.
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchWebhookDeliveries(id) {
+  const { data } = await axiosInstance.get(`/api/users/webhooks/${id}/deliveries`);
+  return data.deliveries;
+}
+
+/**
+ * Delete a webhook subscription and its delivery log.
+ *
+ * @async
+ * @function deleteWebhook
+ * @param {string} id  Subscription ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteWebhook(id) {
+  await axiosInstance.delete(`/api/users/webhooks/${id}`);
+}
+
+/**
+ * Fetch the user's recurring block series.
+ *
+ * @async
+ * @function fetchBlockSeries
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchBlockSeries() {
+  const { data } = await axiosInstance.get("/api/freedom-blocks/series");
+  return data.series;
+}
+
+/**
+ * Create a recurring block series.
+ *
+ * @async
+ * @function createBlockSeries
+ * @param {Object} series  { rrule, startTime, endTime, startDate? }; times are "HH:mm".
+ * @returns {Promise<Object>}  The stored series.
+ */
+export async function createBlockSeries(series) {
+  const { data } = await axiosInstance.post("/api/freedom-blocks/series", series);
+  return data.series;
+}
+
+/**
+ * Delete a recurring block series and its pending occurrences.
+ *
+ * @async
+ * @function deleteBlockSeries
+ * @param {string} id  Series ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteBlockSeries(id) {
+  await axiosInstance.delete(`/api/freedom-blocks/series/${id}`);
+}
+
+/**
+ * Skip a series on one date.
+ *
+ * @async
+ * @function skipSeriesDate
+ * @param {string} id    Series ID.
+ * @param {string} date  "YYYY-MM-DD".
+ * @returns {Promise<Object>}  The updated series.
+ */
+export async function skipSeriesDate(id, date) {
+  const { data } = await axiosInstance.post(`/api/freedom-blocks/series/${id}/exceptions`, { date });
+  return data.series;
+}
+
+/**
+ * Stop skipping a series on one date.
+ *
+ * @async
+ * @function unskipSeriesDate
+ * @param {string} id    Series ID.
+ * @param {string} date  "YYYY-MM-DD".
+ * @returns {Promise<Object>}  The updated series.
+ */
+export async function unskipSeriesDate(id, date) {
+  const { data } = await axiosInstance.delete(`/api/freedom-blocks/series/${id}/exceptions/${date}`);
+  return data.series;
+}
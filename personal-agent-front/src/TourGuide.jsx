@@ -49,6 +49,10 @@ const tourSteps = [
     title: 'Resize a Time Block',
     content: 'Drag the bottom edge to adjust the duration of a time block.',
     placement: 'top' },
+  { target: '[data-tour="draw-timeblock"]', disableBeacon: true,
+    title: 'Draw a Time Block',
+    content: 'Click and drag on empty space in the grid to add your own block.',
+    placement: 'right' },
   { target: '[data-tour="approve-timeblocks"]', disableBeacon: true,
     title: 'Approve Time Blocks',
     content: 'Click here to approve all unapproved time blocks and finalize your schedule.',